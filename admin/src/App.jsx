@@ -7,6 +7,12 @@ import Dashboard from './pages/Dashboard';
 import Waitlist from './pages/Waitlist';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
+import Team from './pages/Team';
+import Webhooks from './pages/Webhooks';
+import Import from './pages/Import';
+import Duplicates from './pages/Duplicates';
+import Churches from './pages/Churches';
+import ChangePassword from './pages/ChangePassword';
 
 function App() {
   return (
@@ -14,6 +20,14 @@ function App() {
       <BrowserRouter>
         <Routes>
           <Route path="/login" element={<Login />} />
+          <Route
+            path="/change-password"
+            element={
+              <ProtectedRoute>
+                <ChangePassword />
+              </ProtectedRoute>
+            }
+          />
           <Route
             path="/"
             element={
@@ -23,8 +37,13 @@ function App() {
             }
           >
             <Route index element={<Dashboard />} />
-            <Route path="waitlist" element={<Waitlist />} />
-            <Route path="analytics" element={<Analytics />} />
+            <Route path="waitlist" element={<ProtectedRoute permission="view_signups"><Waitlist /></ProtectedRoute>} />
+            <Route path="duplicates" element={<ProtectedRoute permission="view_signups"><Duplicates /></ProtectedRoute>} />
+            <Route path="churches" element={<ProtectedRoute permission="view_signups"><Churches /></ProtectedRoute>} />
+            <Route path="import" element={<ProtectedRoute permission="import_signups"><Import /></ProtectedRoute>} />
+            <Route path="analytics" element={<ProtectedRoute permission="view_analytics"><Analytics /></ProtectedRoute>} />
+            <Route path="team" element={<ProtectedRoute permission="manage_admins"><Team /></ProtectedRoute>} />
+            <Route path="webhooks" element={<ProtectedRoute permission="manage_webhooks"><Webhooks /></ProtectedRoute>} />
             <Route path="settings" element={<Settings />} />
           </Route>
         </Routes>
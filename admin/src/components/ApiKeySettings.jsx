@@ -0,0 +1,236 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, RefreshCw, Trash2, Copy, Check } from 'lucide-react';
+import { api } from '../utils/api';
+
+const SCOPE_LABELS = {
+  'read:count': 'Read counts & analytics',
+  'read:signups': 'Read signups',
+  'export': 'Export signups',
+  'invites': 'Validate & redeem invite codes',
+};
+
+const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+const formatDate = (dateString) => {
+  if (!dateString) return 'Never';
+  return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+const ApiKeySettings = () => {
+  const [keys, setKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [scopes, setScopes] = useState(Object.keys(SCOPE_LABELS));
+  const [showCreate, setShowCreate] = useState(false);
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['read:count']);
+  const [newSecret, setNewSecret] = useState(null);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchKeys = useCallback(async () => {
+    try {
+      const data = await api.getApiKeys();
+      setKeys(data.keys);
+      setScopes(data.scopes);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchKeys();
+  }, [fetchKeys]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      await action();
+      fetchKeys();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleScope = (scope) => {
+    setSelectedScopes(prev => prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]);
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await api.createApiKey({ name, scopes: selectedScopes });
+      setNewSecret({ name: data.key.name, secret: data.secret });
+      setShowCreate(false);
+      setName('');
+      setSelectedScopes(['read:count']);
+    });
+  };
+
+  const handleRotate = (key) => {
+    if (!window.confirm(`Regenerate "${key.name}"? Anything using the current key will stop working.`)) {
+      return;
+    }
+    run(async () => {
+      const data = await api.rotateApiKey(key.id);
+      setNewSecret({ name: data.key.name, secret: data.secret });
+    });
+  };
+
+  const handleRevoke = (key) => {
+    if (!window.confirm(`Revoke "${key.name}"? This cannot be undone.`)) {
+      return;
+    }
+    run(() => api.revokeApiKey(key.id));
+  };
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(newSecret.secret);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          Send a key in the <code className="px-1 bg-gray-100 rounded">X-API-Key</code> header for read access to your waitlist data
+        </p>
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+        >
+          <Plus size={16} />
+          New Key
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {newSecret && (
+        <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+          <p className="text-sm text-yellow-800">
+            Copy the key for <span className="font-medium">{newSecret.name}</span> now. It won't be shown again.
+          </p>
+          <div className="flex gap-3">
+            <input
+              type="text"
+              value={newSecret.secret}
+              readOnly
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-4 py-2 border border-gray-200 rounded-lg bg-white font-mono text-sm"
+            />
+            <button
+              onClick={handleCopy}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg bg-white hover:bg-gray-50 transition-all duration-200"
+            >
+              {copied ? <Check size={16} /> : <Copy size={16} />}
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+            <button
+              onClick={() => setNewSecret(null)}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="space-y-4 p-4 border border-gray-200 rounded-lg">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Key name, e.g. Zapier integration"
+            className={inputClass}
+            required
+            maxLength={100}
+          />
+          <div className="flex flex-wrap gap-4">
+            {scopes.map(scope => (
+              <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedScopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                {SCOPE_LABELS[scope] || scope}
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setShowCreate(false)}
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={selectedScopes.length === 0}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50"
+            >
+              Create Key
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {loading ? (
+          <p className="py-3 text-sm text-gray-500">Loading...</p>
+        ) : keys.length === 0 ? (
+          <p className="py-3 text-sm text-gray-500">No API keys yet</p>
+        ) : (
+          keys.map(key => (
+            <div key={key.id} className={`flex items-center justify-between py-3 ${key.revoked_at ? 'opacity-50' : ''}`}>
+              <div>
+                <p className="font-medium text-gray-900">
+                  {key.name}
+                  <code className="ml-2 text-xs text-gray-500">{key.key_prefix}…</code>
+                  {key.revoked_at && (
+                    <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600">Revoked</span>
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {key.scopes.map(scope => SCOPE_LABELS[scope] || scope).join(', ')}
+                  {' · '}Created {formatDate(key.created_at)}
+                  {key.created_by_username && ` by ${key.created_by_username}`}
+                  {' · '}Last used {formatDate(key.last_used_at)}
+                </p>
+              </div>
+              {!key.revoked_at && (
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => handleRotate(key)}
+                    className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                    title="Regenerate"
+                  >
+                    <RefreshCw size={16} />
+                  </button>
+                  <button
+                    onClick={() => handleRevoke(key)}
+                    className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                    title="Revoke"
+                  >
+                    <Trash2 size={16} />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ApiKeySettings;
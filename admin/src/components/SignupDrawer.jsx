@@ -0,0 +1,436 @@
+import { useState, useEffect, useCallback } from 'react';
+import { X, Tag, Pencil, Trash2, AlertCircle, Download, EyeOff } from 'lucide-react';
+import { api, downloadFile } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { SIGNUP_STATUSES, EMAIL_PREFERENCES, QUARANTINE_REASONS } from '../utils/statuses';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+// Same rules as the server: lowercase, spaces become dashes
+const normaliseTag = (tag) => tag.trim().toLowerCase().replace(/\s+/g, '-');
+
+const inviteState = (invite) => {
+  if (invite.redeemed_at) return `Redeemed ${formatDate(invite.redeemed_at)}`;
+  if (invite.revoked_at) return `Revoked ${formatDate(invite.revoked_at)}`;
+  return `Expires ${formatDate(invite.expires_at)}`;
+};
+
+const Section = ({ title, children }) => (
+  <div className="px-6 py-5 border-b border-gray-100">
+    <h3 className="text-sm font-semibold text-gray-600 uppercase tracking-wider mb-3">{title}</h3>
+    {children}
+  </div>
+);
+
+const Field = ({ label, children }) => (
+  <div>
+    <dt className="text-xs text-gray-500">{label}</dt>
+    <dd className="text-sm text-gray-800 break-words">{children || <span className="text-gray-400">-</span>}</dd>
+  </div>
+);
+
+const SignupDrawer = ({ signupId, onClose, onChange }) => {
+  const [detail, setDetail] = useState(null);
+  const [allTags, setAllTags] = useState([]);
+  const [formFields, setFormFields] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [newTag, setNewTag] = useState('');
+  const [newNote, setNewNote] = useState('');
+  const [editingNote, setEditingNote] = useState(null);
+  const { user, hasPermission } = useAuth();
+  const canEdit = hasPermission('edit_signups');
+  const canExport = hasPermission('export_signups');
+  const canDelete = hasPermission('delete_signups');
+
+  const fetchDetail = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [data, tags, { fields }] = await Promise.all([api.getSignup(signupId), api.getTags(), api.getSignupFields()]);
+      setDetail(data);
+      setAllTags(tags);
+      setFormFields(fields.filter(field => !field.builtin));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [signupId]);
+
+  useEffect(() => {
+    fetchDetail();
+  }, [fetchDetail]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      await action();
+      fetchDetail();
+      onChange();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const saveTags = (tags) => run(() => api.setSignupTags(signupId, tags));
+
+  const handleAddTag = (e) => {
+    e.preventDefault();
+    const tag = normaliseTag(newTag);
+    if (!tag) return;
+    setNewTag('');
+    if (!detail.signup.tags.includes(tag)) {
+      saveTags([...detail.signup.tags, tag]);
+    }
+  };
+
+  const handleAddNote = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.addSignupNote(signupId, newNote);
+      setNewNote('');
+    });
+  };
+
+  const handleSaveNote = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.updateSignupNote(signupId, editingNote.id, editingNote.body);
+      setEditingNote(null);
+    });
+  };
+
+  const handleDeleteNote = (note) => {
+    if (!window.confirm('Delete this note?')) return;
+    run(() => api.deleteSignupNote(signupId, note.id));
+  };
+
+  const handleDownloadData = () => run(async () => {
+    const { blob, filename } = await api.downloadSignupData(signupId);
+    downloadFile(blob, filename);
+  });
+
+  const handleAnonymise = () => {
+    if (!window.confirm('Anonymise this signup? Their name, email, church, IP address and notes are removed for good. They stay in counts and analytics.')) return;
+    run(() => api.anonymiseSignup(signupId));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Permanently delete ${detail.signup.email} and everything stored about them? This cannot be undone.`)) return;
+    try {
+      await api.deleteSignup(signupId);
+      onChange();
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const signup = detail?.signup;
+
+  return (
+    <>
+      <div className="fixed inset-0 bg-black bg-opacity-30 z-40" onClick={onClose} />
+      <aside className="fixed inset-y-0 right-0 z-50 w-full max-w-xl bg-white shadow-xl flex flex-col">
+        {/* Header */}
+        <div className="h-16 flex items-center justify-between px-6 border-b border-gray-200 flex-shrink-0">
+          <div className="min-w-0">
+            <h2 className="text-lg font-semibold text-primary truncate">{signup ? signup.name : 'Signup'}</h2>
+            {signup && <p className="text-sm text-gray-500 truncate">{signup.email}</p>}
+          </div>
+          <button onClick={onClose} className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg" title="Close">
+            <X size={20} />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto">
+          {error && (
+            <div className="m-6 p-4 bg-red-50 border border-red-200 rounded-lg flex items-center gap-3">
+              <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+              <p className="text-sm text-red-800">{error}</p>
+            </div>
+          )}
+
+          {!detail && loading && <p className="p-6 text-sm text-gray-500">Loading...</p>}
+
+          {detail && (
+            <>
+              <Section title="Details">
+                {signup.anonymised_at && (
+                  <p className="mb-4 text-sm text-gray-600">Anonymised {formatDate(signup.anonymised_at)}. Personal details have been removed.</p>
+                )}
+                {signup.status === 'quarantined' && (
+                  <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 rounded-lg space-y-3">
+                    <div className="text-sm text-yellow-800">
+                      <p className="font-medium">Held for review. No confirmation email has been sent.</p>
+                      <ul className="mt-1 list-disc list-inside">
+                        {(signup.quarantine_reason || '').split(',').filter(Boolean).map(reason => (
+                          <li key={reason}>{QUARANTINE_REASONS[reason] || reason}</li>
+                        ))}
+                      </ul>
+                    </div>
+                    {canEdit && (
+                      <button
+                        onClick={() => run(() => api.setSignupStatus(signup.id, 'waiting'))}
+                        className="px-3 py-1.5 text-sm bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+                      >
+                        Release to waitlist
+                      </button>
+                    )}
+                  </div>
+                )}
+                <dl className="grid grid-cols-2 gap-4">
+                  <Field label="Status">
+                    <span className={`px-2 py-1 text-xs font-medium rounded-full ${SIGNUP_STATUSES[signup.status].style}`}>
+                      {SIGNUP_STATUSES[signup.status].label}
+                    </span>
+                    {signup.status_changed_at && <span className="ml-2 text-xs text-gray-400">since {formatDate(signup.status_changed_at)}</span>}
+                  </Field>
+                  <Field label="Queue position">{detail.queuePosition && `#${detail.queuePosition}`}</Field>
+                  <Field label="Church">
+                    {signup.church_name || signup.church}
+                    {signup.church_name && signup.church !== signup.church_name && (
+                      <span className="block text-xs text-gray-400">entered as {signup.church}</span>
+                    )}
+                  </Field>
+                  <Field label="ID">#{signup.id}</Field>
+                  <Field label="Signed up">{formatDate(signup.created_at)}</Field>
+                  <Field label="Email confirmed">{signup.confirmed_at ? formatDate(signup.confirmed_at) : 'Pending'}</Field>
+                  <Field label="Emails">
+                    {EMAIL_PREFERENCES[signup.email_preference].label}
+                    {signup.email_preference_updated_at && <span className="ml-2 text-xs text-gray-400">since {formatDate(signup.email_preference_updated_at)}</span>}
+                  </Field>
+                  <Field label="Referral code"><span className="font-mono">{signup.referral_code}</span></Field>
+                  <Field label="Referred by">{detail.referrer && `${detail.referrer.name} (${detail.referrer.email})`}</Field>
+                  <Field label="IP address">{signup.ip_address}</Field>
+                  <Field label="Imported">
+                    {detail.importBatch && `${detail.importBatch.source || detail.importBatch.id} on ${formatDate(detail.importBatch.created_at)}`}
+                  </Field>
+                  <Field label="Campaign">
+                    {[signup.utm_source, signup.utm_medium, signup.utm_campaign].filter(Boolean).join(' / ')}
+                    {(signup.utm_term || signup.utm_content) && (
+                      <span className="block text-xs text-gray-400">{[signup.utm_term, signup.utm_content].filter(Boolean).join(' · ')}</span>
+                    )}
+                  </Field>
+                  <Field label="Landing page">{signup.landing_path}</Field>
+                  <Field label="Came from">{signup.referrer}</Field>
+                </dl>
+                {signup.user_agent && <p className="mt-4 text-xs text-gray-400 break-words">{signup.user_agent}</p>}
+              </Section>
+
+              {formFields.some(field => signup.fields[field.key] !== undefined) && (
+                <Section title="Signup Form">
+                  <dl className="grid grid-cols-2 gap-4">
+                    {formFields.filter(field => signup.fields[field.key] !== undefined).map(field => (
+                      <Field key={field.key} label={field.label}>{signup.fields[field.key]}</Field>
+                    ))}
+                  </dl>
+                </Section>
+              )}
+
+              <Section title="Tags">
+                <div className="flex flex-wrap gap-2">
+                  {signup.tags.length === 0 && <p className="text-sm text-gray-500">No tags</p>}
+                  {signup.tags.map(tag => (
+                    <span key={tag} className="inline-flex items-center gap-1 px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-700">
+                      <Tag size={12} />
+                      {tag}
+                      {canEdit && (
+                        <button onClick={() => saveTags(signup.tags.filter(t => t !== tag))} className="text-gray-400 hover:text-red-600" title="Remove tag">
+                          <X size={12} />
+                        </button>
+                      )}
+                    </span>
+                  ))}
+                </div>
+                {canEdit && (
+                  <form onSubmit={handleAddTag} className="mt-3 flex gap-2">
+                    <input
+                      type="text"
+                      list="signup-tag-suggestions"
+                      value={newTag}
+                      onChange={(e) => setNewTag(e.target.value)}
+                      maxLength={32}
+                      placeholder="Add a tag, e.g. pilot-candidate"
+                      className={inputClass}
+                    />
+                    <datalist id="signup-tag-suggestions">
+                      {allTags.filter(({ tag }) => !signup.tags.includes(tag)).map(({ tag }) => (
+                        <option key={tag} value={tag} />
+                      ))}
+                    </datalist>
+                    <button type="submit" className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50">Add</button>
+                  </form>
+                )}
+              </Section>
+
+              <Section title="Notes">
+                {canEdit && (
+                  <form onSubmit={handleAddNote} className="mb-4 space-y-2">
+                    <textarea
+                      value={newNote}
+                      onChange={(e) => setNewNote(e.target.value)}
+                      rows={3}
+                      maxLength={5000}
+                      placeholder="e.g. Spoke to the pastor - good pilot candidate"
+                      className={inputClass}
+                    />
+                    <div className="flex justify-end">
+                      <button
+                        type="submit"
+                        disabled={!newNote.trim()}
+                        className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                      >
+                        Add Note
+                      </button>
+                    </div>
+                  </form>
+                )}
+                {detail.notes.length === 0 ? (
+                  <p className="text-sm text-gray-500">No notes yet</p>
+                ) : (
+                  <div className="space-y-3">
+                    {detail.notes.map(note => (
+                      <div key={note.id} className="p-3 bg-gray-50 rounded-lg">
+                        {editingNote?.id === note.id ? (
+                          <form onSubmit={handleSaveNote} className="space-y-2">
+                            <textarea
+                              value={editingNote.body}
+                              onChange={(e) => setEditingNote({ ...editingNote, body: e.target.value })}
+                              rows={3}
+                              maxLength={5000}
+                              className={inputClass}
+                            />
+                            <div className="flex justify-end gap-2">
+                              <button type="button" onClick={() => setEditingNote(null)} className="px-3 py-1 text-sm text-gray-600 hover:text-primary">Cancel</button>
+                              <button type="submit" disabled={!editingNote.body.trim()} className="px-3 py-1 text-sm bg-primary text-white rounded-lg disabled:opacity-50">Save</button>
+                            </div>
+                          </form>
+                        ) : (
+                          <>
+                            <p className="text-sm text-gray-800 whitespace-pre-wrap">{note.body}</p>
+                            <div className="mt-2 flex items-center justify-between text-xs text-gray-500">
+                              <span>
+                                {note.author_username || 'Unknown'} · {formatDate(note.created_at)}
+                                {note.updated_at && ` · edited ${formatDate(note.updated_at)}`}
+                              </span>
+                              {canEdit && note.author_id === user?.id && (
+                                <span className="flex gap-1">
+                                  <button onClick={() => setEditingNote({ id: note.id, body: note.body })} className="p-1 text-gray-400 hover:text-primary" title="Edit note">
+                                    <Pencil size={14} />
+                                  </button>
+                                  <button onClick={() => handleDeleteNote(note)} className="p-1 text-gray-400 hover:text-red-600" title="Delete note">
+                                    <Trash2 size={14} />
+                                  </button>
+                                </span>
+                              )}
+                            </div>
+                          </>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </Section>
+
+              {detail.invites.length > 0 && (
+                <Section title="Invites">
+                  <ul className="space-y-2 text-sm">
+                    {detail.invites.map(invite => (
+                      <li key={invite.id} className="flex justify-between gap-4">
+                        <span className="text-gray-800">Sent {formatDate(invite.created_at)}{invite.invited_by && ` by ${invite.invited_by}`}</span>
+                        <span className="text-gray-500">{inviteState(invite)}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </Section>
+              )}
+
+              {detail.referrals.length > 0 && (
+                <Section title={`Referrals (${signup.referral_count} confirmed)`}>
+                  <ul className="space-y-2 text-sm">
+                    {detail.referrals.map(referral => (
+                      <li key={referral.id} className="flex justify-between gap-4">
+                        <span className="text-gray-800">{referral.name} <span className="text-gray-500">{referral.email}</span></span>
+                        <span className="text-gray-500">{referral.confirmed_at ? 'Confirmed' : 'Pending'}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </Section>
+              )}
+
+              <Section title="History">
+                <ul className="space-y-3 text-sm">
+                  {detail.history.map(entry => (
+                    <li key={entry.id}>
+                      <p className="text-gray-800">{entry.details || entry.action}</p>
+                      <p className="text-xs text-gray-500">{entry.username || 'System'} · {formatDate(entry.created_at)}</p>
+                    </li>
+                  ))}
+                  {signup.confirmed_at && (
+                    <li>
+                      <p className="text-gray-800">Confirmed their email</p>
+                      <p className="text-xs text-gray-500">{formatDate(signup.confirmed_at)}</p>
+                    </li>
+                  )}
+                  <li>
+                    <p className="text-gray-800">{detail.importBatch ? `Imported in batch ${detail.importBatch.id}` : 'Joined the waitlist'}</p>
+                    <p className="text-xs text-gray-500">{formatDate(signup.created_at)}</p>
+                  </li>
+                </ul>
+              </Section>
+
+              {(canExport || canDelete) && (
+                <Section title="Privacy">
+                  <div className="flex flex-wrap gap-2">
+                    {canExport && (
+                      <button
+                        onClick={handleDownloadData}
+                        className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+                      >
+                        <Download size={16} />
+                        Download data
+                      </button>
+                    )}
+                    {canDelete && !signup.anonymised_at && (
+                      <button
+                        onClick={handleAnonymise}
+                        className="flex items-center gap-2 px-3 py-2 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+                      >
+                        <EyeOff size={16} />
+                        Anonymise
+                      </button>
+                    )}
+                    {canDelete && (
+                      <button
+                        onClick={handleDelete}
+                        className="flex items-center gap-2 px-3 py-2 text-sm border border-red-200 text-red-600 rounded-lg hover:bg-red-50"
+                      >
+                        <Trash2 size={16} />
+                        Delete permanently
+                      </button>
+                    )}
+                  </div>
+                </Section>
+              )}
+            </>
+          )}
+        </div>
+      </aside>
+    </>
+  );
+};
+
+export default SignupDrawer;
@@ -0,0 +1,328 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, Pencil, Trash2, ChevronUp, ChevronDown } from 'lucide-react';
+import { api } from '../utils/api';
+
+const TYPE_LABELS = {
+  text: 'Short text',
+  textarea: 'Long text',
+  select: 'Choice',
+  number: 'Number',
+};
+
+const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+// Options are edited one per line
+const parseOptions = (text) => text.split('\n').map(option => option.trim()).filter(Boolean);
+
+const EMPTY_FIELD = { key: '', label: '', type: 'text', options: '', placeholder: '', required: false };
+
+const SignupFieldSettings = () => {
+  const [fields, setFields] = useState([]);
+  const [types, setTypes] = useState(Object.keys(TYPE_LABELS));
+  const [loading, setLoading] = useState(true);
+  const [showCreate, setShowCreate] = useState(false);
+  const [newField, setNewField] = useState(EMPTY_FIELD);
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState('');
+
+  const fetchFields = useCallback(async () => {
+    try {
+      const data = await api.getSignupFields();
+      setFields(data.fields);
+      setTypes(data.types);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchFields();
+  }, [fetchFields]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      await action();
+      fetchFields();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.createSignupField({
+        key: newField.key,
+        label: newField.label,
+        type: newField.type,
+        placeholder: newField.placeholder || null,
+        required: newField.required,
+        ...(newField.type === 'select' && { options: parseOptions(newField.options) })
+      });
+      setShowCreate(false);
+      setNewField(EMPTY_FIELD);
+    });
+  };
+
+  const startEditing = (field) => {
+    setEditing({
+      key: field.key,
+      label: field.label,
+      placeholder: field.placeholder || '',
+      options: field.options.join('\n')
+    });
+  };
+
+  const handleSaveEdit = (field) => {
+    run(async () => {
+      await api.updateSignupField(field.key, {
+        label: editing.label,
+        placeholder: editing.placeholder || null,
+        ...(field.type === 'select' && { options: parseOptions(editing.options) })
+      });
+      setEditing(null);
+    });
+  };
+
+  const handleMove = (index, offset) => {
+    const keys = fields.map(field => field.key);
+    [keys[index], keys[index + offset]] = [keys[index + offset], keys[index]];
+    run(() => api.reorderSignupFields(keys));
+  };
+
+  const handleDelete = (field) => {
+    if (!window.confirm(`Delete "${field.label}"? Every answer given to it will be deleted too. This cannot be undone.`)) {
+      return;
+    }
+    run(() => api.deleteSignupField(field.key));
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-600">
+          Questions asked on the landing page. Everyone is asked for their email
+        </p>
+        <button
+          onClick={() => setShowCreate(!showCreate)}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+        >
+          <Plus size={16} />
+          New Field
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {showCreate && (
+        <form onSubmit={handleCreate} className="space-y-4 p-4 border border-gray-200 rounded-lg">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <input
+              type="text"
+              value={newField.label}
+              onChange={(e) => setNewField({ ...newField, label: e.target.value })}
+              placeholder="Question, e.g. Country"
+              className={inputClass}
+              required
+              maxLength={100}
+            />
+            <input
+              type="text"
+              value={newField.key}
+              onChange={(e) => setNewField({ ...newField, key: e.target.value })}
+              placeholder="Key, e.g. country"
+              className={`${inputClass} font-mono`}
+              required
+              maxLength={32}
+            />
+            <select
+              value={newField.type}
+              onChange={(e) => setNewField({ ...newField, type: e.target.value })}
+              className={inputClass}
+            >
+              {types.map(type => <option key={type} value={type}>{TYPE_LABELS[type] || type}</option>)}
+            </select>
+          </div>
+          {newField.type === 'select' ? (
+            <textarea
+              value={newField.options}
+              onChange={(e) => setNewField({ ...newField, options: e.target.value })}
+              placeholder="One option per line"
+              rows={4}
+              className={inputClass}
+              required
+            />
+          ) : (
+            <input
+              type="text"
+              value={newField.placeholder}
+              onChange={(e) => setNewField({ ...newField, placeholder: e.target.value })}
+              placeholder="Placeholder (optional)"
+              className={inputClass}
+              maxLength={100}
+            />
+          )}
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={newField.required}
+                onChange={(e) => setNewField({ ...newField, required: e.target.checked })}
+              />
+              Required
+            </label>
+            <div className="flex gap-3">
+              <button
+                type="button"
+                onClick={() => setShowCreate(false)}
+                className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+              >
+                Add Field
+              </button>
+            </div>
+          </div>
+        </form>
+      )}
+
+      <div className="divide-y divide-gray-100">
+        {loading ? (
+          <p className="py-3 text-sm text-gray-500">Loading...</p>
+        ) : (
+          fields.map((field, index) => (
+            <div key={field.key} className="py-3">
+              <div className="flex items-center justify-between gap-4">
+                <div className={field.enabled ? '' : 'opacity-50'}>
+                  <p className="font-medium text-gray-900">
+                    {field.label}
+                    <code className="ml-2 text-xs text-gray-500">{field.key}</code>
+                    {!field.enabled && (
+                      <span className="ml-2 px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600">Hidden</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {TYPE_LABELS[field.type] || field.type}
+                    {field.type === 'select' && `: ${field.options.join(', ')}`}
+                    {field.builtin && ' · Built in'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-4">
+                  <label className="flex items-center gap-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={field.enabled}
+                      onChange={(e) => run(() => api.updateSignupField(field.key, { enabled: e.target.checked }))}
+                    />
+                    Show
+                  </label>
+                  {!field.builtin && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={field.required}
+                        onChange={(e) => run(() => api.updateSignupField(field.key, { required: e.target.checked }))}
+                      />
+                      Required
+                    </label>
+                  )}
+                  <div className="flex gap-1">
+                    <button
+                      onClick={() => handleMove(index, -1)}
+                      disabled={index === 0}
+                      className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all disabled:opacity-30"
+                      title="Move up"
+                    >
+                      <ChevronUp size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleMove(index, 1)}
+                      disabled={index === fields.length - 1}
+                      className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all disabled:opacity-30"
+                      title="Move down"
+                    >
+                      <ChevronDown size={16} />
+                    </button>
+                    <button
+                      onClick={() => startEditing(field)}
+                      className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                      title="Edit"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                    {!field.builtin && (
+                      <button
+                        onClick={() => handleDelete(field)}
+                        className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                        title="Delete"
+                      >
+                        <Trash2 size={16} />
+                      </button>
+                    )}
+                  </div>
+                </div>
+              </div>
+
+              {editing?.key === field.key && (
+                <div className="mt-3 space-y-3 p-4 border border-gray-200 rounded-lg">
+                  <input
+                    type="text"
+                    value={editing.label}
+                    onChange={(e) => setEditing({ ...editing, label: e.target.value })}
+                    placeholder="Question"
+                    className={inputClass}
+                    maxLength={100}
+                  />
+                  {field.type === 'select' ? (
+                    <textarea
+                      value={editing.options}
+                      onChange={(e) => setEditing({ ...editing, options: e.target.value })}
+                      placeholder="One option per line"
+                      rows={4}
+                      className={inputClass}
+                    />
+                  ) : (
+                    <input
+                      type="text"
+                      value={editing.placeholder}
+                      onChange={(e) => setEditing({ ...editing, placeholder: e.target.value })}
+                      placeholder="Placeholder (optional)"
+                      className={inputClass}
+                      maxLength={100}
+                    />
+                  )}
+                  {field.type === 'select' && (
+                    <p className="text-xs text-gray-500">Answers already given keep their old option if you remove it</p>
+                  )}
+                  <div className="flex justify-end gap-3">
+                    <button
+                      onClick={() => setEditing(null)}
+                      className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+                    >
+                      Cancel
+                    </button>
+                    <button
+                      onClick={() => handleSaveEdit(field)}
+                      className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+                    >
+                      Save
+                    </button>
+                  </div>
+                </div>
+              )}
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignupFieldSettings;
@@ -0,0 +1,266 @@
+import { useState, useEffect } from 'react';
+import { ShieldCheck, ShieldOff, Copy, Check } from 'lucide-react';
+import { api } from '../utils/api';
+
+const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+const RecoveryCodes = ({ codes, onDone }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(codes.join('\n'));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+        Save these recovery codes somewhere safe. Each one can be used once to sign in if you lose your
+        authenticator. They won't be shown again.
+      </div>
+      <div className="grid grid-cols-2 gap-2 p-4 bg-gray-50 rounded-lg font-mono text-sm text-gray-800">
+        {codes.map(code => <span key={code}>{code}</span>)}
+      </div>
+      <div className="flex justify-end gap-3">
+        <button
+          onClick={handleCopy}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+        >
+          {copied ? <Check size={16} /> : <Copy size={16} />}
+          {copied ? 'Copied' : 'Copy'}
+        </button>
+        <button
+          onClick={onDone}
+          className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+        >
+          I've saved them
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null);
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [mode, setMode] = useState(null); // 'disable' | 'regenerate'
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = async () => {
+    try {
+      setStatus(await api.getTwoFactorStatus());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  const reset = () => {
+    setMode(null);
+    setCode('');
+    setPassword('');
+    setError('');
+  };
+
+  const run = async (action) => {
+    setError('');
+    setBusy(true);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStartSetup = () => run(async () => {
+    setSetup(await api.setupTwoFactor());
+  });
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const codes = await api.enableTwoFactor(code.trim());
+      setSetup(null);
+      setRecoveryCodes(codes);
+      reset();
+      loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      await api.disableTwoFactor(password, code.trim());
+      reset();
+      loadStatus();
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const codes = await api.regenerateRecoveryCodes(password);
+      reset();
+      setRecoveryCodes(codes);
+      loadStatus();
+    });
+  };
+
+  if (!status) {
+    return <p className="text-sm text-gray-500">{error || 'Loading...'}</p>;
+  }
+
+  if (recoveryCodes) {
+    return <RecoveryCodes codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />;
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between py-3">
+        <div className="flex items-center gap-3">
+          {status.enabled
+            ? <ShieldCheck className="text-success" size={20} />
+            : <ShieldOff className="text-gray-400" size={20} />}
+          <div>
+            <p className="font-medium text-gray-900">Two-Factor Authentication</p>
+            <p className="text-sm text-gray-600">
+              {status.enabled
+                ? `Enabled - ${status.recoveryCodesRemaining} recovery codes left`
+                : 'Require a code from an authenticator app when signing in'}
+            </p>
+          </div>
+        </div>
+        {!setup && !mode && (
+          status.enabled ? (
+            <div className="flex gap-2">
+              <button
+                onClick={() => setMode('regenerate')}
+                className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+              >
+                New Recovery Codes
+              </button>
+              <button
+                onClick={() => setMode('disable')}
+                className="px-4 py-2 border border-red-200 text-red-600 rounded-lg hover:bg-red-50 transition-all duration-200"
+              >
+                Disable
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={handleStartSetup}
+              disabled={busy}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50"
+            >
+              Enable
+            </button>
+          )
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {setup && (
+        <form onSubmit={handleEnable} className="space-y-4 border-t border-gray-100 pt-4">
+          <p className="text-sm text-gray-600">
+            Scan this QR code with your authenticator app, or enter the key manually, then type the 6-digit code it shows.
+          </p>
+          <div className="flex flex-col sm:flex-row items-center gap-6">
+            <img src={setup.qrCode} alt="Two-factor QR code" className="w-40 h-40 border border-gray-200 rounded-lg" />
+            <div className="flex-1 space-y-3 w-full">
+              <div>
+                <p className="text-xs text-gray-500 mb-1">Setup key</p>
+                <code className="block px-3 py-2 bg-gray-50 rounded-lg font-mono text-sm break-all select-all">{setup.secret}</code>
+              </div>
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder="123456"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                maxLength={6}
+                className={`${inputClass} font-mono tracking-widest`}
+              />
+            </div>
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => {
+                setSetup(null);
+                reset();
+              }}
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50"
+            >
+              Verify & Enable
+            </button>
+          </div>
+        </form>
+      )}
+
+      {mode && (
+        <form onSubmit={mode === 'disable' ? handleDisable : handleRegenerate} className="space-y-4 border-t border-gray-100 pt-4">
+          <p className="text-sm text-gray-600">
+            {mode === 'disable'
+              ? 'Confirm your password and a current code (or a recovery code) to turn off two-factor authentication.'
+              : 'Confirm your password. Your existing recovery codes will stop working.'}
+          </p>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password"
+            autoComplete="current-password"
+            className={inputClass}
+          />
+          {mode === 'disable' && (
+            <input
+              type="text"
+              value={code}
+              onChange={(e) => setCode(e.target.value)}
+              placeholder="Authenticator or recovery code"
+              autoComplete="one-time-code"
+              className={`${inputClass} font-mono`}
+            />
+          )}
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={reset}
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={busy}
+              className={`px-4 py-2 text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50 ${mode === 'disable' ? 'bg-red-600' : 'bg-primary'}`}
+            >
+              {mode === 'disable' ? 'Disable' : 'Generate'}
+            </button>
+          </div>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -57,6 +57,13 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, [API_URL]);
 
+  const startSession = ({ accessToken, user }) => {
+    // Store token in localStorage
+    localStorage.setItem('auth_token', accessToken);
+    setToken(accessToken);
+    setUser(user);
+  };
+
   const login = async (username, password) => {
     try {
       const response = await fetch(`${API_URL}/auth/login`, {
@@ -71,13 +78,15 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Login failed');
+        throw new Error(data.details?.[0]?.msg || data.error || 'Login failed');
+      }
+
+      // Password accepted, but the account needs a second factor
+      if (data.data.twoFactorRequired) {
+        return { success: false, twoFactorRequired: true, challengeToken: data.data.challengeToken };
       }
 
-      // Store token in localStorage
-      localStorage.setItem('auth_token', data.data.accessToken);
-      setToken(data.data.accessToken);
-      setUser(data.data.user);
+      startSession(data.data);
 
       return { success: true, user: data.data.user };
     } catch (error) {
@@ -86,6 +95,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const verifyTwoFactor = async (challengeToken, code) => {
+    try {
+      const response = await fetch(`${API_URL}/auth/login/verify`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        credentials: 'include',
+        body: JSON.stringify({ challengeToken, code })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.details?.[0]?.msg || data.error || 'Verification failed');
+      }
+
+      startSession(data.data);
+
+      return { success: true, user: data.data.user };
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      throw error;
+    }
+  };
+
   const logout = async () => {
     try {
       await fetch(`${API_URL}/auth/logout`, {
@@ -120,7 +155,7 @@ export const AuthProvider = ({ children }) => {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.error || 'Password change failed');
+        throw new Error(data.details?.[0]?.msg || data.error || 'Password change failed');
       }
 
       // Logout after password change (force re-login)
@@ -133,12 +168,17 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Permissions come from the server with the user (see ROLE_PERMISSIONS)
+  const hasPermission = (permission) => !!user?.permissions?.includes(permission);
+
   const value = {
     user,
     token,
     loading,
     isAuthenticated: !!user && !!token,
+    hasPermission,
     login,
+    verifyTwoFactor,
     logout,
     changePassword
   };
@@ -1,11 +1,11 @@
 import { NavLink, Outlet, useNavigate } from 'react-router-dom';
-import { LayoutDashboard, Users, BarChart3, Settings, Menu, X, LogOut, User } from 'lucide-react';
+import { LayoutDashboard, Users, BarChart3, Settings, Menu, X, LogOut, User, ShieldCheck, Webhook, Upload, Copy, Church } from 'lucide-react';
 import { useState } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 
 const DashboardLayout = () => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
-  const { user, logout } = useAuth();
+  const { user, logout, hasPermission } = useAuth();
   const navigate = useNavigate();
 
   const handleLogout = async () => {
@@ -15,10 +15,15 @@ const DashboardLayout = () => {
 
   const navItems = [
     { to: '/', icon: LayoutDashboard, label: 'Dashboard' },
-    { to: '/waitlist', icon: Users, label: 'Waitlist' },
-    { to: '/analytics', icon: BarChart3, label: 'Analytics' },
+    { to: '/waitlist', icon: Users, label: 'Waitlist', permission: 'view_signups' },
+    { to: '/duplicates', icon: Copy, label: 'Duplicates', permission: 'view_signups' },
+    { to: '/churches', icon: Church, label: 'Churches', permission: 'view_signups' },
+    { to: '/import', icon: Upload, label: 'Import', permission: 'import_signups' },
+    { to: '/analytics', icon: BarChart3, label: 'Analytics', permission: 'view_analytics' },
+    { to: '/team', icon: ShieldCheck, label: 'Team', permission: 'manage_admins' },
+    { to: '/webhooks', icon: Webhook, label: 'Webhooks', permission: 'manage_webhooks' },
     { to: '/settings', icon: Settings, label: 'Settings' },
-  ];
+  ].filter(item => !item.permission || hasPermission(item.permission));
 
   return (
     <div className="min-h-screen bg-gray-50 flex">
@@ -90,6 +95,7 @@ const DashboardLayout = () => {
             <div className="flex items-center gap-2 text-sm text-gray-600">
               <User size={18} />
               <span className="hidden md:inline">{user?.username}</span>
+              <span className="hidden md:inline px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-600 capitalize">{user?.role}</span>
             </div>
             <button
               onClick={handleLogout}
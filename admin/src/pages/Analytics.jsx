@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import {
   LineChart,
   Line,
@@ -16,99 +16,106 @@ import {
 } from 'recharts';
 import { TrendingUp, Users, Calendar } from 'lucide-react';
 import { api } from '../utils/api';
+import { TIME_ZONE, daysAgo, toLocalDateString, formatPeriod } from '../utils/dates';
+
+const RANGES = {
+  '30d': { label: 'Last 30 days', granularity: 'day' },
+  '90d': { label: 'Last 3 months', granularity: 'week' },
+  '6m': { label: 'Last 6 months', granularity: 'month' },
+  '12m': { label: 'Last 12 months', granularity: 'month' },
+};
+
+const GRANULARITY_LABELS = { day: 'Day', week: 'Week', month: 'Month' };
+
+// Attribution report breakdowns and the columns each one shows
+const ATTRIBUTION_GROUPS = {
+  all: { label: 'Source / medium / campaign', columns: ['source', 'medium', 'campaign'] },
+  source: { label: 'Source', columns: ['source'] },
+  medium: { label: 'Medium', columns: ['medium'] },
+  campaign: { label: 'Campaign', columns: ['campaign'] },
+};
+
+// First day of the month `months` months ago, as YYYY-MM-DD
+const monthsAgo = (months) => {
+  const now = new Date();
+  return toLocalDateString(new Date(now.getFullYear(), now.getMonth() - months, 1));
+};
+
+const getRangeStart = (range) => {
+  if (range === '30d') return daysAgo(29);
+  if (range === '90d') return daysAgo(89);
+  if (range === '6m') return monthsAgo(5);
+  return monthsAgo(11);
+};
 
 const Analytics = () => {
-  const [signups, setSignups] = useState([]);
-  const [monthlyData, setMonthlyData] = useState([]);
+  const [summary, setSummary] = useState({ total: 0, confirmed: 0 });
+  const [trendData, setTrendData] = useState([]);
+  const [periodAverage, setPeriodAverage] = useState(0);
   const [churchData, setChurchData] = useState([]);
   const [growthRate, setGrowthRate] = useState(0);
+  const [range, setRange] = useState('6m');
+  const [granularity, setGranularity] = useState('month');
   const [loading, setLoading] = useState(true);
+  const [attribution, setAttribution] = useState(null);
+  const [attributionGroup, setAttributionGroup] = useState('all');
 
   const COLORS = ['#000000', '#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6'];
 
-  useEffect(() => {
-    fetchAnalytics();
-  }, []);
-
-  const fetchAnalytics = async () => {
+  const fetchAnalytics = useCallback(async () => {
     try {
       setLoading(true);
-      const { signups: data } = await api.getAllSignups();
-      setSignups(data);
-      generateMonthlyData(data);
-      generateChurchData(data);
-      calculateGrowthRate(data);
+      const [summaryData, timeSeries, churches, growth] = await Promise.all([
+        api.getAnalytics('summary', { tz: TIME_ZONE }),
+        api.getAnalytics('timeseries', { granularity, from: getRangeStart(range), to: daysAgo(0), tz: TIME_ZONE }),
+        api.getAnalytics('churches', { limit: 6 }),
+        api.getAnalytics('growth', { period: 'month', tz: TIME_ZONE })
+      ]);
+
+      setSummary(summaryData);
+      setTrendData(timeSeries.series.map(point => ({
+        period: formatPeriod(point.period, granularity),
+        signups: point.count,
+        cumulative: point.cumulative
+      })));
+      setPeriodAverage(timeSeries.series.length ? Math.round(timeSeries.total / timeSeries.series.length) : 0);
+      setChurchData(churches.churches.map(({ church, count }) => ({
+        name: church.length > 25 ? church.substring(0, 25) + '...' : church,
+        value: count
+      })));
+      setGrowthRate(growth.growthRate);
     } catch (error) {
       console.error('Error fetching analytics:', error);
     } finally {
       setLoading(false);
     }
-  };
-
-  const generateMonthlyData = (data) => {
-    const monthsData = {};
-    const now = new Date();
+  }, [range, granularity]);
 
-    // Get last 6 months
-    for (let i = 5; i >= 0; i--) {
-      const date = new Date(now.getFullYear(), now.getMonth() - i, 1);
-      const monthKey = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
-      monthsData[monthKey] = 0;
-    }
+  useEffect(() => {
+    fetchAnalytics();
+  }, [fetchAnalytics]);
 
-    // Count signups per month
-    data.forEach(signup => {
-      const date = new Date(signup.created_at);
-      const monthKey = date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
-      if (monthsData[monthKey] !== undefined) {
-        monthsData[monthKey]++;
+  // Fetched on its own so changing the breakdown doesn't reload the charts
+  useEffect(() => {
+    const fetchAttribution = async () => {
+      try {
+        setAttribution(await api.getAnalytics('attribution', {
+          group_by: attributionGroup,
+          from: getRangeStart(range),
+          to: daysAgo(0),
+          tz: TIME_ZONE
+        }));
+      } catch (error) {
+        console.error('Error fetching attribution:', error);
       }
-    });
-
-    const chartData = Object.keys(monthsData).map(month => ({
-      month,
-      signups: monthsData[month]
-    }));
+    };
 
-    setMonthlyData(chartData);
-  };
-
-  const generateChurchData = (data) => {
-    const churches = {};
-
-    data.forEach(signup => {
-      const church = signup.church || 'No Church Specified';
-      churches[church] = (churches[church] || 0) + 1;
-    });
-
-    const chartData = Object.keys(churches)
-      .map(name => ({
-        name: name.length > 25 ? name.substring(0, 25) + '...' : name,
-        value: churches[name]
-      }))
-      .sort((a, b) => b.value - a.value)
-      .slice(0, 6);
-
-    setChurchData(chartData);
-  };
-
-  const calculateGrowthRate = (data) => {
-    const now = new Date();
-    const thisMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
-
-    const thisMonthCount = data.filter(s => new Date(s.created_at) >= thisMonth).length;
-    const lastMonthCount = data.filter(s => {
-      const date = new Date(s.created_at);
-      return date >= lastMonth && date < thisMonth;
-    }).length;
+    fetchAttribution();
+  }, [range, attributionGroup]);
 
-    if (lastMonthCount === 0) {
-      setGrowthRate(thisMonthCount > 0 ? 100 : 0);
-    } else {
-      const rate = ((thisMonthCount - lastMonthCount) / lastMonthCount) * 100;
-      setGrowthRate(Math.round(rate));
-    }
+  const handleRangeChange = (value) => {
+    setRange(value);
+    setGranularity(RANGES[value].granularity);
   };
 
   if (loading) {
@@ -122,9 +129,31 @@ const Analytics = () => {
   return (
     <div className="p-6 lg:p-8 space-y-6">
       {/* Page Header */}
-      <div>
-        <h1 className="text-3xl font-semibold text-primary">Analytics</h1>
-        <p className="text-gray-600 mt-1">Insights and trends from your waitlist</p>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-semibold text-primary">Analytics</h1>
+          <p className="text-gray-600 mt-1">Insights and trends from your waitlist</p>
+        </div>
+        <div className="flex gap-3">
+          <select
+            value={range}
+            onChange={(e) => handleRangeChange(e.target.value)}
+            className="px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+          >
+            {Object.entries(RANGES).map(([value, { label }]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select
+            value={granularity}
+            onChange={(e) => setGranularity(e.target.value)}
+            className="px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+          >
+            {Object.entries(GRANULARITY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>By {label.toLowerCase()}</option>
+            ))}
+          </select>
+        </div>
       </div>
 
       {/* Quick Stats */}
@@ -136,7 +165,8 @@ const Analytics = () => {
             </div>
             <div>
               <p className="text-gray-600 text-sm">Total Signups</p>
-              <p className="text-2xl font-semibold text-primary">{signups.length}</p>
+              <p className="text-2xl font-semibold text-primary">{summary.total}</p>
+              <p className="text-xs text-gray-500">{summary.confirmed} confirmed</p>
             </div>
           </div>
         </div>
@@ -147,7 +177,7 @@ const Analytics = () => {
               <TrendingUp className="text-success" size={24} />
             </div>
             <div>
-              <p className="text-gray-600 text-sm">Growth Rate</p>
+              <p className="text-gray-600 text-sm">Growth Rate (month to date)</p>
               <p className={`text-2xl font-semibold ${growthRate >= 0 ? 'text-success' : 'text-red-600'}`}>
                 {growthRate >= 0 ? '+' : ''}{growthRate}%
               </p>
@@ -161,9 +191,9 @@ const Analytics = () => {
               <Calendar className="text-accent" size={24} />
             </div>
             <div>
-              <p className="text-gray-600 text-sm">Avg. per Month</p>
+              <p className="text-gray-600 text-sm">Avg. per {GRANULARITY_LABELS[granularity]}</p>
               <p className="text-2xl font-semibold text-accent">
-                {Math.round(signups.length / 6)}
+                {periodAverage}
               </p>
             </div>
           </div>
@@ -174,17 +204,18 @@ const Analytics = () => {
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Monthly Signups Trend */}
         <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-          <h3 className="text-lg font-semibold text-primary mb-6">Monthly Signups Trend</h3>
+          <h3 className="text-lg font-semibold text-primary mb-6">Cumulative Signups</h3>
           <ResponsiveContainer width="100%" height={300}>
-            <LineChart data={monthlyData}>
+            <LineChart data={trendData}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e5e5e5" />
-              <XAxis dataKey="month" stroke="#525252" />
+              <XAxis dataKey="period" stroke="#525252" />
               <YAxis stroke="#525252" />
               <Tooltip />
               <Legend />
               <Line
                 type="monotone"
-                dataKey="signups"
+                dataKey="cumulative"
+                name="total signups"
                 stroke="#000000"
                 strokeWidth={2}
                 dot={{ fill: '#000000', r: 4 }}
@@ -195,11 +226,11 @@ const Analytics = () => {
 
         {/* Monthly Signups Bar */}
         <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-          <h3 className="text-lg font-semibold text-primary mb-6">Monthly Distribution</h3>
+          <h3 className="text-lg font-semibold text-primary mb-6">Signups per {GRANULARITY_LABELS[granularity]}</h3>
           <ResponsiveContainer width="100%" height={300}>
-            <BarChart data={monthlyData}>
+            <BarChart data={trendData}>
               <CartesianGrid strokeDasharray="3 3" stroke="#e5e5e5" />
-              <XAxis dataKey="month" stroke="#525252" />
+              <XAxis dataKey="period" stroke="#525252" />
               <YAxis stroke="#525252" />
               <Tooltip />
               <Bar dataKey="signups" fill="#000000" radius={[8, 8, 0, 0]} />
@@ -249,6 +280,66 @@ const Analytics = () => {
             </div>
           </div>
         </div>
+
+        {/* Attribution */}
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm lg:col-span-2">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4 mb-6">
+            <div>
+              <h3 className="text-lg font-semibold text-primary">Where Signups Come From</h3>
+              <p className="text-sm text-gray-600">{RANGES[range].label}, by UTM parameters or the referring site</p>
+            </div>
+            <select
+              value={attributionGroup}
+              onChange={(e) => setAttributionGroup(e.target.value)}
+              className="px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+            >
+              {Object.entries(ATTRIBUTION_GROUPS).map(([value, { label }]) => (
+                <option key={value} value={value}>By {label.toLowerCase()}</option>
+              ))}
+            </select>
+          </div>
+
+          {!attribution ? (
+            <p className="text-sm text-gray-500">Loading...</p>
+          ) : attribution.rows.length === 0 ? (
+            <p className="text-sm text-gray-500">No signups in this range</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-gray-50 border-b border-gray-200">
+                  <tr>
+                    {ATTRIBUTION_GROUPS[attribution.groupBy].columns.map(column => (
+                      <th key={column} className="px-4 py-3 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">{column}</th>
+                    ))}
+                    <th className="px-4 py-3 text-right text-xs font-semibold text-gray-600 uppercase tracking-wider">Signups</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold text-gray-600 uppercase tracking-wider">Confirmed</th>
+                    <th className="px-4 py-3 text-right text-xs font-semibold text-gray-600 uppercase tracking-wider">Confirmation Rate</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {attribution.rows.map(row => (
+                    <tr key={ATTRIBUTION_GROUPS[attribution.groupBy].columns.map(column => row[column]).join('/')}>
+                      {ATTRIBUTION_GROUPS[attribution.groupBy].columns.map(column => (
+                        <td key={column} className="px-4 py-3 text-sm text-gray-700">{row[column]}</td>
+                      ))}
+                      <td className="px-4 py-3 text-sm text-right font-semibold text-primary">{row.signups}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-600">{row.confirmed}</td>
+                      <td className="px-4 py-3 text-sm text-right text-gray-600">{row.confirmationRate}%</td>
+                    </tr>
+                  ))}
+                </tbody>
+                <tfoot className="border-t border-gray-200">
+                  <tr>
+                    <td colSpan={ATTRIBUTION_GROUPS[attribution.groupBy].columns.length} className="px-4 py-3 text-sm font-medium text-gray-900">Total</td>
+                    <td className="px-4 py-3 text-sm text-right font-semibold text-primary">{attribution.total.signups}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-600">{attribution.total.confirmed}</td>
+                    <td className="px-4 py-3 text-sm text-right text-gray-600">{attribution.total.confirmationRate}%</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+        </div>
       </div>
     </div>
   );
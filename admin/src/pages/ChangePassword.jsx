@@ -0,0 +1,122 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import { KeyRound, Lock, AlertCircle } from 'lucide-react';
+
+const ChangePassword = () => {
+  const [oldPassword, setOldPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const navigate = useNavigate();
+  const { user, changePassword, logout } = useAuth();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (newPassword !== confirmPassword) {
+      setError('New passwords do not match');
+      return;
+    }
+
+    if (!/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/.test(newPassword)) {
+      setError('Password must be at least 8 characters with uppercase, lowercase, and number');
+      return;
+    }
+
+    setLoading(true);
+
+    try {
+      // changePassword signs out everywhere, so the next step is a fresh login
+      await changePassword(oldPassword, newPassword);
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setError(err.message || 'Password change failed');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    await logout();
+    navigate('/login', { replace: true });
+  };
+
+  const inputClass = 'block w-full pl-10 pr-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent transition-all';
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gradient-to-br from-blue-50 via-white to-purple-50 px-4">
+      <div className="max-w-md w-full">
+        <div className="text-center mb-8">
+          <div className="inline-flex items-center justify-center w-16 h-16 bg-blue-600 rounded-2xl mb-4 shadow-lg">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">Choose a New Password</h1>
+          <p className="text-gray-600">
+            {user?.must_change_password
+              ? 'Your password was reset by an administrator. Set a new one to continue.'
+              : 'Update the password for your account.'}
+          </p>
+        </div>
+
+        <div className="bg-white rounded-2xl shadow-xl p-8 border border-gray-100">
+          {error && (
+            <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+              <div className="flex items-center gap-3">
+                <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+                <p className="text-sm text-red-800">{error}</p>
+              </div>
+            </div>
+          )}
+
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {[
+              { id: 'oldPassword', label: 'Current Password', value: oldPassword, setter: setOldPassword, autoComplete: 'current-password' },
+              { id: 'newPassword', label: 'New Password', value: newPassword, setter: setNewPassword, autoComplete: 'new-password' },
+              { id: 'confirmPassword', label: 'Confirm New Password', value: confirmPassword, setter: setConfirmPassword, autoComplete: 'new-password' },
+            ].map((field) => (
+              <div key={field.id}>
+                <label htmlFor={field.id} className="block text-sm font-medium text-gray-700 mb-2">
+                  {field.label}
+                </label>
+                <div className="relative">
+                  <div className="absolute inset-y-0 left-0 pl-3 flex items-center pointer-events-none">
+                    <Lock className="h-5 w-5 text-gray-400" />
+                  </div>
+                  <input
+                    id={field.id}
+                    type="password"
+                    value={field.value}
+                    onChange={(e) => field.setter(e.target.value)}
+                    className={inputClass}
+                    autoComplete={field.autoComplete}
+                    disabled={loading}
+                    required
+                  />
+                </div>
+              </div>
+            ))}
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 text-white font-medium py-3 px-4 rounded-lg transition-colors disabled:bg-blue-400 disabled:cursor-not-allowed"
+            >
+              {loading ? 'Saving...' : 'Change Password'}
+            </button>
+          </form>
+
+          <div className="mt-6 pt-6 border-t border-gray-200 text-center">
+            <button onClick={handleCancel} className="text-sm text-gray-500 hover:text-gray-700">
+              Sign out instead
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChangePassword;
@@ -0,0 +1,397 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Search, RefreshCw, Plus, Pencil, GitMerge, Check, X, AlertCircle, ChevronLeft, ChevronRight } from 'lucide-react';
+import { api } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const EMPTY_FORM = { name: '', city: '', region: '', denomination: '' };
+const DETAIL_FIELDS = ['city', 'region', 'denomination'];
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+const Churches = () => {
+  const [churches, setChurches] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0, totalPages: 0 });
+  const [suggestions, setSuggestions] = useState([]);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+  const [checked, setChecked] = useState([]);
+  const [primaryId, setPrimaryId] = useState(null);
+  const { hasPermission } = useAuth();
+  const canEdit = hasPermission('edit_signups');
+
+  // Debounce search so typing doesn't fire a request per keystroke
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const fetchChurches = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page, limit: 50 };
+      if (debouncedSearch) params.search = debouncedSearch;
+      const [data, similar] = await Promise.all([api.getChurches(params), api.getChurchSuggestions()]);
+      setChurches(data.churches);
+      setPagination(data.pagination);
+      setSuggestions(similar);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, debouncedSearch]);
+
+  useEffect(() => {
+    fetchChurches();
+  }, [fetchChurches]);
+
+  const run = async (action) => {
+    try {
+      setError('');
+      setNotice(await action());
+      fetchChurches();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const church = await api.createChurch(form);
+      setForm(EMPTY_FORM);
+      setShowCreate(false);
+      return `Added ${church.name}`;
+    });
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const church = await api.updateChurch(editing.id, editing.form);
+      setEditing(null);
+      return `Saved ${church.name}`;
+    });
+  };
+
+  const mergeInto = (primary, merged) => {
+    const names = merged.map(church => church.name).join(', ');
+    if (!window.confirm(`Merge ${names} into ${primary.name}? Their signups move over and their names will match ${primary.name} from now on.`)) {
+      return;
+    }
+    run(async () => {
+      const { message } = await api.mergeChurches(primary.id, merged.map(church => church.id));
+      setChecked([]);
+      setPrimaryId(null);
+      return message;
+    });
+  };
+
+  const toggleChecked = (church) => {
+    setChecked(prev => (prev.some(c => c.id === church.id) ? prev.filter(c => c.id !== church.id) : [...prev, church]));
+  };
+
+  // The church with the most signups is kept unless another is chosen
+  const primary = checked.find(church => church.id === primaryId)
+    || [...checked].sort((a, b) => b.signup_count - a.signup_count)[0];
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+  return (
+    <div className="p-6 lg:p-8 space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-semibold text-primary">Churches</h1>
+          <p className="text-gray-600 mt-1">The directory signups' church names are matched against, e.g. "St Marks" and "Saint Mark's Church"</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={fetchChurches}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+          {canEdit && (
+            <button
+              onClick={() => setShowCreate(!showCreate)}
+              className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+            >
+              <Plus size={18} />
+              Add Church
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="p-4 bg-success/10 border border-success/20 rounded-lg flex items-start justify-between gap-3">
+          <p className="text-sm text-gray-800">{notice}</p>
+          <button onClick={() => setNotice('')} className="text-gray-400 hover:text-primary">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Add Church */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm space-y-4">
+          <h2 className="text-xl font-semibold text-primary">New Church</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="text"
+              placeholder="Name"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className={inputClass}
+              maxLength={200}
+              required
+            />
+            {DETAIL_FIELDS.map(field => (
+              <input
+                key={field}
+                type="text"
+                placeholder={`${field.charAt(0).toUpperCase()}${field.slice(1)} (optional)`}
+                value={form[field]}
+                onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+                className={inputClass}
+                maxLength={100}
+              />
+            ))}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setShowCreate(false)}
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button type="submit" className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200">
+              Add
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Suggested merges */}
+      {suggestions.length > 0 && (
+        <div className="bg-white rounded-xl border border-gray-200 overflow-x-auto">
+          <div className="px-6 py-4 border-b border-gray-200">
+            <h2 className="text-lg font-semibold text-primary">Possibly the Same Church</h2>
+            <p className="text-sm text-gray-500">One name contains the other. Merge them if they are one congregation</p>
+          </div>
+          <ul className="divide-y divide-gray-100">
+            {suggestions.map(({ church, duplicate }) => (
+              <li key={`${church.id}-${duplicate.id}`} className="px-6 py-3 flex items-center justify-between gap-4 text-sm">
+                <span className="text-gray-800">
+                  {church.name} <span className="text-xs text-gray-400">({church.signup_count})</span>
+                  <span className="mx-2 text-gray-400">and</span>
+                  {duplicate.name} <span className="text-xs text-gray-400">({duplicate.signup_count})</span>
+                </span>
+                {canEdit && (
+                  <button
+                    onClick={() => mergeInto(church, [duplicate])}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+                    title={`Keep ${church.name}`}
+                  >
+                    <GitMerge size={14} />
+                    Merge
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Search and merge selection */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm space-y-4">
+        <div className="relative">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
+          <input
+            type="text"
+            placeholder="Search by name, city, region or denomination..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+            className="w-full pl-10 pr-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
+          />
+        </div>
+        {checked.length > 1 && (
+          <div className="flex flex-wrap items-center gap-3 text-sm">
+            <span className="text-gray-600">{checked.length} selected. Keep</span>
+            <select
+              value={primary.id}
+              onChange={(e) => setPrimaryId(Number(e.target.value))}
+              className="px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary bg-white"
+            >
+              {checked.map(church => (
+                <option key={church.id} value={church.id}>{church.name}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => mergeInto(primary, checked.filter(church => church.id !== primary.id))}
+              className="flex items-center gap-1 px-3 py-2 bg-primary text-white rounded-lg hover:shadow-lg"
+            >
+              <GitMerge size={14} />
+              Merge
+            </button>
+            <button onClick={() => setChecked([])} className="text-gray-500 hover:text-primary">
+              Clear
+            </button>
+          </div>
+        )}
+      </div>
+
+      {/* Directory */}
+      <div className={`bg-white rounded-xl border border-gray-200 overflow-x-auto ${loading ? 'opacity-50' : ''}`}>
+        <table className="w-full">
+          <thead>
+            <tr className="bg-gray-50">
+              {[...(canEdit ? [''] : []), 'Name', 'City', 'Region', 'Denomination', 'Signups', 'Added', ...(canEdit ? [''] : [])].map((label, i) => (
+                <th key={`${label}-${i}`} className="px-6 py-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {churches.length === 0 && (
+              <tr>
+                <td colSpan={8} className="px-6 py-8 text-center text-sm text-gray-500">
+                  {loading ? 'Loading...' : 'No churches yet. They are added as people sign up'}
+                </td>
+              </tr>
+            )}
+            {churches.map((church) => (editing?.id === church.id ? (
+              <tr key={church.id} className="text-sm bg-gray-50">
+                <td className="px-6 py-2" />
+                {['name', ...DETAIL_FIELDS].map(field => (
+                  <td key={field} className="px-2 py-2">
+                    <input
+                      type="text"
+                      value={editing.form[field]}
+                      onChange={(e) => setEditing({ ...editing, form: { ...editing.form, [field]: e.target.value } })}
+                      className={inputClass}
+                      maxLength={field === 'name' ? 200 : 100}
+                      required={field === 'name'}
+                      form="church-edit"
+                    />
+                  </td>
+                ))}
+                <td className="px-6 py-2 text-gray-600">{church.signup_count}</td>
+                <td className="px-6 py-2 whitespace-nowrap text-gray-600">{formatDate(church.created_at)}</td>
+                <td className="px-6 py-2 whitespace-nowrap text-right">
+                  <form id="church-edit" onSubmit={handleSave} className="inline-flex gap-1">
+                    <button type="submit" className="p-2 text-gray-400 hover:text-success hover:bg-gray-100 rounded-lg" title="Save">
+                      <Check size={16} />
+                    </button>
+                    <button type="button" onClick={() => setEditing(null)} className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg" title="Cancel">
+                      <X size={16} />
+                    </button>
+                  </form>
+                </td>
+              </tr>
+            ) : (
+              <tr key={church.id} className="text-sm">
+                {canEdit && (
+                  <td className="px-6 py-2">
+                    <input
+                      type="checkbox"
+                      checked={checked.some(c => c.id === church.id)}
+                      onChange={() => toggleChecked(church)}
+                      aria-label={`Select ${church.name}`}
+                    />
+                  </td>
+                )}
+                <td className="px-6 py-2 text-gray-800">
+                  {church.name}
+                  {church.alias_count > 0 && (
+                    <span className="ml-2 text-xs text-gray-400" title="Other spellings and merged churches that match this one">
+                      +{church.alias_count} alias{church.alias_count === 1 ? '' : 'es'}
+                    </span>
+                  )}
+                </td>
+                {DETAIL_FIELDS.map(field => (
+                  <td key={field} className="px-6 py-2 text-gray-600">{church[field] || '-'}</td>
+                ))}
+                <td className="px-6 py-2 text-gray-800">{church.signup_count}</td>
+                <td className="px-6 py-2 whitespace-nowrap text-gray-600">{formatDate(church.created_at)}</td>
+                {canEdit && (
+                  <td className="px-6 py-2 whitespace-nowrap text-right">
+                    <button
+                      onClick={() => setEditing({
+                        id: church.id,
+                        form: Object.fromEntries(['name', ...DETAIL_FIELDS].map(field => [field, church[field] || '']))
+                      })}
+                      className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                      title="Edit"
+                    >
+                      <Pencil size={16} />
+                    </button>
+                  </td>
+                )}
+              </tr>
+            )))}
+          </tbody>
+        </table>
+
+        {/* Pagination */}
+        <div className="flex items-center justify-between px-6 py-4 border-t border-gray-200">
+          <p className="text-sm text-gray-600">
+            <span className="font-medium text-primary">{pagination.total}</span> churches
+          </p>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(p => Math.max(p - 1, 1))}
+              disabled={pagination.page <= 1 || loading}
+              className="flex items-center gap-1 px-3 py-2 border border-gray-200 text-sm text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft size={16} />
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page <span className="font-medium text-primary">{pagination.page}</span> of{' '}
+              <span className="font-medium text-primary">{Math.max(pagination.totalPages, 1)}</span>
+            </span>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={pagination.page >= pagination.totalPages || loading}
+              className="flex items-center gap-1 px-3 py-2 border border-gray-200 text-sm text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Churches;
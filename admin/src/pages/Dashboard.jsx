@@ -1,13 +1,18 @@
 import { useState, useEffect } from 'react';
 import { Users, TrendingUp, Calendar, Download } from 'lucide-react';
 import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
-import { api, downloadCSV } from '../utils/api';
+import { api, downloadFile } from '../utils/api';
+import { TIME_ZONE, daysAgo, formatPeriod } from '../utils/dates';
+import { useAuth } from '../contexts/AuthContext';
+import { SIGNUP_STATUSES } from '../utils/statuses';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({ total: 0, today: 0, thisWeek: 0, thisMonth: 0 });
   const [recentSignups, setRecentSignups] = useState([]);
+  const [statusCounts, setStatusCounts] = useState({});
   const [chartData, setChartData] = useState([]);
   const [loading, setLoading] = useState(true);
+  const { hasPermission } = useAuth();
 
   useEffect(() => {
     fetchDashboardData();
@@ -16,11 +21,19 @@ const Dashboard = () => {
   const fetchDashboardData = async () => {
     try {
       setLoading(true);
-      const { signups } = await api.getAllSignups();
-
-      calculateStats(signups);
-      setRecentSignups(signups.slice(0, 5));
-      generateChartData(signups);
+      const [summary, timeSeries, recent] = await Promise.all([
+        api.getAnalytics('summary', { tz: TIME_ZONE }),
+        api.getAnalytics('timeseries', { granularity: 'day', from: daysAgo(6), to: daysAgo(0), tz: TIME_ZONE }),
+        api.getSignups({ page: 1, limit: 5, sort: 'created_at', order: 'desc' })
+      ]);
+
+      setStats(summary);
+      setRecentSignups(recent.signups);
+      setStatusCounts(recent.statusCounts);
+      setChartData(timeSeries.series.map(point => ({
+        date: formatPeriod(point.period, 'day'),
+        signups: point.count
+      })));
     } catch (error) {
       console.error('Error fetching dashboard data:', error);
     } finally {
@@ -28,53 +41,10 @@ const Dashboard = () => {
     }
   };
 
-  const calculateStats = (data) => {
-    const now = new Date();
-    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-    const weekAgo = new Date(today);
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    const monthAgo = new Date(today);
-    monthAgo.setDate(monthAgo.getDate() - 30);
-
-    const todayCount = data.filter(s => new Date(s.created_at) >= today).length;
-    const weekCount = data.filter(s => new Date(s.created_at) >= weekAgo).length;
-    const monthCount = data.filter(s => new Date(s.created_at) >= monthAgo).length;
-
-    setStats({
-      total: data.length,
-      today: todayCount,
-      thisWeek: weekCount,
-      thisMonth: monthCount
-    });
-  };
-
-  const generateChartData = (signups) => {
-    const last7Days = [];
-    const now = new Date();
-
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date(now);
-      date.setDate(date.getDate() - i);
-      const dateStr = date.toISOString().split('T')[0];
-
-      const count = signups.filter(s => {
-        const signupDate = new Date(s.created_at).toISOString().split('T')[0];
-        return signupDate === dateStr;
-      }).length;
-
-      last7Days.push({
-        date: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
-        signups: count
-      });
-    }
-
-    setChartData(last7Days);
-  };
-
   const handleExport = async () => {
     try {
-      const blob = await api.exportToCSV();
-      downloadCSV(blob, `waitlist-${new Date().toISOString().split('T')[0]}.csv`);
+      const { blob, filename } = await api.exportSignups();
+      downloadFile(blob, filename);
     } catch (error) {
       console.error('Error exporting:', error);
     }
@@ -106,13 +76,15 @@ const Dashboard = () => {
           <h1 className="text-3xl font-semibold text-primary">Dashboard</h1>
           <p className="text-gray-600 mt-1">Overview of your waitlist performance</p>
         </div>
-        <button
-          onClick={handleExport}
-          className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
-        >
-          <Download size={18} />
-          Export
-        </button>
+        {hasPermission('export_signups') && (
+          <button
+            onClick={handleExport}
+            className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+          >
+            <Download size={18} />
+            Export
+          </button>
+        )}
       </div>
 
       {/* Stats Grid */}
@@ -158,6 +130,19 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Rollout Status */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <h3 className="text-lg font-semibold text-primary mb-4">Rollout Status</h3>
+        <div className="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-4">
+          {Object.entries(SIGNUP_STATUSES).map(([status, { label, style }]) => (
+            <div key={status}>
+              <span className={`px-2 py-1 text-xs font-medium rounded-full ${style}`}>{label}</span>
+              <p className="text-2xl font-semibold text-primary mt-2">{statusCounts[status] || 0}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
       {/* Chart and Recent Signups */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Signups Chart */}
@@ -0,0 +1,244 @@
+import { useState, useEffect, useCallback } from 'react';
+import { RefreshCw, AlertCircle, X, GitMerge, Copy } from 'lucide-react';
+import { api } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+import { SIGNUP_STATUSES } from '../utils/statuses';
+
+const MERGE_REASONS = {
+  migration: 'Automatic (same email apart from case or spacing)',
+  manual: 'Manual'
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const Duplicates = () => {
+  const [groups, setGroups] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [merges, setMerges] = useState([]);
+  const [primaries, setPrimaries] = useState({});
+  const [busyKey, setBusyKey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+  const { hasPermission } = useAuth();
+  const canMerge = hasPermission('delete_signups');
+  const canDismiss = hasPermission('edit_signups');
+
+  const fetchDuplicates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [duplicates, report] = await Promise.all([api.getDuplicates(), api.getMerges()]);
+      setGroups(duplicates.groups);
+      setTotal(duplicates.total);
+      setMerges(report);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchDuplicates();
+  }, [fetchDuplicates]);
+
+  // The oldest signup is kept unless another is chosen
+  const primaryOf = (group) => primaries[group.key] ?? group.signups[0].id;
+
+  const handleMerge = async (group) => {
+    const primaryId = primaryOf(group);
+    const primary = group.signups.find(signup => signup.id === primaryId);
+    const ids = group.signups.filter(signup => signup.id !== primaryId).map(signup => signup.id);
+
+    if (!window.confirm(`Merge ${ids.length} signup${ids.length === 1 ? '' : 's'} into ${primary.email}? The others are deleted once their referrals, notes, tags and invites have moved over.`)) {
+      return;
+    }
+
+    try {
+      setBusyKey(group.key);
+      setError('');
+      const { message } = await api.mergeSignups(primaryId, ids);
+      setNotice(message);
+      fetchDuplicates();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDismiss = async (group) => {
+    try {
+      setBusyKey(group.key);
+      setError('');
+      const { message } = await api.dismissDuplicates(group.key);
+      setNotice(message);
+      fetchDuplicates();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  return (
+    <div className="p-6 lg:p-8 space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-semibold text-primary">Duplicates</h1>
+          <p className="text-gray-600 mt-1">Signups whose emails reach the same inbox, e.g. john.smith@gmail.com and johnsmith+church@gmail.com</p>
+        </div>
+        <button onClick={fetchDuplicates} className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg" title="Refresh">
+          <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="p-4 bg-success/10 border border-success/20 rounded-lg flex items-start justify-between gap-3">
+          <p className="text-sm text-gray-800">{notice}</p>
+          <button onClick={() => setNotice('')} className="text-gray-400 hover:text-primary">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <div className="bg-white rounded-xl border border-gray-200 p-8 text-center text-gray-600">
+          <Copy className="w-10 h-10 mx-auto text-gray-300 mb-3" />
+          <p>{loading ? 'Looking for duplicates...' : 'No duplicate signups to review'}</p>
+        </div>
+      ) : (
+        <>
+          {total > groups.length && (
+            <p className="text-sm text-gray-500">Showing {groups.length} of {total} groups. Merge or dismiss these to see the rest.</p>
+          )}
+          {groups.map((group) => (
+            <div key={group.key} className="bg-white rounded-xl border border-gray-200 overflow-x-auto">
+              <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between gap-4">
+                <div>
+                  <h2 className="text-lg font-semibold text-primary">{group.key}</h2>
+                  <p className="text-sm text-gray-500">{group.signups.length} signups</p>
+                </div>
+                <div className="flex gap-2">
+                  {canDismiss && (
+                    <button
+                      onClick={() => handleDismiss(group)}
+                      disabled={busyKey === group.key}
+                      className="px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                    >
+                      Not duplicates
+                    </button>
+                  )}
+                  {canMerge && (
+                    <button
+                      onClick={() => handleMerge(group)}
+                      disabled={busyKey === group.key}
+                      className="flex items-center gap-1 px-3 py-1.5 text-sm bg-primary text-white rounded-lg hover:shadow-lg disabled:opacity-50"
+                    >
+                      <GitMerge size={14} />
+                      Merge
+                    </button>
+                  )}
+                </div>
+              </div>
+              <table className="w-full">
+                <thead>
+                  <tr className="bg-gray-50">
+                    {[...(canMerge ? ['Keep'] : []), 'Name', 'Email', 'Status', 'Confirmation', 'Signed Up'].map((label) => (
+                      <th key={label} className="px-6 py-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                        {label}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {group.signups.map((signup) => (
+                    <tr key={signup.id} className="text-sm">
+                      {canMerge && (
+                        <td className="px-6 py-2">
+                          <input
+                            type="radio"
+                            name={`primary-${group.key}`}
+                            checked={primaryOf(group) === signup.id}
+                            onChange={() => setPrimaries({ ...primaries, [group.key]: signup.id })}
+                            aria-label={`Keep ${signup.email}`}
+                          />
+                        </td>
+                      )}
+                      <td className="px-6 py-2 text-gray-800">
+                        {signup.name} <span className="text-xs text-gray-400">#{signup.id}</span>
+                      </td>
+                      <td className="px-6 py-2 text-gray-800">{signup.email}</td>
+                      <td className="px-6 py-2 whitespace-nowrap">
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${SIGNUP_STATUSES[signup.status].style}`}>
+                          {SIGNUP_STATUSES[signup.status].label}
+                        </span>
+                      </td>
+                      <td className="px-6 py-2 whitespace-nowrap text-gray-600">{signup.confirmed_at ? formatDate(signup.confirmed_at) : 'Pending'}</td>
+                      <td className="px-6 py-2 whitespace-nowrap text-gray-600">{formatDate(signup.created_at)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </>
+      )}
+
+      {/* Merge report */}
+      <div className="bg-white rounded-xl border border-gray-200 overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-semibold text-primary">Merge Report</h2>
+          <p className="text-sm text-gray-500">Signups folded into another, most recent first</p>
+        </div>
+        {merges.length === 0 ? (
+          <p className="px-6 py-4 text-sm text-gray-500">{loading ? 'Loading...' : 'No signups have been merged'}</p>
+        ) : (
+          <table className="w-full">
+            <thead>
+              <tr className="bg-gray-50">
+                {['Merged Signup', 'Into', 'Reason', 'By', 'Date'].map((label) => (
+                  <th key={label} className="px-6 py-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {merges.map((merge) => (
+                <tr key={merge.id} className="text-sm">
+                  <td className="px-6 py-2 text-gray-800">
+                    {merge.merged_email} <span className="text-xs text-gray-400">#{merge.merged_id}</span>
+                  </td>
+                  <td className="px-6 py-2 text-gray-800">#{merge.primary_id}</td>
+                  <td className="px-6 py-2 text-gray-600">{MERGE_REASONS[merge.reason] || merge.reason}</td>
+                  <td className="px-6 py-2 text-gray-600">{merge.merged_by || 'System'}</td>
+                  <td className="px-6 py-2 whitespace-nowrap text-gray-600">{formatDate(merge.created_at)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Duplicates;
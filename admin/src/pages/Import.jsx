@@ -0,0 +1,328 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Upload, RefreshCw, AlertCircle, X, FileText } from 'lucide-react';
+import { api } from '../utils/api';
+
+const FIELDS = [
+  { key: 'email', label: 'Email', required: true },
+  { key: 'name', label: 'Name' },
+  { key: 'church', label: 'Church' }
+];
+
+const ROW_STATUS = {
+  valid: { label: 'Will import', style: 'bg-success/10 text-success' },
+  invalid: { label: 'Invalid', style: 'bg-red-100 text-red-600' },
+  duplicate: { label: 'Already on waitlist', style: 'bg-orange-100 text-orange-600' },
+  duplicate_in_file: { label: 'Duplicate in file', style: 'bg-orange-100 text-orange-600' }
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const Import = () => {
+  const [file, setFile] = useState(null);
+  const [source, setSource] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [showIssues, setShowIssues] = useState(false);
+  const [previewing, setPreviewing] = useState(false);
+  const [importing, setImporting] = useState(false);
+  const [batches, setBatches] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState('');
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      setLoading(true);
+      setBatches(await api.getImportBatches());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  const runPreview = async (selected, mapping) => {
+    try {
+      setPreviewing(true);
+      setError('');
+      setPreview(await api.previewImport({ format: selected.format, data: selected.data, mapping }));
+    } catch (err) {
+      // A bad mapping keeps the last good preview so it can be corrected
+      if (!mapping) setPreview(null);
+      setError(err.message);
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const handleFileChange = async (e) => {
+    const picked = e.target.files[0];
+    e.target.value = '';
+    if (!picked) return;
+
+    const selected = {
+      name: picked.name,
+      format: picked.name.toLowerCase().endsWith('.json') ? 'json' : 'csv',
+      data: await picked.text()
+    };
+    setFile(selected);
+    setSource(picked.name);
+    setNotice('');
+    setShowIssues(false);
+    runPreview(selected);
+  };
+
+  const handleMappingChange = (field, column) => {
+    runPreview(file, { ...preview.mapping, [field]: column || null });
+  };
+
+  const handleClear = () => {
+    setFile(null);
+    setPreview(null);
+    setSource('');
+    setError('');
+  };
+
+  const handleImport = async () => {
+    const count = preview.summary.valid;
+    if (!window.confirm(`Import ${count} signup${count === 1 ? '' : 's'} from ${file.name}? Skipped rows will not be added.`)) {
+      return;
+    }
+
+    try {
+      setImporting(true);
+      setError('');
+      const result = await api.importSignups({ format: file.format, data: file.data, mapping: preview.mapping, source: source || undefined });
+      setNotice(`Imported ${result.summary.valid} signups as batch ${result.batchId}`);
+      handleClear();
+      fetchBatches();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setImporting(false);
+    }
+  };
+
+  const rows = preview ? (showIssues ? preview.issues : preview.preview) : [];
+  const skipped = preview ? preview.summary.total - preview.summary.valid : 0;
+  const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+  return (
+    <div className="p-6 lg:p-8 space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-semibold text-primary">Import</h1>
+          <p className="text-gray-600 mt-1">Add signups collected elsewhere from a CSV or JSON file</p>
+        </div>
+        <label className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 cursor-pointer">
+          <Upload size={18} />
+          Choose File
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={handleFileChange} className="hidden" />
+        </label>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="p-4 bg-success/10 border border-success/20 rounded-lg flex items-start justify-between gap-3">
+          <p className="text-sm text-gray-800">{notice}</p>
+          <button onClick={() => setNotice('')} className="text-gray-400 hover:text-primary">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {!file && (
+        <div className="bg-white rounded-xl border border-gray-200 p-8 text-center text-gray-600">
+          <FileText className="w-10 h-10 mx-auto text-gray-300 mb-3" />
+          <p>CSV files need a header row. JSON files must be an array of objects.</p>
+          <p className="text-sm text-gray-500 mt-1">
+            You can check the file and choose which columns to use before anything is imported.
+            Imported signups are unconfirmed and are not emailed.
+          </p>
+        </div>
+      )}
+
+      {file && (
+        <div className="bg-white rounded-xl border border-gray-200">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-primary">{file.name}</h2>
+              <p className="text-sm text-gray-500 uppercase">{file.format}</p>
+            </div>
+            <button onClick={handleClear} className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg" title="Clear">
+              <X size={18} />
+            </button>
+          </div>
+
+          {previewing && !preview && <p className="px-6 py-4 text-sm text-gray-500">Checking file...</p>}
+
+          {preview && (
+            <div className="p-6 space-y-6">
+              {/* Column mapping */}
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                {FIELDS.map(({ key, label, required }) => (
+                  <div key={key}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}{required && ' *'}
+                    </label>
+                    <select
+                      value={preview.mapping[key] || ''}
+                      onChange={(e) => handleMappingChange(key, e.target.value)}
+                      disabled={previewing}
+                      className={inputClass}
+                    >
+                      <option value="">{required ? 'Choose a column' : 'Not imported'}</option>
+                      {preview.columns.map((column) => (
+                        <option key={column} value={column}>{column}</option>
+                      ))}
+                    </select>
+                  </div>
+                ))}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+                  <input
+                    type="text"
+                    value={source}
+                    onChange={(e) => setSource(e.target.value)}
+                    maxLength={200}
+                    placeholder="Where these signups came from"
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+
+              {/* Summary */}
+              <div className="flex flex-wrap gap-3 text-sm">
+                <span className="px-3 py-1 rounded-full bg-gray-100 text-gray-700">{preview.summary.total} rows</span>
+                {Object.entries(ROW_STATUS).map(([status, { label, style }]) => preview.summary[status] > 0 && (
+                  <span key={status} className={`px-3 py-1 rounded-full ${style}`}>
+                    {preview.summary[status]} {label.toLowerCase()}
+                  </span>
+                ))}
+              </div>
+
+              {/* Rows */}
+              <div className="border border-gray-200 rounded-lg overflow-x-auto">
+                <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200 text-sm">
+                  <p className="text-gray-600">
+                    {showIssues
+                      ? `Showing ${preview.issues.length} of ${skipped} skipped rows`
+                      : `Showing the first ${preview.preview.length} of ${preview.summary.total} rows`}
+                  </p>
+                  {skipped > 0 && (
+                    <button onClick={() => setShowIssues(!showIssues)} className="text-primary hover:underline">
+                      {showIssues ? 'Show all rows' : 'Show skipped rows only'}
+                    </button>
+                  )}
+                </div>
+                <table className="w-full">
+                  <thead>
+                    <tr>
+                      {['Row', 'Name', 'Email', 'Church', 'Status'].map((label) => (
+                        <th key={label} className="px-4 py-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                          {label}
+                        </th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {rows.map((row) => (
+                      <tr key={row.row} className="text-sm">
+                        <td className="px-4 py-2 text-gray-400">{row.row}</td>
+                        <td className="px-4 py-2 text-gray-800">{row.name}</td>
+                        <td className="px-4 py-2 text-gray-800">{row.email || '-'}</td>
+                        <td className="px-4 py-2 text-gray-600">{row.church || '-'}</td>
+                        <td className="px-4 py-2 whitespace-nowrap">
+                          <span className={`px-2 py-1 text-xs font-medium rounded-full ${ROW_STATUS[row.status].style}`} title={row.error || ''}>
+                            {row.error || ROW_STATUS[row.status].label}
+                          </span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex justify-end gap-3">
+                <button
+                  onClick={handleClear}
+                  className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleImport}
+                  disabled={importing || previewing || preview.summary.valid === 0}
+                  className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <Upload size={18} />
+                  {importing ? 'Importing...' : `Import ${preview.summary.valid} signup${preview.summary.valid === 1 ? '' : 's'}`}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Past imports */}
+      <div className="bg-white rounded-xl border border-gray-200 overflow-x-auto">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-semibold text-primary">Past Imports</h2>
+          <button onClick={fetchBatches} className="p-1 text-gray-400 hover:text-primary" title="Refresh">
+            <RefreshCw size={16} className={loading ? 'animate-spin' : ''} />
+          </button>
+        </div>
+        {batches.length === 0 ? (
+          <p className="px-6 py-4 text-sm text-gray-500">{loading ? 'Loading...' : 'No imports yet'}</p>
+        ) : (
+          <table className="w-full">
+            <thead>
+              <tr className="bg-gray-50">
+                {['Batch', 'Source', 'Imported', 'Skipped', 'By', 'Date'].map((label) => (
+                  <th key={label} className="px-6 py-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {batches.map((batch) => (
+                <tr key={batch.id} className="text-sm">
+                  <td className="px-6 py-2 whitespace-nowrap font-mono text-gray-800">{batch.id}</td>
+                  <td className="px-6 py-2 text-gray-600">
+                    {batch.source || '-'} <span className="text-xs text-gray-400 uppercase">{batch.format}</span>
+                  </td>
+                  <td className="px-6 py-2 text-gray-800">{batch.imported_count}</td>
+                  <td className="px-6 py-2 text-gray-600">{batch.skipped_count}</td>
+                  <td className="px-6 py-2 text-gray-600">{batch.imported_by || '-'}</td>
+                  <td className="px-6 py-2 whitespace-nowrap text-gray-600">{formatDate(batch.created_at)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Import;
@@ -1,28 +1,56 @@
-import { useState } from 'react';
-import { Save, Mail, Bell, Key, Database } from 'lucide-react';
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { Save, Mail, Bell, Key, Database, Shield, ListChecks } from 'lucide-react';
+import TwoFactorSettings from '../components/TwoFactorSettings';
+import ApiKeySettings from '../components/ApiKeySettings';
+import SignupFieldSettings from '../components/SignupFieldSettings';
+import { api } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
 
 const Settings = () => {
-  const [settings, setSettings] = useState({
-    emailNotifications: true,
-    dailyDigest: false,
-    weeklyReport: true,
-    apiKey: '••••••••••••••••••••••••••••••••',
-    autoExport: false,
-    exportFormat: 'csv',
-  });
-
+  // personal: this admin's preferences, global: shared by the whole team
+  const [settings, setSettings] = useState(null);
+  const [canEditGlobal, setCanEditGlobal] = useState(false);
   const [saved, setSaved] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const { hasPermission } = useAuth();
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const data = await api.getSettings();
+        setSettings({ personal: data.personal, global: data.global });
+        setCanEditGlobal(data.canEditGlobal);
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    fetchSettings();
+  }, []);
 
-  const handleChange = (key, value) => {
-    setSettings(prev => ({ ...prev, [key]: value }));
+  const handleChange = (scope, key, value) => {
+    setSettings(prev => ({ ...prev, [scope]: { ...prev[scope], [key]: value } }));
     setSaved(false);
   };
 
-  const handleSave = () => {
-    // Here you would normally save to your backend
-    console.log('Saving settings:', settings);
-    setSaved(true);
-    setTimeout(() => setSaved(false), 3000);
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const data = await api.updateSettings({
+        personal: settings.personal,
+        ...(canEditGlobal && { global: settings.global })
+      });
+      setSettings({ personal: data.personal, global: data.global });
+      setSaved(true);
+      setTimeout(() => setSaved(false), 3000);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
   };
 
   return (
@@ -33,6 +61,33 @@ const Settings = () => {
         <p className="text-gray-600 mt-1">Manage your admin panel preferences</p>
       </div>
 
+      {/* Security */}
+      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+        <div className="flex items-center gap-3 mb-6">
+          <div className="p-2 bg-primary/10 rounded-lg">
+            <Shield className="text-primary" size={20} />
+          </div>
+          <h2 className="text-xl font-semibold text-primary">Security</h2>
+        </div>
+
+        <div className="space-y-4">
+          <div className="flex items-center justify-between py-3 border-b border-gray-100">
+            <div>
+              <p className="font-medium text-gray-900">Password</p>
+              <p className="text-sm text-gray-600">Changing your password signs you out on all devices</p>
+            </div>
+            <Link
+              to="/change-password"
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Change Password
+            </Link>
+          </div>
+
+          <TwoFactorSettings />
+        </div>
+      </div>
+
       {/* Email Notifications */}
       <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
         <div className="flex items-center gap-3 mb-6">
@@ -51,8 +106,9 @@ const Settings = () => {
             <label className="relative inline-flex items-center cursor-pointer">
               <input
                 type="checkbox"
-                checked={settings.emailNotifications}
-                onChange={(e) => handleChange('emailNotifications', e.target.checked)}
+                checked={settings?.personal.emailNotifications ?? false}
+                onChange={(e) => handleChange('personal', 'emailNotifications', e.target.checked)}
+                disabled={!settings}
                 className="sr-only peer"
               />
               <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-black/10 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary"></div>
@@ -67,8 +123,9 @@ const Settings = () => {
             <label className="relative inline-flex items-center cursor-pointer">
               <input
                 type="checkbox"
-                checked={settings.dailyDigest}
-                onChange={(e) => handleChange('dailyDigest', e.target.checked)}
+                checked={settings?.personal.dailyDigest ?? false}
+                onChange={(e) => handleChange('personal', 'dailyDigest', e.target.checked)}
+                disabled={!settings}
                 className="sr-only peer"
               />
               <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-black/10 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary"></div>
@@ -83,8 +140,9 @@ const Settings = () => {
             <label className="relative inline-flex items-center cursor-pointer">
               <input
                 type="checkbox"
-                checked={settings.weeklyReport}
-                onChange={(e) => handleChange('weeklyReport', e.target.checked)}
+                checked={settings?.personal.weeklyReport ?? false}
+                onChange={(e) => handleChange('personal', 'weeklyReport', e.target.checked)}
+                disabled={!settings}
                 className="sr-only peer"
               />
               <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-black/10 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary"></div>
@@ -93,37 +151,33 @@ const Settings = () => {
         </div>
       </div>
 
-      {/* API Settings */}
-      <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
-        <div className="flex items-center gap-3 mb-6">
-          <div className="p-2 bg-success/10 rounded-lg">
-            <Key className="text-success" size={20} />
+      {/* Signup Form */}
+      {hasPermission('manage_settings') && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="p-2 bg-primary/10 rounded-lg">
+              <ListChecks className="text-primary" size={20} />
+            </div>
+            <h2 className="text-xl font-semibold text-primary">Signup Form</h2>
           </div>
-          <h2 className="text-xl font-semibold text-primary">API Settings</h2>
+
+          <SignupFieldSettings />
         </div>
+      )}
 
-        <div className="space-y-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              API Key
-            </label>
-            <div className="flex gap-3">
-              <input
-                type="password"
-                value={settings.apiKey}
-                readOnly
-                className="flex-1 px-4 py-2 border border-gray-200 rounded-lg bg-gray-50 text-gray-600"
-              />
-              <button className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200">
-                Regenerate
-              </button>
+      {/* API Settings */}
+      {hasPermission('manage_api_keys') && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="p-2 bg-success/10 rounded-lg">
+              <Key className="text-success" size={20} />
             </div>
-            <p className="text-xs text-gray-500 mt-2">
-              Use this key for API access to your waitlist data
-            </p>
+            <h2 className="text-xl font-semibold text-primary">API Keys</h2>
           </div>
+
+          <ApiKeySettings />
         </div>
-      </div>
+      )}
 
       {/* Data Export */}
       <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
@@ -138,47 +192,79 @@ const Settings = () => {
           <div className="flex items-center justify-between py-3 border-b border-gray-100">
             <div>
               <p className="font-medium text-gray-900">Auto-Export</p>
-              <p className="text-sm text-gray-600">Automatically export data weekly</p>
+              <p className="text-sm text-gray-600">
+                Automatically export data weekly
+                {!canEditGlobal && ' (team setting - only owners and admins can change it)'}
+              </p>
             </div>
             <label className="relative inline-flex items-center cursor-pointer">
               <input
                 type="checkbox"
-                checked={settings.autoExport}
-                onChange={(e) => handleChange('autoExport', e.target.checked)}
+                checked={settings?.global.autoExport ?? false}
+                onChange={(e) => handleChange('global', 'autoExport', e.target.checked)}
+                disabled={!settings || !canEditGlobal}
                 className="sr-only peer"
               />
               <div className="w-11 h-6 bg-gray-200 peer-focus:outline-none peer-focus:ring-4 peer-focus:ring-black/10 rounded-full peer peer-checked:after:translate-x-full peer-checked:after:border-white after:content-[''] after:absolute after:top-[2px] after:left-[2px] after:bg-white after:border-gray-300 after:border after:rounded-full after:h-5 after:w-5 after:transition-all peer-checked:bg-primary"></div>
             </label>
           </div>
 
+          {settings?.global.autoExport && (
+            <div className="pb-4 border-b border-gray-100">
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Auto-Export Format
+              </label>
+              <select
+                value={settings.global.autoExportFormat}
+                onChange={(e) => handleChange('global', 'autoExportFormat', e.target.value)}
+                disabled={!canEditGlobal}
+                className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
+              >
+                <option value="csv">CSV</option>
+                <option value="json">JSON</option>
+                <option value="ndjson">NDJSON (one record per line)</option>
+                <option value="xlsx">Excel (XLSX)</option>
+              </select>
+            </div>
+          )}
+
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Export Format
             </label>
             <select
-              value={settings.exportFormat}
-              onChange={(e) => handleChange('exportFormat', e.target.value)}
+              value={settings?.personal.exportFormat ?? 'csv'}
+              onChange={(e) => handleChange('personal', 'exportFormat', e.target.value)}
+              disabled={!settings}
               className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
             >
               <option value="csv">CSV</option>
               <option value="json">JSON</option>
+              <option value="ndjson">NDJSON (one record per line)</option>
               <option value="xlsx">Excel (XLSX)</option>
             </select>
+            <p className="text-xs text-gray-500 mt-2">
+              Used for your exports from the Dashboard and Waitlist pages
+            </p>
           </div>
         </div>
       </div>
 
       {/* Save Button */}
       <div className="flex items-center justify-end gap-4">
+        {error && (
+          <p className="text-sm text-red-600 font-medium">{error}</p>
+        )}
         {saved && (
           <p className="text-sm text-success font-medium">Settings saved successfully!</p>
         )}
         <button
           onClick={handleSave}
-          className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+          disabled={!settings || saving}
+          className="flex items-center gap-2 px-6 py-3 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
         >
           <Save size={18} />
-          Save Changes
+          {saving ? 'Saving...' : 'Save Changes'}
         </button>
       </div>
     </div>
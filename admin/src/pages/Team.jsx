@@ -0,0 +1,376 @@
+import { useState, useEffect, useCallback } from 'react';
+import { UserPlus, RefreshCw, Pencil, KeyRound, Unlock, Power, Check, X, AlertCircle, ShieldOff } from 'lucide-react';
+import { api } from '../utils/api';
+import { useAuth } from '../contexts/AuthContext';
+
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+const EMPTY_FORM = { username: '', email: '', password: '', role: 'viewer' };
+
+const isLocked = (admin) => admin.locked_until && new Date(admin.locked_until) > new Date();
+
+const Team = () => {
+  const { user } = useAuth();
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [editing, setEditing] = useState(null);
+
+  // Only owners may hand out the owner role
+  const assignableRoles = user?.role === 'owner' ? ROLES : ROLES.filter(role => role !== 'owner');
+  const canManage = (admin) => admin.id !== user?.id && (admin.role !== 'owner' || user?.role === 'owner');
+
+  const fetchAdmins = useCallback(async () => {
+    try {
+      setLoading(true);
+      setAdmins(await api.getAdmins());
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAdmins();
+  }, [fetchAdmins]);
+
+  const run = async (action, successMessage) => {
+    try {
+      setError('');
+      const result = await action();
+      setNotice(successMessage(result));
+      fetchAdmins();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const admin = await api.createAdmin(form);
+      setForm(EMPTY_FORM);
+      setShowCreate(false);
+      return admin;
+    }, (admin) => ({ message: `Created ${admin.username}` }));
+  };
+
+  const handleSaveEdit = () => {
+    run(async () => {
+      const admin = await api.updateAdmin(editing.id, { email: editing.email, role: editing.role });
+      setEditing(null);
+      return admin;
+    }, (admin) => ({ message: `Updated ${admin.username}` }));
+  };
+
+  const handleToggleActive = (admin) => {
+    const action = admin.is_active ? 'deactivate' : 'activate';
+    if (admin.is_active && !window.confirm(`Deactivate ${admin.username}? They will be signed out everywhere.`)) {
+      return;
+    }
+    run(() => api.adminAction(admin.id, action), () => ({ message: `${admin.username} ${action}d` }));
+  };
+
+  const handleResetPassword = (admin) => {
+    if (!window.confirm(`Reset the password for ${admin.username}? They will be signed out and must choose a new password.`)) {
+      return;
+    }
+    run(() => api.adminAction(admin.id, 'reset-password'), (data) => ({
+      message: `Temporary password for ${admin.username}:`,
+      secret: data.temporaryPassword
+    }));
+  };
+
+  const handleResetTwoFactor = (admin) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${admin.username}? Only do this if they lost their authenticator and recovery codes.`)) {
+      return;
+    }
+    run(() => api.adminAction(admin.id, 'reset-2fa'), () => ({ message: `Two-factor authentication reset for ${admin.username}` }));
+  };
+
+  const handleUnlock = (admin) => {
+    run(() => api.adminAction(admin.id, 'unlock'), () => ({ message: `${admin.username} unlocked` }));
+  };
+
+  const formatDate = (dateString) => {
+    if (!dateString) return 'Never';
+    return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  };
+
+  const renderStatus = (admin) => {
+    if (!admin.is_active) {
+      return <span className="px-2 py-1 text-xs font-medium rounded-full bg-gray-100 text-gray-600">Disabled</span>;
+    }
+    if (isLocked(admin)) {
+      return <span className="px-2 py-1 text-xs font-medium rounded-full bg-red-100 text-red-600">Locked</span>;
+    }
+    if (admin.must_change_password) {
+      return <span className="px-2 py-1 text-xs font-medium rounded-full bg-orange-100 text-orange-600">Password reset</span>;
+    }
+    return <span className="px-2 py-1 text-xs font-medium rounded-full bg-success/10 text-success">Active</span>;
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+  return (
+    <div className="p-6 lg:p-8 space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-semibold text-primary">Team</h1>
+          <p className="text-gray-600 mt-1">Manage admin accounts and roles</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={fetchAdmins}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+          >
+            <UserPlus size={18} />
+            Add Admin
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="p-4 bg-success/10 border border-success/20 rounded-lg flex items-start justify-between gap-3">
+          <div className="text-sm text-gray-800">
+            <p>{notice.message}</p>
+            {notice.secret && (
+              <>
+                <code className="inline-block mt-2 px-3 py-1 bg-white border border-gray-200 rounded font-mono select-all">{notice.secret}</code>
+                <p className="text-xs text-gray-600 mt-2">This is only shown once. They will be asked to change it when they sign in.</p>
+              </>
+            )}
+          </div>
+          <button onClick={() => setNotice(null)} className="text-gray-400 hover:text-gray-600">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {/* Create Admin */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
+          <h2 className="text-xl font-semibold text-primary mb-4">New Admin</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="text"
+              placeholder="Username"
+              value={form.username}
+              onChange={(e) => setForm({ ...form, username: e.target.value })}
+              className={inputClass}
+              required
+              minLength={3}
+            />
+            <input
+              type="email"
+              placeholder="Email (optional)"
+              value={form.email}
+              onChange={(e) => setForm({ ...form, email: e.target.value })}
+              className={inputClass}
+            />
+            <input
+              type="password"
+              placeholder="Password"
+              value={form.password}
+              onChange={(e) => setForm({ ...form, password: e.target.value })}
+              className={inputClass}
+              autoComplete="new-password"
+              required
+              minLength={8}
+            />
+            <select
+              value={form.role}
+              onChange={(e) => setForm({ ...form, role: e.target.value })}
+              className={`${inputClass} bg-white capitalize`}
+            >
+              {assignableRoles.map(role => (
+                <option key={role} value={role}>{role}</option>
+              ))}
+            </select>
+          </div>
+          <p className="text-xs text-gray-500 mt-3">
+            Passwords need at least 8 characters with an uppercase letter, a lowercase letter and a number.
+          </p>
+          <div className="flex justify-end gap-3 mt-4">
+            <button
+              type="button"
+              onClick={() => setShowCreate(false)}
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+            >
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Admins Table */}
+      <div className="bg-white rounded-2xl border border-gray-200 shadow-sm overflow-hidden">
+        <div className="overflow-x-auto">
+          <table className="w-full">
+            <thead>
+              <tr className="border-b border-gray-200 bg-gray-50">
+                {['Username', 'Email', 'Role', 'Status', 'Last Login', ''].map((label) => (
+                  <th key={label} className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                    {label}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className={`divide-y divide-gray-200 ${loading ? 'opacity-50' : ''}`}>
+              {admins.length === 0 ? (
+                <tr>
+                  <td colSpan={6} className="px-6 py-12 text-center text-gray-500">
+                    {loading ? 'Loading...' : 'No admins found'}
+                  </td>
+                </tr>
+              ) : (
+                admins.map((admin) => {
+                  const isEditing = editing?.id === admin.id;
+
+                  return (
+                    <tr key={admin.id} className="hover:bg-gray-50 transition-colors duration-150">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-primary">
+                        {admin.username}
+                        {admin.id === user?.id && <span className="ml-2 text-xs text-gray-400">(you)</span>}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {isEditing ? (
+                          <input
+                            type="email"
+                            value={editing.email}
+                            onChange={(e) => setEditing({ ...editing, email: e.target.value })}
+                            className="px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:border-primary"
+                          />
+                        ) : (
+                          admin.email || <span className="text-gray-400">-</span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 capitalize">
+                        {isEditing && admin.id !== user?.id ? (
+                          <select
+                            value={editing.role}
+                            onChange={(e) => setEditing({ ...editing, role: e.target.value })}
+                            className="px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:border-primary bg-white capitalize"
+                          >
+                            {assignableRoles.map(role => (
+                              <option key={role} value={role}>{role}</option>
+                            ))}
+                          </select>
+                        ) : (
+                          admin.role
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        {renderStatus(admin)}
+                        {admin.totp_enabled ? (
+                          <span className="ml-2 px-2 py-1 text-xs font-medium rounded-full bg-primary/10 text-primary">2FA</span>
+                        ) : null}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                        {formatDate(admin.last_login)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right">
+                        {isEditing ? (
+                          <div className="flex justify-end gap-1">
+                            <button onClick={handleSaveEdit} className="p-2 text-gray-400 hover:text-success hover:bg-success/10 rounded-lg transition-all" title="Save">
+                              <Check size={16} />
+                            </button>
+                            <button onClick={() => setEditing(null)} className="p-2 text-gray-400 hover:text-gray-600 hover:bg-gray-100 rounded-lg transition-all" title="Cancel">
+                              <X size={16} />
+                            </button>
+                          </div>
+                        ) : (
+                          <div className="flex justify-end gap-1">
+                            {(canManage(admin) || admin.id === user?.id) && (
+                              <button
+                                onClick={() => setEditing({ id: admin.id, email: admin.email || '', role: admin.role })}
+                                className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                                title="Edit"
+                              >
+                                <Pencil size={16} />
+                              </button>
+                            )}
+                            {isLocked(admin) && (admin.role !== 'owner' || user?.role === 'owner') && (
+                              <button
+                                onClick={() => handleUnlock(admin)}
+                                className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                                title="Unlock"
+                              >
+                                <Unlock size={16} />
+                              </button>
+                            )}
+                            {canManage(admin) && (
+                              <>
+                                <button
+                                  onClick={() => handleResetPassword(admin)}
+                                  className="p-2 text-gray-400 hover:text-orange-600 hover:bg-orange-50 rounded-lg transition-all"
+                                  title="Reset password"
+                                >
+                                  <KeyRound size={16} />
+                                </button>
+                                {admin.totp_enabled ? (
+                                  <button
+                                    onClick={() => handleResetTwoFactor(admin)}
+                                    className="p-2 text-gray-400 hover:text-orange-600 hover:bg-orange-50 rounded-lg transition-all"
+                                    title="Reset two-factor"
+                                  >
+                                    <ShieldOff size={16} />
+                                  </button>
+                                ) : null}
+                                <button
+                                  onClick={() => handleToggleActive(admin)}
+                                  className={`p-2 rounded-lg transition-all ${admin.is_active ? 'text-gray-400 hover:text-red-600 hover:bg-red-50' : 'text-red-600 hover:text-success hover:bg-success/10'}`}
+                                  title={admin.is_active ? 'Deactivate' : 'Activate'}
+                                >
+                                  <Power size={16} />
+                                </button>
+                              </>
+                            )}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })
+              )}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Team;
@@ -1,76 +1,322 @@
-import { useState, useEffect } from 'react';
-import { Search, Download, RefreshCw, Filter } from 'lucide-react';
-import { api, downloadCSV } from '../utils/api';
+import { Fragment, useState, useEffect, useCallback } from 'react';
+import { Search, Download, RefreshCw, Filter, ChevronUp, ChevronDown, ChevronLeft, ChevronRight, Trash2, Send, X, Tag } from 'lucide-react';
+import { api, downloadFile } from '../utils/api';
+import { SIGNUP_STATUSES, STATUS_TRANSITIONS, EMAIL_PREFERENCES } from '../utils/statuses';
+import SignupDrawer from '../components/SignupDrawer';
+import { useAuth } from '../contexts/AuthContext';
+
+const PAGE_SIZES = [25, 50, 100, 250];
+
+const COLUMNS = [
+  { key: 'id', label: 'ID' },
+  { key: 'name', label: 'Name' },
+  { key: 'email', label: 'Email' },
+  { key: 'church', label: 'Church' },
+  { key: 'referral_count', label: 'Referrals' },
+  { key: 'confirmed_at', label: 'Confirmation' },
+  { key: 'status', label: 'Status' },
+  { key: 'created_at', label: 'Signed Up' },
+];
+
+// Translate a time preset into an ISO range in the admin's local time
+const getDateRange = (filterBy, customFrom, customTo) => {
+  const now = new Date();
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  if (filterBy === 'today') {
+    return { from: today.toISOString() };
+  }
+  if (filterBy === 'week') {
+    const weekAgo = new Date(today);
+    weekAgo.setDate(weekAgo.getDate() - 7);
+    return { from: weekAgo.toISOString() };
+  }
+  if (filterBy === 'month') {
+    const monthAgo = new Date(today);
+    monthAgo.setMonth(monthAgo.getMonth() - 1);
+    return { from: monthAgo.toISOString() };
+  }
+  if (filterBy === 'custom') {
+    const range = {};
+    if (customFrom) range.from = new Date(`${customFrom}T00:00:00`).toISOString();
+    if (customTo) range.to = new Date(`${customTo}T23:59:59`).toISOString();
+    return range;
+  }
+  return {};
+};
 
 const Waitlist = () => {
   const [signups, setSignups] = useState([]);
-  const [filteredSignups, setFilteredSignups] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 50, total: 0, totalPages: 0 });
+  const [overallTotal, setOverallTotal] = useState(0);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
+  const [debouncedSearch, setDebouncedSearch] = useState('');
   const [filterBy, setFilterBy] = useState('all');
+  const [customFrom, setCustomFrom] = useState('');
+  const [customTo, setCustomTo] = useState('');
+  const [confirmationFilter, setConfirmationFilter] = useState('all');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [tagFilter, setTagFilter] = useState('all');
+  const [emailFilter, setEmailFilter] = useState('all');
+  const [tags, setTags] = useState([]);
+  // Custom signup form questions shown on the form, as extra columns; answers are filtered by value
+  const [fieldColumns, setFieldColumns] = useState([]);
+  const [fieldFilters, setFieldFilters] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [checkedIds, setCheckedIds] = useState(new Set());
+  const [allMatching, setAllMatching] = useState(false);
+  const [bulkTag, setBulkTag] = useState('');
+  const [statusCounts, setStatusCounts] = useState({});
+  const [showInvite, setShowInvite] = useState(false);
+  const [inviteCount, setInviteCount] = useState(10);
+  const [notice, setNotice] = useState('');
+  const [sort, setSort] = useState({ field: 'created_at', order: 'desc' });
+  const [page, setPage] = useState(1);
+  const [limit, setLimit] = useState(50);
+  const { hasPermission } = useAuth();
+  const canDelete = hasPermission('delete_signups');
+  const canEdit = hasPermission('edit_signups');
+  const canInvite = hasPermission('invite_signups');
+  const canExport = hasPermission('export_signups');
+  const hasActions = canDelete || canInvite;
+  const canBulk = canEdit || canDelete || canExport;
 
-  useEffect(() => {
-    fetchSignups();
-  }, []);
+  const clearSelection = () => {
+    setCheckedIds(new Set());
+    setAllMatching(false);
+  };
 
+  // Debounce search so typing doesn't fire a request per keystroke
   useEffect(() => {
-    filterSignups();
-  }, [searchTerm, filterBy, signups]);
+    const timer = setTimeout(() => {
+      setDebouncedSearch(searchTerm.trim());
+      setPage(1);
+      clearSelection();
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
 
-  const fetchSignups = async () => {
+  const buildFilters = useCallback(() => {
+    const filters = { ...getDateRange(filterBy, customFrom, customTo) };
+    if (debouncedSearch) filters.search = debouncedSearch;
+    if (confirmationFilter !== 'all') filters.confirmed = confirmationFilter === 'confirmed';
+    if (statusFilter !== 'all') filters.status = statusFilter;
+    if (tagFilter !== 'all') filters.tag = tagFilter;
+    if (emailFilter !== 'all') filters.email_preference = emailFilter;
+    Object.entries(fieldFilters).forEach(([key, value]) => {
+      filters[`field[${key}]`] = value;
+    });
+    return filters;
+  }, [filterBy, customFrom, customTo, debouncedSearch, confirmationFilter, statusFilter, tagFilter, emailFilter, fieldFilters]);
+
+  const fetchSignups = useCallback(async () => {
     try {
       setLoading(true);
-      const { signups: data } = await api.getAllSignups();
-      setSignups(data);
+      const data = await api.getSignups({
+        ...buildFilters(),
+        page,
+        limit,
+        sort: sort.field,
+        order: sort.order
+      });
+      setSignups(data.signups);
+      setPagination(data.pagination);
+      setOverallTotal(data.overallTotal);
+      setStatusCounts(data.statusCounts);
     } catch (error) {
       console.error('Error fetching signups:', error);
     } finally {
       setLoading(false);
     }
-  };
+  }, [buildFilters, page, limit, sort]);
 
-  const filterSignups = () => {
-    let filtered = [...signups];
+  useEffect(() => {
+    fetchSignups();
+  }, [fetchSignups]);
 
-    // Apply search filter
-    if (searchTerm) {
-      filtered = filtered.filter(signup =>
-        signup.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        signup.email?.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        signup.church?.toLowerCase().includes(searchTerm.toLowerCase())
-      );
+  const fetchTags = useCallback(async () => {
+    try {
+      setTags(await api.getTags());
+    } catch (error) {
+      console.error('Error fetching tags:', error);
     }
+  }, []);
 
-    // Apply time filter
-    if (filterBy !== 'all') {
-      const now = new Date();
-      const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-
-      if (filterBy === 'today') {
-        filtered = filtered.filter(s => new Date(s.created_at) >= today);
-      } else if (filterBy === 'week') {
-        const weekAgo = new Date(today);
-        weekAgo.setDate(weekAgo.getDate() - 7);
-        filtered = filtered.filter(s => new Date(s.created_at) >= weekAgo);
-      } else if (filterBy === 'month') {
-        const monthAgo = new Date(today);
-        monthAgo.setMonth(monthAgo.getMonth() - 1);
-        filtered = filtered.filter(s => new Date(s.created_at) >= monthAgo);
+  useEffect(() => {
+    fetchTags();
+  }, [fetchTags]);
+
+  useEffect(() => {
+    const fetchFields = async () => {
+      try {
+        const { fields } = await api.getSignupFields();
+        setFieldColumns(fields.filter(field => !field.builtin && field.enabled));
+      } catch (error) {
+        console.error('Error fetching signup fields:', error);
       }
+    };
+
+    fetchFields();
+  }, []);
+
+  // Edits in the drawer can change the row and the set of tags in use
+  const handleDrawerChange = () => {
+    fetchSignups();
+    fetchTags();
+  };
+
+  const handleSort = (field) => {
+    setSort(prev => ({
+      field,
+      order: prev.field === field && prev.order === 'desc' ? 'asc' : 'desc'
+    }));
+    setPage(1);
+  };
+
+  // Changing filters changes what "all matching" means, so the selection is cleared
+  const handleFilterChange = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+    clearSelection();
+  };
+
+  const handleFieldFilter = (key) => (e) => {
+    const { [key]: _previous, ...rest } = fieldFilters;
+    setFieldFilters(e.target.value === 'all' ? rest : { ...rest, [key]: e.target.value });
+    setPage(1);
+    clearSelection();
+  };
+
+  const handleStatusFilter = (status) => {
+    setStatusFilter(status);
+    setPage(1);
+    clearSelection();
+  };
+
+  const toggleChecked = (id) => {
+    const next = new Set(checkedIds);
+    if (next.has(id)) {
+      next.delete(id);
+    } else {
+      next.add(id);
+    }
+    setCheckedIds(next);
+    setAllMatching(false);
+  };
+
+  const togglePage = () => {
+    const next = new Set(checkedIds);
+    if (pageChecked) {
+      signups.forEach(signup => next.delete(signup.id));
+    } else {
+      signups.forEach(signup => next.add(signup.id));
+    }
+    setCheckedIds(next);
+    setAllMatching(false);
+  };
+
+  const runBulk = async (action, changes = {}) => {
+    try {
+      const { message } = await api.bulkUpdateSignups(action, selection, buildFilters(), changes);
+      setNotice(message);
+      clearSelection();
+      fetchSignups();
+      fetchTags();
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const handleBulkTag = (mode) => {
+    const tag = bulkTag.trim();
+    if (!tag) return;
+    runBulk('tags', { [mode]: [tag] });
+    setBulkTag('');
+  };
+
+  const handleBulkStatus = (e) => {
+    const status = e.target.value;
+    if (status && window.confirm(`Move ${selectedCount} signups to ${SIGNUP_STATUSES[status].label.toLowerCase()}? Signups that can't move there are skipped.`)) {
+      runBulk('status', { status });
+    }
+  };
+
+  const handleBulkDelete = () => {
+    if (window.confirm(`Delete ${selectedCount} signups from the waitlist? This cannot be undone.`)) {
+      runBulk('delete');
+    }
+  };
+
+  const handleBulkExport = async () => {
+    try {
+      const { blob, filename } = await api.exportSelection(selection, buildFilters());
+      downloadFile(blob, filename);
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const handleStatusChange = async (signup, status) => {
+    try {
+      await api.setSignupStatus(signup.id, status);
+      fetchSignups();
+    } catch (error) {
+      setNotice(error.message);
+    }
+  };
+
+  const handleInvite = async (selection, filters = {}) => {
+    try {
+      const { message } = await api.inviteSignups(selection, filters);
+      setNotice(message);
+      setShowInvite(false);
+      fetchSignups();
+    } catch (error) {
+      setNotice(error.message);
     }
+  };
 
-    setFilteredSignups(filtered);
+  const handleInviteNext = (e) => {
+    e.preventDefault();
+    const count = Number(inviteCount);
+    if (!window.confirm(`Email invite codes to the next ${count} waiting signups in queue order that match your current filters?`)) {
+      return;
+    }
+    // Only waiting signups are invited, whatever the status filter
+    handleInvite({ count }, buildFilters());
+  };
+
+  const handleInviteOne = (signup) => {
+    const action = signup.status === 'invited' ? 'Send a new invite code to' : 'Invite';
+    if (!window.confirm(`${action} ${signup.email}?`)) {
+      return;
+    }
+    handleInvite({ ids: [signup.id] });
   };
 
   const handleExport = async () => {
     try {
-      const blob = await api.exportToCSV();
-      downloadCSV(blob, `waitlist-${new Date().toISOString().split('T')[0]}.csv`);
+      const { blob, filename } = await api.exportSignups(buildFilters());
+      downloadFile(blob, filename);
     } catch (error) {
       console.error('Error exporting:', error);
     }
   };
 
+  const handleDelete = async (signup) => {
+    if (!window.confirm(`Delete ${signup.email} from the waitlist? This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      await api.deleteSignup(signup.id);
+      fetchSignups();
+    } catch (error) {
+      console.error('Error deleting signup:', error);
+    }
+  };
+
   const formatDate = (dateString) => {
     return new Date(dateString).toLocaleDateString('en-US', {
       month: 'short',
@@ -81,13 +327,15 @@ const Waitlist = () => {
     });
   };
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-full">
-        <div className="w-12 h-12 border-4 border-primary border-t-transparent rounded-full animate-spin"></div>
-      </div>
-    );
-  }
+  const selection = allMatching ? { all: true } : { ids: [...checkedIds] };
+  const selectedCount = allMatching ? pagination.total : checkedIds.size;
+  const pageChecked = signups.length > 0 && signups.every(signup => checkedIds.has(signup.id));
+  const columnCount = COLUMNS.length + fieldColumns.length + (hasActions ? 1 : 0) + (canBulk ? 1 : 0);
+
+  const hasFilters = debouncedSearch || filterBy !== 'all' || confirmationFilter !== 'all' || statusFilter !== 'all' || tagFilter !== 'all' || emailFilter !== 'all' || Object.keys(fieldFilters).length > 0;
+  const statusTotal = Object.values(statusCounts).reduce((sum, count) => sum + count, 0);
+  const firstRow = pagination.total === 0 ? 0 : (pagination.page - 1) * pagination.limit + 1;
+  const lastRow = Math.min(pagination.page * pagination.limit, pagination.total);
 
   return (
     <div className="p-6 lg:p-8 space-y-6">
@@ -102,18 +350,69 @@ const Waitlist = () => {
             onClick={fetchSignups}
             className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
           >
-            <RefreshCw size={18} />
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
             Refresh
           </button>
+          {canInvite && (
+            <button
+              onClick={() => setShowInvite(!showInvite)}
+              className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              <Send size={18} />
+              Invite
+            </button>
+          )}
+          {canExport && (
+            <button
+              onClick={handleExport}
+              title="Unsubscribed signups are left out unless you filter for them"
+              className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+            >
+              <Download size={18} />
+              Export
+            </button>
+          )}
+        </div>
+      </div>
+
+      {notice && (
+        <div className="p-4 bg-white border border-gray-200 rounded-lg flex items-center justify-between gap-3 shadow-sm">
+          <p className="text-sm text-gray-800">{notice}</p>
+          <button onClick={() => setNotice('')} className="text-gray-400 hover:text-primary">
+            <X size={16} />
+          </button>
+        </div>
+      )}
+
+      {/* Invite next in queue */}
+      {showInvite && (
+        <form onSubmit={handleInviteNext} className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm flex flex-col sm:flex-row sm:items-end gap-4">
+          <div className="flex-1">
+            <p className="font-medium text-primary">Invite the next people in the queue</p>
+            <p className="text-sm text-gray-600 mt-1">
+              Waiting signups matching your search and filters are invited in queue order and emailed a single-use invite code.
+            </p>
+          </div>
+          <label className="flex items-center gap-2 text-sm text-gray-600">
+            Number to invite
+            <input
+              type="number"
+              min={1}
+              max={1000}
+              value={inviteCount}
+              onChange={(e) => setInviteCount(e.target.value)}
+              className="w-24 px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
+            />
+          </label>
           <button
-            onClick={handleExport}
-            className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+            type="submit"
+            className="flex items-center justify-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
           >
-            <Download size={18} />
-            Export
+            <Send size={18} />
+            Send Invites
           </button>
-        </div>
-      </div>
+        </form>
+      )}
 
       {/* Filters */}
       <div className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm">
@@ -136,86 +435,411 @@ const Waitlist = () => {
               <Filter className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={20} />
               <select
                 value={filterBy}
-                onChange={(e) => setFilterBy(e.target.value)}
+                onChange={handleFilterChange(setFilterBy)}
                 className="w-full pl-10 pr-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
               >
                 <option value="all">All Time</option>
                 <option value="today">Today</option>
                 <option value="week">This Week</option>
                 <option value="month">This Month</option>
+                <option value="custom">Custom Range</option>
               </select>
             </div>
           </div>
+
+          {/* Confirmation */}
+          <div className="sm:w-48">
+            <select
+              value={confirmationFilter}
+              onChange={handleFilterChange(setConfirmationFilter)}
+              className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+            >
+              <option value="all">Any Confirmation</option>
+              <option value="confirmed">Confirmed</option>
+              <option value="pending">Pending</option>
+            </select>
+          </div>
+
+          {/* Email preference */}
+          <div className="sm:w-48">
+            <select
+              value={emailFilter}
+              onChange={handleFilterChange(setEmailFilter)}
+              className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+            >
+              <option value="all">Any Email Preference</option>
+              {Object.entries(EMAIL_PREFERENCES).map(([value, { label }]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {/* Tag */}
+          {tags.length > 0 && (
+            <div className="sm:w-48">
+              <select
+                value={tagFilter}
+                onChange={handleFilterChange(setTagFilter)}
+                className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+              >
+                <option value="all">Any Tag</option>
+                {tags.map(({ tag, count }) => (
+                  <option key={tag} value={tag}>{tag} ({count})</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          {/* Answers to custom choice questions */}
+          {fieldColumns.filter(field => field.type === 'select').map(field => (
+            <div key={field.key} className="sm:w-48">
+              <select
+                value={fieldFilters[field.key] ?? 'all'}
+                onChange={handleFieldFilter(field.key)}
+                className="w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+              >
+                <option value="all">Any {field.label}</option>
+                {field.options.map(option => (
+                  <option key={option} value={option}>{option}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+
+        {filterBy === 'custom' && (
+          <div className="mt-4 flex flex-col sm:flex-row gap-4">
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              From
+              <input
+                type="date"
+                value={customFrom}
+                onChange={handleFilterChange(setCustomFrom)}
+                className="px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
+              />
+            </label>
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              To
+              <input
+                type="date"
+                value={customTo}
+                onChange={handleFilterChange(setCustomTo)}
+                className="px-3 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
+              />
+            </label>
+          </div>
+        )}
+
+        {/* Status */}
+        <div className="mt-4 flex flex-wrap gap-2">
+          {[['all', { label: 'All' }], ...Object.entries(SIGNUP_STATUSES)].map(([status, { label }]) => (
+            <button
+              key={status}
+              onClick={() => handleStatusFilter(status)}
+              className={`px-3 py-1 text-sm rounded-full border transition-all duration-200 ${
+                statusFilter === status
+                  ? 'bg-primary text-white border-primary'
+                  : 'border-gray-200 text-gray-700 hover:bg-gray-50'
+              }`}
+            >
+              {label} <span className="opacity-70">{status === 'all' ? statusTotal : statusCounts[status] || 0}</span>
+            </button>
+          ))}
         </div>
 
         <div className="mt-4 flex items-center justify-between">
           <p className="text-sm text-gray-600">
-            Showing <span className="font-medium text-primary">{filteredSignups.length}</span> of{' '}
-            <span className="font-medium text-primary">{signups.length}</span> signups
+            Showing <span className="font-medium text-primary">{firstRow}-{lastRow}</span> of{' '}
+            <span className="font-medium text-primary">{pagination.total}</span> matching
+            {' '}(<span className="font-medium text-primary">{overallTotal}</span> total signups)
           </p>
         </div>
       </div>
 
+      {/* Bulk actions */}
+      {selectedCount > 0 && (
+        <div className="bg-white rounded-2xl border border-gray-200 p-4 shadow-sm space-y-3">
+          <div className="flex flex-wrap items-center gap-3">
+            <p className="text-sm font-medium text-primary">{selectedCount} selected</p>
+            {canEdit && (
+              <>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="text"
+                    list="bulk-tag-options"
+                    value={bulkTag}
+                    onChange={(e) => setBulkTag(e.target.value)}
+                    placeholder="Tag"
+                    maxLength={32}
+                    className="w-36 px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5"
+                  />
+                  <datalist id="bulk-tag-options">
+                    {tags.map(({ tag }) => <option key={tag} value={tag} />)}
+                  </datalist>
+                  <button
+                    onClick={() => handleBulkTag('add')}
+                    disabled={!bulkTag.trim()}
+                    className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    <Tag size={14} />
+                    Add
+                  </button>
+                  <button
+                    onClick={() => handleBulkTag('remove')}
+                    disabled={!bulkTag.trim()}
+                    className="px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+                  >
+                    Remove
+                  </button>
+                </div>
+                <select
+                  value=""
+                  onChange={handleBulkStatus}
+                  className="px-3 py-1.5 text-sm border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5 bg-white"
+                >
+                  <option value="">Move to...</option>
+                  {Object.entries(SIGNUP_STATUSES)
+                    .filter(([status]) => status !== 'invited' && status !== 'quarantined')
+                    .map(([status, { label }]) => <option key={status} value={status}>{label}</option>)}
+                </select>
+              </>
+            )}
+            {canExport && (
+              <button
+                onClick={handleBulkExport}
+                title="Unsubscribed signups are left out"
+                className="flex items-center gap-1 px-3 py-1.5 text-sm border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                <Download size={14} />
+                Export
+              </button>
+            )}
+            {canDelete && (
+              <button
+                onClick={handleBulkDelete}
+                className="flex items-center gap-1 px-3 py-1.5 text-sm border border-red-200 text-red-600 rounded-lg hover:bg-red-50"
+              >
+                <Trash2 size={14} />
+                Delete
+              </button>
+            )}
+            <button onClick={clearSelection} className="ml-auto text-sm text-gray-500 hover:text-primary">
+              Clear selection
+            </button>
+          </div>
+          {pageChecked && !allMatching && pagination.total > signups.length && (
+            <p className="text-sm text-gray-600">
+              All {signups.length} signups on this page are selected.{' '}
+              <button onClick={() => setAllMatching(true)} className="text-primary font-medium hover:underline">
+                Select all {pagination.total} matching signups
+              </button>
+            </p>
+          )}
+          {allMatching && (
+            <p className="text-sm text-gray-600">All {pagination.total} signups matching your search and filters are selected.</p>
+          )}
+        </div>
+      )}
+
       {/* Table */}
       <div className="bg-white rounded-2xl border border-gray-200 shadow-sm overflow-hidden">
         <div className="overflow-x-auto">
           <table className="w-full">
             <thead>
               <tr className="border-b border-gray-200 bg-gray-50">
-                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
-                  ID
-                </th>
-                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
-                  Name
-                </th>
-                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
-                  Email
-                </th>
-                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
-                  Church
-                </th>
-                <th className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
-                  Signed Up
-                </th>
+                {canBulk && (
+                  <th className="pl-6 py-4 w-4">
+                    <input
+                      type="checkbox"
+                      checked={allMatching || pageChecked}
+                      onChange={togglePage}
+                      disabled={signups.length === 0}
+                      aria-label="Select all on this page"
+                    />
+                  </th>
+                )}
+                {COLUMNS.map((column) => (
+                  <Fragment key={column.key}>
+                    <th
+                      onClick={() => handleSort(column.key)}
+                      className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider cursor-pointer select-none hover:text-primary"
+                    >
+                      <span className="inline-flex items-center gap-1">
+                        {column.label}
+                        {sort.field === column.key && (
+                          sort.order === 'asc' ? <ChevronUp size={14} /> : <ChevronDown size={14} />
+                        )}
+                      </span>
+                    </th>
+                    {column.key === 'church' && fieldColumns.map(field => (
+                      <th key={field.key} className="px-6 py-4 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                        {field.label}
+                      </th>
+                    ))}
+                  </Fragment>
+                ))}
+                {hasActions && <th className="px-6 py-4" />}
               </tr>
             </thead>
-            <tbody className="divide-y divide-gray-200">
-              {filteredSignups.length === 0 ? (
+            <tbody className={`divide-y divide-gray-200 ${loading ? 'opacity-50' : ''}`}>
+              {signups.length === 0 ? (
                 <tr>
-                  <td colSpan="5" className="px-6 py-12 text-center text-gray-500">
-                    {searchTerm || filterBy !== 'all'
-                      ? 'No signups match your filters'
-                      : 'No signups yet'}
+                  <td colSpan={columnCount} className="px-6 py-12 text-center text-gray-500">
+                    {loading
+                      ? 'Loading...'
+                      : hasFilters ? 'No signups match your filters' : 'No signups yet'}
                   </td>
                 </tr>
               ) : (
-                filteredSignups.map((signup) => (
+                signups.map((signup) => (
                   <tr
                     key={signup.id}
-                    className="hover:bg-gray-50 transition-colors duration-150"
+                    onClick={() => setSelectedId(signup.id)}
+                    className="hover:bg-gray-50 transition-colors duration-150 cursor-pointer"
                   >
+                    {canBulk && (
+                      <td className="pl-6 py-4" onClick={(e) => e.stopPropagation()}>
+                        <input
+                          type="checkbox"
+                          checked={allMatching || checkedIds.has(signup.id)}
+                          onChange={() => toggleChecked(signup.id)}
+                          aria-label={`Select ${signup.email}`}
+                        />
+                      </td>
+                    )}
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       #{signup.id}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm font-medium text-primary">
                       {signup.name}
+                      {signup.tags.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-1">
+                          {signup.tags.map(tag => (
+                            <span key={tag} className="px-1.5 py-0.5 text-xs font-normal rounded bg-gray-100 text-gray-600">{tag}</span>
+                          ))}
+                        </div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       {signup.email}
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600" title={signup.church_name && signup.church !== signup.church_name ? `Entered as ${signup.church}` : undefined}>
+                      {signup.church_name || signup.church || <span className="text-gray-400">-</span>}
+                    </td>
+                    {fieldColumns.map(field => (
+                      <td key={field.key} className="px-6 py-4 whitespace-nowrap text-sm text-gray-600 max-w-xs truncate" title={signup.fields[field.key]}>
+                        {signup.fields[field.key] ?? <span className="text-gray-400">-</span>}
+                      </td>
+                    ))}
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
-                      {signup.church || <span className="text-gray-400">-</span>}
+                      {signup.referral_count > 0 ? (
+                        <span className="font-medium text-primary">{signup.referral_count}</span>
+                      ) : (
+                        <span className="text-gray-400">0</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {signup.confirmed_at ? (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-success/10 text-success">Confirmed</span>
+                      ) : (
+                        <span className="px-2 py-1 text-xs font-medium rounded-full bg-orange-100 text-orange-600">Pending</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      {canEdit ? (
+                        <select
+                          value={signup.status}
+                          onClick={(e) => e.stopPropagation()}
+                          onChange={(e) => handleStatusChange(signup, e.target.value)}
+                          className={`px-2 py-1 text-xs font-medium rounded-full border-0 focus:outline-none focus:ring-2 focus:ring-black/5 ${SIGNUP_STATUSES[signup.status].style}`}
+                        >
+                          {[signup.status, ...STATUS_TRANSITIONS[signup.status]].map(status => (
+                            <option key={status} value={status}>{SIGNUP_STATUSES[status].label}</option>
+                          ))}
+                        </select>
+                      ) : (
+                        <span className={`px-2 py-1 text-xs font-medium rounded-full ${SIGNUP_STATUSES[signup.status].style}`}>
+                          {SIGNUP_STATUSES[signup.status].label}
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                       {formatDate(signup.created_at)}
                     </td>
+                    {hasActions && (
+                      <td className="px-6 py-4 whitespace-nowrap text-right" onClick={(e) => e.stopPropagation()}>
+                        {canInvite && ['waiting', 'invited'].includes(signup.status) && (
+                          <button
+                            onClick={() => handleInviteOne(signup)}
+                            className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                            title={signup.status === 'invited' ? 'Resend invite' : 'Invite'}
+                          >
+                            <Send size={16} />
+                          </button>
+                        )}
+                        {canDelete && (
+                          <button
+                            onClick={() => handleDelete(signup)}
+                            className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                            title="Delete signup"
+                          >
+                            <Trash2 size={16} />
+                          </button>
+                        )}
+                      </td>
+                    )}
                   </tr>
                 ))
               )}
             </tbody>
           </table>
         </div>
+
+        {/* Pagination */}
+        <div className="flex flex-col sm:flex-row items-center justify-between gap-4 px-6 py-4 border-t border-gray-200">
+          <div className="flex items-center gap-2 text-sm text-gray-600">
+            Rows per page
+            <select
+              value={limit}
+              onChange={(e) => {
+                setLimit(Number(e.target.value));
+                setPage(1);
+              }}
+              className="px-2 py-1 border border-gray-200 rounded-lg focus:outline-none focus:border-primary bg-white"
+            >
+              {PAGE_SIZES.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => setPage(p => Math.max(p - 1, 1))}
+              disabled={pagination.page <= 1 || loading}
+              className="flex items-center gap-1 px-3 py-2 border border-gray-200 text-sm text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft size={16} />
+              Previous
+            </button>
+            <span className="text-sm text-gray-600">
+              Page <span className="font-medium text-primary">{pagination.page}</span> of{' '}
+              <span className="font-medium text-primary">{Math.max(pagination.totalPages, 1)}</span>
+            </span>
+            <button
+              onClick={() => setPage(p => p + 1)}
+              disabled={pagination.page >= pagination.totalPages || loading}
+              className="flex items-center gap-1 px-3 py-2 border border-gray-200 text-sm text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight size={16} />
+            </button>
+          </div>
+        </div>
       </div>
+
+      {selectedId && (
+        <SignupDrawer signupId={selectedId} onClose={() => setSelectedId(null)} onChange={handleDrawerChange} />
+      )}
     </div>
   );
 };
@@ -0,0 +1,398 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Plus, RefreshCw, Send, KeyRound, Power, Trash2, RotateCcw, ChevronDown, ChevronRight, AlertCircle, X } from 'lucide-react';
+import { api } from '../utils/api';
+
+const EMPTY_FORM = { url: '', description: '', events: ['signup.created'] };
+
+const DELIVERY_STATUS_STYLES = {
+  success: 'bg-success/10 text-success',
+  pending: 'bg-orange-100 text-orange-600',
+  failed: 'bg-red-100 text-red-600'
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(`${dateString.replace(' ', 'T')}Z`).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+const DeliveryLog = ({ webhookId, onRedeliver }) => {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const fetchDeliveries = useCallback(async () => {
+    try {
+      setLoading(true);
+      setDeliveries(await api.getWebhookDeliveries(webhookId));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [webhookId]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      await api.redeliverWebhook(delivery.id);
+      onRedeliver(delivery);
+      // Give the queue a moment to attempt it before refreshing
+      setTimeout(fetchDeliveries, 1500);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="border-t border-gray-100 overflow-x-auto">
+      <div className="flex items-center justify-between px-6 py-3">
+        <p className="text-sm font-medium text-gray-700">Recent deliveries</p>
+        <button onClick={fetchDeliveries} className="p-1 text-gray-400 hover:text-primary" title="Refresh">
+          <RefreshCw size={14} className={loading ? 'animate-spin' : ''} />
+        </button>
+      </div>
+      {error && <p className="px-6 pb-3 text-sm text-red-600">{error}</p>}
+      {deliveries.length === 0 ? (
+        <p className="px-6 pb-4 text-sm text-gray-500">{loading ? 'Loading...' : 'No deliveries yet'}</p>
+      ) : (
+        <table className="w-full">
+          <thead>
+            <tr className="bg-gray-50">
+              {['Event', 'Status', 'Attempts', 'Response', 'Created', ''].map((label) => (
+                <th key={label} className="px-6 py-2 text-left text-xs font-semibold text-gray-600 uppercase tracking-wider">
+                  {label}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100">
+            {deliveries.map((delivery) => (
+              <tr key={delivery.id} className="text-sm">
+                <td className="px-6 py-2 whitespace-nowrap font-mono text-gray-800">
+                  {delivery.event}
+                  {delivery.redelivery_of && <span className="ml-2 text-xs text-gray-400">(redelivery)</span>}
+                </td>
+                <td className="px-6 py-2 whitespace-nowrap">
+                  <span className={`px-2 py-1 text-xs font-medium rounded-full capitalize ${DELIVERY_STATUS_STYLES[delivery.status]}`}>
+                    {delivery.status}
+                  </span>
+                </td>
+                <td className="px-6 py-2 whitespace-nowrap text-gray-600">
+                  {delivery.attempts}
+                  {delivery.status === 'pending' && delivery.attempts > 0 && (
+                    <span className="ml-1 text-xs text-gray-400">next {formatDate(delivery.next_attempt_at)}</span>
+                  )}
+                </td>
+                <td className="px-6 py-2 text-gray-600 max-w-xs truncate" title={delivery.error || delivery.response_body || ''}>
+                  {delivery.response_status && <span className="font-mono mr-2">{delivery.response_status}</span>}
+                  {delivery.error}
+                </td>
+                <td className="px-6 py-2 whitespace-nowrap text-gray-600">{formatDate(delivery.created_at)}</td>
+                <td className="px-6 py-2 whitespace-nowrap text-right">
+                  {delivery.status !== 'pending' && (
+                    <button
+                      onClick={() => handleRedeliver(delivery)}
+                      className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                      title="Redeliver"
+                    >
+                      <RotateCcw size={14} />
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const Webhooks = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [notice, setNotice] = useState(null);
+  const [showCreate, setShowCreate] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      setLoading(true);
+      const data = await api.getWebhooks();
+      setWebhooks(data.webhooks);
+      setEvents(data.events);
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  const run = async (action, successMessage) => {
+    try {
+      setError('');
+      const result = await action();
+      setNotice(successMessage(result));
+      fetchWebhooks();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const toggleEvent = (event) => {
+    setForm(prev => ({
+      ...prev,
+      events: prev.events.includes(event) ? prev.events.filter(e => e !== event) : [...prev.events, event]
+    }));
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await api.createWebhook(form);
+      setForm(EMPTY_FORM);
+      setShowCreate(false);
+      return data;
+    }, (data) => ({ message: `Webhook created for ${data.webhook.url}. Signing secret:`, secret: data.secret }));
+  };
+
+  const handleTest = (webhook) => {
+    run(() => api.webhookAction(webhook.id, 'test'), () => ({ message: `Test event queued for ${webhook.url}` }));
+  };
+
+  const handleRotateSecret = (webhook) => {
+    if (!window.confirm(`Regenerate the signing secret for ${webhook.url}? The receiver must be updated before it can verify new deliveries.`)) {
+      return;
+    }
+    run(() => api.webhookAction(webhook.id, 'rotate-secret'), (data) => ({
+      message: `New signing secret for ${webhook.url}:`,
+      secret: data.secret
+    }));
+  };
+
+  const handleToggleActive = (webhook) => {
+    run(
+      () => api.updateWebhook(webhook.id, { is_active: !webhook.is_active }),
+      () => ({ message: `${webhook.url} ${webhook.is_active ? 'disabled' : 'enabled'}` })
+    );
+  };
+
+  const handleDelete = (webhook) => {
+    if (!window.confirm(`Delete the webhook for ${webhook.url}? Its delivery log will be deleted too.`)) {
+      return;
+    }
+    run(() => api.deleteWebhook(webhook.id), () => ({ message: `Deleted webhook for ${webhook.url}` }));
+  };
+
+  const inputClass = 'w-full px-4 py-2 border border-gray-200 rounded-lg focus:outline-none focus:border-primary focus:ring-2 focus:ring-black/5';
+
+  return (
+    <div className="p-6 lg:p-8 space-y-6">
+      {/* Page Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-semibold text-primary">Webhooks</h1>
+          <p className="text-gray-600 mt-1">Notify other tools when people join, confirm or leave the waitlist</p>
+        </div>
+        <div className="flex gap-3">
+          <button
+            onClick={fetchWebhooks}
+            className="flex items-center gap-2 px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+          >
+            <RefreshCw size={18} className={loading ? 'animate-spin' : ''} />
+            Refresh
+          </button>
+          <button
+            onClick={() => setShowCreate(!showCreate)}
+            className="flex items-center gap-2 px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200"
+          >
+            <Plus size={18} />
+            Add Webhook
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="p-4 bg-red-50 border border-red-200 rounded-lg flex items-center gap-3">
+          <AlertCircle className="w-5 h-5 text-red-600 flex-shrink-0" />
+          <p className="text-sm text-red-800">{error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="p-4 bg-success/10 border border-success/20 rounded-lg flex items-start justify-between gap-3">
+          <div className="text-sm text-gray-800">
+            <p>{notice.message}</p>
+            {notice.secret && (
+              <>
+                <code className="inline-block mt-2 px-3 py-1 bg-white border border-gray-200 rounded font-mono select-all">{notice.secret}</code>
+                <p className="text-xs text-gray-600 mt-2">
+                  This is only shown once. Use it to verify the <code>X-Webhook-Signature</code> header on each delivery.
+                </p>
+              </>
+            )}
+          </div>
+          <button onClick={() => setNotice(null)} className="text-gray-400 hover:text-gray-600">
+            <X size={18} />
+          </button>
+        </div>
+      )}
+
+      {/* Create Webhook */}
+      {showCreate && (
+        <form onSubmit={handleCreate} className="bg-white rounded-2xl border border-gray-200 p-6 shadow-sm space-y-4">
+          <h2 className="text-xl font-semibold text-primary">New Webhook</h2>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <input
+              type="url"
+              placeholder="https://example.com/webhooks/logos"
+              value={form.url}
+              onChange={(e) => setForm({ ...form, url: e.target.value })}
+              className={inputClass}
+              required
+            />
+            <input
+              type="text"
+              placeholder="Description (optional)"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              className={inputClass}
+              maxLength={200}
+            />
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {events.map(event => (
+              <label key={event} className="flex items-center gap-2 text-sm text-gray-700 font-mono">
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event)}
+                  onChange={() => toggleEvent(event)}
+                />
+                {event}
+              </label>
+            ))}
+          </div>
+          <div className="flex justify-end gap-3">
+            <button
+              type="button"
+              onClick={() => setShowCreate(false)}
+              className="px-4 py-2 border border-gray-200 text-gray-700 rounded-lg hover:bg-gray-50 transition-all duration-200"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={form.events.length === 0}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:shadow-lg transition-all duration-200 disabled:opacity-50"
+            >
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Webhook List */}
+      <div className={`space-y-4 ${loading ? 'opacity-50' : ''}`}>
+        {webhooks.length === 0 ? (
+          <div className="bg-white rounded-2xl border border-gray-200 p-12 shadow-sm text-center text-gray-500">
+            {loading ? 'Loading...' : 'No webhooks yet'}
+          </div>
+        ) : (
+          webhooks.map((webhook) => {
+            const isExpanded = expanded === webhook.id;
+
+            return (
+              <div key={webhook.id} className="bg-white rounded-2xl border border-gray-200 shadow-sm overflow-hidden">
+                <div className="flex items-start justify-between gap-4 p-6">
+                  <button
+                    onClick={() => setExpanded(isExpanded ? null : webhook.id)}
+                    className="flex items-start gap-3 text-left min-w-0"
+                  >
+                    {isExpanded
+                      ? <ChevronDown size={18} className="mt-1 text-gray-400 flex-shrink-0" />
+                      : <ChevronRight size={18} className="mt-1 text-gray-400 flex-shrink-0" />}
+                    <div className="min-w-0">
+                      <p className="font-medium text-primary break-all">
+                        {webhook.url}
+                        <span className={`ml-2 px-2 py-1 text-xs font-medium rounded-full ${webhook.is_active ? 'bg-success/10 text-success' : 'bg-gray-100 text-gray-600'}`}>
+                          {webhook.is_active ? 'Active' : 'Disabled'}
+                        </span>
+                      </p>
+                      {webhook.description && <p className="text-sm text-gray-600 mt-1">{webhook.description}</p>}
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {webhook.events.map(event => (
+                          <span key={event} className="px-2 py-0.5 text-xs font-mono rounded bg-gray-100 text-gray-700">{event}</span>
+                        ))}
+                      </div>
+                      <p className="text-xs text-gray-500 mt-2">
+                        Last delivered {formatDate(webhook.last_delivered_at)}
+                        {webhook.pending_count > 0 && ` · ${webhook.pending_count} pending`}
+                        {webhook.failed_count > 0 && <span className="text-red-600"> · {webhook.failed_count} failed</span>}
+                      </p>
+                    </div>
+                  </button>
+                  <div className="flex gap-1 flex-shrink-0">
+                    <button
+                      onClick={() => handleTest(webhook)}
+                      className="p-2 text-gray-400 hover:text-primary hover:bg-gray-100 rounded-lg transition-all"
+                      title="Send test event"
+                    >
+                      <Send size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleRotateSecret(webhook)}
+                      className="p-2 text-gray-400 hover:text-orange-600 hover:bg-orange-50 rounded-lg transition-all"
+                      title="Regenerate signing secret"
+                    >
+                      <KeyRound size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(webhook)}
+                      className={`p-2 rounded-lg transition-all ${webhook.is_active ? 'text-gray-400 hover:text-red-600 hover:bg-red-50' : 'text-red-600 hover:text-success hover:bg-success/10'}`}
+                      title={webhook.is_active ? 'Disable' : 'Enable'}
+                    >
+                      <Power size={16} />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(webhook)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-all"
+                      title="Delete"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  </div>
+                </div>
+                {isExpanded && (
+                  <DeliveryLog
+                    webhookId={webhook.id}
+                    onRedeliver={(delivery) => setNotice({ message: `Redelivery of ${delivery.event} queued` })}
+                  />
+                )}
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Webhooks;
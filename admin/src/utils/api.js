@@ -10,10 +10,24 @@ const getAuthHeaders = () => {
   };
 };
 
+// JSON request that surfaces the server's error message on failure
+const requestJSON = async (path, { method = 'GET', body, fallbackError } = {}) => {
+  const response = await fetch(`${API_BASE_URL}${path}`, {
+    method,
+    headers: getAuthHeaders(),
+    credentials: 'include',
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.details?.[0]?.msg || data.error || data.message || fallbackError || 'Request failed');
+  return data;
+};
+
 export const api = {
   // Waitlist endpoints
-  async getAllSignups() {
-    const response = await fetch(`${API_BASE_URL}/waitlist/all`, {
+  async getSignups(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/waitlist/all?${query}`, {
       headers: getAuthHeaders(),
       credentials: 'include'
     });
@@ -27,17 +41,320 @@ export const api = {
     return response.json();
   },
 
-  async exportToCSV() {
-    const response = await fetch(`${API_BASE_URL}/waitlist/export`, {
+  async getSignup(id) {
+    return requestJSON(`/waitlist/${id}`, { fallbackError: 'Failed to load signup' });
+  },
+
+  async addSignupNote(id, body) {
+    const { note } = await requestJSON(`/waitlist/${id}/notes`, { method: 'POST', body: { body }, fallbackError: 'Failed to add note' });
+    return note;
+  },
+
+  async updateSignupNote(id, noteId, body) {
+    const { note } = await requestJSON(`/waitlist/${id}/notes/${noteId}`, { method: 'PATCH', body: { body }, fallbackError: 'Failed to update note' });
+    return note;
+  },
+
+  async deleteSignupNote(id, noteId) {
+    return requestJSON(`/waitlist/${id}/notes/${noteId}`, { method: 'DELETE', fallbackError: 'Failed to delete note' });
+  },
+
+  async setSignupTags(id, tags) {
+    const data = await requestJSON(`/waitlist/${id}/tags`, { method: 'PUT', body: { tags }, fallbackError: 'Failed to save tags' });
+    return data.tags;
+  },
+
+  async getTags() {
+    const { tags } = await requestJSON('/waitlist/tags', { fallbackError: 'Failed to load tags' });
+    return tags;
+  },
+
+  async setSignupStatus(id, status) {
+    const { signup } = await requestJSON(`/waitlist/${id}/status`, { method: 'PATCH', body: { status }, fallbackError: 'Failed to change status' });
+    return signup;
+  },
+
+  // { ids } invites those signups; { count } invites the next waiting signups matching filters
+  async inviteSignups(selection, filters = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return requestJSON(`/waitlist/invite${query ? `?${query}` : ''}`, { method: 'POST', body: selection, fallbackError: 'Failed to send invites' });
+  },
+
+  // Bulk actions: selection is { ids } or { all: true } for every signup matching filters
+  // action: 'tags' ({ add, remove }) | 'status' ({ status }) | 'delete'
+  async bulkUpdateSignups(action, selection, filters = {}, changes = {}) {
+    const query = new URLSearchParams(filters).toString();
+    return requestJSON(`/waitlist/bulk/${action}${query ? `?${query}` : ''}`, { method: 'POST', body: { ...selection, ...changes }, fallbackError: 'Bulk action failed' });
+  },
+
+  // Everything stored about one signup, as a JSON file
+  async downloadSignupData(id) {
+    const response = await fetch(`${API_BASE_URL}/waitlist/${id}/data`, {
+      headers: getAuthHeaders(),
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to download signup data');
+    return { blob: await response.blob(), filename: `logosai-waitlist-data-${id}.json` };
+  },
+
+  async anonymiseSignup(id) {
+    const { signup } = await requestJSON(`/waitlist/${id}/anonymise`, { method: 'POST', fallbackError: 'Failed to anonymise signup' });
+    return signup;
+  },
+
+  async deleteSignup(id) {
+    const response = await fetch(`${API_BASE_URL}/waitlist/${id}`, {
+      method: 'DELETE',
+      headers: getAuthHeaders(),
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error('Failed to delete signup');
+    return response.json();
+  },
+
+  // Import endpoints: { format: 'csv' | 'json', data, mapping? }
+  // Signups sharing a canonical email: { groups: [{ key, signups }], total }
+  async getDuplicates() {
+    return requestJSON('/waitlist/duplicates', { fallbackError: 'Failed to load duplicates' });
+  },
+
+  async dismissDuplicates(key) {
+    return requestJSON('/waitlist/duplicates/dismiss', { method: 'POST', body: { key }, fallbackError: 'Failed to dismiss duplicates' });
+  },
+
+  async mergeSignups(id, ids) {
+    return requestJSON(`/waitlist/${id}/merge`, { method: 'POST', body: { ids }, fallbackError: 'Failed to merge signups' });
+  },
+
+  async getMerges() {
+    const { merges } = await requestJSON('/waitlist/merges', { fallbackError: 'Failed to load merge report' });
+    return merges;
+  },
+
+  async previewImport(file) {
+    const { data } = await requestJSON('/waitlist/import', { method: 'POST', body: { ...file, dryRun: true }, fallbackError: 'Failed to read file' });
+    return data;
+  },
+
+  async importSignups(file) {
+    const { data } = await requestJSON('/waitlist/import', { method: 'POST', body: file, fallbackError: 'Failed to import signups' });
+    return data;
+  },
+
+  async getImportBatches() {
+    const { data } = await requestJSON('/waitlist/imports', { fallbackError: 'Failed to load past imports' });
+    return data;
+  },
+
+  // Analytics endpoints
+  async getAnalytics(report, params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/analytics/${report}?${query}`, {
+      headers: getAuthHeaders(),
+      credentials: 'include'
+    });
+    if (!response.ok) throw new Error(`Failed to fetch ${report} analytics`);
+    const { data } = await response.json();
+    return data;
+  },
+
+  // Church directory endpoints
+  // getChurches: { churches, pagination }; suggestions: [{ church, duplicate }]
+  async getChurches(params = {}) {
+    const query = new URLSearchParams(params).toString();
+    const { data } = await requestJSON(`/churches?${query}`, { fallbackError: 'Failed to load churches' });
+    return data;
+  },
+
+  async getChurchSuggestions() {
+    const { data } = await requestJSON('/churches/suggestions', { fallbackError: 'Failed to load similar churches' });
+    return data;
+  },
+
+  async createChurch(church) {
+    const { data } = await requestJSON('/churches', { method: 'POST', body: church, fallbackError: 'Failed to add church' });
+    return data;
+  },
+
+  async updateChurch(id, changes) {
+    const { data } = await requestJSON(`/churches/${id}`, { method: 'PATCH', body: changes, fallbackError: 'Failed to update church' });
+    return data;
+  },
+
+  async mergeChurches(id, ids) {
+    return requestJSON(`/churches/${id}/merge`, { method: 'POST', body: { ids }, fallbackError: 'Failed to merge churches' });
+  },
+
+  // Settings endpoints
+  async getSettings() {
+    const { data } = await requestJSON('/settings', { fallbackError: 'Failed to load settings' });
+    return data;
+  },
+
+  async updateSettings(changes) {
+    const { data } = await requestJSON('/settings', { method: 'PUT', body: changes, fallbackError: 'Failed to save settings' });
+    return data;
+  },
+
+  // Signup form field endpoints
+  // getSignupFields: { fields, types }
+  async getSignupFields() {
+    const { data } = await requestJSON('/signup-fields', { fallbackError: 'Failed to load signup fields' });
+    return data;
+  },
+
+  async createSignupField(field) {
+    const { data } = await requestJSON('/signup-fields', { method: 'POST', body: field, fallbackError: 'Failed to add field' });
+    return data;
+  },
+
+  async updateSignupField(key, changes) {
+    const { data } = await requestJSON(`/signup-fields/${key}`, { method: 'PATCH', body: changes, fallbackError: 'Failed to update field' });
+    return data;
+  },
+
+  async reorderSignupFields(keys) {
+    const { data } = await requestJSON('/signup-fields/order', { method: 'PUT', body: { keys }, fallbackError: 'Failed to reorder fields' });
+    return data;
+  },
+
+  async deleteSignupField(key) {
+    return requestJSON(`/signup-fields/${key}`, { method: 'DELETE', fallbackError: 'Failed to delete field' });
+  },
+
+  // API key endpoints
+  async getApiKeys() {
+    const { data } = await requestJSON('/api-keys', { fallbackError: 'Failed to load API keys' });
+    return data;
+  },
+
+  async createApiKey(key) {
+    const { data } = await requestJSON('/api-keys', { method: 'POST', body: key, fallbackError: 'Failed to create API key' });
+    return data;
+  },
+
+  async rotateApiKey(id) {
+    const { data } = await requestJSON(`/api-keys/${id}/rotate`, { method: 'POST', fallbackError: 'Failed to regenerate API key' });
+    return data;
+  },
+
+  async revokeApiKey(id) {
+    return requestJSON(`/api-keys/${id}`, { method: 'DELETE', fallbackError: 'Failed to revoke API key' });
+  },
+
+  // Webhook endpoints
+  async getWebhooks() {
+    const { data } = await requestJSON('/webhooks', { fallbackError: 'Failed to load webhooks' });
+    return data;
+  },
+
+  async createWebhook(webhook) {
+    const { data } = await requestJSON('/webhooks', { method: 'POST', body: webhook, fallbackError: 'Failed to create webhook' });
+    return data;
+  },
+
+  async updateWebhook(id, changes) {
+    const { data } = await requestJSON(`/webhooks/${id}`, { method: 'PATCH', body: changes, fallbackError: 'Failed to update webhook' });
+    return data;
+  },
+
+  async deleteWebhook(id) {
+    return requestJSON(`/webhooks/${id}`, { method: 'DELETE', fallbackError: 'Failed to delete webhook' });
+  },
+
+  async webhookAction(id, action) {
+    const { data } = await requestJSON(`/webhooks/${id}/${action}`, { method: 'POST', fallbackError: 'Webhook action failed' });
+    return data;
+  },
+
+  async getWebhookDeliveries(id) {
+    const { data } = await requestJSON(`/webhooks/${id}/deliveries`, { fallbackError: 'Failed to load deliveries' });
+    return data;
+  },
+
+  async redeliverWebhook(deliveryId) {
+    const { data } = await requestJSON(`/webhooks/deliveries/${deliveryId}/redeliver`, { method: 'POST', fallbackError: 'Failed to redeliver' });
+    return data;
+  },
+
+  // Two-factor authentication endpoints
+  async getTwoFactorStatus() {
+    const { data } = await requestJSON('/auth/2fa', { fallbackError: 'Failed to fetch two-factor status' });
+    return data;
+  },
+
+  async setupTwoFactor() {
+    const { data } = await requestJSON('/auth/2fa/setup', { method: 'POST', fallbackError: 'Failed to start two-factor setup' });
+    return data;
+  },
+
+  async enableTwoFactor(code) {
+    const { data } = await requestJSON('/auth/2fa/enable', { method: 'POST', body: { code }, fallbackError: 'Failed to enable two-factor authentication' });
+    return data.recoveryCodes;
+  },
+
+  async disableTwoFactor(password, code) {
+    return requestJSON('/auth/2fa/disable', { method: 'POST', body: { password, code }, fallbackError: 'Failed to disable two-factor authentication' });
+  },
+
+  async regenerateRecoveryCodes(password) {
+    const { data } = await requestJSON('/auth/2fa/recovery-codes', { method: 'POST', body: { password }, fallbackError: 'Failed to generate recovery codes' });
+    return data.recoveryCodes;
+  },
+
+  // Admin account endpoints
+  async getAdmins() {
+    const { data } = await requestJSON('/admins', { fallbackError: 'Failed to fetch admins' });
+    return data.admins;
+  },
+
+  async createAdmin(admin) {
+    const { data } = await requestJSON('/admins', { method: 'POST', body: admin, fallbackError: 'Failed to create admin' });
+    return data.admin;
+  },
+
+  async updateAdmin(id, changes) {
+    const { data } = await requestJSON(`/admins/${id}`, { method: 'PATCH', body: changes, fallbackError: 'Failed to update admin' });
+    return data.admin;
+  },
+
+  // action: 'activate' | 'deactivate' | 'unlock' | 'reset-password' | 'reset-2fa'
+  async adminAction(id, action) {
+    const { data } = await requestJSON(`/admins/${id}/${action}`, { method: 'POST', fallbackError: `Failed to ${action.replace('-', ' ')}` });
+    return data;
+  },
+
+  // Format defaults to the admin's saved export preference when not given
+  // CSV gets a BOM so Excel reads it as UTF-8
+  async exportSignups(params = {}) {
+    const query = new URLSearchParams({ bom: 'true', ...params }).toString();
+    const response = await fetch(`${API_BASE_URL}/waitlist/export${query ? `?${query}` : ''}`, {
       headers: getAuthHeaders(),
       credentials: 'include'
     });
     if (!response.ok) throw new Error('Failed to export');
-    return response.blob();
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `waitlist-${new Date().toISOString().split('T')[0]}`;
+    return { blob: await response.blob(), filename };
+  },
+
+  // Same as exportSignups, limited to a bulk selection
+  async exportSelection(selection, filters = {}) {
+    const query = new URLSearchParams({ bom: 'true', ...filters }).toString();
+    const response = await fetch(`${API_BASE_URL}/waitlist/bulk/export?${query}`, {
+      method: 'POST',
+      headers: getAuthHeaders(),
+      credentials: 'include',
+      body: JSON.stringify(selection)
+    });
+    if (!response.ok) throw new Error('Failed to export selection');
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `waitlist-${new Date().toISOString().split('T')[0]}`;
+    return { blob: await response.blob(), filename };
   }
 };
 
-export const downloadCSV = (blob, filename) => {
+export const downloadFile = (blob, filename) => {
   const url = window.URL.createObjectURL(blob);
   const a = document.createElement('a');
   a.href = url;
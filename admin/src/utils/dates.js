@@ -0,0 +1,26 @@
+// Date helpers for analytics requests (admin's local time zone)
+
+export const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+
+// 'YYYY-MM-DD' for a Date in local time
+export const toLocalDateString = (date) => {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+};
+
+export const daysAgo = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return toLocalDateString(date);
+};
+
+// Chart label for a period key returned by /api/analytics/timeseries
+export const formatPeriod = (period, granularity) => {
+  if (granularity === 'month') {
+    return new Date(`${period}-01T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+  }
+  const label = new Date(`${period}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  return granularity === 'week' ? `Wk of ${label}` : label;
+};
@@ -0,0 +1,34 @@
+// Signup rollout statuses, in lifecycle order (mirrors the server's WaitlistService)
+
+export const SIGNUP_STATUSES = {
+  quarantined: { label: 'Quarantined', style: 'bg-yellow-100 text-yellow-700' },
+  waiting: { label: 'Waiting', style: 'bg-gray-100 text-gray-700' },
+  invited: { label: 'Invited', style: 'bg-blue-100 text-blue-600' },
+  activated: { label: 'Activated', style: 'bg-success/10 text-success' },
+  declined: { label: 'Declined', style: 'bg-orange-100 text-orange-600' },
+  removed: { label: 'Removed', style: 'bg-red-100 text-red-600' }
+};
+
+// Which emails a signup has chosen to get (mirrors the server's EMAIL_PREFERENCES)
+export const EMAIL_PREFERENCES = {
+  all: { label: 'Product updates' },
+  launch: { label: 'Launch only' },
+  none: { label: 'Unsubscribed' }
+};
+
+// Statuses an admin can move a signup to by hand (inviting is a separate action)
+export const STATUS_TRANSITIONS = {
+  quarantined: ['waiting', 'removed'],
+  waiting: ['declined', 'removed'],
+  invited: ['waiting', 'activated', 'declined', 'removed'],
+  activated: ['removed'],
+  declined: ['waiting', 'removed'],
+  removed: ['waiting']
+};
+
+// Why a signup was held for review (mirrors the server's QUARANTINE_REASONS)
+export const QUARANTINE_REASONS = {
+  honeypot: 'Filled in the hidden honeypot field',
+  too_fast: 'Submitted the form faster than a person could',
+  domain_limit: 'Too many signups from this email domain'
+};
@@ -2,6 +2,25 @@ const API_URL = window.location.hostname === 'localhost'
     ? 'http://localhost:3000/api'
     : '/api';
 
+// How a signup's status reads on their status page
+const STATUS_LABELS = {
+    quarantined: "Being reviewed - we check some signups before adding them to the waitlist, and we'll email you a confirmation link once yours is added",
+    waiting: 'On the waitlist',
+    invited: 'Invited - check your inbox for your invite code',
+    activated: 'Using LogosAI',
+    declined: 'Declined your invite',
+    removed: 'No longer on the waitlist'
+};
+
+const EMAIL_PREFERENCE_LABELS = {
+    all: 'Product updates and the launch announcement',
+    launch: 'Launch announcement only',
+    none: 'Nothing (unsubscribed)'
+};
+
+// Same look as the email input
+const FIELD_INPUT_CLASS = 'w-full py-3 px-4 border-[1.5px] border-gray-300 rounded-lg text-sm transition-all duration-200 bg-white font-sans text-primary hover:border-gray-400 focus:outline-none focus:border-primary focus:ring-2 focus:ring-primary focus:ring-opacity-20 placeholder-gray-400';
+
 document.addEventListener('DOMContentLoaded', () => {
     const form = document.getElementById('signupForm');
     const submitBtn = document.getElementById('submitBtn');
@@ -10,20 +29,41 @@ document.addEventListener('DOMContentLoaded', () => {
     const successMessage = document.getElementById('successMessage');
     const errorMessage = document.getElementById('errorMessage');
     const waitlistForm = document.getElementById('waitlistForm');
+    const referralCode = new URLSearchParams(window.location.search).get('ref');
+    const attribution = captureAttribution();
+    let formToken = null;
+    let formTokenRequest = loadFormToken();
 
     loadWaitlistCount();
+    loadSignupFields();
     startTypingAnimation();
+    showConfirmationResult();
+    setupStatusLookup();
+    setupPrivacyRequests();
+    setupEmailPreferences();
 
     form.addEventListener('submit', async (e) => {
         e.preventDefault();
 
+        // A replacement token may still be on its way
+        await formTokenRequest;
+
         const email = document.getElementById('email').value.trim();
-        const church = document.getElementById('church').value.trim();
+        const fields = {};
+        form.querySelectorAll('[data-field]').forEach((input) => {
+            const value = input.value.trim();
+            if (value) {
+                fields[input.dataset.field] = value;
+            }
+        });
 
         const formData = {
-            name: email.split('@')[0],
             email: email,
-            church: church || null
+            fields: fields,
+            ref: referralCode || undefined,
+            attribution: attribution,
+            formToken: formToken || undefined,
+            website: document.getElementById('website').value
         };
 
         if (!validateEmail(formData.email)) {
@@ -51,6 +91,10 @@ document.addEventListener('DOMContentLoaded', () => {
                 form.style.display = 'none';
                 successMessage.style.display = 'block';
 
+                if (data.position) {
+                    showReferralPanel(data.position, data.referralUrl);
+                }
+
                 loadWaitlistCount();
 
                 if (window.gtag) {
@@ -60,6 +104,11 @@ document.addEventListener('DOMContentLoaded', () => {
                     });
                 }
             } else {
+                // The server uses up the token on everything but invalid input, so fetch a fresh one
+                if (response.status !== 400 || data.code === 'FORM_EXPIRED') {
+                    formTokenRequest = loadFormToken();
+                }
+
                 showError(data.message || 'Something went wrong. Please try again.');
                 submitBtn.disabled = false;
                 btnText.style.display = 'inline';
@@ -67,6 +116,7 @@ document.addEventListener('DOMContentLoaded', () => {
             }
         } catch (error) {
             console.error('Signup error:', error);
+            formTokenRequest = loadFormToken();
             showError('Unable to connect to server. Please try again later.');
             submitBtn.disabled = false;
             btnText.style.display = 'inline';
@@ -74,6 +124,472 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
 
+    function showReferralPanel(position, referralUrl) {
+        const referralLink = document.getElementById('referralLink');
+        const copyButton = document.getElementById('copyReferralLink');
+
+        document.getElementById('queuePosition').textContent = `#${position}`;
+        referralLink.value = referralUrl;
+        document.getElementById('referralPanel').style.display = 'block';
+
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(referralUrl);
+            } catch (error) {
+                referralLink.select();
+                document.execCommand('copy');
+            }
+            copyButton.textContent = 'Copied!';
+            setTimeout(() => {
+                copyButton.textContent = 'Copy';
+            }, 2000);
+        });
+    }
+
+    // The server signs when the form was shown, so it can spot submissions no person could type that fast
+    // A replacement token keeps the time the form was first shown
+    async function loadFormToken() {
+        const previous = formToken ? `?previous=${encodeURIComponent(formToken)}` : '';
+
+        try {
+            const response = await fetch(`${API_URL}/waitlist/form-token${previous}`);
+            const data = await response.json();
+
+            if (data.success) {
+                formToken = data.token;
+            }
+        } catch (error) {
+            console.error('Error loading form token:', error);
+        }
+    }
+
+    // Where this visitor came from: UTM parameters, the referring site and the page they landed on
+    // Kept for the browser session, so it still counts if they come back to sign up later in the visit
+    function captureAttribution() {
+        const UTM_PARAMS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+
+        try {
+            const stored = sessionStorage.getItem('attribution');
+            if (stored) {
+                return JSON.parse(stored);
+            }
+        } catch (error) {
+            // Storage can be blocked; fall back to this page view
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        const captured = { landing_path: window.location.pathname };
+
+        UTM_PARAMS.forEach((param) => {
+            const value = params.get(param);
+            if (value) {
+                captured[param] = value;
+            }
+        });
+
+        // Moving between our own pages isn't a referral
+        if (document.referrer && new URL(document.referrer).origin !== window.location.origin) {
+            captured.referrer = document.referrer;
+        }
+
+        try {
+            sessionStorage.setItem('attribution', JSON.stringify(captured));
+        } catch (error) {
+            // Not stored; the signup still gets this page view's attribution
+        }
+
+        return captured;
+    }
+
+    function showConfirmationResult() {
+        const params = new URLSearchParams(window.location.search);
+        const outcome = params.get('confirmation');
+
+        if (!outcome) {
+            return;
+        }
+
+        if (outcome === 'success' || outcome === 'already') {
+            form.style.display = 'none';
+            document.getElementById('successTitle').textContent = outcome === 'success'
+                ? "You're on the list!"
+                : 'Already confirmed';
+            document.getElementById('successText').textContent = "We'll notify you when LogosAI is ready to launch.";
+            successMessage.style.display = 'block';
+        } else {
+            showError('That confirmation link is invalid or has expired. Sign up again to get a new one.');
+        }
+
+        // Drop the query string so a refresh shows the normal form
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+
+    // Status links in our emails open this page with ?status=<token>
+    function setupStatusLookup() {
+        const panel = document.getElementById('statusPanel');
+        const statusForm = document.getElementById('statusForm');
+        const submitButton = document.getElementById('statusSubmit');
+        const message = document.getElementById('statusMessage');
+        const token = new URLSearchParams(window.location.search).get('status');
+
+        const showMessage = (text, isError) => {
+            message.textContent = text;
+            message.className = `text-sm mt-4 ${isError ? 'text-red-600' : 'text-gray-600'}`;
+            message.style.display = 'block';
+        };
+
+        document.getElementById('statusToggle').addEventListener('click', () => {
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+
+        statusForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                submitButton.disabled = true;
+                const response = await fetch(`${API_URL}/waitlist/status/request`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        email: document.getElementById('statusEmail').value.trim()
+                    })
+                });
+                const data = await response.json();
+                showMessage(data.message || data.error || 'Something went wrong. Please try again.', !response.ok);
+            } catch (error) {
+                console.error('Status request error:', error);
+                showMessage('Unable to connect to server. Please try again later.', true);
+            } finally {
+                submitButton.disabled = false;
+            }
+        });
+
+        if (token) {
+            // Drop the token from the address bar
+            window.history.replaceState({}, document.title, window.location.pathname);
+            panel.style.display = 'block';
+            loadStatus(token, showMessage);
+        }
+    }
+
+    async function loadStatus(token, showMessage) {
+        try {
+            const response = await fetch(`${API_URL}/waitlist/status?token=${encodeURIComponent(token)}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                showMessage(data.message || 'Something went wrong. Please try again.', true);
+                return;
+            }
+
+            showStatus(data);
+        } catch (error) {
+            console.error('Status lookup error:', error);
+            showMessage('Unable to connect to server. Please try again later.', true);
+        }
+    }
+
+    function showStatus(status) {
+        const { signup } = status.data;
+        const referralLink = document.getElementById('statusReferralLink');
+        const copyButton = document.getElementById('copyStatusReferralLink');
+
+        document.getElementById('statusForm').style.display = 'none';
+        document.getElementById('statusIntro').textContent = `Here's where ${signup.email} stands.`;
+        document.getElementById('statusLabel').textContent = STATUS_LABELS[status.status] || status.status;
+        document.getElementById('statusReferrals').textContent = status.referralCount;
+
+        if (status.position) {
+            document.getElementById('statusPositionValue').textContent = `#${status.position} of ${status.queueSize}`;
+            document.getElementById('statusPosition').style.display = 'block';
+        }
+
+        referralLink.value = status.referralUrl;
+        copyButton.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(status.referralUrl);
+            } catch (error) {
+                referralLink.select();
+                document.execCommand('copy');
+            }
+            copyButton.textContent = 'Copied!';
+            setTimeout(() => {
+                copyButton.textContent = 'Copy';
+            }, 2000);
+        });
+
+        const rows = [
+            ['Name', signup.name],
+            ['Email', signup.email],
+            ['Church', signup.church],
+            ['Signed up', formatDate(signup.created_at)],
+            ['Email confirmed', signup.confirmed_at ? formatDate(signup.confirmed_at) : 'Not yet - check your inbox for the confirmation link'],
+            ['Emails you get', EMAIL_PREFERENCE_LABELS[signup.email_preference] || signup.email_preference],
+            ...status.answers.map(({ label, value }) => [label, value])
+        ];
+
+        document.getElementById('statusData').replaceChildren(...rows
+            .filter(([, value]) => value)
+            .map(([label, value]) => {
+                const row = document.createElement('div');
+                const term = document.createElement('dt');
+                const detail = document.createElement('dd');
+                term.className = 'text-xs text-gray-500';
+                term.textContent = label;
+                detail.className = 'text-primary';
+                detail.textContent = value;
+                row.append(term, detail);
+                return row;
+            }));
+
+        // The full record, including request details and invites, as the same JSON a data export gives
+        document.getElementById('statusDownload').addEventListener('click', () => {
+            const blob = new Blob([JSON.stringify(status.data, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'logosai-waitlist-data.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+
+        document.getElementById('statusDetails').style.display = 'block';
+    }
+
+    // SQLite timestamps are UTC without a zone
+    function formatDate(timestamp) {
+        return new Date(`${timestamp.replace(' ', 'T')}Z`).toLocaleDateString(undefined, {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+        });
+    }
+
+    function setupPrivacyRequests() {
+        const panel = document.getElementById('privacyPanel');
+        const privacyForm = document.getElementById('privacyForm');
+        const confirmDelete = document.getElementById('privacyConfirmDelete');
+        const message = document.getElementById('privacyMessage');
+        const params = new URLSearchParams(window.location.search);
+        const privacy = params.get('privacy');
+        const token = params.get('token');
+
+        const showMessage = (text, isError) => {
+            message.textContent = text;
+            message.className = `text-sm mt-4 ${isError ? 'text-red-600' : 'text-gray-600'}`;
+            message.style.display = 'block';
+        };
+
+        document.getElementById('privacyToggle').addEventListener('click', () => {
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+
+        privacyForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const buttons = privacyForm.querySelectorAll('button');
+
+            try {
+                buttons.forEach(button => { button.disabled = true; });
+                const response = await fetch(`${API_URL}/privacy/request`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        email: document.getElementById('privacyEmail').value.trim(),
+                        action: e.submitter?.dataset.action || 'export'
+                    })
+                });
+                const data = await response.json();
+                showMessage(data.message || data.error || 'Something went wrong. Please try again.', !response.ok);
+            } catch (error) {
+                console.error('Privacy request error:', error);
+                showMessage('Unable to connect to server. Please try again later.', true);
+            } finally {
+                buttons.forEach(button => { button.disabled = false; });
+            }
+        });
+
+        // Deletion links in the email open this page; nothing is deleted until the person confirms
+        if (privacy === 'delete' && token) {
+            panel.style.display = 'block';
+            privacyForm.style.display = 'none';
+            confirmDelete.style.display = 'block';
+            document.getElementById('privacyIntro').textContent =
+                'This permanently deletes your waitlist signup and everything we store about you. It cannot be undone.';
+
+            confirmDelete.addEventListener('click', async () => {
+                try {
+                    confirmDelete.disabled = true;
+                    const response = await fetch(`${API_URL}/privacy/delete`, {
+                        method: 'POST',
+                        headers: {
+                            'Content-Type': 'application/json',
+                        },
+                        body: JSON.stringify({ token })
+                    });
+                    const data = await response.json();
+
+                    confirmDelete.style.display = 'none';
+                    if (response.ok) {
+                        loadWaitlistCount();
+                    } else {
+                        // Let them ask for a fresh link
+                        privacyForm.style.display = 'block';
+                    }
+                    showMessage(data.message || 'Something went wrong. Please try again.', !response.ok);
+                } catch (error) {
+                    console.error('Privacy delete error:', error);
+                    confirmDelete.disabled = false;
+                    showMessage('Unable to connect to server. Please try again later.', true);
+                }
+            });
+        } else if (privacy === 'invalid') {
+            panel.style.display = 'block';
+            showMessage('That link is invalid or has expired. Enter your email to get a new one.', true);
+        }
+
+        if (privacy) {
+            // Drop the token from the address bar
+            window.history.replaceState({}, document.title, window.location.pathname);
+        }
+    }
+
+    // Unsubscribe and preference links in our emails open this page with ?preferences=<token>
+    async function setupEmailPreferences() {
+        const params = new URLSearchParams(window.location.search);
+        const token = params.get('preferences');
+
+        if (!token) {
+            return;
+        }
+
+        const panel = document.getElementById('preferencesPanel');
+        const preferencesForm = document.getElementById('preferencesForm');
+        const saveButton = document.getElementById('preferencesSave');
+        const message = document.getElementById('preferencesMessage');
+
+        const showMessage = (text, isError) => {
+            message.textContent = text;
+            message.className = `text-sm mt-4 ${isError ? 'text-red-600' : 'text-gray-600'}`;
+            message.style.display = 'block';
+        };
+
+        // Drop the token from the address bar
+        window.history.replaceState({}, document.title, window.location.pathname);
+        panel.style.display = 'block';
+
+        try {
+            const response = await fetch(`${API_URL}/waitlist/unsubscribe?token=${encodeURIComponent(token)}`, {
+                headers: {
+                    'Accept': 'application/json',
+                }
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                showMessage(data.message || 'Something went wrong. Please try again.', true);
+                return;
+            }
+
+            // Coming from the unsubscribe link, suggest unsubscribing; otherwise show what they have now
+            const selected = params.get('unsubscribe') ? 'none' : data.preference;
+            preferencesForm.querySelector(`input[value="${selected}"]`).checked = true;
+            document.getElementById('preferencesIntro').textContent = `Choose which emails ${data.email} gets from us.`;
+            preferencesForm.style.display = 'block';
+        } catch (error) {
+            console.error('Email preferences error:', error);
+            showMessage('Unable to connect to server. Please try again later.', true);
+            return;
+        }
+
+        preferencesForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+
+            try {
+                saveButton.disabled = true;
+                const response = await fetch(`${API_URL}/waitlist/unsubscribe`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({
+                        token,
+                        preference: new FormData(preferencesForm).get('preference')
+                    })
+                });
+                const data = await response.json();
+                showMessage(data.message || data.error || 'Something went wrong. Please try again.', !response.ok);
+            } catch (error) {
+                console.error('Email preferences error:', error);
+                showMessage('Unable to connect to server. Please try again later.', true);
+            } finally {
+                saveButton.disabled = false;
+            }
+        });
+    }
+
+    async function loadSignupFields() {
+        const container = document.getElementById('signupFields');
+
+        try {
+            const response = await fetch(`${API_URL}/waitlist/fields`);
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                container.replaceChildren(...data.fields.map(renderSignupField));
+            }
+        } catch (error) {
+            // The built-in church field stays in place
+            console.error('Error loading signup fields:', error);
+        }
+    }
+
+    function renderSignupField(field) {
+        const wrapper = document.createElement('div');
+        const label = document.createElement('label');
+        label.htmlFor = `field-${field.key}`;
+        label.className = 'block text-sm font-medium text-gray-700 mb-1.5';
+        label.textContent = field.label;
+
+        if (!field.required) {
+            const optional = document.createElement('span');
+            optional.className = 'text-gray-400 font-normal';
+            optional.textContent = '(Optional)';
+            label.append(' ', optional);
+        }
+
+        let input;
+        if (field.type === 'select') {
+            input = document.createElement('select');
+            input.add(new Option(field.placeholder || 'Choose one', ''));
+            field.options.forEach(option => input.add(new Option(option, option)));
+        } else if (field.type === 'textarea') {
+            input = document.createElement('textarea');
+            input.rows = 3;
+        } else {
+            input = document.createElement('input');
+            input.type = field.type === 'number' ? 'number' : 'text';
+            if (field.type === 'number') {
+                input.min = '0';
+                input.step = '1';
+            }
+        }
+
+        input.id = `field-${field.key}`;
+        input.name = field.key;
+        input.dataset.field = field.key;
+        input.required = field.required;
+        input.className = FIELD_INPUT_CLASS;
+        if (field.placeholder && field.type !== 'select') {
+            input.placeholder = field.placeholder;
+        }
+
+        wrapper.append(label, input);
+        return wrapper;
+    }
+
     async function loadWaitlistCount() {
         try {
             const response = await fetch(`${API_URL}/waitlist/count`);
@@ -0,0 +1,89 @@
+/**
+ * Local webhook receiver for testing deliveries
+ *
+ * Usage:
+ *   WEBHOOK_SECRET=whsec_... npm run webhook:receiver
+ *
+ * Register http://localhost:4000/webhook in the admin dashboard, then sign up
+ * or press "Send test". Each delivery is printed with its signature check.
+ *
+ * Options (env):
+ *   PORT            - port to listen on (default 4000)
+ *   WEBHOOK_SECRET  - signing secret to verify against (skipped if unset)
+ *   FAIL_RATE       - fraction of requests to answer with 500, to exercise retries (default 0)
+ */
+import http from 'http';
+import crypto from 'crypto';
+
+const PORT = parseInt(process.env.PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+const FAIL_RATE = parseFloat(process.env.FAIL_RATE) || 0;
+
+// Reject signatures older than this, as a real receiver should
+const TOLERANCE_SECONDS = 300;
+
+/**
+ * Check an "X-Webhook-Signature: t=<timestamp>,v1=<hex>" header
+ */
+const verifySignature = (header, body) => {
+  const parts = Object.fromEntries((header || '').split(',').map(part => part.split('=')));
+  const timestamp = parseInt(parts.t);
+
+  if (!timestamp || !parts.v1) {
+    return 'missing signature';
+  }
+
+  if (Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) {
+    return 'timestamp outside tolerance';
+  }
+
+  const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+  const valid = expected.length === parts.v1.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(parts.v1));
+
+  return valid ? null : 'signature mismatch';
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method !== 'POST') {
+    res.writeHead(405).end();
+    return;
+  }
+
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const signatureError = SECRET ? verifySignature(req.headers['x-webhook-signature'], body) : null;
+
+    console.log('');
+    console.log(`📬 ${req.headers['x-webhook-event']} (delivery #${req.headers['x-webhook-delivery']})`);
+    console.log(`   Signature: ${SECRET ? (signatureError || 'valid') : 'not checked (WEBHOOK_SECRET unset)'}`);
+
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (signatureError) {
+      res.writeHead(401, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: signatureError }));
+      return;
+    }
+
+    if (Math.random() < FAIL_RATE) {
+      console.log('   Responding 500 (FAIL_RATE)');
+      res.writeHead(500, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Simulated failure' }));
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ received: true }));
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Webhook receiver listening on http://localhost:${PORT}/webhook`);
+});
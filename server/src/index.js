@@ -3,11 +3,38 @@ import cors from 'cors';
 import helmet from 'helmet';
 import cookieParser from 'cookie-parser';
 import path from 'path';
+import { pipeline } from 'stream/promises';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
-import WaitlistService from './services/waitlist.service.js';
+import { body, param, query } from 'express-validator';
+import WaitlistService, { EMAIL_PREFERENCES, PRIVACY_ACTIONS, getDataRetentionDays, SIGNUP_STATUSES, MAX_INVITE_BATCH, TAG_PATTERN, MAX_TAGS_PER_SIGNUP, MAX_NOTE_LENGTH, MAX_BULK_SIZE, SORTABLE_COLUMNS, MAX_PAGE_SIZE, EXPORT_FORMATS, getAvailableExportColumns, IMPORT_FORMATS, IMPORT_FIELDS } from './services/waitlist.service.js';
+import mailService from './services/mail.service.js';
+import webhookService from './services/webhook.service.js';
+import adminService, { PERMISSIONS } from './services/admin.service.js';
+import settingsService from './services/settings.service.js';
+import signupFieldsService from './services/signup-fields.service.js';
 import authRoutes from './routes/auth.routes.js';
-import { authenticateToken, requireAdmin, apiRateLimiter } from './middleware/auth.js';
+import analyticsRoutes from './routes/analytics.routes.js';
+import adminsRoutes from './routes/admins.routes.js';
+import settingsRoutes from './routes/settings.routes.js';
+import apiKeysRoutes from './routes/api-keys.routes.js';
+import webhooksRoutes from './routes/webhooks.routes.js';
+import churchesRoutes from './routes/churches.routes.js';
+import signupFieldsRoutes from './routes/signup-fields.routes.js';
+import spamService from './services/spam.service.js';
+import { LINE_ENDINGS } from './utils/csv.js';
+import { EMAIL_PATTERN, normaliseEmail } from './utils/email.js';
+import {
+  authenticateToken,
+  authenticateTokenOrApiKey,
+  requirePermission,
+  apiRateLimiter,
+  privacyRequestRateLimiter,
+  statusRequestRateLimiter,
+  signupRateLimiter,
+  signupDomainRateLimiter
+} from './middleware/auth.js';
+import { handleValidation } from './middleware/common.js';
 
 // Load environment variables
 dotenv.config();
@@ -41,11 +68,15 @@ app.use(cors({
   origin: process.env.NODE_ENV === 'production'
     ? process.env.ADMIN_URL || 'http://localhost:5173'
     : ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:5175', 'http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  // Lets the dashboard read the export filename
+  exposedHeaders: ['Content-Disposition']
 }));
 
 // Body parsers
 app.use(cookieParser());
+// Imports carry the whole file in the body, so they get a larger limit
+app.use('/api/waitlist/import', express.json({ limit: '10mb' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -58,6 +89,262 @@ const imagesPath = path.join(__dirname, '../../images');
 app.use('/', express.static(landingPath));
 app.use('/images', express.static(imagesPath));
 
+// Public base URL used in emailed links
+const getPublicUrl = (req) => {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+};
+
+// Parse ?flag=true|false query values (undefined when absent)
+const parseBooleanQuery = (value) => {
+  if (value === 'true' || value === '1') return true;
+  if (value === 'false' || value === '0') return false;
+  return undefined;
+};
+
+// Listing filters shared by the signup list and export endpoints
+const parseListingFilters = (queryParams) => ({
+  confirmed: parseBooleanQuery(queryParams.confirmed),
+  search: queryParams.search || undefined,
+  from: queryParams.from || undefined,
+  to: queryParams.to || undefined,
+  status: queryParams.status || undefined,
+  tag: queryParams.tag || undefined,
+  emailPreference: queryParams.email_preference || undefined,
+  churchId: queryParams.church_id ? parseInt(queryParams.church_id) : undefined,
+  fields: queryParams.field || undefined,
+  importBatch: queryParams.import_batch || undefined
+});
+
+const listingValidators = [
+  query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_PAGE_SIZE}`),
+  query('sort').optional().isIn(SORTABLE_COLUMNS).withMessage(`sort must be one of: ${SORTABLE_COLUMNS.join(', ')}`),
+  query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+  query('search').optional().isString().trim().isLength({ max: 200 }).withMessage('search is too long'),
+  query('from').optional().isISO8601().withMessage('from must be an ISO 8601 date'),
+  query('to').optional().isISO8601().withMessage('to must be an ISO 8601 date'),
+  query('status').optional().isIn(SIGNUP_STATUSES).withMessage(`status must be one of: ${SIGNUP_STATUSES.join(', ')}`),
+  query('tag').optional().isString().trim().toLowerCase().isLength({ max: 32 }).withMessage('tag is too long'),
+  query('email_preference').optional().isIn(EMAIL_PREFERENCES).withMessage(`email_preference must be one of: ${EMAIL_PREFERENCES.join(', ')}`),
+  query('church_id').optional().isInt({ min: 1 }).withMessage('church_id must be a positive integer'),
+  // field[role]=Pastor - answers to custom signup fields
+  query('field').optional().custom(value => {
+    const keys = signupFieldsService.listFields().filter(field => !field.builtin).map(field => field.key);
+    return value && typeof value === 'object' && !Array.isArray(value) && Object.entries(value)
+      .every(([key, answer]) => keys.includes(key) && typeof answer === 'string' && answer.length <= 200);
+  }).withMessage('field must look like field[key]=value, using custom signup field keys'),
+  query('import_batch').optional().isString().trim().isLength({ max: 40 }).withMessage('import_batch is too long')
+];
+
+// Custom signup fields add export columns, so the list is read per request
+const getExportColumnKeys = () => getAvailableExportColumns().map(column => column.key);
+
+// Parse ?columns=id,email,... into a list of column keys (undefined when absent)
+const parseColumnsQuery = (value) => {
+  return value ? value.split(',').map(key => key.trim()).filter(Boolean) : undefined;
+};
+
+const exportValidators = [
+  query('format').optional().isIn(Object.keys(EXPORT_FORMATS)).withMessage(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`),
+  query('columns').optional().custom(value => {
+    const keys = parseColumnsQuery(String(value));
+    const available = getExportColumnKeys();
+    return keys?.length > 0 && keys.every(key => available.includes(key));
+  }).withMessage(() => `columns must be a comma-separated list of: ${getExportColumnKeys().join(', ')}`),
+  query('bom').optional().isBoolean().withMessage('bom must be true or false'),
+  query('newline').optional().isIn(Object.keys(LINE_ENDINGS)).withMessage(`newline must be one of: ${Object.keys(LINE_ENDINGS).join(', ')}`),
+  query('include_unsubscribed').optional().isBoolean().withMessage('include_unsubscribed must be true or false')
+];
+
+const importValidators = [
+  body('format').isIn(IMPORT_FORMATS).withMessage(`format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+  body('data').isString().withMessage('data must be the file contents as text').bail().notEmpty().withMessage('The file is empty'),
+  body('mapping').optional().isObject().withMessage('mapping must be an object'),
+  body('mapping.*').optional({ values: 'null' }).isString().withMessage('mapping values must be column names'),
+  body('mapping').optional().custom(mapping => Object.keys(mapping).every(field => field in IMPORT_FIELDS))
+    .withMessage(`mapping keys must be one of: ${Object.keys(IMPORT_FIELDS).join(', ')}`),
+  body('source').optional({ values: 'null' }).isString().trim().isLength({ max: 200 }).withMessage('source must be at most 200 characters'),
+  body('dryRun').optional().isBoolean({ strict: true }).withMessage('dryRun must be true or false')
+];
+
+const signupIdValidator = param('id').isInt({ min: 1 }).withMessage('Invalid signup ID');
+
+// Load the signup named by :id into req.signup
+const loadSignup = (req, res, next) => {
+  const signup = waitlistService.getSignup(parseInt(req.params.id));
+
+  if (!signup) {
+    return res.status(404).json({
+      success: false,
+      message: 'Signup not found'
+    });
+  }
+
+  req.signup = signup;
+  next();
+};
+
+// Audit a change to one signup so it shows in the signup's history
+const auditSignup = (req, action, details) => {
+  adminService.logAudit(req.user.id, action, req.ip, req.headers['user-agent'], true, details, req.signup.id);
+};
+
+const noteValidator = body('body')
+  .isString().withMessage('Note text is required')
+  .bail()
+  .trim()
+  .isLength({ min: 1, max: MAX_NOTE_LENGTH })
+  .withMessage(`Notes must be 1 to ${MAX_NOTE_LENGTH} characters`);
+
+// Load the note named by :noteId into req.note; only its author may change it
+const loadOwnNote = (req, res, next) => {
+  const note = waitlistService.getNote(req.signup.id, parseInt(req.params.noteId));
+
+  if (!note) {
+    return res.status(404).json({
+      success: false,
+      message: 'Note not found'
+    });
+  }
+
+  if (note.author_id !== req.user.id) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only the author can change this note'
+    });
+  }
+
+  req.note = note;
+  next();
+};
+
+const noteIdValidator = param('noteId').isInt({ min: 1 }).withMessage('Invalid note ID');
+
+// Each tag in a body list, normalised to lowercase with dashes for spaces
+const tagValidator = (field) => body(`${field}.*`)
+  .isString().withMessage('Tags must be text')
+  .bail()
+  .customSanitizer(tag => tag.trim().toLowerCase().replace(/\s+/g, '-'))
+  .matches(TAG_PATTERN)
+  .withMessage('Tags must be up to 32 letters, numbers, dashes or underscores');
+
+// Bulk actions take { ids } for specific signups, or { all: true } for every signup
+// matching the listing filters in the query string
+const bulkSelectionValidators = [
+  ...listingValidators,
+  body('ids').optional().isArray({ min: 1, max: MAX_BULK_SIZE }).withMessage(`ids must be a list of 1 to ${MAX_BULK_SIZE} signup IDs`),
+  body('ids.*').isInt({ min: 1 }).withMessage('ids must be signup IDs').toInt(),
+  body('all').if(body('ids').not().exists())
+    .custom(value => value === true).withMessage('Send ids, or all: true for every signup matching the filters')
+];
+
+// Resolve a bulk selection into req.signupIds (400 if it covers too many signups)
+const loadBulkSelection = (req, res, next) => {
+  try {
+    req.signupIds = waitlistService.selectSignupIds({
+      ids: req.body.ids,
+      filters: parseListingFilters(req.query)
+    });
+  } catch (error) {
+    return res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+  next();
+};
+
+// List signup IDs for the audit log, collapsing runs: #1-#4, #9
+const describeSignupIds = (ids) => {
+  const ranges = [];
+  [...ids].sort((a, b) => a - b).forEach(id => {
+    const last = ranges[ranges.length - 1];
+    if (last && id === last[1] + 1) {
+      last[1] = id;
+    } else {
+      ranges.push([id, id]);
+    }
+  });
+  return ranges.map(([first, last]) => (first === last ? `#${first}` : `#${first}-#${last}`)).join(', ');
+};
+
+// Audit a bulk action as a single entry naming every affected signup
+const auditBulk = (req, action, summary, ids) => {
+  adminService.logAudit(
+    req.user.id,
+    action,
+    req.ip,
+    req.headers['user-agent'],
+    true,
+    `${summary} (${describeSignupIds(ids)})`,
+    ids.length === 1 ? ids[0] : null
+  );
+};
+
+// Email a fresh confirmation link (never blocks the response)
+const sendConfirmationEmail = (req, { id, name, email }) => {
+  const token = waitlistService.createConfirmationToken(id);
+  if (!token) return;
+
+  const confirmUrl = `${getPublicUrl(req)}/api/waitlist/confirm/${token}`;
+  mailService.sendSignupConfirmation(email, { name, confirmUrl })
+    .catch(error => console.error('Error sending confirmation email:', error));
+};
+
+// A signup released from quarantine gets the confirmation email and signup.created webhook
+// that were held back when it arrived
+const announceReleasedSignup = (req, { signup, previousStatus }) => {
+  if (previousStatus !== 'quarantined' || signup.status !== 'waiting') return;
+
+  if (!signup.confirmed_at) {
+    sendConfirmationEmail(req, signup);
+  }
+  webhookService.dispatch('signup.created', signup);
+};
+
+// Unsubscribe and preferences links for the footer and headers of emails people can opt out of
+const getUnsubscribeLinks = (req, signupId) => {
+  const token = waitlistService.createUnsubscribeToken(signupId);
+  return {
+    unsubscribeUrl: `${getPublicUrl(req)}/api/waitlist/unsubscribe?token=${token}`,
+    preferencesUrl: `${getPublicUrl(req)}/?preferences=${token}`
+  };
+};
+
+// Email an invite code (never blocks the response)
+// Invites count as the launch announcement, so signups who unsubscribed from everything aren't emailed;
+// returns whether an email was sent
+// INVITE_URL may contain {code}, e.g. https://app.example.com/join?invite={code}
+const sendInviteEmail = (req, { signup, code, expiresAt }) => {
+  if (!waitlistService.canEmail(signup, 'launch')) {
+    return false;
+  }
+
+  const inviteUrl = process.env.INVITE_URL ? process.env.INVITE_URL.replace('{code}', encodeURIComponent(code)) : undefined;
+
+  mailService.sendInvite(signup.email, {
+    name: signup.name,
+    code,
+    inviteUrl,
+    expiresAt,
+    unsubscribe: getUnsubscribeLinks(req, signup.id)
+  }).catch(error => console.error('Error sending invite email:', error));
+  return true;
+};
+
+// Send everything stored about a signup as a JSON download
+const sendPersonalData = (res, id) => {
+  res.setHeader('Content-Disposition', `attachment; filename=logosai-waitlist-data-${id}.json`);
+  res.type('json').send(JSON.stringify(waitlistService.getPersonalData(id), null, 2));
+};
+
+// Who triggered a request, for webhook payloads
+const getActor = (req) => {
+  if (req.apiKey) return { type: 'api_key', id: req.apiKey.id, name: req.apiKey.name };
+  if (req.user) return { type: 'admin', id: req.user.id, username: req.user.username };
+  return null;
+};
+
 // Health check
 app.get('/api/health', (req, res) => {
   res.json({
@@ -70,41 +357,145 @@ app.get('/api/health', (req, res) => {
 // Mount authentication routes
 app.use('/api/auth', authRoutes);
 
+// Mount analytics routes (admin only)
+app.use('/api/analytics', analyticsRoutes);
+
+// Mount admin account management routes
+app.use('/api/admins', adminsRoutes);
+
+// Mount dashboard settings routes
+app.use('/api/settings', settingsRoutes);
+
+// Mount API key management routes
+app.use('/api/api-keys', apiKeysRoutes);
+
+// Mount webhook management routes
+app.use('/api/webhooks', webhooksRoutes);
+
+// Mount church directory routes
+app.use('/api/churches', churchesRoutes);
+
+// Mount signup form field management routes
+app.use('/api/signup-fields', signupFieldsRoutes);
+
+// Signed token the landing form fetches when it loads and sends with the signup (public)
+// ?previous=<token> replaces a used or rejected token, keeping when the form was first shown
+app.get('/api/waitlist/form-token', (req, res) => {
+  try {
+    res.json({ success: true, token: spamService.issueFormToken(req.query.previous) });
+  } catch (error) {
+    console.error('Error issuing form token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Waitlist signup (public)
-app.post('/api/waitlist/signup', (req, res) => {
+// Form answers go in `fields`; top-level name and church are still accepted from older clients
+// Needs a form token. Disposable addresses are refused; signups that fill in the honeypot,
+// arrive too soon after the form loaded or exceed their email domain's limit are quarantined
+// (stored, but not emailed or announced until an admin releases them)
+app.post('/api/waitlist/signup', signupRateLimiter, signupDomainRateLimiter, [
+  body('email')
+    .exists({ values: 'falsy' }).withMessage('Email is required').bail()
+    .isString().withMessage('Invalid email address').bail()
+    .customSanitizer(normaliseEmail)
+    .notEmpty().withMessage('Email is required').bail()
+    .matches(EMAIL_PATTERN).withMessage('Invalid email address')
+], handleValidation, (req, res) => {
   try {
-    const { name, email, church } = req.body;
+    const { email } = req.body;
+    const referralCode = req.body.ref || req.query.ref;
+
+    if (spamService.isDisposableEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please use a permanent email address, not a disposable one',
+        code: 'DISPOSABLE_EMAIL'
+      });
+    }
 
-    if (!email) {
+    const formToken = spamService.checkFormToken(req.body.formToken);
+    if (!formToken) {
       return res.status(400).json({
         success: false,
-        message: 'Email is required'
+        message: 'This form has expired. Please try again.',
+        code: 'FORM_EXPIRED'
       });
     }
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    const submitted = req.body.fields && typeof req.body.fields === 'object' ? req.body.fields : {};
+    const { values, errors } = signupFieldsService.validateSubmission({
+      name: req.body.name,
+      church: req.body.church,
+      ...submitted
+    });
+
+    if (errors.length > 0) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid email address'
+        message: errors[0].message,
+        errors
       });
     }
 
+    const { name = 'Anonymous', church = null, ...fields } = values;
+    const quarantineReasons = spamService.getQuarantineReasons({
+      honeypot: req.body.website,
+      elapsedSeconds: formToken.elapsedSeconds
+    });
+    if (req.signupDomainLimited) {
+      quarantineReasons.push('domain_limit');
+    }
+
     const ipAddress = req.ip || req.connection.remoteAddress;
     const userAgent = req.get('user-agent');
 
     const result = waitlistService.addToWaitlist({
-      name: name || 'Anonymous',
+      name,
       email,
       church,
+      fields,
       ipAddress,
-      userAgent
+      userAgent,
+      referralCode,
+      attribution: req.body.attribution,
+      quarantineReason: quarantineReasons.join(',') || null
     });
 
+    // Every processed submission uses up its token, so a duplicate can't be replayed to resend emails
+    spamService.useFormToken(formToken.nonce);
+
+    // New signups and unconfirmed repeats both get a (new) confirmation link;
+    // quarantined signups get nothing until an admin releases them
+    if ((result.success && !result.quarantined) || result.resendConfirmation) {
+      sendConfirmationEmail(req, { id: result.id, name, email: result.email });
+    }
+
     if (result.success) {
-      res.status(201).json(result);
+      const { quarantined, ...signup } = result;
+      if (!quarantined) {
+        webhookService.dispatch('signup.created', waitlistService.getSignup(result.id));
+      }
+
+      // Quarantined signups aren't in the queue, but get the response they would have had
+      // (the place at the back of the queue), so bots can't tell they were caught
+      const position = quarantined
+        ? waitlistService.getCount({ status: 'waiting' }) + 1
+        : waitlistService.getQueuePosition(result.id)?.position;
+      res.status(201).json({
+        ...signup,
+        position,
+        referralUrl: `${getPublicUrl(req)}/?ref=${result.referralCode}`
+      });
     } else {
-      res.status(409).json(result);
+      // Same answer whether or not the existing signup is confirmed, and never its id or stored email
+      res.status(409).json({
+        success: false,
+        message: result.message
+      });
     }
   } catch (error) {
     console.error('Error in waitlist signup:', error);
@@ -115,10 +506,137 @@ app.post('/api/waitlist/signup', (req, res) => {
   }
 });
 
+// Confirm signup email (public, opened from the confirmation email)
+app.get('/api/waitlist/confirm/:token', (req, res) => {
+  try {
+    const result = waitlistService.confirmSignup(req.params.token);
+
+    if (result.success) {
+      webhookService.dispatch('signup.confirmed', waitlistService.getSignup(result.id));
+    }
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      const status = result.success ? 200 : result.code === 'ALREADY_CONFIRMED' ? 409 : 400;
+      return res.status(status).json(result);
+    }
+
+    const outcome = result.success
+      ? 'success'
+      : result.code === 'ALREADY_CONFIRMED' ? 'already' : 'invalid';
+    res.redirect(`${getPublicUrl(req)}/?confirmation=${outcome}`);
+  } catch (error) {
+    console.error('Error confirming signup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Look up which emails an unsubscribe link's signup gets (public)
+// Opened from an email footer, it shows the landing page's preferences view, with "nothing" preselected
+// when it came from the unsubscribe link. It never changes anything itself, since mail scanners follow links
+app.get('/api/waitlist/unsubscribe', [
+  query('token').isString().notEmpty().withMessage('token is required')
+], handleValidation, (req, res) => {
+  try {
+    const signup = waitlistService.verifyUnsubscribeToken(req.query.token);
+
+    if (req.accepts(['html', 'json']) === 'json') {
+      if (!signup) {
+        return res.status(400).json({
+          success: false,
+          message: 'This link is invalid or no longer works'
+        });
+      }
+      return res.json({ success: true, email: signup.email, preference: signup.email_preference });
+    }
+
+    res.redirect(`${getPublicUrl(req)}/?preferences=${encodeURIComponent(req.query.token)}&unsubscribe=1`);
+  } catch (error) {
+    console.error('Error looking up email preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change which emails you get from an unsubscribe link (public)
+// Body: { token, preference? }. preference defaults to none, so mail clients' one-click unsubscribe
+// (RFC 8058: a form POST of List-Unsubscribe=One-Click to the link, token in the query string) works too
+app.post('/api/waitlist/unsubscribe', [
+  body('token').optional().isString(),
+  body('preference').optional().isIn(EMAIL_PREFERENCES).withMessage(`preference must be one of: ${EMAIL_PREFERENCES.join(', ')}`)
+], handleValidation, (req, res) => {
+  try {
+    const signup = waitlistService.verifyUnsubscribeToken(req.body.token || req.query.token);
+
+    if (!signup) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or no longer works'
+      });
+    }
+
+    const preference = req.body.preference || 'none';
+    const previous = waitlistService.setEmailPreference(signup.id, preference);
+
+    if (previous !== preference) {
+      adminService.logAudit(
+        null,
+        'email_preference_changed',
+        req.ip,
+        req.headers['user-agent'],
+        true,
+        `Signup #${signup.id} changed their email preference from ${previous} to ${preference}`,
+        signup.id
+      );
+
+      webhookService.dispatch('signup.email_preference_changed', {
+        ...waitlistService.getSignup(signup.id),
+        previous_email_preference: previous
+      });
+    }
+
+    res.json({
+      success: true,
+      message: preference === 'none'
+        ? "You've been unsubscribed. We won't email you again unless you ask us to."
+        : 'Your email preferences have been saved.',
+      preference
+    });
+  } catch (error) {
+    console.error('Error saving email preferences:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Fields shown on the signup form, in order (public)
+app.get('/api/waitlist/fields', (req, res) => {
+  try {
+    const fields = signupFieldsService.listFields({ enabledOnly: true })
+      .map(({ key, label, type, options, placeholder, required }) => ({ key, label, type, options, placeholder, required }));
+    res.json({ success: true, fields });
+  } catch (error) {
+    console.error('Error getting signup fields:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
 // Get waitlist count (public)
 app.get('/api/waitlist/count', (req, res) => {
   try {
-    const count = waitlistService.getCount();
+    const count = waitlistService.getCount({
+      confirmed: parseBooleanQuery(req.query.confirmed),
+      excludeQuarantined: true
+    });
     res.json({ success: true, count });
   } catch (error) {
     console.error('Error getting waitlist count:', error);
@@ -129,13 +647,40 @@ app.get('/api/waitlist/count', (req, res) => {
   }
 });
 
-// Get all signups (admin only)
-app.get('/api/waitlist/all', authenticateToken, requireAdmin, (req, res) => {
+// Ask for a link to your waitlist status (public)
+// Emails a signed link valid for 24 hours. Always answers the same way, so it can't be
+// used to find out who is on the waitlist
+app.post('/api/waitlist/status/request', statusRequestRateLimiter, [
+  body('email').isString().trim().isEmail().withMessage('Invalid email address')
+], handleValidation, (req, res) => {
   try {
-    const signups = waitlistService.getAllSignups();
-    res.json({ success: true, signups });
+    const result = waitlistService.createStatusToken(req.body.email);
+
+    if (result) {
+      const { signup, token } = result;
+
+      mailService.sendStatusLink(signup.email, {
+        name: signup.name,
+        link: `${getPublicUrl(req)}/?status=${token}`
+      }).catch(error => console.error('Error sending status link email:', error));
+
+      adminService.logAudit(
+        null,
+        'signup_status_requested',
+        req.ip,
+        req.headers['user-agent'],
+        true,
+        `Signup #${signup.id} asked for a link to their waitlist status`,
+        signup.id
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "If that email is on the waitlist, we've sent it a link to your status. It expires in 24 hours."
+    });
   } catch (error) {
-    console.error('Error getting all signups:', error);
+    console.error('Error handling status request:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -143,22 +688,29 @@ app.get('/api/waitlist/all', authenticateToken, requireAdmin, (req, res) => {
   }
 });
 
-// Export waitlist as CSV (admin only)
-app.get('/api/waitlist/export', authenticateToken, requireAdmin, (req, res) => {
+// Waitlist status for an emailed link (public)
+// Returns status, queue position, confirmed referrals and everything stored about the signup
+app.get('/api/waitlist/status', [
+  query('token').isString().notEmpty().withMessage('token is required')
+], handleValidation, (req, res) => {
   try {
-    const csv = waitlistService.exportToCSV();
-    if (csv) {
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', 'attachment; filename=waitlist.csv');
-      res.send(csv);
-    } else {
-      res.status(500).json({
+    const signup = waitlistService.verifyStatusToken(req.query.token);
+
+    if (!signup) {
+      return res.status(400).json({
         success: false,
-        message: 'Failed to export waitlist'
+        message: 'This link is invalid or has expired. Request a new one.'
       });
     }
+
+    const { referralCode, ...status } = waitlistService.getSignupStatus(signup.id);
+    res.json({
+      success: true,
+      ...status,
+      referralUrl: `${getPublicUrl(req)}/?ref=${referralCode}`
+    });
   } catch (error) {
-    console.error('Error exporting waitlist:', error);
+    console.error('Error getting waitlist status:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error'
@@ -166,8 +718,912 @@ app.get('/api/waitlist/export', authenticateToken, requireAdmin, (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
+// Ask for a copy of your data, or for it to be deleted (public)
+// Emails a signed link valid for 24 hours. Always answers the same way, so it can't be
+// used to find out who is on the waitlist
+app.post('/api/privacy/request', privacyRequestRateLimiter, [
+  body('email').isString().trim().isEmail().withMessage('Invalid email address'),
+  body('action').isIn(PRIVACY_ACTIONS).withMessage(`action must be one of: ${PRIVACY_ACTIONS.join(', ')}`)
+], handleValidation, (req, res) => {
+  try {
+    const { action } = req.body;
+    const result = waitlistService.createPrivacyToken(req.body.email, action);
+
+    if (result) {
+      const { signup, token } = result;
+      const link = action === 'delete'
+        ? `${getPublicUrl(req)}/?privacy=delete&token=${token}`
+        : `${getPublicUrl(req)}/api/privacy/export/${token}`;
+
+      mailService.sendPrivacyLink(signup.email, { name: signup.name, action, link })
+        .catch(error => console.error('Error sending privacy link email:', error));
+
+      adminService.logAudit(
+        null,
+        `privacy_${action}_requested`,
+        req.ip,
+        req.headers['user-agent'],
+        true,
+        `Signup #${signup.id} asked for a ${action === 'delete' ? 'deletion' : 'data export'} link`,
+        signup.id
+      );
+    }
+
+    res.json({
+      success: true,
+      message: "If that email is on the waitlist, we've sent it a link. It expires in 24 hours."
+    });
+  } catch (error) {
+    console.error('Error handling privacy request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download your data from an emailed link (public)
+app.get('/api/privacy/export/:token', (req, res) => {
+  try {
+    const signup = waitlistService.verifyPrivacyToken('export', req.params.token);
+
+    if (!signup) {
+      if (req.accepts(['html', 'json']) === 'json') {
+        return res.status(400).json({
+          success: false,
+          message: 'This link is invalid or has expired'
+        });
+      }
+      return res.redirect(`${getPublicUrl(req)}/?privacy=invalid`);
+    }
+
+    adminService.logAudit(
+      null,
+      'signup_data_exported',
+      req.ip,
+      req.headers['user-agent'],
+      true,
+      `Signup #${signup.id} downloaded their data from an emailed link`,
+      signup.id
+    );
+
+    sendPersonalData(res, signup.id);
+  } catch (error) {
+    console.error('Error exporting personal data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete your signup from an emailed link (public)
+// The link opens the landing page, which posts the token here once the person confirms
+app.post('/api/privacy/delete', [
+  body('token').isString().notEmpty().withMessage('token is required')
+], handleValidation, (req, res) => {
+  try {
+    const signup = waitlistService.verifyPrivacyToken('delete', req.body.token);
+
+    if (!signup) {
+      return res.status(400).json({
+        success: false,
+        message: 'This link is invalid or has expired. Request a new one.'
+      });
+    }
+
+    waitlistService.deleteSignup(signup.id);
+    adminService.redactSignupAuditLog(signup.id, signup.email);
+    adminService.logAudit(
+      null,
+      'signup_self_deleted',
+      req.ip,
+      req.headers['user-agent'],
+      true,
+      `Signup #${signup.id} deleted their data from an emailed link`,
+      signup.id
+    );
+
+    webhookService.dispatch('signup.deleted', {
+      ...signup,
+      deleted_by: null
+    });
+
+    res.json({ success: true, message: 'Your data has been deleted from the waitlist.' });
+  } catch (error) {
+    console.error('Error deleting signup on request:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Get signups (requires view_signups, or an API key with the read:signups scope)
+// Paginated when page or limit is given; otherwise the full list for older clients
+app.get('/api/waitlist/all', authenticateTokenOrApiKey, requirePermission(PERMISSIONS.VIEW_SIGNUPS), listingValidators, handleValidation, (req, res) => {
+  try {
+    const filters = parseListingFilters(req.query);
+
+    if (req.query.page === undefined && req.query.limit === undefined) {
+      const signups = waitlistService.getAllSignups(filters);
+      return res.json({ success: true, signups });
+    }
+
+    const { signups, pagination } = waitlistService.getSignupsPage({
+      ...filters,
+      page: req.query.page,
+      limit: req.query.limit,
+      sort: req.query.sort,
+      order: req.query.order
+    });
+
+    res.json({
+      success: true,
+      signups,
+      pagination,
+      overallTotal: waitlistService.getCount(),
+      statusCounts: waitlistService.getStatusCounts(filters)
+    });
+  } catch (error) {
+    console.error('Error getting all signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Stream an export of the signups matching filters in the format and columns asked for
+// Rows are streamed from the database, so memory stays flat however large the waitlist is
+// Unsubscribed signups are left out unless ?include_unsubscribed=true or the filters ask for them
+const streamExport = async (req, res, selection) => {
+  const includeUnsubscribed = parseBooleanQuery(req.query.include_unsubscribed) === true || req.query.email_preference === 'none';
+  const filters = { ...selection, excludeUnsubscribed: !includeUnsubscribed };
+
+  try {
+    const format = req.query.format || (req.user ? settingsService.get('exportFormat', req.user.id) : 'csv');
+    const { stream, contentType, extension } = waitlistService.streamSignups(format, filters, {
+      columns: parseColumnsQuery(req.query.columns),
+      bom: parseBooleanQuery(req.query.bom) === true,
+      lineEnding: LINE_ENDINGS[req.query.newline || 'crlf']
+    });
+
+    const filename = `waitlist-${new Date().toISOString().split('T')[0]}.${extension}`;
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+    await pipeline(stream, res);
+
+    webhookService.dispatch('signup.exported', {
+      format,
+      count: waitlistService.getCount(filters),
+      filters,
+      exported_by: getActor(req)
+    });
+  } catch (error) {
+    // Once streaming has started the status is sent; pipeline has already closed the response
+    if (res.headersSent) {
+      if (error.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+        console.error('Error streaming waitlist export:', error);
+      }
+      return;
+    }
+
+    console.error('Error exporting waitlist:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export waitlist'
+    });
+  }
+};
+
+// Export waitlist (requires export_signups, or an API key with the export scope)
+// ?format=csv|json|ndjson|xlsx; without it, admins get their saved export preference
+app.get('/api/waitlist/export', authenticateTokenOrApiKey, requirePermission(PERMISSIONS.EXPORT_SIGNUPS), [
+  ...listingValidators,
+  ...exportValidators
+], handleValidation, (req, res) => streamExport(req, res, parseListingFilters(req.query)));
+
+// Import signups from a CSV or JSON file (requires import_signups)
+// Body: { format, data, mapping?, source?, dryRun? }. A dry run only reports what would happen;
+// otherwise valid rows are inserted in one transaction and tagged with a new import batch ID
+app.post('/api/waitlist/import', authenticateToken, requirePermission(PERMISSIONS.IMPORT_SIGNUPS), importValidators, handleValidation, (req, res) => {
+  try {
+    const { format, data, mapping, source, dryRun } = req.body;
+
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: waitlistService.previewImport(format, data, mapping)
+      });
+    }
+
+    const result = waitlistService.importSignups(format, data, mapping, { source, importedBy: req.user.username });
+    const { batchId, summary } = result;
+
+    adminService.logAudit(
+      req.user.id,
+      'signups_imported',
+      req.ip,
+      req.headers['user-agent'],
+      true,
+      `Imported ${summary.valid} of ${summary.total} signups from ${format.toUpperCase()}${source ? ` (${source})` : ''} as batch ${batchId}`
+    );
+
+    res.status(201).json({
+      success: true,
+      message: `Imported ${summary.valid} signups`,
+      data: result
+    });
+  } catch (error) {
+    // Unreadable files and bad mappings are reported back to the uploader
+    console.error('Error importing signups:', error);
+    res.status(400).json({
+      success: false,
+      message: error.message
+    });
+  }
+});
+
+// List past imports (requires import_signups)
+app.get('/api/waitlist/imports', authenticateToken, requirePermission(PERMISSIONS.IMPORT_SIGNUPS), (req, res) => {
+  try {
+    res.json({ success: true, data: waitlistService.getImportBatches() });
+  } catch (error) {
+    console.error('Error listing imports:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Tags in use, with how many signups have each (requires view_signups)
+app.get('/api/waitlist/tags', authenticateToken, requirePermission(PERMISSIONS.VIEW_SIGNUPS), (req, res) => {
+  try {
+    res.json({ success: true, tags: waitlistService.getAllTags() });
+  } catch (error) {
+    console.error('Error listing tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Signups that look like the same person (emails that reach one inbox), for review (requires view_signups)
+app.get('/api/waitlist/duplicates', authenticateToken, requirePermission(PERMISSIONS.VIEW_SIGNUPS), (req, res) => {
+  try {
+    res.json({ success: true, ...waitlistService.getDuplicateGroups() });
+  } catch (error) {
+    console.error('Error finding duplicate signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Mark a duplicate group as different people so it stops being listed (requires edit_signups)
+app.post('/api/waitlist/duplicates/dismiss', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [
+  body('key').isString().withMessage('key is required').bail().trim().notEmpty().withMessage('key is required')
+], handleValidation, (req, res) => {
+  try {
+    if (!waitlistService.dismissDuplicateGroup(req.body.key, req.user.username)) {
+      return res.status(404).json({
+        success: false,
+        message: 'No duplicate signups share that email'
+      });
+    }
+
+    adminService.logAudit(
+      req.user.id,
+      'duplicates_dismissed',
+      req.ip,
+      req.headers['user-agent'],
+      true,
+      `Marked signups sharing ${req.body.key} as different people`
+    );
+
+    res.json({ success: true, message: 'Marked as different people' });
+  } catch (error) {
+    console.error('Error dismissing duplicate signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// The merge report: signups folded into others by the email migration or an admin (requires view_signups)
+app.get('/api/waitlist/merges', authenticateToken, requirePermission(PERMISSIONS.VIEW_SIGNUPS), (req, res) => {
+  try {
+    res.json({ success: true, merges: waitlistService.getMerges() });
+  } catch (error) {
+    console.error('Error listing signup merges:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Merge duplicate signups into this one (requires delete_signups, since the duplicates are removed)
+// Body: { ids }. Referrals, notes, tags and invites move over; their audit history follows
+app.post('/api/waitlist/:id/merge', authenticateToken, requirePermission(PERMISSIONS.DELETE_SIGNUPS), [
+  signupIdValidator,
+  body('ids').isArray({ min: 1, max: 50 }).withMessage('ids must be a list of 1 to 50 signup IDs'),
+  body('ids.*').isInt({ min: 1 }).withMessage('ids must be signup IDs').toInt()
+], handleValidation, loadSignup, (req, res) => {
+  try {
+    let merged;
+    try {
+      merged = waitlistService.mergeSignups(req.signup.id, req.body.ids, req.user.username);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const mergedIds = merged.map(signup => signup.id);
+    adminService.moveSignupAuditLog(mergedIds, req.signup.id);
+    auditSignup(req, 'signups_merged', `Merged ${describeSignupIds(mergedIds)} into #${req.signup.id}`);
+
+    const signup = waitlistService.getSignup(req.signup.id);
+    webhookService.dispatch('signup.merged', {
+      ...signup,
+      merged,
+      merged_by: getActor(req)
+    });
+
+    res.json({ success: true, message: `Merged ${merged.length} signups`, signup });
+  } catch (error) {
+    console.error('Error merging signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Everything known about one signup, with notes and its audit history (requires view_signups)
+app.get('/api/waitlist/:id', authenticateToken, requirePermission(PERMISSIONS.VIEW_SIGNUPS), signupIdValidator, handleValidation, loadSignup, (req, res) => {
+  try {
+    res.json({
+      success: true,
+      ...waitlistService.getSignupDetail(req.signup.id),
+      history: adminService.getSignupAuditLog(req.signup.id)
+    });
+  } catch (error) {
+    console.error('Error getting signup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add a note to a signup (requires edit_signups)
+app.post('/api/waitlist/:id/notes', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [signupIdValidator, noteValidator], handleValidation, loadSignup, (req, res) => {
+  try {
+    const note = waitlistService.addNote(req.signup.id, req.body.body, req.user);
+
+    auditSignup(req, 'signup_note_added', `Added a note to signup #${req.signup.id} (${req.signup.email})`);
+
+    res.status(201).json({ success: true, message: 'Note added', note });
+  } catch (error) {
+    console.error('Error adding note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Edit your own note (requires edit_signups)
+app.patch('/api/waitlist/:id/notes/:noteId', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [signupIdValidator, noteIdValidator, noteValidator], handleValidation, loadSignup, loadOwnNote, (req, res) => {
+  try {
+    const note = waitlistService.updateNote(req.signup.id, req.note.id, req.body.body);
+
+    auditSignup(req, 'signup_note_edited', `Edited note #${note.id} on signup #${req.signup.id} (${req.signup.email})`);
+
+    res.json({ success: true, message: 'Note updated', note });
+  } catch (error) {
+    console.error('Error updating note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete your own note (requires edit_signups)
+app.delete('/api/waitlist/:id/notes/:noteId', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [signupIdValidator, noteIdValidator], handleValidation, loadSignup, loadOwnNote, (req, res) => {
+  try {
+    waitlistService.deleteNote(req.signup.id, req.note.id);
+
+    auditSignup(req, 'signup_note_deleted', `Deleted note #${req.note.id} on signup #${req.signup.id} (${req.signup.email})`);
+
+    res.json({ success: true, message: 'Note deleted' });
+  } catch (error) {
+    console.error('Error deleting note:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Replace a signup's tags (requires edit_signups)
+// Tags are lowercased; spaces become dashes
+app.put('/api/waitlist/:id/tags', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [
+  signupIdValidator,
+  body('tags').isArray({ max: MAX_TAGS_PER_SIGNUP }).withMessage(`tags must be a list of at most ${MAX_TAGS_PER_SIGNUP} tags`),
+  tagValidator('tags')
+], handleValidation, loadSignup, (req, res) => {
+  try {
+    const { tags, added, removed } = waitlistService.setTags(req.signup.id, req.body.tags);
+
+    if (added.length > 0 || removed.length > 0) {
+      const changes = [
+        added.length > 0 && `added ${added.join(', ')}`,
+        removed.length > 0 && `removed ${removed.join(', ')}`
+      ].filter(Boolean);
+      auditSignup(req, 'signup_tags_changed', `Tags on signup #${req.signup.id} (${req.signup.email}): ${changes.join('; ')}`);
+    }
+
+    res.json({ success: true, message: 'Tags saved', tags });
+  } catch (error) {
+    console.error('Error saving tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Change a signup's status (requires edit_signups)
+app.patch('/api/waitlist/:id/status', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [
+  param('id').isInt({ min: 1 }).withMessage('Invalid signup ID'),
+  body('status').isIn(SIGNUP_STATUSES).withMessage(`status must be one of: ${SIGNUP_STATUSES.join(', ')}`)
+], handleValidation, (req, res) => {
+  try {
+    let result;
+    try {
+      result = waitlistService.setStatus(parseInt(req.params.id), req.body.status);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Signup not found'
+      });
+    }
+
+    const { signup, previousStatus } = result;
+
+    announceReleasedSignup(req, result);
+
+    adminService.logAudit(
+      req.user.id,
+      'signup_status_changed',
+      req.ip,
+      req.headers['user-agent'],
+      true,
+      `Moved signup #${signup.id} (${signup.email}) from ${previousStatus} to ${signup.status}`,
+      signup.id
+    );
+
+    webhookService.dispatch('signup.status_changed', {
+      ...signup,
+      previous_status: previousStatus,
+      changed_by: getActor(req)
+    });
+
+    res.json({ success: true, message: `Signup moved to ${signup.status}`, signup });
+  } catch (error) {
+    console.error('Error changing signup status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Invite signups off the waitlist and email each a single-use code (requires invite_signups)
+// Body: { ids } to invite specific signups, or { count } for the next waiting signups in queue order
+// that match the listing filters in the query string (e.g. ?confirmed=true)
+app.post('/api/waitlist/invite', authenticateToken, requirePermission(PERMISSIONS.INVITE_SIGNUPS), [
+  ...listingValidators,
+  body('ids').optional().isArray({ min: 1, max: MAX_INVITE_BATCH }).withMessage(`ids must be a list of 1 to ${MAX_INVITE_BATCH} signup IDs`),
+  body('ids.*').isInt({ min: 1 }).withMessage('ids must be signup IDs').toInt(),
+  body('count').if(body('ids').not().exists())
+    .isInt({ min: 1, max: MAX_INVITE_BATCH }).withMessage(`count must be between 1 and ${MAX_INVITE_BATCH}`).toInt()
+], handleValidation, (req, res) => {
+  try {
+    const filters = parseListingFilters(req.query);
+    const invites = waitlistService.inviteSignups({
+      ids: req.body.ids,
+      count: req.body.count,
+      filters
+    }, req.user.username);
+
+    const unemailed = invites.filter(invite => !sendInviteEmail(req, invite));
+
+    invites.forEach(invite => {
+      webhookService.dispatch('signup.status_changed', {
+        ...invite.signup,
+        previous_status: invite.previousStatus,
+        changed_by: getActor(req)
+      });
+    });
+
+    if (invites.length > 0) {
+      adminService.logAudit(
+        req.user.id,
+        'signups_invited',
+        req.ip,
+        req.headers['user-agent'],
+        true,
+        req.body.ids
+          ? `Invited ${invites.length} selected signups: ${invites.map(invite => `#${invite.signup.id}`).join(', ')}`
+          : `Invited the next ${invites.length} signups in the queue (filters: ${JSON.stringify(filters)})`,
+        invites.length === 1 ? invites[0].signup.id : null
+      );
+    }
+
+    const message = invites.length > 0 ? `Invited ${invites.length} signups` : 'Nobody matching is waiting to be invited';
+
+    res.json({
+      success: true,
+      message: unemailed.length > 0
+        ? `${message} (${unemailed.length} unsubscribed from emails, so weren't sent their code)`
+        : message,
+      invited: invites.map(({ signup }) => ({ id: signup.id, name: signup.name, email: signup.email })),
+      unemailed: unemailed.map(({ signup }) => signup.id)
+    });
+  } catch (error) {
+    console.error('Error inviting signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Add or remove tags on many signups at once (requires edit_signups)
+// Body: a bulk selection plus { add?, remove? } tag lists
+app.post('/api/waitlist/bulk/tags', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [
+  ...bulkSelectionValidators,
+  body('add').optional().isArray({ max: MAX_TAGS_PER_SIGNUP }).withMessage(`add must be a list of at most ${MAX_TAGS_PER_SIGNUP} tags`),
+  tagValidator('add'),
+  body('remove').optional().isArray({ max: MAX_TAGS_PER_SIGNUP }).withMessage(`remove must be a list of at most ${MAX_TAGS_PER_SIGNUP} tags`),
+  tagValidator('remove'),
+  body().custom(({ add = [], remove = [] }) => add.length + remove.length > 0).withMessage('Give tags to add or remove'),
+  body().custom(({ add = [], remove = [] }) => !add.some(tag => remove.includes(tag))).withMessage("A tag can't be both added and removed")
+], handleValidation, loadBulkSelection, (req, res) => {
+  try {
+    const { add = [], remove = [] } = req.body;
+
+    let updated;
+    try {
+      updated = waitlistService.bulkSetTags(req.signupIds, { add, remove });
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (updated.length > 0) {
+      const changes = [
+        add.length > 0 && `added ${add.join(', ')}`,
+        remove.length > 0 && `removed ${remove.join(', ')}`
+      ].filter(Boolean);
+      auditBulk(req, 'signups_bulk_tagged', `Tags on ${updated.length} signups: ${changes.join('; ')}`, updated);
+    }
+
+    res.json({
+      success: true,
+      message: `Updated tags on ${updated.length} signups`,
+      updated: updated.length
+    });
+  } catch (error) {
+    console.error('Error bulk tagging signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Move many signups to a status at once (requires edit_signups)
+// Signups that can't move there from their current status are skipped and listed
+app.post('/api/waitlist/bulk/status', authenticateToken, requirePermission(PERMISSIONS.EDIT_SIGNUPS), [
+  ...bulkSelectionValidators,
+  body('status').isIn(SIGNUP_STATUSES).withMessage(`status must be one of: ${SIGNUP_STATUSES.join(', ')}`)
+], handleValidation, loadBulkSelection, (req, res) => {
+  try {
+    let result;
+    try {
+      result = waitlistService.bulkSetStatus(req.signupIds, req.body.status);
+    } catch (error) {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    const { changed, skipped } = result;
+
+    changed.forEach(({ signup, previousStatus }) => {
+      announceReleasedSignup(req, { signup, previousStatus });
+      webhookService.dispatch('signup.status_changed', {
+        ...signup,
+        previous_status: previousStatus,
+        changed_by: getActor(req)
+      });
+    });
+
+    if (changed.length > 0) {
+      auditBulk(req, 'signups_bulk_status_changed', `Moved ${changed.length} signups to ${req.body.status}`, changed.map(({ signup }) => signup.id));
+    }
+
+    res.json({
+      success: true,
+      message: `Moved ${changed.length} signups to ${req.body.status}` +
+        (skipped.length > 0 ? `; skipped ${skipped.length} that can't move there` : ''),
+      changed: changed.length,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error bulk changing signup status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete many signups at once (requires delete_signups)
+app.post('/api/waitlist/bulk/delete', authenticateToken, requirePermission(PERMISSIONS.DELETE_SIGNUPS), bulkSelectionValidators, handleValidation, loadBulkSelection, (req, res) => {
+  try {
+    const deleted = waitlistService.deleteSignups(req.signupIds);
+
+    deleted.forEach(signup => {
+      adminService.redactSignupAuditLog(signup.id, signup.email);
+      webhookService.dispatch('signup.deleted', {
+        ...signup,
+        deleted_by: getActor(req)
+      });
+    });
+
+    if (deleted.length > 0) {
+      auditBulk(req, 'signups_bulk_deleted', `Deleted ${deleted.length} signups`, deleted.map(signup => signup.id));
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted ${deleted.length} signups`,
+      deleted: deleted.length
+    });
+  } catch (error) {
+    console.error('Error bulk deleting signups:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Export selected signups (requires export_signups)
+// Takes a bulk selection in the body and the export options of GET /api/waitlist/export in the query string
+app.post('/api/waitlist/bulk/export', authenticateToken, requirePermission(PERMISSIONS.EXPORT_SIGNUPS), [
+  ...bulkSelectionValidators,
+  ...exportValidators
+], handleValidation, loadBulkSelection, (req, res) => {
+  if (req.signupIds.length > 0) {
+    auditBulk(req, 'signups_bulk_exported', `Exported ${req.signupIds.length} signups`, req.signupIds);
+  }
+
+  return streamExport(req, res, { ids: req.signupIds });
+});
+
+const inviteCodeValidators = [
+  body('code').isString().withMessage('code is required').bail().trim().isLength({ min: 1, max: 40 }).withMessage('code is required')
+];
+
+// Invite code responses: 404 unknown, 410 already used or expired
+const INVITE_ERROR_STATUS = {
+  INVALID_CODE: 404,
+  ALREADY_REDEEMED: 410,
+  EXPIRED: 410
+};
+
+// Check an invite code without using it (for the product's sign-up form)
+// Requires redeem_invites, or an API key with the invites scope
+app.post('/api/invites/validate', authenticateTokenOrApiKey, requirePermission(PERMISSIONS.REDEEM_INVITES), inviteCodeValidators, handleValidation, (req, res) => {
+  try {
+    const result = waitlistService.checkInvite(req.body.code);
+    res.status(result.success ? 200 : INVITE_ERROR_STATUS[result.code]).json(result);
+  } catch (error) {
+    console.error('Error validating invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Use an invite code once the person has an account; the signup becomes activated
+// Requires redeem_invites, or an API key with the invites scope
+app.post('/api/invites/redeem', authenticateTokenOrApiKey, requirePermission(PERMISSIONS.REDEEM_INVITES), inviteCodeValidators, handleValidation, (req, res) => {
+  try {
+    const result = waitlistService.redeemInvite(req.body.code);
+
+    if (result.success) {
+      webhookService.dispatch('signup.status_changed', {
+        ...waitlistService.getSignup(result.signup.id),
+        previous_status: 'invited',
+        changed_by: getActor(req)
+      });
+    }
+
+    res.status(result.success ? 200 : INVITE_ERROR_STATUS[result.code]).json(result);
+  } catch (error) {
+    console.error('Error redeeming invite:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Download everything stored about a signup as JSON (requires export_signups)
+app.get('/api/waitlist/:id/data', authenticateToken, requirePermission(PERMISSIONS.EXPORT_SIGNUPS), signupIdValidator, handleValidation, loadSignup, (req, res) => {
+  try {
+    auditSignup(req, 'signup_data_exported', `Downloaded the personal data of signup #${req.signup.id}`);
+    sendPersonalData(res, req.signup.id);
+  } catch (error) {
+    console.error('Error exporting signup data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Anonymise a signup: it stays in counts and analytics but nothing identifies the person (requires delete_signups)
+app.post('/api/waitlist/:id/anonymise', authenticateToken, requirePermission(PERMISSIONS.DELETE_SIGNUPS), signupIdValidator, handleValidation, loadSignup, (req, res) => {
+  try {
+    if (req.signup.anonymised_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Signup is already anonymised'
+      });
+    }
+
+    const previous = waitlistService.anonymiseSignup(req.signup.id);
+
+    adminService.redactSignupAuditLog(previous.id, previous.email);
+    auditSignup(req, 'signup_anonymised', `Anonymised signup #${previous.id}`);
+
+    webhookService.dispatch('signup.anonymised', {
+      id: previous.id,
+      email: previous.email,
+      anonymised_by: getActor(req)
+    });
+
+    res.json({ success: true, message: 'Signup anonymised', signup: waitlistService.getSignup(previous.id) });
+  } catch (error) {
+    console.error('Error anonymising signup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Delete a signup (requires delete_signups)
+app.delete('/api/waitlist/:id', authenticateToken, requirePermission(PERMISSIONS.DELETE_SIGNUPS), (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const signup = Number.isInteger(id) ? waitlistService.deleteSignup(id) : null;
+
+    if (!signup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Signup not found'
+      });
+    }
+
+    adminService.redactSignupAuditLog(signup.id, signup.email);
+    adminService.logAudit(
+      req.user.id,
+      'signup_deleted',
+      req.ip,
+      req.headers['user-agent'],
+      true,
+      `Deleted signup #${signup.id}`,
+      signup.id
+    );
+
+    webhookService.dispatch('signup.deleted', {
+      ...signup,
+      deleted_by: getActor(req)
+    });
+
+    res.json({ success: true, message: 'Signup deleted' });
+  } catch (error) {
+    console.error('Error deleting signup:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error'
+    });
+  }
+});
+
+// Audit the signups merged while normalising stored emails on startup, and move their history over
+const auditStartupMerges = () => {
+  try {
+    waitlistService.startupMerges.forEach(({ primaryId, mergedIds }) => {
+      adminService.moveSignupAuditLog(mergedIds, primaryId);
+      adminService.logAudit(
+        null,
+        'signups_merged',
+        null,
+        null,
+        true,
+        `Merged ${describeSignupIds(mergedIds)} into #${primaryId}: same email apart from case or spacing`,
+        primaryId
+      );
+    });
+  } catch (error) {
+    console.error('Error auditing startup merges:', error);
+  }
+};
+
+// Strip IP addresses and user agents from signups older than DATA_RETENTION_DAYS
+const RETENTION_INTERVAL_MS = 60 * 60 * 1000;
+
+const applyDataRetention = () => {
+  try {
+    const days = getDataRetentionDays();
+    if (days === 0) return;
+
+    const ids = waitlistService.purgeRequestMetadata(days);
+    if (ids.length > 0) {
+      adminService.logAudit(
+        null,
+        'signup_metadata_purged',
+        null,
+        null,
+        true,
+        `Removed IP addresses and user agents from ${ids.length} signups older than ${days} days (${describeSignupIds(ids)})`
+      );
+    }
+  } catch (error) {
+    console.error('Error applying data retention:', error);
+  }
+};
+
+// Start server
+app.listen(PORT, () => {
+  // Deliver queued webhooks and retry failed ones in the background
+  webhookService.start();
+
+  auditStartupMerges();
+
+  // Apply the retention period now and then hourly (the timer doesn't keep the process alive)
+  applyDataRetention();
+  setInterval(applyDataRetention, RETENTION_INTERVAL_MS).unref();
+
   console.log('');
   console.log('='.repeat(60));
   console.log('📧 LogosAI Waitlist Server');
@@ -179,9 +1635,19 @@ app.listen(PORT, () => {
   console.log('API Endpoints:');
   console.log(`  POST http://localhost:${PORT}/api/auth/login`);
   console.log(`  POST http://localhost:${PORT}/api/waitlist/signup`);
+  console.log(`  GET  http://localhost:${PORT}/api/waitlist/confirm/:token`);
   console.log(`  GET  http://localhost:${PORT}/api/waitlist/count`);
   console.log(`  GET  http://localhost:${PORT}/api/waitlist/all (auth required)`);
   console.log(`  GET  http://localhost:${PORT}/api/waitlist/export (auth required)`);
+  console.log(`  POST http://localhost:${PORT}/api/waitlist/import (auth required)`);
+  console.log(`  POST http://localhost:${PORT}/api/waitlist/invite (auth required)`);
+  console.log(`  DEL  http://localhost:${PORT}/api/waitlist/:id (auth required)`);
+  console.log(`  POST http://localhost:${PORT}/api/invites/redeem (API key required)`);
+  console.log(`  GET  http://localhost:${PORT}/api/analytics/* (auth required)`);
+  console.log(`  GET  http://localhost:${PORT}/api/admins (auth required)`);
+  console.log(`  GET  http://localhost:${PORT}/api/settings (auth required)`);
+  console.log(`  GET  http://localhost:${PORT}/api/api-keys (auth required)`);
+  console.log(`  GET  http://localhost:${PORT}/api/webhooks (auth required)`);
   console.log('');
   console.log('Press Ctrl+C to stop the server');
   console.log('='.repeat(60));
@@ -1,11 +1,21 @@
 import jwt from 'jsonwebtoken';
 import rateLimit from 'express-rate-limit';
+import adminService, { getRolePermissions } from '../services/admin.service.js';
+import apiKeyService from '../services/api-key.service.js';
+import { EMAIL_PATTERN, WEBMAIL_DOMAINS, normaliseEmail } from '../utils/email.js';
 
 // JWT Secret - should be in .env, fallback for development
 const JWT_SECRET = process.env.JWT_SECRET || 'CHANGE_THIS_IN_PRODUCTION_' + Math.random();
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '24h';
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
 
+// Admin session tokens carry this issuer and audience; emailed link tokens (utils/tokens.js)
+// share the secret but use another audience, so they can never pass as an admin session
+const ADMIN_TOKEN_OPTIONS = {
+  issuer: 'logosai-server',
+  audience: 'logosai-admin'
+};
+
 // Warn if using default secret
 if (!process.env.JWT_SECRET) {
   console.warn('⚠️  WARNING: JWT_SECRET not set in .env! Using temporary secret. DO NOT USE IN PRODUCTION!');
@@ -32,8 +42,12 @@ const authenticateToken = (req, res, next) => {
       });
     }
 
-    // Verify token
-    jwt.verify(token, JWT_SECRET, (err, user) => {
+    // Verify token (only access tokens: refresh tokens and emailed link tokens are refused)
+    jwt.verify(token, JWT_SECRET, ADMIN_TOKEN_OPTIONS, (err, user) => {
+      if (!err && user.type !== 'access') {
+        err = new Error('Invalid token type');
+      }
+
       if (err) {
         // Token expired or invalid
         if (err.name === 'TokenExpiredError') {
@@ -65,10 +79,52 @@ const authenticateToken = (req, res, next) => {
 };
 
 /**
- * Admin-only middleware
- * Must be used after authenticateToken
+ * Authentication Middleware for read endpoints that also accept API keys
+ * An X-API-Key header takes precedence; otherwise falls back to JWT auth
+ * Sets req.apiKey (and no req.user) for key-authenticated requests
+ */
+const authenticateTokenOrApiKey = (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    return authenticateToken(req, res, next);
+  }
+
+  const key = apiKeyService.authenticate(apiKey, req.ip);
+  if (!key) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid or revoked API key.',
+      code: 'INVALID_API_KEY'
+    });
+  }
+
+  req.apiKey = key;
+  next();
+};
+
+/**
+ * Permission middleware
+ * Must be used after authenticateToken (or authenticateTokenOrApiKey)
+ * Re-reads the admin so role changes and deactivation apply immediately
  */
-const requireAdmin = (req, res, next) => {
+const requirePermission = (...permissions) => (req, res, next) => {
+  // API keys carry the permissions of their scopes
+  if (req.apiKey) {
+    const missing = permissions.filter(permission => !req.apiKey.permissions.includes(permission));
+
+    if (permissions.length === 0 || missing.length > 0) {
+      return res.status(403).json({
+        success: false,
+        error: 'This API key does not have the required scope',
+        code: 'INSUFFICIENT_SCOPE',
+        required: missing
+      });
+    }
+
+    return next();
+  }
+
   if (!req.user) {
     return res.status(401).json({
       success: false,
@@ -76,14 +132,38 @@ const requireAdmin = (req, res, next) => {
     });
   }
 
-  if (req.user.role !== 'admin') {
+  const admin = adminService.getAdminById(req.user.id);
+  if (!admin || !admin.is_active) {
+    return res.status(403).json({
+      success: false,
+      error: 'Account not found or disabled',
+      code: 'ACCOUNT_DISABLED'
+    });
+  }
+
+  // Admins with a temporary password may only change it
+  if (admin.must_change_password) {
     return res.status(403).json({
       success: false,
-      error: 'Admin access required',
-      code: 'INSUFFICIENT_PERMISSIONS'
+      error: 'You must change your password before continuing',
+      code: 'PASSWORD_CHANGE_REQUIRED'
     });
   }
 
+  const granted = getRolePermissions(admin.role);
+  const missing = permissions.filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action',
+      code: 'INSUFFICIENT_PERMISSIONS',
+      required: missing
+    });
+  }
+
+  req.user.role = admin.role;
+  req.user.permissions = granted;
   next();
 };
 
@@ -120,6 +200,84 @@ const apiRateLimiter = rateLimit({
   legacyHeaders: false
 });
 
+/**
+ * Rate limiter for public data export and deletion requests
+ * Each request emails a link, so this stops anyone flooding an inbox
+ */
+const privacyRequestRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per windowMs
+  message: {
+    success: false,
+    error: 'Too many requests. Please try again in 15 minutes.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Rate limiter for public waitlist status lookups
+ * Each request emails a link, so this stops anyone flooding an inbox
+ */
+const statusRequestRateLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // 5 requests per windowMs
+  message: {
+    success: false,
+    error: 'Too many requests. Please try again in 15 minutes.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Only signups and duplicates (409) count toward the signup limits, so people fixing a form
+ * error (400) or retrying after a server error (5xx) aren't locked out
+ */
+const countsTowardSignupLimit = (req, res) => res.statusCode < 300 || res.statusCode === 409;
+
+/**
+ * Rate limiter for public signups per IP address
+ * Generous enough for a church office signing its staff up from one connection
+ */
+const signupRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // 10 signups per windowMs
+  message: {
+    success: false,
+    message: 'Too many signups from your network. Please try again later.',
+    code: 'RATE_LIMIT_EXCEEDED'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipFailedRequests: true,
+  requestWasSuccessful: countsTowardSignupLimit
+});
+
+/**
+ * Limiter for public signups per email domain (webmail providers are exempt)
+ * Signups over the limit aren't refused: they are flagged with req.signupDomainLimited
+ * and quarantined for an admin to review, since a whole church may share a domain
+ */
+const signupDomainRateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // 20 signups per domain per windowMs
+  standardHeaders: false,
+  legacyHeaders: false,
+  skipFailedRequests: true,
+  requestWasSuccessful: countsTowardSignupLimit,
+  keyGenerator: (req) => `domain:${normaliseEmail(req.body.email).split('@').pop()}`,
+  skip: (req) => typeof req.body.email !== 'string' ||
+    !EMAIL_PATTERN.test(normaliseEmail(req.body.email)) ||
+    WEBMAIL_DOMAINS.includes(normaliseEmail(req.body.email).split('@').pop()),
+  handler: (req, res, next) => {
+    req.signupDomainLimited = true;
+    next();
+  }
+});
+
 /**
  * Generate JWT access token
  */
@@ -128,13 +286,13 @@ const generateAccessToken = (user) => {
     {
       id: user.id,
       username: user.username,
-      role: user.role
+      role: user.role,
+      type: 'access'
     },
     JWT_SECRET,
     {
-      expiresIn: JWT_EXPIRES_IN,
-      issuer: 'logosai-server',
-      audience: 'logosai-admin'
+      ...ADMIN_TOKEN_OPTIONS,
+      expiresIn: JWT_EXPIRES_IN
     }
   );
 };
@@ -150,9 +308,8 @@ const generateRefreshToken = (user) => {
     },
     JWT_SECRET,
     {
-      expiresIn: JWT_REFRESH_EXPIRES_IN,
-      issuer: 'logosai-server',
-      audience: 'logosai-admin'
+      ...ADMIN_TOKEN_OPTIONS,
+      expiresIn: JWT_REFRESH_EXPIRES_IN
     }
   );
 };
@@ -162,7 +319,7 @@ const generateRefreshToken = (user) => {
  */
 const verifyRefreshToken = (token) => {
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
+    const decoded = jwt.verify(token, JWT_SECRET, ADMIN_TOKEN_OPTIONS);
     if (decoded.type !== 'refresh') {
       throw new Error('Invalid token type');
     }
@@ -178,14 +335,22 @@ const verifyRefreshToken = (token) => {
  */
 const sanitizeUser = (user) => {
   const { password, ...safeUser } = user;
-  return safeUser;
+  return {
+    ...safeUser,
+    permissions: getRolePermissions(safeUser.role)
+  };
 };
 
 export {
   authenticateToken,
-  requireAdmin,
+  authenticateTokenOrApiKey,
+  requirePermission,
   loginRateLimiter,
   apiRateLimiter,
+  privacyRequestRateLimiter,
+  statusRequestRateLimiter,
+  signupRateLimiter,
+  signupDomainRateLimiter,
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
@@ -0,0 +1,32 @@
+import { validationResult } from 'express-validator';
+import adminService from '../services/admin.service.js';
+
+/**
+ * Reject the request with 400 if validation failed
+ * The first failure's message is in details[0].msg
+ */
+export const handleValidation = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+};
+
+/**
+ * Record a successful action by the signed-in admin in the audit log
+ */
+export const audit = (req, action, details) => {
+  adminService.logAudit(
+    req.user.id,
+    action,
+    req.ip,
+    req.headers['user-agent'],
+    true,
+    details
+  );
+};
@@ -0,0 +1,405 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import adminService, { ROLES, PERMISSIONS, canManageRole } from '../services/admin.service.js';
+import { authenticateToken, requirePermission, sanitizeUser } from '../middleware/auth.js';
+import { handleValidation, audit } from '../middleware/common.js';
+
+const router = express.Router();
+
+/**
+ * Load the target admin into req.targetAdmin and check the caller may manage it
+ * Only owners may manage owners
+ */
+const loadTargetAdmin = (req, res, next) => {
+  const target = adminService.getAdminById(parseInt(req.params.id));
+
+  if (!target) {
+    return res.status(404).json({
+      success: false,
+      error: 'Admin not found'
+    });
+  }
+
+  if (!canManageRole(req.user.role, target.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only owners can manage owner accounts',
+      code: 'INSUFFICIENT_PERMISSIONS'
+    });
+  }
+
+  req.targetAdmin = target;
+  next();
+};
+
+/**
+ * Refuse changes to the caller's own account (use /api/auth for that)
+ */
+const preventSelf = (req, res, next) => {
+  if (req.targetAdmin.id === req.user.id) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot perform this action on your own account'
+    });
+  }
+  next();
+};
+
+/**
+ * Refuse to demote or disable the last active owner
+ */
+const isLastOwner = (admin) => {
+  return admin.role === 'owner' && admin.is_active && adminService.countActiveOwners(admin.id) === 0;
+};
+
+const idValidator = param('id').isInt({ min: 1 }).withMessage('Invalid admin ID');
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.MANAGE_ADMINS));
+
+/**
+ * GET /api/admins
+ * List all admin accounts
+ */
+router.get('/', (req, res) => {
+  try {
+    const admins = adminService.getAllAdmins().map(sanitizeUser);
+
+    res.json({
+      success: true,
+      data: { admins }
+    });
+  } catch (error) {
+    console.error('List admins error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list admins'
+    });
+  }
+});
+
+/**
+ * POST /api/admins
+ * Create an admin account
+ */
+router.post('/',
+  [
+    body('username')
+      .trim()
+      .isLength({ min: 3 })
+      .withMessage('Username must be at least 3 characters')
+      .escape(),
+    body('password')
+      .isLength({ min: 8 })
+      .withMessage('Password must be at least 8 characters')
+      .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+      .withMessage('Password must contain uppercase, lowercase, and number'),
+    body('email')
+      .optional({ values: 'falsy' })
+      .isEmail()
+      .withMessage('Invalid email format')
+      .normalizeEmail(),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { username, password, email, role = 'admin' } = req.body;
+
+      if (!canManageRole(req.user.role, role)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only owners can create owner accounts',
+          code: 'INSUFFICIENT_PERMISSIONS'
+        });
+      }
+
+      const created = adminService.createAdmin(username, password, email || null, role);
+      audit(req, 'admin_created', `Created ${role}: ${username}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Admin created successfully',
+        data: {
+          admin: sanitizeUser(adminService.getAdminById(created.id))
+        }
+      });
+    } catch (error) {
+      console.error('Create admin error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to create admin'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admins/:id
+ * View a single admin account
+ */
+router.get('/:id',
+  [idValidator],
+  handleValidation,
+  (req, res) => {
+    const admin = adminService.getAdminById(parseInt(req.params.id));
+
+    if (!admin) {
+      return res.status(404).json({
+        success: false,
+        error: 'Admin not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { admin: sanitizeUser(admin) }
+    });
+  }
+);
+
+/**
+ * PATCH /api/admins/:id
+ * Update an admin's email and/or role
+ */
+router.patch('/:id',
+  [
+    idValidator,
+    // An empty string clears the email
+    body('email')
+      .optional({ values: 'null' })
+      .if(body('email').notEmpty())
+      .isEmail()
+      .withMessage('Invalid email format'),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
+  ],
+  handleValidation,
+  loadTargetAdmin,
+  (req, res) => {
+    try {
+      const target = req.targetAdmin;
+      const { email, role } = req.body;
+
+      if (role !== undefined && role !== target.role) {
+        if (target.id === req.user.id) {
+          return res.status(400).json({
+            success: false,
+            error: 'You cannot change your own role'
+          });
+        }
+
+        if (!canManageRole(req.user.role, role)) {
+          return res.status(403).json({
+            success: false,
+            error: 'Only owners can grant the owner role',
+            code: 'INSUFFICIENT_PERMISSIONS'
+          });
+        }
+
+        if (isLastOwner(target)) {
+          return res.status(400).json({
+            success: false,
+            error: 'There must be at least one active owner'
+          });
+        }
+      }
+
+      const admin = adminService.updateAdmin(target.id, {
+        email: email === undefined ? undefined : email?.trim().toLowerCase(),
+        role
+      });
+
+      const changes = [];
+      if (email !== undefined && (email || null) !== target.email) changes.push(`email: ${target.email || 'none'} -> ${email || 'none'}`);
+      if (role !== undefined && role !== target.role) changes.push(`role: ${target.role} -> ${role}`);
+      if (changes.length > 0) {
+        audit(req, 'admin_updated', `Updated ${target.username} (${changes.join(', ')})`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Admin updated successfully',
+        data: { admin: sanitizeUser(admin) }
+      });
+    } catch (error) {
+      console.error('Update admin error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to update admin'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admins/:id/deactivate
+ * Disable an account and sign it out everywhere
+ */
+router.post('/:id/deactivate',
+  [idValidator],
+  handleValidation,
+  loadTargetAdmin,
+  preventSelf,
+  (req, res) => {
+    try {
+      const target = req.targetAdmin;
+
+      if (isLastOwner(target)) {
+        return res.status(400).json({
+          success: false,
+          error: 'There must be at least one active owner'
+        });
+      }
+
+      adminService.deactivateAdmin(target.id);
+      audit(req, 'admin_deactivated', `Deactivated ${target.username}`);
+
+      res.json({
+        success: true,
+        message: 'Admin deactivated',
+        data: { admin: sanitizeUser(adminService.getAdminById(target.id)) }
+      });
+    } catch (error) {
+      console.error('Deactivate admin error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to deactivate admin'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admins/:id/activate
+ * Re-enable a disabled account
+ */
+router.post('/:id/activate',
+  [idValidator],
+  handleValidation,
+  loadTargetAdmin,
+  preventSelf,
+  (req, res) => {
+    try {
+      const target = req.targetAdmin;
+
+      adminService.activateAdmin(target.id);
+      audit(req, 'admin_activated', `Activated ${target.username}`);
+
+      res.json({
+        success: true,
+        message: 'Admin activated',
+        data: { admin: sanitizeUser(adminService.getAdminById(target.id)) }
+      });
+    } catch (error) {
+      console.error('Activate admin error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to activate admin'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admins/:id/reset-password
+ * Set a temporary password the admin must change on next login
+ * The temporary password is returned once and never stored in plain text
+ */
+router.post('/:id/reset-password',
+  [idValidator],
+  handleValidation,
+  loadTargetAdmin,
+  preventSelf,
+  async (req, res) => {
+    try {
+      const target = req.targetAdmin;
+
+      const temporaryPassword = await adminService.resetPassword(target.id);
+      audit(req, 'admin_password_reset', `Reset password for ${target.username}`);
+
+      res.json({
+        success: true,
+        message: 'Password reset. Share the temporary password with the admin securely.',
+        data: {
+          admin: sanitizeUser(adminService.getAdminById(target.id)),
+          temporaryPassword
+        }
+      });
+    } catch (error) {
+      console.error('Reset admin password error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset password'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admins/:id/reset-2fa
+ * Turn off two-factor for an admin who lost their authenticator and recovery codes
+ */
+router.post('/:id/reset-2fa',
+  [idValidator],
+  handleValidation,
+  loadTargetAdmin,
+  preventSelf,
+  (req, res) => {
+    try {
+      const target = req.targetAdmin;
+
+      adminService.disableTotp(target.id);
+      adminService.revokeAllRefreshTokens(target.id);
+      audit(req, 'admin_2fa_reset', `Reset two-factor for ${target.username}`);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication reset',
+        data: { admin: sanitizeUser(adminService.getAdminById(target.id)) }
+      });
+    } catch (error) {
+      console.error('Reset admin 2FA error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reset two-factor authentication'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admins/:id/unlock
+ * Clear a lockout from too many failed logins
+ */
+router.post('/:id/unlock',
+  [idValidator],
+  handleValidation,
+  loadTargetAdmin,
+  (req, res) => {
+    try {
+      const target = req.targetAdmin;
+
+      adminService.unlockAdmin(target.id);
+      audit(req, 'admin_unlocked', `Unlocked ${target.username}`);
+
+      res.json({
+        success: true,
+        message: 'Admin unlocked',
+        data: { admin: sanitizeUser(adminService.getAdminById(target.id)) }
+      });
+    } catch (error) {
+      console.error('Unlock admin error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to unlock admin'
+      });
+    }
+  }
+);
+
+export default router;
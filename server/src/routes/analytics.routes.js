@@ -0,0 +1,236 @@
+import express from 'express';
+import { query } from 'express-validator';
+import analyticsService, { GRANULARITIES, ATTRIBUTION_GROUPS } from '../services/analytics.service.js';
+import { PERMISSIONS } from '../services/admin.service.js';
+import { authenticateTokenOrApiKey, requirePermission } from '../middleware/auth.js';
+import {
+  DATE_ONLY,
+  isValidTimeZone,
+  toLocalDate,
+  addDays,
+  addMonths,
+  startOfMonth
+} from '../utils/dates.js';
+import { handleValidation } from '../middleware/common.js';
+
+const router = express.Router();
+
+// Longest range a single request may aggregate
+const MAX_RANGE_DAYS = 3660;
+
+const timeZoneValidator = query('tz')
+  .optional()
+  .custom(isValidTimeZone)
+  .withMessage('tz must be an IANA time zone, e.g. Africa/Lagos');
+
+// strict rejects dates that don't exist, e.g. 2024-13-45 or 2023-02-29
+const dateRangeValidators = ['from', 'to'].map(field => query(field)
+  .optional()
+  .matches(DATE_ONLY).withMessage(`${field} must be a YYYY-MM-DD date`).bail()
+  .isISO8601({ strict: true }).withMessage(`${field} must be a real date`));
+
+/**
+ * Check an explicit from/to pair is ordered and not unreasonably long
+ */
+const validateRange = (from, to) => {
+  if (from > to) {
+    return 'from must be on or before to';
+  }
+
+  const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000;
+  if (days > MAX_RANGE_DAYS) {
+    return `Date range cannot exceed ${MAX_RANGE_DAYS} days`;
+  }
+
+  return null;
+};
+
+// Aggregates only, so API keys with the read:count scope may use these too
+router.use(authenticateTokenOrApiKey, requirePermission(PERMISSIONS.VIEW_ANALYTICS));
+
+/**
+ * GET /api/analytics/summary
+ * Totals plus signups today, last 7 days and last 30 days
+ */
+router.get('/summary',
+  [timeZoneValidator],
+  handleValidation,
+  (req, res) => {
+    try {
+      const summary = analyticsService.getSummary(req.query.tz || 'UTC');
+      res.json({ success: true, data: summary });
+    } catch (error) {
+      console.error('Analytics summary error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get analytics summary'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/timeseries
+ * Signup counts per day/week/month with cumulative totals
+ * Defaults: last 30 days, last 12 weeks or last 6 months depending on granularity
+ */
+router.get('/timeseries',
+  [
+    query('granularity').optional().isIn(GRANULARITIES).withMessage(`granularity must be one of: ${GRANULARITIES.join(', ')}`),
+    ...dateRangeValidators,
+    timeZoneValidator
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const timeZone = req.query.tz || 'UTC';
+      const granularity = req.query.granularity || 'day';
+      const to = req.query.to || toLocalDate(new Date(), timeZone);
+      const from = req.query.from || (
+        granularity === 'month'
+          ? startOfMonth(addMonths(to, -5))
+          : addDays(to, granularity === 'week' ? -83 : -29)
+      );
+
+      const rangeError = validateRange(from, to);
+      if (rangeError) {
+        return res.status(400).json({ success: false, error: rangeError });
+      }
+
+      const data = analyticsService.getTimeSeries({ granularity, from, to, timeZone });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Analytics timeseries error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get signup time series'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/churches
+ * Churches ranked by number of signups
+ */
+router.get('/churches',
+  [
+    query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('limit must be between 1 and 100'),
+    ...dateRangeValidators,
+    timeZoneValidator
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && !to) || (!from && to)) {
+        return res.status(400).json({ success: false, error: 'from and to must be provided together' });
+      }
+
+      const rangeError = from && validateRange(from, to);
+      if (rangeError) {
+        return res.status(400).json({ success: false, error: rangeError });
+      }
+
+      const churches = analyticsService.getTopChurches({
+        limit: parseInt(req.query.limit) || 10,
+        from,
+        to,
+        timeZone: req.query.tz || 'UTC'
+      });
+
+      res.json({ success: true, data: { churches } });
+    } catch (error) {
+      console.error('Analytics churches error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get church breakdown'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/attribution
+ * Signups and confirmation rate by source, medium and campaign (group_by one of them to roll up)
+ * Defaults to the last 30 days
+ */
+router.get('/attribution',
+  [
+    query('group_by').optional().isIn(ATTRIBUTION_GROUPS).withMessage(`group_by must be one of: ${ATTRIBUTION_GROUPS.join(', ')}`),
+    ...dateRangeValidators,
+    timeZoneValidator
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const timeZone = req.query.tz || 'UTC';
+      const to = req.query.to || toLocalDate(new Date(), timeZone);
+      const from = req.query.from || addDays(to, -29);
+
+      const rangeError = validateRange(from, to);
+      if (rangeError) {
+        return res.status(400).json({ success: false, error: rangeError });
+      }
+
+      const data = analyticsService.getAttribution({
+        from,
+        to,
+        timeZone,
+        groupBy: req.query.group_by || 'all'
+      });
+      res.json({ success: true, data });
+    } catch (error) {
+      console.error('Analytics attribution error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get signup attribution'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/analytics/growth
+ * Current period vs previous period (calendar day/week/month, or a custom from/to)
+ */
+router.get('/growth',
+  [
+    query('period').optional().isIn(GRANULARITIES).withMessage(`period must be one of: ${GRANULARITIES.join(', ')}`),
+    ...dateRangeValidators,
+    timeZoneValidator
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && !to) || (!from && to)) {
+        return res.status(400).json({ success: false, error: 'from and to must be provided together' });
+      }
+
+      const rangeError = from && validateRange(from, to);
+      if (rangeError) {
+        return res.status(400).json({ success: false, error: rangeError });
+      }
+
+      const growth = analyticsService.getGrowth({
+        period: req.query.period || 'month',
+        from,
+        to,
+        timeZone: req.query.tz || 'UTC'
+      });
+
+      res.json({ success: true, data: growth });
+    } catch (error) {
+      console.error('Analytics growth error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to get growth comparison'
+      });
+    }
+  }
+);
+
+export default router;
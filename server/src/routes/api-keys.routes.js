@@ -0,0 +1,149 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import apiKeyService, { API_KEY_SCOPES } from '../services/api-key.service.js';
+import adminService, { PERMISSIONS } from '../services/admin.service.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { handleValidation } from '../middleware/common.js';
+
+const router = express.Router();
+
+const idValidator = param('id').isInt({ min: 1 }).withMessage('Invalid API key ID');
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.MANAGE_API_KEYS));
+
+/**
+ * GET /api/api-keys
+ * List API keys (secrets are never returned)
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        keys: apiKeyService.listKeys(),
+        scopes: API_KEY_SCOPES
+      }
+    });
+  } catch (error) {
+    console.error('List API keys error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys'
+    });
+  }
+});
+
+/**
+ * POST /api/api-keys
+ * Create a key. The secret is in the response and can't be retrieved later
+ */
+router.post('/',
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Name must be between 1 and 100 characters')
+      .escape(),
+    body('scopes')
+      .isArray({ min: 1 })
+      .withMessage('Select at least one scope'),
+    body('scopes.*')
+      .isIn(API_KEY_SCOPES)
+      .withMessage(`Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`)
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { key, secret } = apiKeyService.createKey(req.body, req.user.id);
+
+      adminService.logAudit(req.user.id, 'api_key_created', req.ip, req.headers['user-agent'], true,
+        `Created API key "${key.name}" (${key.key_prefix}…) with scopes: ${key.scopes.join(', ')}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'API key created. Copy it now - it will not be shown again.',
+        data: { key, secret }
+      });
+    } catch (error) {
+      console.error('Create API key error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to create API key'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/api-keys/:id/rotate
+ * Issue a new secret for a key and revoke the old one
+ */
+router.post('/:id/rotate',
+  [idValidator],
+  handleValidation,
+  (req, res) => {
+    try {
+      const rotated = apiKeyService.rotateKey(parseInt(req.params.id), req.user.id);
+
+      if (!rotated) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or already revoked'
+        });
+      }
+
+      adminService.logAudit(req.user.id, 'api_key_rotated', req.ip, req.headers['user-agent'], true,
+        `Rotated API key "${rotated.key.name}" (now ${rotated.key.key_prefix}…)`);
+
+      res.json({
+        success: true,
+        message: 'API key regenerated. Copy it now - it will not be shown again.',
+        data: rotated
+      });
+    } catch (error) {
+      console.error('Rotate API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate API key'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/api-keys/:id
+ * Revoke a key (kept in the list for the record)
+ */
+router.delete('/:id',
+  [idValidator],
+  handleValidation,
+  (req, res) => {
+    try {
+      const id = parseInt(req.params.id);
+      const key = apiKeyService.getKey(id);
+
+      if (!key || !apiKeyService.revokeKey(id)) {
+        return res.status(404).json({
+          success: false,
+          error: 'API key not found or already revoked'
+        });
+      }
+
+      adminService.logAudit(req.user.id, 'api_key_revoked', req.ip, req.headers['user-agent'], true,
+        `Revoked API key "${key.name}" (${key.key_prefix}…)`);
+
+      res.json({
+        success: true,
+        message: 'API key revoked'
+      });
+    } catch (error) {
+      console.error('Revoke API key error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to revoke API key'
+      });
+    }
+  }
+);
+
+export default router;
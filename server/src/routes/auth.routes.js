@@ -1,19 +1,77 @@
 import express from 'express';
-import { body, validationResult } from 'express-validator';
+import { body } from 'express-validator';
 import crypto from 'crypto';
-import adminService from '../services/admin.service.js';
+import QRCode from 'qrcode';
+import adminService, { ROLES, PERMISSIONS, canManageRole } from '../services/admin.service.js';
 import {
   authenticateToken,
-  requireAdmin,
+  requirePermission,
   loginRateLimiter,
   generateAccessToken,
   generateRefreshToken,
   verifyRefreshToken,
   sanitizeUser
 } from '../middleware/auth.js';
+import { signToken, verifyToken } from '../utils/tokens.js';
+import { buildOtpAuthUri } from '../utils/totp.js';
+import { handleValidation } from '../middleware/common.js';
 
 const router = express.Router();
 
+// How long a password-verified login waits for its second factor
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TOTP_ISSUER = 'LogosAI Admin';
+
+/**
+ * Issue access + refresh tokens for an authenticated admin
+ * Sets httpOnly cookies and returns the login response payload
+ */
+const issueSession = (res, admin) => {
+  // Generate tokens
+  const accessToken = generateAccessToken({
+    id: admin.id,
+    username: admin.username,
+    role: admin.role
+  });
+
+  const refreshToken = generateRefreshToken({
+    id: admin.id,
+    username: admin.username
+  });
+
+  // Store refresh token in database
+  const refreshTokenHash = crypto
+    .createHash('sha256')
+    .update(refreshToken)
+    .digest('hex');
+
+  const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
+  adminService.storeRefreshToken(admin.id, refreshTokenHash, expiresAt.toISOString());
+
+  // Set httpOnly cookies (most secure)
+  res.cookie('auth_token', accessToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production', // HTTPS only in production
+    sameSite: 'strict',
+    maxAge: 24 * 60 * 60 * 1000 // 24 hours
+  });
+
+  res.cookie('refresh_token', refreshToken, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+  });
+
+  // Return tokens (for non-cookie clients like mobile apps)
+  return {
+    user: sanitizeUser(admin),
+    accessToken,
+    refreshToken,
+    expiresIn: 86400 // 24 hours in seconds
+  };
+};
+
 /**
  * POST /api/auth/login
  * Login with username and password
@@ -31,18 +89,9 @@ router.post('/login',
       .isLength({ min: 8 })
       .withMessage('Password must be at least 8 characters')
   ],
+  handleValidation,
   async (req, res) => {
     try {
-      // Validate input
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation failed',
-          details: errors.array()
-        });
-      }
-
       const { username, password } = req.body;
       const ipAddress = req.ip || req.connection.remoteAddress;
       const userAgent = req.headers['user-agent'];
@@ -50,60 +99,75 @@ router.post('/login',
       // Authenticate user
       const admin = await adminService.authenticate(username, password, ipAddress, userAgent);
 
-      // Generate tokens
-      const accessToken = generateAccessToken({
-        id: admin.id,
-        username: admin.username,
-        role: admin.role
-      });
+      // 2FA enabled: no session yet, just a short-lived challenge for /login/verify
+      if (admin.twoFactorRequired) {
+        return res.json({
+          success: true,
+          message: 'Enter the code from your authenticator app',
+          data: {
+            twoFactorRequired: true,
+            challengeToken: signToken('admin_2fa_challenge', { sub: admin.id }, TWO_FACTOR_CHALLENGE_TTL)
+          }
+        });
+      }
 
-      const refreshToken = generateRefreshToken({
-        id: admin.id,
-        username: admin.username
+      res.json({
+        success: true,
+        message: 'Login successful',
+        data: issueSession(res, admin)
       });
+    } catch (error) {
+      console.error('Login error:', error);
 
-      // Store refresh token in database
-      const refreshTokenHash = crypto
-        .createHash('sha256')
-        .update(refreshToken)
-        .digest('hex');
-
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-      adminService.storeRefreshToken(admin.id, refreshTokenHash, expiresAt.toISOString());
-
-      // Set httpOnly cookies (most secure)
-      res.cookie('auth_token', accessToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production', // HTTPS only in production
-        sameSite: 'strict',
-        maxAge: 24 * 60 * 60 * 1000 // 24 hours
+      // Generic error message to prevent user enumeration
+      res.status(401).json({
+        success: false,
+        error: error.message || 'Invalid credentials'
       });
+    }
+  }
+);
 
-      res.cookie('refresh_token', refreshToken, {
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production',
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-      });
+/**
+ * POST /api/auth/login/verify
+ * Second login step: exchange a challenge token and a TOTP or recovery code for a session
+ * SECURITY: Shares the login rate limit and failed-attempt lockout
+ */
+router.post('/login/verify',
+  loginRateLimiter,
+  [
+    body('challengeToken').notEmpty().withMessage('Challenge token is required'),
+    body('code').trim().notEmpty().withMessage('Verification code is required')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const challenge = verifyToken('admin_2fa_challenge', req.body.challengeToken);
+      if (!challenge) {
+        return res.status(401).json({
+          success: false,
+          error: 'Login session expired. Please sign in again.',
+          code: 'INVALID_CHALLENGE'
+        });
+      }
+
+      const admin = await adminService.verifyLoginSecondFactor(
+        challenge.sub,
+        req.body.code,
+        req.ip || req.connection.remoteAddress,
+        req.headers['user-agent']
+      );
 
-      // Return tokens (for non-cookie clients like mobile apps)
       res.json({
         success: true,
         message: 'Login successful',
-        data: {
-          user: sanitizeUser(admin),
-          accessToken,
-          refreshToken,
-          expiresIn: 86400 // 24 hours in seconds
-        }
+        data: issueSession(res, admin)
       });
     } catch (error) {
-      console.error('Login error:', error);
-
-      // Generic error message to prevent user enumeration
+      console.error('Two-factor login error:', error);
       res.status(401).json({
         success: false,
-        error: error.message || 'Invalid credentials'
+        error: error.message || 'Invalid verification code'
       });
     }
   }
@@ -314,17 +378,9 @@ router.post('/change-password',
       .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
       .withMessage('Password must contain uppercase, lowercase, and number')
   ],
+  handleValidation,
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
-          success: false,
-          error: 'Validation failed',
-          details: errors.array()
-        });
-      }
-
       const { oldPassword, newPassword } = req.body;
 
       await adminService.changePassword(req.user.id, oldPassword, newPassword);
@@ -347,13 +403,187 @@ router.post('/change-password',
   }
 );
 
+/**
+ * GET /api/auth/2fa
+ * Two-factor status for the current admin
+ */
+router.get('/2fa', authenticateToken, (req, res) => {
+  try {
+    const admin = adminService.getAdminById(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        enabled: !!admin?.totp_enabled,
+        recoveryCodesRemaining: admin?.totp_enabled ? adminService.countRecoveryCodes(req.user.id) : 0
+      }
+    });
+  } catch (error) {
+    console.error('Get 2FA status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get two-factor status'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Generate a new secret and the provisioning URI / QR code for an authenticator app
+ */
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    const admin = adminService.getAdminById(req.user.id);
+    const secret = adminService.beginTotpSetup(req.user.id);
+    const otpauthUrl = buildOtpAuthUri(secret, { issuer: TOTP_ISSUER, account: admin.username });
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUrl,
+        qrCode: await QRCode.toDataURL(otpauthUrl)
+      }
+    });
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(400).json({
+      success: false,
+      error: error.message || 'Failed to start two-factor setup'
+    });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Confirm setup with a code and receive one-time recovery codes
+ */
+router.post('/2fa/enable',
+  authenticateToken,
+  [
+    body('code').trim().matches(/^\d{6}$/).withMessage('Enter the 6-digit code from your authenticator app')
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const recoveryCodes = adminService.enableTotp(req.user.id, req.body.code);
+
+      adminService.logAudit(req.user.id, '2fa_enabled', req.ip, req.headers['user-agent'], true);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication enabled',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('2FA enable error:', error);
+      res.status(400).json({
+        success: false,
+        error: error.message || 'Failed to enable two-factor authentication'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/disable
+ * Turn two-factor off (requires password and a current code or recovery code)
+ */
+router.post('/2fa/disable',
+  authenticateToken,
+  [
+    body('password').notEmpty().withMessage('Password is required'),
+    body('code').trim().notEmpty().withMessage('Verification code is required')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const admin = adminService.getAdminById(req.user.id);
+      if (!admin?.totp_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      const validPassword = await adminService.verifyPassword(req.user.id, req.body.password);
+      if (!validPassword || !adminService.verifyAdminSecondFactor(req.user.id, req.body.code)) {
+        adminService.logAudit(req.user.id, '2fa_disable_failed', req.ip, req.headers['user-agent'], false);
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid password or verification code'
+        });
+      }
+
+      adminService.disableTotp(req.user.id);
+      adminService.logAudit(req.user.id, '2fa_disabled', req.ip, req.headers['user-agent'], true);
+
+      res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+      });
+    } catch (error) {
+      console.error('2FA disable error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to disable two-factor authentication'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Replace all recovery codes (requires password)
+ */
+router.post('/2fa/recovery-codes',
+  authenticateToken,
+  [
+    body('password').notEmpty().withMessage('Password is required')
+  ],
+  handleValidation,
+  async (req, res) => {
+    try {
+      const admin = adminService.getAdminById(req.user.id);
+      if (!admin?.totp_enabled) {
+        return res.status(400).json({
+          success: false,
+          error: 'Two-factor authentication is not enabled'
+        });
+      }
+
+      if (!await adminService.verifyPassword(req.user.id, req.body.password)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid password'
+        });
+      }
+
+      const recoveryCodes = adminService.generateRecoveryCodes(req.user.id);
+      adminService.logAudit(req.user.id, 'recovery_codes_regenerated', req.ip, req.headers['user-agent'], true);
+
+      res.json({
+        success: true,
+        message: 'New recovery codes generated. Previous codes no longer work.',
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      console.error('Regenerate recovery codes error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate recovery codes'
+      });
+    }
+  }
+);
+
 /**
  * POST /api/auth/create-admin
- * Create new admin user (admin only)
+ * Create new admin user (requires manage_admins)
  */
 router.post('/create-admin',
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.MANAGE_ADMINS),
   [
     body('username')
       .trim()
@@ -369,22 +599,26 @@ router.post('/create-admin',
       .optional()
       .isEmail()
       .withMessage('Invalid email format')
-      .normalizeEmail()
+      .normalizeEmail(),
+    body('role')
+      .optional()
+      .isIn(ROLES)
+      .withMessage(`Role must be one of: ${ROLES.join(', ')}`)
   ],
+  handleValidation,
   async (req, res) => {
     try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
+      const { username, password, email, role = 'admin' } = req.body;
+
+      if (!canManageRole(req.user.role, role)) {
+        return res.status(403).json({
           success: false,
-          error: 'Validation failed',
-          details: errors.array()
+          error: 'Only owners can create owner accounts',
+          code: 'INSUFFICIENT_PERMISSIONS'
         });
       }
 
-      const { username, password, email } = req.body;
-
-      const newAdmin = adminService.createAdmin(username, password, email);
+      const newAdmin = adminService.createAdmin(username, password, email, role);
 
       // Log audit event
       adminService.logAudit(
@@ -393,7 +627,7 @@ router.post('/create-admin',
         req.ip,
         req.headers['user-agent'],
         true,
-        `Created admin: ${username}`
+        `Created ${role}: ${username}`
       );
 
       res.status(201).json({
@@ -415,11 +649,11 @@ router.post('/create-admin',
 
 /**
  * GET /api/auth/audit-logs
- * Get audit logs (admin only)
+ * Get audit logs (requires view_audit_log)
  */
 router.get('/audit-logs',
   authenticateToken,
-  requireAdmin,
+  requirePermission(PERMISSIONS.VIEW_AUDIT_LOG),
   (req, res) => {
     try {
       const limit = parseInt(req.query.limit) || 100;
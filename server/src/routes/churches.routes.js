@@ -0,0 +1,230 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import churchService, { MAX_CHURCH_NAME_LENGTH, MAX_CHURCH_FIELD_LENGTH, CHURCH_SORTABLE_COLUMNS, CHURCH_MAX_PAGE_SIZE } from '../services/church.service.js';
+import { PERMISSIONS } from '../services/admin.service.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { handleValidation, audit } from '../middleware/common.js';
+
+const router = express.Router();
+
+/**
+ * Load the church named by :id into req.church
+ */
+const loadChurch = (req, res, next) => {
+  const church = churchService.getChurch(parseInt(req.params.id));
+
+  if (!church) {
+    return res.status(404).json({
+      success: false,
+      error: 'Church not found'
+    });
+  }
+
+  req.church = church;
+  next();
+};
+
+const idValidator = param('id').isInt({ min: 1 }).withMessage('Invalid church ID');
+
+const nameValidator = (optional) => {
+  const chain = body('name');
+  return (optional ? chain.optional() : chain)
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_CHURCH_NAME_LENGTH })
+    .withMessage(`Name must be between 1 and ${MAX_CHURCH_NAME_LENGTH} characters`);
+};
+
+const detailValidators = ['city', 'region', 'denomination'].map(field => body(field)
+  .optional({ values: 'null' })
+  .isString()
+  .trim()
+  .isLength({ max: MAX_CHURCH_FIELD_LENGTH })
+  .withMessage(`${field} must be at most ${MAX_CHURCH_FIELD_LENGTH} characters`));
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.VIEW_SIGNUPS));
+
+/**
+ * GET /api/churches
+ * Paginated church directory with signup counts
+ * Query: search, page, limit, sort (name, city, region, denomination, signup_count, created_at), order
+ */
+router.get('/',
+  [
+    query('page').optional().isInt({ min: 1 }).withMessage('page must be a positive integer'),
+    query('limit').optional().isInt({ min: 1, max: CHURCH_MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${CHURCH_MAX_PAGE_SIZE}`),
+    query('sort').optional().isIn(CHURCH_SORTABLE_COLUMNS).withMessage(`sort must be one of: ${CHURCH_SORTABLE_COLUMNS.join(', ')}`),
+    query('order').optional().isIn(['asc', 'desc']).withMessage('order must be asc or desc'),
+    query('search').optional().isString().trim().isLength({ max: 200 }).withMessage('search is too long')
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { search, page, limit, sort, order } = req.query;
+
+      res.json({
+        success: true,
+        data: churchService.getChurchesPage({ search, page, limit, sort, order })
+      });
+    } catch (error) {
+      console.error('List churches error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list churches'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/churches/suggestions
+ * Pairs of churches that are probably the same, e.g. "Grace Church" and "Grace Church NYC"
+ */
+router.get('/suggestions', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: churchService.getMergeSuggestions()
+    });
+  } catch (error) {
+    console.error('Church suggestions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find similar churches'
+    });
+  }
+});
+
+/**
+ * POST /api/churches
+ * Add a church to the directory, so signups naming it link to it
+ */
+router.post('/',
+  requirePermission(PERMISSIONS.EDIT_SIGNUPS),
+  [nameValidator(false), ...detailValidators],
+  handleValidation,
+  (req, res) => {
+    try {
+      let church;
+      try {
+        church = churchService.createChurch(req.body);
+      } catch (error) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      audit(req, 'church_created', `Added church #${church.id} (${church.name})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Church added',
+        data: church
+      });
+    } catch (error) {
+      console.error('Create church error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add church'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/churches/:id
+ * Rename a church or change its city, region or denomination
+ * The old name is kept as an alias, so signups spelling it that way still match
+ */
+router.patch('/:id',
+  requirePermission(PERMISSIONS.EDIT_SIGNUPS),
+  [idValidator, nameValidator(true), ...detailValidators],
+  handleValidation,
+  loadChurch,
+  (req, res) => {
+    try {
+      const { name, city, region, denomination } = req.body;
+
+      let result;
+      try {
+        result = churchService.updateChurch(req.church.id, { name, city, region, denomination });
+      } catch (error) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const { church, changes } = result;
+
+      if (changes.length > 0) {
+        const summary = changes.map(({ field, from, to }) => `${field} ${from || '(none)'} -> ${to || '(none)'}`);
+        audit(req, 'church_updated', `Updated church #${church.id}: ${summary.join('; ')}`);
+      }
+
+      res.json({
+        success: true,
+        message: changes.length > 0 ? 'Church updated' : 'No changes',
+        data: church
+      });
+    } catch (error) {
+      console.error('Update church error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update church'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/churches/:id/merge
+ * Merge other churches into this one. Body: { ids }
+ * Their signups move over and their names become aliases of this church
+ */
+router.post('/:id/merge',
+  requirePermission(PERMISSIONS.EDIT_SIGNUPS),
+  [
+    idValidator,
+    body('ids').isArray({ min: 1, max: 100 }).withMessage('ids must list between 1 and 100 churches'),
+    body('ids.*').isInt({ min: 1 }).withMessage('ids must be church IDs').toInt()
+  ],
+  handleValidation,
+  loadChurch,
+  (req, res) => {
+    try {
+      let merged;
+      try {
+        merged = churchService.mergeChurches(req.church.id, req.body.ids);
+      } catch (error) {
+        return res.status(409).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const church = churchService.getChurch(req.church.id);
+
+      audit(
+        req,
+        'churches_merged',
+        `Merged ${merged.map(({ id, name }) => `#${id} (${name})`).join(', ')} into church #${church.id} (${church.name})`
+      );
+
+      res.json({
+        success: true,
+        message: `Merged ${merged.length} church${merged.length === 1 ? '' : 'es'} into ${church.name}`,
+        data: church
+      });
+    } catch (error) {
+      console.error('Merge churches error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to merge churches'
+      });
+    }
+  }
+);
+
+export default router;
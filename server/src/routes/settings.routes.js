@@ -0,0 +1,114 @@
+import express from 'express';
+import { body } from 'express-validator';
+import settingsService, { SETTINGS_SCHEMA } from '../services/settings.service.js';
+import adminService, { PERMISSIONS } from '../services/admin.service.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { handleValidation } from '../middleware/common.js';
+
+const router = express.Router();
+
+/**
+ * Describe a change list for the audit log, e.g. "autoExport: false -> true"
+ */
+const describeChanges = (changes) => changes
+  .map(({ key, from, to }) => `${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`)
+  .join(', ');
+
+/**
+ * Settings payload for the current admin: global values, their own values and what they may edit
+ */
+const getSettingsFor = (user) => ({
+  global: settingsService.getGlobalSettings(),
+  personal: settingsService.getAdminSettings(user.id),
+  canEditGlobal: user.permissions.includes(PERMISSIONS.MANAGE_SETTINGS),
+  schema: SETTINGS_SCHEMA
+});
+
+// Any active admin may read settings and change their own
+router.use(authenticateToken, requirePermission());
+
+/**
+ * GET /api/settings
+ * Current global and personal settings
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getSettingsFor(req.user)
+    });
+  } catch (error) {
+    console.error('Get settings error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/settings
+ * Update settings: { global?: {...}, personal?: {...} }
+ * Only keys that are sent are changed; global changes require manage_settings
+ */
+router.put('/',
+  [
+    body('global').optional().isObject().withMessage('global must be an object'),
+    body('personal').optional().isObject().withMessage('personal must be an object'),
+    body().custom(value => value.global || value.personal).withMessage('Nothing to update')
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { global, personal } = req.body;
+
+      if (global && !req.user.permissions.includes(PERMISSIONS.MANAGE_SETTINGS)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to change global settings',
+          code: 'INSUFFICIENT_PERMISSIONS',
+          required: [PERMISSIONS.MANAGE_SETTINGS]
+        });
+      }
+
+      // Validate everything before saving anything
+      try {
+        if (global) settingsService.validate('global', global);
+        if (personal) settingsService.validate('admin', personal);
+      } catch (validationError) {
+        return res.status(400).json({
+          success: false,
+          error: validationError.message,
+          details: validationError.details
+        });
+      }
+
+      const globalChanges = global ? settingsService.update('global', global, req.user.id) : [];
+      const personalChanges = personal ? settingsService.update('admin', personal, req.user.id) : [];
+
+      if (globalChanges.length > 0) {
+        adminService.logAudit(req.user.id, 'settings_updated', req.ip, req.headers['user-agent'], true,
+          `Global: ${describeChanges(globalChanges)}`);
+      }
+
+      if (personalChanges.length > 0) {
+        adminService.logAudit(req.user.id, 'settings_updated', req.ip, req.headers['user-agent'], true,
+          `Personal: ${describeChanges(personalChanges)}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Settings saved',
+        data: getSettingsFor(req.user)
+      });
+    } catch (error) {
+      console.error('Update settings error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to save settings'
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,218 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import signupFieldsService, { FIELD_TYPES } from '../services/signup-fields.service.js';
+import { PERMISSIONS } from '../services/admin.service.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { handleValidation, audit } from '../middleware/common.js';
+
+const router = express.Router();
+
+/**
+ * Load the field named by :key into req.field
+ */
+const loadField = (req, res, next) => {
+  const field = signupFieldsService.getField(req.params.key);
+
+  if (!field) {
+    return res.status(404).json({
+      success: false,
+      error: 'Field not found'
+    });
+  }
+
+  req.field = field;
+  next();
+};
+
+// Label, option and key rules are checked by the service, which explains them in its errors
+const definitionValidators = [
+  body('label').optional().isString().withMessage('label must be text'),
+  body('type').optional().isIn(FIELD_TYPES).withMessage(`type must be one of: ${FIELD_TYPES.join(', ')}`),
+  body('options').optional().isArray().withMessage('options must be a list'),
+  body('placeholder').optional({ values: 'null' }).isString().withMessage('placeholder must be text'),
+  body('required').optional().isBoolean({ strict: true }).withMessage('required must be true or false'),
+  body('enabled').optional().isBoolean({ strict: true }).withMessage('enabled must be true or false')
+];
+
+/**
+ * GET /api/signup-fields
+ * Every signup form field in order, including those hidden from the form
+ * Readable by anyone who can view signups, since the listing shows the answers
+ */
+router.get('/', authenticateToken, requirePermission(PERMISSIONS.VIEW_SIGNUPS), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        fields: signupFieldsService.listFields(),
+        types: FIELD_TYPES
+      }
+    });
+  } catch (error) {
+    console.error('List signup fields error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list signup fields'
+    });
+  }
+});
+
+// Changing the form is a team setting
+router.use(authenticateToken, requirePermission(PERMISSIONS.MANAGE_SETTINGS));
+
+/**
+ * POST /api/signup-fields
+ * Add a custom field: { key, label, type, options?, placeholder?, required?, enabled? }
+ */
+router.post('/',
+  [body('key').isString().withMessage('key is required'), body('label').exists().withMessage('label is required'), ...definitionValidators],
+  handleValidation,
+  (req, res) => {
+    try {
+      let field;
+      try {
+        field = signupFieldsService.createField({ type: 'text', ...req.body });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      audit(req, 'signup_field_created', `Added signup field ${field.key} (${field.type}: ${field.label})`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Field added',
+        data: field
+      });
+    } catch (error) {
+      console.error('Create signup field error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to add field'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/signup-fields/order
+ * Reorder the form: { keys } lists every field key once, in the new order
+ */
+router.put('/order',
+  [
+    body('keys').isArray({ min: 1 }).withMessage('keys must list every field'),
+    body('keys.*').isString().withMessage('keys must be field keys')
+  ],
+  handleValidation,
+  (req, res) => {
+    try {
+      let fields;
+      try {
+        fields = signupFieldsService.reorderFields(req.body.keys);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      audit(req, 'signup_fields_reordered', `Reordered signup form: ${fields.map(field => field.key).join(', ')}`);
+
+      res.json({
+        success: true,
+        message: 'Form order saved',
+        data: fields
+      });
+    } catch (error) {
+      console.error('Reorder signup fields error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to reorder fields'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/signup-fields/:key
+ * Change a field's label, type, options, placeholder, required or enabled
+ * Existing answers are kept, even ones a new option list no longer offers
+ */
+router.patch('/:key',
+  [param('key').isString(), ...definitionValidators],
+  handleValidation,
+  loadField,
+  (req, res) => {
+    try {
+      const { label, type, options, placeholder, required, enabled } = req.body;
+
+      let result;
+      try {
+        result = signupFieldsService.updateField(req.field.key, { label, type, options, placeholder, required, enabled });
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      const { field, changes } = result;
+      if (changes.length > 0) {
+        const summary = changes.map(({ key, from, to }) => `${key}: ${JSON.stringify(from)} -> ${JSON.stringify(to)}`);
+        audit(req, 'signup_field_updated', `Updated signup field ${field.key}: ${summary.join(', ')}`);
+      }
+
+      res.json({
+        success: true,
+        message: changes.length > 0 ? 'Field updated' : 'No changes',
+        data: field
+      });
+    } catch (error) {
+      console.error('Update signup field error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update field'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/signup-fields/:key
+ * Remove a custom field and every answer given to it (built-in fields can only be hidden)
+ */
+router.delete('/:key',
+  [param('key').isString()],
+  handleValidation,
+  loadField,
+  (req, res) => {
+    try {
+      let deletedAnswers;
+      try {
+        deletedAnswers = signupFieldsService.deleteField(req.field.key);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      audit(req, 'signup_field_deleted', `Deleted signup field ${req.field.key} (${req.field.label}) and ${deletedAnswers} answers`);
+
+      res.json({
+        success: true,
+        message: `Field deleted, with ${deletedAnswers} answer${deletedAnswers === 1 ? '' : 's'}`
+      });
+    } catch (error) {
+      console.error('Delete signup field error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete field'
+      });
+    }
+  }
+);
+
+export default router;
@@ -0,0 +1,301 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import webhookService, { WEBHOOK_EVENTS } from '../services/webhook.service.js';
+import { PERMISSIONS } from '../services/admin.service.js';
+import { authenticateToken, requirePermission } from '../middleware/auth.js';
+import { handleValidation, audit } from '../middleware/common.js';
+
+const router = express.Router();
+
+/**
+ * Load the webhook named by :id into req.webhook
+ */
+const loadWebhook = (req, res, next) => {
+  const webhook = webhookService.getWebhook(parseInt(req.params.id));
+
+  if (!webhook) {
+    return res.status(404).json({
+      success: false,
+      error: 'Webhook not found'
+    });
+  }
+
+  req.webhook = webhook;
+  next();
+};
+
+const idValidator = param('id').isInt({ min: 1 }).withMessage('Invalid webhook ID');
+
+// localhost and plain http are allowed so endpoints can be tested locally
+const urlValidator = (optional) => {
+  const chain = body('url');
+  return (optional ? chain.optional() : chain)
+    .trim()
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL')
+    .isLength({ max: 2000 })
+    .withMessage('URL is too long');
+};
+
+const eventsValidators = (optional) => {
+  const chain = body('events');
+  return [
+    (optional ? chain.optional() : chain)
+      .isArray({ min: 1 })
+      .withMessage('Select at least one event'),
+    body('events.*')
+      .isIn(WEBHOOK_EVENTS)
+      .withMessage(`Events must be one or more of: ${WEBHOOK_EVENTS.join(', ')}`)
+  ];
+};
+
+const descriptionValidator = body('description')
+  .optional({ values: 'null' })
+  .trim()
+  .isLength({ max: 200 })
+  .withMessage('Description must be at most 200 characters')
+  .escape();
+
+router.use(authenticateToken, requirePermission(PERMISSIONS.MANAGE_WEBHOOKS));
+
+/**
+ * GET /api/webhooks
+ * List webhooks (secrets are never returned) and the events they can subscribe to
+ */
+router.get('/', (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        webhooks: webhookService.listWebhooks(),
+        events: WEBHOOK_EVENTS
+      }
+    });
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list webhooks'
+    });
+  }
+});
+
+/**
+ * POST /api/webhooks
+ * Register an endpoint. The signing secret is in the response and can't be retrieved later
+ */
+router.post('/',
+  [urlValidator(false), ...eventsValidators(false), descriptionValidator],
+  handleValidation,
+  (req, res) => {
+    try {
+      const { webhook, secret } = webhookService.createWebhook(req.body, req.user.id);
+
+      audit(req, 'webhook_created', `Created webhook #${webhook.id} (${webhook.url}) for: ${webhook.events.join(', ')}`);
+
+      res.status(201).json({
+        success: true,
+        message: 'Webhook created. Copy the signing secret now - it will not be shown again.',
+        data: { webhook, secret }
+      });
+    } catch (error) {
+      console.error('Create webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to create webhook'
+      });
+    }
+  }
+);
+
+/**
+ * PATCH /api/webhooks/:id
+ * Update a webhook's url, description, events or is_active
+ */
+router.patch('/:id',
+  [
+    idValidator,
+    urlValidator(true),
+    ...eventsValidators(true),
+    descriptionValidator,
+    body('is_active').optional().isBoolean({ strict: true }).withMessage('is_active must be true or false')
+  ],
+  handleValidation,
+  loadWebhook,
+  (req, res) => {
+    try {
+      const { url, description, events, is_active } = req.body;
+      const webhook = webhookService.updateWebhook(req.webhook.id, { url, description, events, is_active });
+
+      const changes = [];
+      if (webhook.url !== req.webhook.url) changes.push(`url ${req.webhook.url} -> ${webhook.url}`);
+      if (webhook.events.join() !== req.webhook.events.join()) changes.push(`events: ${webhook.events.join(', ')}`);
+      if (webhook.is_active !== req.webhook.is_active) changes.push(webhook.is_active ? 'enabled' : 'disabled');
+      if (webhook.description !== req.webhook.description) changes.push('description');
+
+      if (changes.length > 0) {
+        audit(req, 'webhook_updated', `Updated webhook #${webhook.id}: ${changes.join('; ')}`);
+      }
+
+      res.json({
+        success: true,
+        message: 'Webhook updated',
+        data: webhook
+      });
+    } catch (error) {
+      console.error('Update webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to update webhook'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/webhooks/:id
+ * Remove a webhook and its delivery log
+ */
+router.delete('/:id',
+  [idValidator],
+  handleValidation,
+  loadWebhook,
+  (req, res) => {
+    try {
+      webhookService.deleteWebhook(req.webhook.id);
+
+      audit(req, 'webhook_deleted', `Deleted webhook #${req.webhook.id} (${req.webhook.url})`);
+
+      res.json({
+        success: true,
+        message: 'Webhook deleted'
+      });
+    } catch (error) {
+      console.error('Delete webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to delete webhook'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Issue a new signing secret. The old one stops being used immediately
+ */
+router.post('/:id/rotate-secret',
+  [idValidator],
+  handleValidation,
+  loadWebhook,
+  (req, res) => {
+    try {
+      const secret = webhookService.rotateSecret(req.webhook.id);
+
+      audit(req, 'webhook_secret_rotated', `Rotated signing secret for webhook #${req.webhook.id} (${req.webhook.url})`);
+
+      res.json({
+        success: true,
+        message: 'Signing secret regenerated. Copy it now - it will not be shown again.',
+        data: { secret }
+      });
+    } catch (error) {
+      console.error('Rotate webhook secret error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to regenerate signing secret'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/:id/test
+ * Queue a ping event to check the endpoint is reachable and verifying signatures
+ */
+router.post('/:id/test',
+  [idValidator],
+  handleValidation,
+  loadWebhook,
+  (req, res) => {
+    try {
+      const delivery = webhookService.sendTest(req.webhook.id);
+
+      res.status(202).json({
+        success: true,
+        message: 'Test event queued',
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Test webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to send test event'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Recent deliveries for a webhook, newest first (?limit, max 200)
+ */
+router.get('/:id/deliveries',
+  [
+    idValidator,
+    query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('limit must be between 1 and 200')
+  ],
+  handleValidation,
+  loadWebhook,
+  (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: webhookService.listDeliveries(req.webhook.id, parseInt(req.query.limit) || 50)
+      });
+    } catch (error) {
+      console.error('List webhook deliveries error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to list deliveries'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a past delivery's payload again as a new delivery
+ */
+router.post('/deliveries/:deliveryId/redeliver',
+  [param('deliveryId').isInt({ min: 1 }).withMessage('Invalid delivery ID')],
+  handleValidation,
+  (req, res) => {
+    try {
+      const delivery = webhookService.redeliver(parseInt(req.params.deliveryId));
+
+      if (!delivery) {
+        return res.status(404).json({
+          success: false,
+          error: 'Delivery not found'
+        });
+      }
+
+      audit(req, 'webhook_redelivered', `Redelivered ${delivery.event} (delivery #${delivery.redelivery_of}) to webhook #${delivery.webhook_id}`);
+
+      res.status(202).json({
+        success: true,
+        message: 'Redelivery queued',
+        data: delivery
+      });
+    } catch (error) {
+      console.error('Redeliver webhook error:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to redeliver'
+      });
+    }
+  }
+);
+
+export default router;
@@ -3,6 +3,8 @@ import bcrypt from 'bcryptjs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
+import { generateSecret, verifyTOTP } from '../utils/totp.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -11,6 +13,67 @@ const __dirname = path.dirname(__filename);
 const SALT_ROUNDS = 12; // High security (slow but secure)
 const MAX_LOGIN_ATTEMPTS = 5;
 const LOCKOUT_DURATION = 15 * 60 * 1000; // 15 minutes
+const RECOVERY_CODE_COUNT = 10;
+
+// Roles, from most to least privileged
+const ROLES = ['owner', 'admin', 'editor', 'viewer'];
+
+const PERMISSIONS = {
+  VIEW_ANALYTICS: 'view_analytics',
+  VIEW_SIGNUPS: 'view_signups',
+  EXPORT_SIGNUPS: 'export_signups',
+  IMPORT_SIGNUPS: 'import_signups',
+  INVITE_SIGNUPS: 'invite_signups',
+  REDEEM_INVITES: 'redeem_invites',
+  EDIT_SIGNUPS: 'edit_signups',
+  DELETE_SIGNUPS: 'delete_signups',
+  MANAGE_ADMINS: 'manage_admins',
+  MANAGE_SETTINGS: 'manage_settings',
+  MANAGE_API_KEYS: 'manage_api_keys',
+  MANAGE_WEBHOOKS: 'manage_webhooks',
+  VIEW_AUDIT_LOG: 'view_audit_log'
+};
+
+// Owners and admins share permissions; only owners may manage other owners
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  admin: Object.values(PERMISSIONS),
+  editor: [
+    PERMISSIONS.VIEW_ANALYTICS,
+    PERMISSIONS.VIEW_SIGNUPS,
+    PERMISSIONS.EXPORT_SIGNUPS,
+    PERMISSIONS.IMPORT_SIGNUPS,
+    PERMISSIONS.EDIT_SIGNUPS
+  ],
+  viewer: [
+    PERMISSIONS.VIEW_ANALYTICS,
+    PERMISSIONS.VIEW_SIGNUPS
+  ]
+};
+
+// Columns added after the first release: column name -> definition
+const ADMIN_MIGRATIONS = {
+  must_change_password: 'INTEGER DEFAULT 0',
+  totp_secret: 'TEXT',
+  totp_enabled: 'INTEGER DEFAULT 0',
+  totp_last_step: 'INTEGER'
+};
+
+// Audit log columns added later; signup_id links an entry to the signup it changed
+const AUDIT_LOG_MIGRATIONS = {
+  signup_id: 'INTEGER'
+};
+
+// Admin fields that are safe to return (never the password hash)
+const ADMIN_COLUMNS = `
+  id, username, email, role, created_at, last_login, is_active,
+  login_attempts, locked_until, must_change_password, totp_enabled
+`;
+
+/**
+ * Permissions granted to a role (none for unknown roles)
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
 
 class AdminService {
   constructor() {
@@ -80,16 +143,71 @@ class AdminService {
       )
     `);
 
+    this.migrate();
+
+    // One-time recovery codes for two-factor authentication
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        admin_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+      )
+    `);
+
     // Create indexes for performance
     this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_recovery_codes_admin ON admin_recovery_codes(admin_id);
       CREATE INDEX IF NOT EXISTS idx_refresh_tokens_admin ON refresh_tokens(admin_id);
       CREATE INDEX IF NOT EXISTS idx_refresh_tokens_hash ON refresh_tokens(token_hash);
       CREATE INDEX IF NOT EXISTS idx_audit_log_admin ON admin_audit_log(admin_id);
       CREATE INDEX IF NOT EXISTS idx_audit_log_created ON admin_audit_log(created_at);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_signup ON admin_audit_log(signup_id);
     `);
 
     // Create default admin if none exists
     this.createDefaultAdmin();
+
+    // Databases created before roles existed have no owner
+    this.ensureOwner();
+  }
+
+  /**
+   * Add any missing columns to existing admins and admin_audit_log tables
+   */
+  migrate() {
+    const tables = { admins: ADMIN_MIGRATIONS, admin_audit_log: AUDIT_LOG_MIGRATIONS };
+
+    Object.entries(tables).forEach(([table, migrations]) => {
+      const existingColumns = this.db.prepare(`PRAGMA table_info(${table})`).all()
+        .map(column => column.name);
+
+      Object.entries(migrations).forEach(([column, definition]) => {
+        if (!existingColumns.includes(column)) {
+          this.db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+          console.log(`✅ Added ${table}.${column} column`);
+        }
+      });
+    });
+  }
+
+  /**
+   * Promote the oldest active admin to owner if there is no owner
+   */
+  ensureOwner() {
+    const owner = this.db.prepare("SELECT id FROM admins WHERE role = 'owner' LIMIT 1").get();
+    if (owner) {
+      return;
+    }
+
+    const first = this.db.prepare('SELECT id, username FROM admins WHERE is_active = 1 ORDER BY id LIMIT 1').get();
+    if (first) {
+      this.db.prepare("UPDATE admins SET role = 'owner' WHERE id = ?").run(first.id);
+      console.log(`✅ Promoted ${first.username} to owner`);
+    }
   }
 
   /**
@@ -108,7 +226,7 @@ class AdminService {
       this.db.prepare(`
         INSERT INTO admins (username, password, role, email)
         VALUES (?, ?, ?, ?)
-      `).run(defaultUsername, hashedPassword, 'admin', null);
+      `).run(defaultUsername, hashedPassword, 'owner', null);
 
       console.warn('⚠️  DEFAULT ADMIN CREATED');
       console.warn('⚠️  Username: admin');
@@ -121,11 +239,15 @@ class AdminService {
    * Create new admin user
    * SECURITY: Only callable by existing admins
    */
-  createAdmin(username, password, email = null) {
+  createAdmin(username, password, email = null, role = 'admin') {
     try {
       // Input validation
       username = username.toLowerCase().trim();
 
+      if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+      }
+
       if (username.length < 3) {
         throw new Error('Username must be at least 3 characters');
       }
@@ -146,14 +268,14 @@ class AdminService {
       // Insert admin
       const result = this.db.prepare(`
         INSERT INTO admins (username, password, email, role)
-        VALUES (?, ?, ?, 'admin')
-      `).run(username, hashedPassword, email);
+        VALUES (?, ?, ?, ?)
+      `).run(username, hashedPassword, email, role);
 
       return {
         id: result.lastInsertRowid,
         username,
         email,
-        role: 'admin'
+        role
       };
     } catch (error) {
       console.error('Error creating admin:', error);
@@ -206,50 +328,97 @@ class AdminService {
       const isValid = await bcrypt.compare(password, admin.password);
 
       if (!isValid) {
-        // Increment login attempts
-        const newAttempts = admin.login_attempts + 1;
-        const shouldLock = newAttempts >= MAX_LOGIN_ATTEMPTS;
-
-        this.db.prepare(`
-          UPDATE admins
-          SET login_attempts = ?,
-              locked_until = ?
-          WHERE id = ?
-        `).run(
-          newAttempts,
-          shouldLock ? new Date(Date.now() + LOCKOUT_DURATION).toISOString() : null,
-          admin.id
-        );
-
-        this.logAudit(admin.id, 'login_failed', ipAddress, userAgent, false,
-          `Invalid password (attempt ${newAttempts}/${MAX_LOGIN_ATTEMPTS})`);
-
-        if (shouldLock) {
-          throw new Error('Too many failed attempts. Account locked for 15 minutes.');
-        }
-
+        this.recordFailedAttempt(admin, 'Invalid password', ipAddress, userAgent);
         throw new Error('Invalid credentials');
       }
 
-      // SUCCESS: Reset login attempts and update last login
-      this.db.prepare(`
-        UPDATE admins
-        SET login_attempts = 0,
-            locked_until = NULL,
-            last_login = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).run(admin.id);
-
-      this.logAudit(admin.id, 'login_success', ipAddress, userAgent, true);
+      // Password is right but a second factor is still needed
+      if (admin.totp_enabled) {
+        this.logAudit(admin.id, 'login_2fa_required', ipAddress, userAgent, true);
+        return { id: admin.id, username: admin.username, twoFactorRequired: true };
+      }
 
-      // Return sanitized user (NO PASSWORD)
-      const { password: _, ...safeAdmin } = admin;
-      return safeAdmin;
+      return this.completeLogin(admin.id, ipAddress, userAgent);
     } catch (error) {
       throw error;
     }
   }
 
+  /**
+   * Count a failed login step and lock the account after too many
+   * SECURITY: Wrong passwords and wrong 2FA codes share the same budget
+   */
+  recordFailedAttempt(admin, reason, ipAddress = null, userAgent = null) {
+    const newAttempts = admin.login_attempts + 1;
+    const shouldLock = newAttempts >= MAX_LOGIN_ATTEMPTS;
+
+    this.db.prepare(`
+      UPDATE admins
+      SET login_attempts = ?,
+          locked_until = ?
+      WHERE id = ?
+    `).run(
+      newAttempts,
+      shouldLock ? new Date(Date.now() + LOCKOUT_DURATION).toISOString() : null,
+      admin.id
+    );
+
+    this.logAudit(admin.id, 'login_failed', ipAddress, userAgent, false,
+      `${reason} (attempt ${newAttempts}/${MAX_LOGIN_ATTEMPTS})`);
+
+    if (shouldLock) {
+      throw new Error('Too many failed attempts. Account locked for 15 minutes.');
+    }
+  }
+
+  /**
+   * Finish a successful login: reset attempts and update last login
+   */
+  completeLogin(adminId, ipAddress = null, userAgent = null) {
+    this.db.prepare(`
+      UPDATE admins
+      SET login_attempts = 0,
+          locked_until = NULL,
+          last_login = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(adminId);
+
+    this.logAudit(adminId, 'login_success', ipAddress, userAgent, true);
+
+    return this.getAdminById(adminId);
+  }
+
+  /**
+   * Second login step: check a TOTP or recovery code for an admin who passed the password check
+   * SECURITY: Lockout and account status are re-checked because the challenge outlives them
+   */
+  async verifyLoginSecondFactor(adminId, code, ipAddress = null, userAgent = null) {
+    const admin = this.db.prepare('SELECT * FROM admins WHERE id = ?').get(adminId);
+
+    if (!admin || !admin.is_active || !admin.totp_enabled) {
+      throw new Error('Invalid credentials');
+    }
+
+    if (admin.locked_until && new Date(admin.locked_until) > new Date()) {
+      const minutesLeft = Math.ceil((new Date(admin.locked_until) - new Date()) / 60000);
+      throw new Error(`Account locked. Try again in ${minutesLeft} minutes.`);
+    }
+
+    const method = this.verifySecondFactor(admin, code);
+    if (!method) {
+      await this.simulateDelay();
+      this.recordFailedAttempt(admin, 'Invalid two-factor code', ipAddress, userAgent);
+      throw new Error('Invalid verification code');
+    }
+
+    if (method === 'recovery') {
+      this.logAudit(admin.id, 'recovery_code_used', ipAddress, userAgent, true,
+        `${this.countRecoveryCodes(admin.id)} recovery codes left`);
+    }
+
+    return this.completeLogin(admin.id, ipAddress, userAgent);
+  }
+
   /**
    * Change admin password
    * SECURITY: Requires old password verification
@@ -275,8 +444,10 @@ class AdminService {
       // Hash new password
       const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
 
-      // Update password
-      this.db.prepare('UPDATE admins SET password = ? WHERE id = ?').run(hashedPassword, adminId);
+      // Update password (this also satisfies a forced reset)
+      this.db.prepare(`
+        UPDATE admins SET password = ?, must_change_password = 0 WHERE id = ?
+      `).run(hashedPassword, adminId);
 
       // Revoke all refresh tokens (force re-login on all devices)
       this.revokeAllRefreshTokens(adminId);
@@ -289,6 +460,141 @@ class AdminService {
     }
   }
 
+  /**
+   * Check an admin's current password (for confirming sensitive changes)
+   */
+  async verifyPassword(adminId, password) {
+    const admin = this.db.prepare('SELECT password FROM admins WHERE id = ?').get(adminId);
+    return !!admin && await bcrypt.compare(password, admin.password);
+  }
+
+  /**
+   * Start two-factor enrollment with a fresh secret
+   * The secret stays pending (totp_enabled = 0) until a code from it is verified
+   */
+  beginTotpSetup(adminId) {
+    const admin = this.db.prepare('SELECT totp_enabled FROM admins WHERE id = ?').get(adminId);
+    if (!admin) {
+      throw new Error('Admin not found');
+    }
+
+    if (admin.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const secret = generateSecret();
+    this.db.prepare('UPDATE admins SET totp_secret = ?, totp_last_step = NULL WHERE id = ?').run(secret, adminId);
+
+    return secret;
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * Returns freshly generated recovery codes (shown to the admin once)
+   */
+  enableTotp(adminId, code) {
+    const admin = this.db.prepare('SELECT totp_secret, totp_enabled FROM admins WHERE id = ?').get(adminId);
+
+    if (!admin || !admin.totp_secret) {
+      throw new Error('Start two-factor setup first');
+    }
+
+    if (admin.totp_enabled) {
+      throw new Error('Two-factor authentication is already enabled');
+    }
+
+    const step = verifyTOTP(admin.totp_secret, code);
+    if (step === null) {
+      throw new Error('Invalid verification code');
+    }
+
+    this.db.prepare('UPDATE admins SET totp_enabled = 1, totp_last_step = ? WHERE id = ?').run(step, adminId);
+
+    return this.generateRecoveryCodes(adminId);
+  }
+
+  /**
+   * Turn two-factor authentication off and discard the secret and recovery codes
+   */
+  disableTotp(adminId) {
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE admins
+        SET totp_enabled = 0, totp_secret = NULL, totp_last_step = NULL
+        WHERE id = ?
+      `).run(adminId);
+      this.db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(adminId);
+    })();
+  }
+
+  /**
+   * Check a TOTP code or unused recovery code for an admin row
+   * Returns 'totp', 'recovery' or null
+   * SECURITY: A TOTP code can't be reused, and recovery codes are single use
+   */
+  verifySecondFactor(admin, code) {
+    const normalized = String(code || '').trim();
+
+    if (/^\d{6}$/.test(normalized)) {
+      if (!admin.totp_secret) {
+        return null;
+      }
+
+      const step = verifyTOTP(admin.totp_secret, normalized);
+      if (step === null || (admin.totp_last_step !== null && step <= admin.totp_last_step)) {
+        return null;
+      }
+
+      this.db.prepare('UPDATE admins SET totp_last_step = ? WHERE id = ?').run(step, admin.id);
+      return 'totp';
+    }
+
+    const result = this.db.prepare(`
+      UPDATE admin_recovery_codes
+      SET used_at = CURRENT_TIMESTAMP
+      WHERE admin_id = ? AND code_hash = ? AND used_at IS NULL
+    `).run(admin.id, hashRecoveryCode(normalized));
+
+    return result.changes > 0 ? 'recovery' : null;
+  }
+
+  /**
+   * Check a second factor for an admin by ID (used when turning 2FA off)
+   */
+  verifyAdminSecondFactor(adminId, code) {
+    const admin = this.db.prepare('SELECT id, totp_secret, totp_last_step FROM admins WHERE id = ?').get(adminId);
+    return admin ? this.verifySecondFactor(admin, code) : null;
+  }
+
+  /**
+   * Replace an admin's recovery codes
+   * Returns the plain codes; only hashes are stored
+   */
+  generateRecoveryCodes(adminId) {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const raw = crypto.randomBytes(5).toString('hex');
+      return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    this.db.transaction(() => {
+      this.db.prepare('DELETE FROM admin_recovery_codes WHERE admin_id = ?').run(adminId);
+      const insert = this.db.prepare('INSERT INTO admin_recovery_codes (admin_id, code_hash) VALUES (?, ?)');
+      codes.forEach(code => insert.run(adminId, hashRecoveryCode(code)));
+    })();
+
+    return codes;
+  }
+
+  /**
+   * Number of unused recovery codes
+   */
+  countRecoveryCodes(adminId) {
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM admin_recovery_codes
+      WHERE admin_id = ? AND used_at IS NULL
+    `).get(adminId).count;
+  }
+
   /**
    * Store refresh token
    */
@@ -342,11 +648,11 @@ class AdminService {
   /**
    * Log audit event
    */
-  logAudit(adminId, action, ipAddress, userAgent, success, details = null) {
+  logAudit(adminId, action, ipAddress, userAgent, success, details = null, signupId = null) {
     this.db.prepare(`
-      INSERT INTO admin_audit_log (admin_id, action, ip_address, user_agent, success, details)
-      VALUES (?, ?, ?, ?, ?, ?)
-    `).run(adminId, action, ipAddress, userAgent, success ? 1 : 0, details);
+      INSERT INTO admin_audit_log (admin_id, action, ip_address, user_agent, success, details, signup_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(adminId, action, ipAddress, userAgent, success ? 1 : 0, details, signupId);
   }
 
   /**
@@ -364,6 +670,39 @@ class AdminService {
     `).all(limit, offset);
   }
 
+  /**
+   * Audit entries about one signup, newest first (without IPs or user agents)
+   */
+  getSignupAuditLog(signupId, limit = 100) {
+    return this.db.prepare(`
+      SELECT al.id, al.action, al.details, al.created_at, a.username
+      FROM admin_audit_log al
+      LEFT JOIN admins a ON al.admin_id = a.id
+      WHERE al.signup_id = ?
+      ORDER BY al.created_at DESC, al.id DESC
+      LIMIT ?
+    `).all(signupId, limit);
+  }
+
+  /**
+   * Replace an erased signup's email in the details of audit entries about them
+   * The entries stay, so the record of what was done (including the erasure) survives
+   */
+  redactSignupAuditLog(signupId, email) {
+    this.db.prepare(`
+      UPDATE admin_audit_log SET details = replace(details, ?, '[erased]') WHERE signup_id = ?
+    `).run(email, signupId);
+  }
+
+  /**
+   * Move audit entries about merged signups onto the signup they were merged into
+   */
+  moveSignupAuditLog(fromSignupIds, toSignupId) {
+    this.db.prepare(`
+      UPDATE admin_audit_log SET signup_id = ? WHERE signup_id IN (${fromSignupIds.map(() => '?').join(', ')})
+    `).run(toSignupId, ...fromSignupIds);
+  }
+
   /**
    * Simulate delay to prevent timing attacks
    * Makes failed login same duration as successful
@@ -377,7 +716,7 @@ class AdminService {
    */
   getAdminById(id) {
     const admin = this.db.prepare(`
-      SELECT id, username, email, role, created_at, last_login, is_active
+      SELECT ${ADMIN_COLUMNS}
       FROM admins
       WHERE id = ?
     `).get(id);
@@ -390,7 +729,7 @@ class AdminService {
    */
   getAllAdmins() {
     return this.db.prepare(`
-      SELECT id, username, email, role, created_at, last_login, is_active
+      SELECT ${ADMIN_COLUMNS}
       FROM admins
       ORDER BY created_at DESC
     `).all();
@@ -410,6 +749,93 @@ class AdminService {
   activateAdmin(id) {
     this.db.prepare('UPDATE admins SET is_active = 1 WHERE id = ?').run(id);
   }
+
+  /**
+   * Update an admin's email and/or role
+   */
+  updateAdmin(id, { email, role }) {
+    if (role !== undefined && !ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+
+    const updates = [];
+    const params = [];
+
+    if (email !== undefined) {
+      updates.push('email = ?');
+      params.push(email || null);
+    }
+
+    if (role !== undefined) {
+      updates.push('role = ?');
+      params.push(role);
+    }
+
+    if (updates.length > 0) {
+      this.db.prepare(`UPDATE admins SET ${updates.join(', ')} WHERE id = ?`).run(...params, id);
+    }
+
+    return this.getAdminById(id);
+  }
+
+  /**
+   * Number of active owners, optionally ignoring one admin
+   * Used to make sure the last owner can't be demoted or disabled
+   */
+  countActiveOwners(excludeId = null) {
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM admins
+      WHERE role = 'owner' AND is_active = 1 AND id != ?
+    `).get(excludeId ?? 0).count;
+  }
+
+  /**
+   * Replace an admin's password with a random temporary one
+   * SECURITY: Signs them out everywhere and forces a change on next login
+   */
+  async resetPassword(id) {
+    const temporaryPassword = crypto.randomBytes(12).toString('base64url');
+    const hashedPassword = await bcrypt.hash(temporaryPassword, SALT_ROUNDS);
+
+    this.db.prepare(`
+      UPDATE admins
+      SET password = ?,
+          must_change_password = 1,
+          login_attempts = 0,
+          locked_until = NULL
+      WHERE id = ?
+    `).run(hashedPassword, id);
+
+    this.revokeAllRefreshTokens(id);
+
+    return temporaryPassword;
+  }
+
+  /**
+   * Clear a lockout caused by failed login attempts
+   */
+  unlockAdmin(id) {
+    this.db.prepare(`
+      UPDATE admins SET login_attempts = 0, locked_until = NULL WHERE id = ?
+    `).run(id);
+  }
 }
 
+/**
+ * Recovery codes are matched case-insensitively, with or without the dash
+ */
+const hashRecoveryCode = (code) => {
+  const normalized = code.toLowerCase().replace(/[^0-9a-f]/g, '');
+  return crypto.createHash('sha256').update(normalized).digest('hex');
+};
+
+/**
+ * Whether an admin with actorRole may create or manage an account with targetRole
+ * Only owners may manage owners
+ */
+const canManageRole = (actorRole, targetRole) => {
+  return targetRole !== 'owner' || actorRole === 'owner';
+};
+
+export { ROLES, PERMISSIONS, ROLE_PERMISSIONS, getRolePermissions, canManageRole };
 export default new AdminService();
\ No newline at end of file
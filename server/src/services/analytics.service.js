@@ -0,0 +1,303 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import {
+  formatSqlDateTime,
+  parseSqlDateTime,
+  toLocalDate,
+  startOfLocalDay,
+  addDays,
+  addMonths,
+  startOfWeek,
+  startOfMonth
+} from '../utils/dates.js';
+import { attributionChannel } from '../utils/attribution.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const GRANULARITIES = ['day', 'week', 'month'];
+
+// Signups are first counted per UTC quarter-hour in SQL, then rolled up into
+// local calendar periods, so any whole/half/quarter-hour time zone is exact
+const QUARTER_HOUR_BUCKET = `
+  strftime('%Y-%m-%d %H:', created_at)
+  || printf('%02d', (CAST(strftime('%M', created_at) AS INTEGER) / 15) * 15)
+`;
+
+const NO_CHURCH_LABEL = 'No Church Specified';
+
+// Signups held for review by the spam checks are left out of every report
+const NOT_QUARANTINED = "status != 'quarantined'";
+
+// Attribution can be reported per source, medium or campaign, or per combination of all three
+const ATTRIBUTION_GROUPS = ['all', 'source', 'medium', 'campaign'];
+
+/**
+ * Period key a local calendar date falls into
+ */
+const periodKey = (localDate, granularity) => {
+  if (granularity === 'week') return startOfWeek(localDate);
+  if (granularity === 'month') return localDate.slice(0, 7);
+  return localDate;
+};
+
+/**
+ * Every period key between two local dates (inclusive)
+ */
+const enumeratePeriods = (from, to, granularity) => {
+  const periods = [];
+
+  if (granularity === 'month') {
+    for (let date = startOfMonth(from); date <= to; date = addMonths(date, 1)) {
+      periods.push(date.slice(0, 7));
+    }
+  } else if (granularity === 'week') {
+    for (let date = startOfWeek(from); date <= to; date = addDays(date, 7)) {
+      periods.push(date);
+    }
+  } else {
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+      periods.push(date);
+    }
+  }
+
+  return periods;
+};
+
+class AnalyticsService {
+  constructor() {
+    // Ensure data directory exists (important for production/Railway)
+    const dataDir = path.join(__dirname, '../../data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Shares waitlist.db with WaitlistService (read-only queries)
+    const dbPath = path.join(dataDir, 'waitlist.db');
+    this.db = new Database(dbPath);
+  }
+
+  /**
+   * UTC bounds [start, end) covering local dates from..to in a time zone
+   */
+  getRangeBounds(from, to, timeZone) {
+    return {
+      start: formatSqlDateTime(startOfLocalDay(from, timeZone)),
+      end: formatSqlDateTime(startOfLocalDay(addDays(to, 1), timeZone))
+    };
+  }
+
+  countBetween(start, end) {
+    return this.db.prepare(`
+      SELECT COUNT(*) as count FROM waitlist
+      WHERE created_at >= ? AND created_at < ? AND ${NOT_QUARANTINED}
+    `).get(start, end).count;
+  }
+
+  /**
+   * Headline numbers: total, confirmed and signups today / last 7 / last 30 days
+   * The 7 and 30 days include today, matching the default report range
+   */
+  getSummary(timeZone = 'UTC') {
+    const today = toLocalDate(new Date(), timeZone);
+    const tomorrow = formatSqlDateTime(startOfLocalDay(addDays(today, 1), timeZone));
+    const since = (days) => formatSqlDateTime(startOfLocalDay(addDays(today, -days), timeZone));
+
+    const totals = this.db.prepare(`
+      SELECT
+        COUNT(*) as total,
+        COUNT(confirmed_at) as confirmed
+      FROM waitlist
+      WHERE ${NOT_QUARANTINED}
+    `).get();
+
+    return {
+      total: totals.total,
+      confirmed: totals.confirmed,
+      today: this.countBetween(since(0), tomorrow),
+      thisWeek: this.countBetween(since(6), tomorrow),
+      thisMonth: this.countBetween(since(29), tomorrow),
+      timeZone
+    };
+  }
+
+  /**
+   * Signups per day/week/month between two local dates, with running totals
+   */
+  getTimeSeries({ granularity = 'day', from, to, timeZone = 'UTC' }) {
+    const { start, end } = this.getRangeBounds(from, to, timeZone);
+
+    const buckets = this.db.prepare(`
+      SELECT ${QUARTER_HOUR_BUCKET} AS bucket, COUNT(*) as count
+      FROM waitlist
+      WHERE created_at >= ? AND created_at < ? AND ${NOT_QUARANTINED}
+      GROUP BY bucket
+    `).all(start, end);
+
+    const counts = new Map();
+    buckets.forEach(({ bucket, count }) => {
+      const localDate = toLocalDate(parseSqlDateTime(`${bucket}:00`), timeZone);
+      const key = periodKey(localDate, granularity);
+      counts.set(key, (counts.get(key) || 0) + count);
+    });
+
+    const { count: before } = this.db.prepare(
+      `SELECT COUNT(*) as count FROM waitlist WHERE created_at < ? AND ${NOT_QUARANTINED}`
+    ).get(start);
+
+    let cumulative = before;
+    const series = enumeratePeriods(from, to, granularity).map(period => {
+      const count = counts.get(period) || 0;
+      cumulative += count;
+      return { period, count, cumulative };
+    });
+
+    return {
+      granularity,
+      from,
+      to,
+      timeZone,
+      total: cumulative - before,
+      series
+    };
+  }
+
+  /**
+   * Directory churches with the most signups (optionally within a local date range)
+   */
+  getTopChurches({ limit = 10, from, to, timeZone = 'UTC' } = {}) {
+    const conditions = [`w.${NOT_QUARANTINED}`];
+    const params = [];
+
+    if (from && to) {
+      const { start, end } = this.getRangeBounds(from, to, timeZone);
+      conditions.push('w.created_at >= ? AND w.created_at < ?');
+      params.push(start, end);
+    }
+
+    const where = `WHERE ${conditions.join(' AND ')}`;
+
+    // Grouped by directory church, so "St. Mark's" and "Saint Marks" count together
+    return this.db.prepare(`
+      SELECT
+        c.id,
+        COALESCE(c.name, ?) AS church,
+        COUNT(*) as count
+      FROM waitlist w
+      LEFT JOIN churches c ON c.id = w.church_id
+      ${where}
+      GROUP BY c.id
+      ORDER BY count DESC, church ASC
+      LIMIT ?
+    `).all(NO_CHURCH_LABEL, ...params, limit);
+  }
+
+  /**
+   * Signups and confirmation rate per source / medium / campaign between two local dates
+   * Rows are grouped in SQL by what was stored, then credited to a channel here
+   * (see attributionChannel), since a referrer's site can't be picked out in SQL
+   */
+  getAttribution({ from, to, timeZone = 'UTC', groupBy = 'all' }) {
+    const { start, end } = this.getRangeBounds(from, to, timeZone);
+
+    const groups = this.db.prepare(`
+      SELECT
+        utm_source, utm_medium, utm_campaign, referrer,
+        import_batch_id IS NOT NULL AS import_batch_id,
+        COUNT(*) as signups,
+        COUNT(confirmed_at) as confirmed
+      FROM waitlist
+      WHERE created_at >= ? AND created_at < ? AND ${NOT_QUARANTINED}
+      GROUP BY utm_source, utm_medium, utm_campaign, referrer, import_batch_id IS NOT NULL
+    `).all(start, end);
+
+    const dimensions = groupBy === 'all' ? ['source', 'medium', 'campaign'] : [groupBy];
+    const rows = new Map();
+    groups.forEach(group => {
+      const channel = attributionChannel(group);
+      const key = dimensions.map(dimension => channel[dimension]).join('\n');
+      const totals = rows.get(key) || {
+        ...Object.fromEntries(dimensions.map(dimension => [dimension, channel[dimension]])),
+        signups: 0,
+        confirmed: 0
+      };
+      totals.signups += group.signups;
+      totals.confirmed += group.confirmed;
+      rows.set(key, totals);
+    });
+
+    const withRate = (totals) => ({
+      ...totals,
+      confirmationRate: totals.signups === 0 ? 0 : Math.round((totals.confirmed / totals.signups) * 100)
+    });
+
+    const sorted = [...rows.entries()]
+      .sort(([keyA, a], [keyB, b]) => b.signups - a.signups || keyA.localeCompare(keyB))
+      .map(([, totals]) => withRate(totals));
+
+    return {
+      from,
+      to,
+      timeZone,
+      groupBy,
+      total: withRate({
+        signups: sorted.reduce((sum, row) => sum + row.signups, 0),
+        confirmed: sorted.reduce((sum, row) => sum + row.confirmed, 0)
+      }),
+      rows: sorted
+    };
+  }
+
+  /**
+   * Compare two periods
+   * With from/to: that range against the equally long range just before it
+   * Otherwise: the current day/week/month so far against the whole previous one
+   */
+  getGrowth({ period = 'month', from, to, timeZone = 'UTC' } = {}) {
+    let current;
+    let previous;
+
+    if (from && to) {
+      const days = Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+      current = { from, to };
+      previous = { from: addDays(from, -days), to: addDays(from, -1) };
+    } else {
+      const today = toLocalDate(new Date(), timeZone);
+      const start = period === 'day'
+        ? today
+        : period === 'week' ? startOfWeek(today) : startOfMonth(today);
+      const previousStart = period === 'day'
+        ? addDays(start, -1)
+        : period === 'week' ? addDays(start, -7) : addMonths(start, -1);
+
+      current = { from: start, to: today };
+      previous = { from: previousStart, to: addDays(start, -1) };
+    }
+
+    const countRange = ({ from: rangeFrom, to: rangeTo }) => {
+      const { start, end } = this.getRangeBounds(rangeFrom, rangeTo, timeZone);
+      return this.countBetween(start, end);
+    };
+
+    const currentCount = countRange(current);
+    const previousCount = countRange(previous);
+
+    const growthRate = previousCount === 0
+      ? (currentCount > 0 ? 100 : 0)
+      : Math.round(((currentCount - previousCount) / previousCount) * 100);
+
+    return {
+      period: from && to ? 'custom' : period,
+      timeZone,
+      current: { ...current, count: currentCount },
+      previous: { ...previous, count: previousCount },
+      change: currentCount - previousCount,
+      growthRate
+    };
+  }
+}
+
+export { GRANULARITIES, ATTRIBUTION_GROUPS };
+export default new AnalyticsService();
@@ -0,0 +1,176 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import crypto from 'crypto';
+import { PERMISSIONS } from './admin.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const KEY_PREFIX = 'lgs_';
+const KEY_BYTES = 32;
+const PREFIX_LENGTH = 8; // characters after KEY_PREFIX shown in listings
+
+// What each scope lets a key do, expressed as admin permissions
+const SCOPE_PERMISSIONS = {
+  'read:count': [PERMISSIONS.VIEW_ANALYTICS],
+  'read:signups': [PERMISSIONS.VIEW_SIGNUPS],
+  'export': [PERMISSIONS.EXPORT_SIGNUPS],
+  'invites': [PERMISSIONS.REDEEM_INVITES]
+};
+
+const API_KEY_SCOPES = Object.keys(SCOPE_PERMISSIONS);
+
+// Safe columns for listings (never the hash)
+const API_KEY_COLUMNS = `
+  k.id, k.name, k.key_prefix, k.scopes, k.created_by, k.created_at,
+  k.last_used_at, k.last_used_ip, k.revoked_at
+`;
+
+/**
+ * Permissions granted by a list of scopes
+ */
+const getScopePermissions = (scopes) => [...new Set(scopes.flatMap(scope => SCOPE_PERMISSIONS[scope] || []))];
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const toApiKey = (row) => row && {
+  ...row,
+  scopes: JSON.parse(row.scopes)
+};
+
+class ApiKeyService {
+  constructor() {
+    // Ensure data directory exists (important for production/Railway)
+    const dataDir = path.join(__dirname, '../../data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Keys belong to admin accounts, so they live in admin.db
+    const dbPath = path.join(dataDir, 'admin.db');
+    this.db = new Database(dbPath);
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        scopes TEXT NOT NULL,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        revoked_at DATETIME,
+
+        FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+      )
+    `);
+  }
+
+  /**
+   * Create a key
+   * Returns the stored key and the secret, which is never retrievable again
+   */
+  createKey({ name, scopes }, createdBy) {
+    const invalid = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+    if (invalid.length > 0 || scopes.length === 0) {
+      throw new Error(`Scopes must be one or more of: ${API_KEY_SCOPES.join(', ')}`);
+    }
+
+    const secret = `${KEY_PREFIX}${crypto.randomBytes(KEY_BYTES).toString('base64url')}`;
+    const keyPrefix = secret.slice(0, KEY_PREFIX.length + PREFIX_LENGTH);
+
+    const result = this.db.prepare(`
+      INSERT INTO api_keys (name, key_prefix, key_hash, scopes, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(name.trim(), keyPrefix, hashKey(secret), JSON.stringify([...new Set(scopes)]), createdBy);
+
+    return {
+      key: this.getKey(result.lastInsertRowid),
+      secret
+    };
+  }
+
+  getKey(id) {
+    return toApiKey(this.db.prepare(`
+      SELECT ${API_KEY_COLUMNS}, a.username as created_by_username
+      FROM api_keys k
+      LEFT JOIN admins a ON k.created_by = a.id
+      WHERE k.id = ?
+    `).get(id));
+  }
+
+  /**
+   * All keys, newest first (revoked keys included for the record)
+   */
+  listKeys() {
+    return this.db.prepare(`
+      SELECT ${API_KEY_COLUMNS}, a.username as created_by_username
+      FROM api_keys k
+      LEFT JOIN admins a ON k.created_by = a.id
+      ORDER BY k.revoked_at IS NOT NULL, k.created_at DESC
+    `).all().map(toApiKey);
+  }
+
+  /**
+   * Revoke a key. Returns false if it doesn't exist or was already revoked
+   */
+  revokeKey(id) {
+    const result = this.db.prepare(`
+      UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND revoked_at IS NULL
+    `).run(id);
+
+    return result.changes > 0;
+  }
+
+  /**
+   * Replace a key with a new secret (same name and scopes) and revoke the old one
+   */
+  rotateKey(id, createdBy) {
+    const existing = this.getKey(id);
+    if (!existing || existing.revoked_at) {
+      return null;
+    }
+
+    return this.db.transaction(() => {
+      this.revokeKey(id);
+      return this.createKey({ name: existing.name, scopes: existing.scopes }, createdBy);
+    })();
+  }
+
+  /**
+   * Look up an active key by its secret and record the use
+   * Returns the key (with the permissions its scopes grant), or null
+   */
+  authenticate(secret, ipAddress = null) {
+    if (typeof secret !== 'string' || !secret.startsWith(KEY_PREFIX)) {
+      return null;
+    }
+
+    const row = this.db.prepare(`
+      SELECT id, name, scopes FROM api_keys
+      WHERE key_hash = ? AND revoked_at IS NULL
+    `).get(hashKey(secret));
+
+    if (!row) {
+      return null;
+    }
+
+    this.db.prepare(`
+      UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = ? WHERE id = ?
+    `).run(ipAddress, row.id);
+
+    const key = toApiKey(row);
+    return { ...key, permissions: getScopePermissions(key.scopes) };
+  }
+}
+
+export { API_KEY_SCOPES, SCOPE_PERMISSIONS, getScopePermissions };
+export default new ApiKeyService();
@@ -0,0 +1,435 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const MAX_CHURCH_NAME_LENGTH = 200;
+const MAX_CHURCH_FIELD_LENGTH = 100;
+const CHURCH_FIELDS = ['name', 'city', 'region', 'denomination'];
+
+// Listing defaults and the columns callers may sort by
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const SORTABLE_COLUMNS = ['name', 'city', 'region', 'denomination', 'signup_count', 'created_at'];
+
+// Written-out forms of common abbreviations, so "St. Mark's" and "Saint Marks" share a key
+const ABBREVIATIONS = {
+  st: 'saint',
+  sts: 'saints',
+  mt: 'mount',
+  ft: 'fort',
+  ch: 'church',
+  chr: 'church'
+};
+
+// Words that don't tell one congregation from another, ignored when comparing names
+// ("of" is kept so "Church of Christ" and "Christ Church" stay apart)
+const GENERIC_WORDS = ['the', 'church'];
+
+// Suggested merges listed for review, and how many churches are compared to find them
+const MAX_SUGGESTIONS = 100;
+const MAX_SUGGESTION_CHURCHES = 2000;
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ */
+const editDistance = (a, b) => {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...new Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+};
+
+/**
+ * Whether two words are the same allowing for a plural/possessive "s" and small typos
+ * Short words must match exactly, so "Mark" and "Mary" stay apart
+ */
+const similarWords = (a, b) => {
+  if (a.replace(/s$/, '') === b.replace(/s$/, '')) return true;
+
+  const length = Math.min(a.length, b.length);
+  if (length >= 9) return editDistance(a, b) <= 2;
+  if (length >= 5) return editDistance(a, b) <= 1;
+  return false;
+};
+
+/**
+ * Words of a church name: lowercased, accents and punctuation removed, abbreviations written out
+ * and misspellings of "church" corrected
+ */
+const nameWords = (name) => String(name)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/['’]s\b/g, '')
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim()
+  .split(' ')
+  .filter(Boolean)
+  .map(word => ABBREVIATIONS[word] || word)
+  .map(word => (word !== 'church' && word.length >= 5 && editDistance(word, 'church') <= 1 ? 'church' : word));
+
+/**
+ * Exact-match key for a church name: "Grace Church", "grace  church" and "GRACE CHURCH." share one
+ */
+const churchNameKey = (name) => nameWords(name).join(' ');
+
+/**
+ * The distinguishing words of a name (falls back to every word for names like "The Church")
+ */
+const coreWords = (key) => {
+  const words = key.split(' ');
+  const core = words.filter(word => !GENERIC_WORDS.includes(word));
+  return core.length > 0 ? core : words;
+};
+
+/**
+ * Whether two names are the same church: same distinguishing words, in order, allowing typos
+ */
+const sameChurch = (a, b) => a.length === b.length && a.every((word, i) => similarWords(word, b[i]));
+
+/**
+ * Whether every distinguishing word of a shorter name appears in a longer one
+ * e.g. "Grace Church" and "Grace Church NYC" - likely, but not certainly, the same church
+ */
+const containsChurch = (shorter, longer) => {
+  return shorter.length < longer.length && shorter.every(word => longer.some(other => similarWords(word, other)));
+};
+
+/**
+ * Display name for a church created from free text: whitespace tidied, and title-cased
+ * when typed all in one case
+ */
+const tidyChurchName = (text) => {
+  const name = String(text).trim().replace(/\s+/g, ' ').slice(0, MAX_CHURCH_NAME_LENGTH);
+  if (name !== name.toLowerCase() && name !== name.toUpperCase()) {
+    return name;
+  }
+  return name.toLowerCase().replace(/(^|[\s-])(\p{L})/gu, (match, boundary, letter) => boundary + letter.toUpperCase());
+};
+
+class ChurchService {
+  constructor() {
+    // Ensure data directory exists (important for production/Railway)
+    const dataDir = path.join(__dirname, '../../data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Churches live in waitlist.db next to the signups that point at them
+    const dbPath = path.join(dataDir, 'waitlist.db');
+    this.db = new Database(dbPath);
+
+    // name_key is the normalised name; aliases map other spellings (old names, merged churches) to a church
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS churches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        name_key TEXT UNIQUE NOT NULL,
+        city TEXT,
+        region TEXT,
+        denomination TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS church_aliases (
+        alias_key TEXT PRIMARY KEY,
+        church_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_church_aliases_church_id ON church_aliases(church_id);
+    `);
+  }
+
+  /**
+   * Match free-text church names to directory entries, creating entries for new churches
+   * Loads the directory once, so use one matcher for a batch (imports, backfills)
+   * Returns { match(text), resolve(text) }: match gives a church ID or null, resolve always gives
+   * an ID (null only for blank text)
+   * Pass another connection to waitlist.db to create churches inside a transaction open on it
+   */
+  createMatcher(db = this.db) {
+    const keys = new Map();
+    db.prepare('SELECT alias_key AS key, church_id AS id FROM church_aliases').all()
+      .forEach(({ key, id }) => keys.set(key, id));
+    db.prepare('SELECT id, name_key AS key FROM churches').all()
+      .forEach(({ key, id }) => keys.set(key, id));
+
+    const churches = db.prepare('SELECT id, name_key FROM churches ORDER BY id').all()
+      .map(({ id, name_key: key }) => ({ id, words: coreWords(key) }));
+
+    const insert = db.prepare('INSERT INTO churches (name, name_key) VALUES (?, ?)');
+    const addAlias = db.prepare('INSERT OR IGNORE INTO church_aliases (alias_key, church_id) VALUES (?, ?)');
+
+    const match = (text) => {
+      const key = text ? churchNameKey(text) : '';
+      if (!key) {
+        return null;
+      }
+      if (keys.has(key)) {
+        return keys.get(key);
+      }
+
+      const words = coreWords(key);
+      const fuzzy = churches.find(church => sameChurch(words, church.words));
+      if (!fuzzy) {
+        return null;
+      }
+
+      // Remember the spelling so it matches exactly next time
+      addAlias.run(key, fuzzy.id);
+      keys.set(key, fuzzy.id);
+      return fuzzy.id;
+    };
+
+    const resolve = (text) => {
+      const existing = match(text);
+      if (existing || !text || !churchNameKey(text)) {
+        return existing;
+      }
+
+      const key = churchNameKey(text);
+      const id = Number(insert.run(tidyChurchName(text), key).lastInsertRowid);
+      keys.set(key, id);
+      churches.push({ id, words: coreWords(key) });
+      return id;
+    };
+
+    return { match, resolve };
+  }
+
+  /**
+   * Directory entry for one free-text church name (see createMatcher)
+   */
+  resolveChurch(text) {
+    return this.createMatcher().resolve(text);
+  }
+
+  /**
+   * Build a WHERE clause from listing filters (search: name, city, region or denomination)
+   */
+  buildFilters({ search } = {}) {
+    if (!search) {
+      return { where: '', params: [] };
+    }
+
+    const term = `%${search.replace(/[\\%_]/g, '\\$&')}%`;
+    return {
+      where: "WHERE name LIKE ? ESCAPE '\\' OR city LIKE ? ESCAPE '\\' OR region LIKE ? ESCAPE '\\' OR denomination LIKE ? ESCAPE '\\'",
+      params: [term, term, term, term]
+    };
+  }
+
+  /**
+   * One page of the directory with each church's signup count
+   * Returns { churches, pagination: { page, limit, total, totalPages } }
+   */
+  getChurchesPage({ search, page = 1, limit = DEFAULT_PAGE_SIZE, sort = 'signup_count', order = 'desc' } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sortColumn = SORTABLE_COLUMNS.includes(sort) ? sort : 'signup_count';
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const { where, params } = this.buildFilters({ search });
+
+    const total = this.db.prepare(`SELECT COUNT(*) as count FROM churches ${where}`).get(...params).count;
+    const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+    const currentPage = Math.min(Math.max(parseInt(page) || 1, 1), totalPages);
+
+    const churches = this.db.prepare(`
+      SELECT * FROM (
+        SELECT
+          churches.*,
+          (SELECT COUNT(*) FROM waitlist w WHERE w.church_id = churches.id) AS signup_count,
+          (SELECT COUNT(*) FROM church_aliases a WHERE a.church_id = churches.id) AS alias_count
+        FROM churches
+        ${where}
+      )
+      ORDER BY ${sortColumn} ${direction}, name ASC
+      LIMIT ? OFFSET ?
+    `).all(...params, pageSize, (currentPage - 1) * pageSize);
+
+    return {
+      churches,
+      pagination: { page: currentPage, limit: pageSize, total, totalPages }
+    };
+  }
+
+  /**
+   * A church with its signup count, or undefined
+   */
+  getChurch(id) {
+    return this.db.prepare(`
+      SELECT churches.*, (SELECT COUNT(*) FROM waitlist w WHERE w.church_id = churches.id) AS signup_count
+      FROM churches WHERE id = ?
+    `).get(id);
+  }
+
+  /**
+   * The church a name (or one of its aliases) already belongs to, or undefined
+   */
+  findByName(name) {
+    const key = churchNameKey(name);
+    return this.db.prepare(`
+      SELECT id, name FROM churches WHERE name_key = ?
+      UNION ALL
+      SELECT c.id, c.name FROM church_aliases a JOIN churches c ON c.id = a.church_id WHERE a.alias_key = ?
+    `).get(key, key);
+  }
+
+  /**
+   * Add a church to the directory
+   * Throws (with a user-facing message) if the name is blank or already taken
+   */
+  createChurch({ name, city = null, region = null, denomination = null }) {
+    const key = churchNameKey(name);
+    if (!key) {
+      throw new Error('Church name must contain letters or numbers');
+    }
+
+    const existing = this.findByName(name);
+    if (existing) {
+      throw new Error(`"${existing.name}" already has that name`);
+    }
+
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO churches (name, name_key, city, region, denomination) VALUES (?, ?, ?, ?, ?)
+    `).run(name.trim(), key, city || null, region || null, denomination || null);
+
+    return this.getChurch(lastInsertRowid);
+  }
+
+  /**
+   * Rename a church or change its details; only the fields given are changed
+   * A renamed church keeps its old name as an alias, so signups spelling it that way still match
+   * Throws (with a user-facing message) if the new name belongs to another church
+   * Returns { church, changes: [{ field, from, to }] }
+   */
+  updateChurch(id, fields) {
+    const church = this.getChurch(id);
+    const changes = CHURCH_FIELDS
+      .filter(field => fields[field] !== undefined && (fields[field] || null) !== church[field])
+      .map(field => ({ field, from: church[field], to: fields[field] || null }));
+
+    if (changes.length === 0) {
+      return { church, changes };
+    }
+
+    const rename = changes.find(change => change.field === 'name');
+    const key = rename ? churchNameKey(rename.to || '') : church.name_key;
+
+    if (rename) {
+      if (!key) {
+        throw new Error('Church name must contain letters or numbers');
+      }
+
+      const existing = this.findByName(rename.to);
+      if (existing && existing.id !== church.id) {
+        throw new Error(`"${existing.name}" already has that name. Merge the churches instead`);
+      }
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE churches
+        SET ${changes.map(({ field }) => `${field} = ?`).join(', ')}, name_key = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...changes.map(({ to }) => to), key, church.id);
+
+      if (key !== church.name_key) {
+        this.db.prepare('DELETE FROM church_aliases WHERE alias_key = ?').run(key);
+        this.db.prepare('INSERT OR REPLACE INTO church_aliases (alias_key, church_id) VALUES (?, ?)').run(church.name_key, church.id);
+      }
+    })();
+
+    return { church: this.getChurch(church.id), changes };
+  }
+
+  /**
+   * Merge churches into one: their signups and aliases move over, their names become aliases,
+   * and details the kept church is missing are copied from them
+   * Throws (with a user-facing message) if a church is missing or the kept church itself
+   * Returns the merged churches' { id, name }
+   */
+  mergeChurches(primaryId, ids) {
+    if (ids.includes(primaryId)) {
+      throw new Error("A church can't be merged into itself");
+    }
+
+    const select = this.db.prepare('SELECT * FROM churches WHERE id = ?');
+
+    return this.db.transaction(() => {
+      const [primary, ...merged] = [primaryId, ...new Set(ids)].map(id => select.get(id));
+      if (!primary || merged.some(church => !church)) {
+        throw new Error('Church not found');
+      }
+
+      const mergedIds = merged.map(church => church.id);
+      const placeholders = mergedIds.map(() => '?').join(', ');
+      const details = Object.fromEntries(['city', 'region', 'denomination'].map(field => [
+        field,
+        primary[field] || merged.find(church => church[field])?.[field] || null
+      ]));
+
+      this.db.prepare(`UPDATE waitlist SET church_id = ? WHERE church_id IN (${placeholders})`).run(primary.id, ...mergedIds);
+      this.db.prepare(`UPDATE church_aliases SET church_id = ? WHERE church_id IN (${placeholders})`).run(primary.id, ...mergedIds);
+
+      const addAlias = this.db.prepare('INSERT OR REPLACE INTO church_aliases (alias_key, church_id) VALUES (?, ?)');
+      merged.forEach(church => addAlias.run(church.name_key, primary.id));
+
+      this.db.prepare(`DELETE FROM churches WHERE id IN (${placeholders})`).run(...mergedIds);
+      this.db.prepare(`
+        UPDATE churches SET city = ?, region = ?, denomination = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(details.city, details.region, details.denomination, primary.id);
+
+      return merged.map(({ id, name }) => ({ id, name }));
+    })();
+  }
+
+  /**
+   * Pairs of churches that are probably the same, for an admin to merge
+   * (one name's distinguishing words all appear in the other, e.g. "Grace Church" and "Grace Church NYC")
+   * Only the MAX_SUGGESTION_CHURCHES churches with the most signups are compared
+   */
+  getMergeSuggestions() {
+    const churches = this.db.prepare(`
+      SELECT id, name, name_key, (SELECT COUNT(*) FROM waitlist w WHERE w.church_id = churches.id) AS signup_count
+      FROM churches
+      ORDER BY signup_count DESC, id
+      LIMIT ?
+    `).all(MAX_SUGGESTION_CHURCHES).map(church => ({ ...church, words: coreWords(church.name_key) }));
+
+    const suggestions = [];
+    for (let i = 0; i < churches.length && suggestions.length < MAX_SUGGESTIONS; i++) {
+      for (let j = i + 1; j < churches.length && suggestions.length < MAX_SUGGESTIONS; j++) {
+        const [a, b] = [churches[i], churches[j]];
+        if (containsChurch(a.words, b.words) || containsChurch(b.words, a.words)) {
+          // Suggest keeping the church with more signups
+          suggestions.push({
+            church: { id: a.id, name: a.name, signup_count: a.signup_count },
+            duplicate: { id: b.id, name: b.name, signup_count: b.signup_count }
+          });
+        }
+      }
+    }
+
+    return suggestions;
+  }
+}
+
+export { churchNameKey, MAX_CHURCH_NAME_LENGTH, MAX_CHURCH_FIELD_LENGTH, SORTABLE_COLUMNS as CHURCH_SORTABLE_COLUMNS, MAX_PAGE_SIZE as CHURCH_MAX_PAGE_SIZE };
+export default new ChurchService();
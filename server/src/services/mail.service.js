@@ -0,0 +1,257 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Console transport - prints messages to stdout (local development)
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+  async send(message) {
+    console.log('');
+    console.log('📨 Outgoing email');
+    console.log(`   To:      ${message.to}`);
+    console.log(`   Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('');
+    return { id: null };
+  }
+});
+
+/**
+ * File transport - writes each message as JSON to a directory (local development)
+ */
+const createFileTransport = (dir = process.env.MAIL_FILE_DIR || path.join(__dirname, '../..', 'data', 'mail')) => ({
+  name: 'file',
+  async send(message) {
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    const filePath = path.join(dir, `${id}.json`);
+    await fs.promises.writeFile(filePath, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+
+    console.log(`📨 Email to ${message.to} written to ${filePath}`);
+    return { id };
+  }
+});
+
+/**
+ * SMTP transport - real delivery via nodemailer
+ */
+const createSmtpTransport = () => {
+  let transporter = null;
+
+  return {
+    name: 'smtp',
+    async send(message) {
+      if (!transporter) {
+        const { default: nodemailer } = await import('nodemailer');
+        transporter = nodemailer.createTransport({
+          host: process.env.SMTP_HOST,
+          port: parseInt(process.env.SMTP_PORT) || 587,
+          secure: process.env.SMTP_SECURE === 'true',
+          auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+        });
+      }
+
+      const info = await transporter.sendMail(message);
+      return { id: info.messageId };
+    }
+  };
+};
+
+const TRANSPORTS = {
+  console: createConsoleTransport,
+  file: createFileTransport,
+  smtp: createSmtpTransport
+};
+
+class MailService {
+  constructor() {
+    // Transport is resolved lazily so MAIL_TRANSPORT from .env is honoured
+    this.transport = null;
+  }
+
+  /**
+   * Replace the active transport (any object with an async send(message))
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    if (!this.transport) {
+      const name = process.env.MAIL_TRANSPORT || 'console';
+      const factory = TRANSPORTS[name];
+
+      if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+      }
+
+      this.transport = factory();
+    }
+
+    return this.transport;
+  }
+
+  /**
+   * Send a message through the active transport
+   * unsubscribe: { unsubscribeUrl, preferencesUrl } for emails people can opt out of -
+   * adds one-click List-Unsubscribe headers (RFC 8058) and a footer linking to their preferences
+   */
+  async send({ to, subject, text, html, unsubscribe }) {
+    const from = process.env.MAIL_FROM || 'LogosAI <no-reply@logosai.local>';
+
+    if (!unsubscribe) {
+      return this.getTransport().send({ from, to, subject, text, html });
+    }
+
+    const { unsubscribeUrl, preferencesUrl } = unsubscribe;
+    return this.getTransport().send({
+      from,
+      to,
+      subject,
+      text: [text, '', '--', 'Choose which emails you get from us, or unsubscribe:', preferencesUrl].join('\n'),
+      html: `${html}
+        <p style="font-size: 12px; color: #6b7280;">
+          <a href="${escapeHtml(preferencesUrl)}">Email preferences</a> &middot;
+          <a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a>
+        </p>
+      `,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    });
+  }
+
+  /**
+   * Double opt-in confirmation email for new waitlist signups
+   */
+  async sendSignupConfirmation(to, { name, confirmUrl }) {
+    return this.send({
+      to,
+      subject: 'Confirm your spot on the LogosAI waitlist',
+      text: [
+        `Hi ${name},`,
+        '',
+        'Thanks for joining the LogosAI waitlist! Please confirm your email address by opening the link below:',
+        '',
+        confirmUrl,
+        '',
+        "If you didn't sign up, you can safely ignore this email."
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Thanks for joining the LogosAI waitlist! Please confirm your email address:</p>
+        <p><a href="${escapeHtml(confirmUrl)}">Confirm my email</a></p>
+        <p>If you didn't sign up, you can safely ignore this email.</p>
+      `
+    });
+  }
+
+  /**
+   * Invitation off the waitlist with a single-use invite code
+   * inviteUrl is optional (set when INVITE_URL is configured)
+   */
+  async sendInvite(to, { name, code, inviteUrl, expiresAt, unsubscribe }) {
+    const expires = expiresAt ? ` It can be used once and expires on ${expiresAt.split(' ')[0]}.` : '';
+
+    return this.send({
+      to,
+      subject: "You're invited to LogosAI",
+      unsubscribe,
+      text: [
+        `Hi ${name},`,
+        '',
+        "Your wait is over - you're invited to LogosAI! Your invite code is:",
+        '',
+        code,
+        '',
+        ...(inviteUrl ? ['Get started here:', '', inviteUrl, ''] : []),
+        `This code is just for you.${expires}`
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Your wait is over - you're invited to LogosAI! Your invite code is:</p>
+        <p style="font-size: 20px; font-family: monospace; letter-spacing: 2px;"><strong>${escapeHtml(code)}</strong></p>
+        ${inviteUrl ? `<p><a href="${escapeHtml(inviteUrl)}">Get started</a></p>` : ''}
+        <p>This code is just for you.${escapeHtml(expires)}</p>
+      `
+    });
+  }
+
+  /**
+   * Link to a page showing someone their place on the waitlist
+   */
+  async sendStatusLink(to, { name, link }) {
+    return this.send({
+      to,
+      subject: 'Your place on the LogosAI waitlist',
+      text: [
+        `Hi ${name},`,
+        '',
+        'Here is your link to check your place on the LogosAI waitlist:',
+        '',
+        link,
+        '',
+        "The link expires in 24 hours. If you didn't ask for this, you can safely ignore this email."
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>Here is your link to check your place on the LogosAI waitlist:</p>
+        <p><a href="${escapeHtml(link)}">See my waitlist status</a></p>
+        <p>The link expires in 24 hours. If you didn't ask for this, you can safely ignore this email.</p>
+      `
+    });
+  }
+
+  /**
+   * Self-service link to download or delete your waitlist data
+   * action: 'export' | 'delete'
+   */
+  async sendPrivacyLink(to, { name, action, link }) {
+    const intro = action === 'delete'
+      ? 'We received a request to delete your data from the LogosAI waitlist. To confirm, open the link below:'
+      : 'We received a request for a copy of your LogosAI waitlist data. Download it here:';
+    const label = action === 'delete' ? 'Delete my data' : 'Download my data';
+
+    return this.send({
+      to,
+      subject: action === 'delete' ? 'Confirm deleting your LogosAI waitlist data' : 'Your LogosAI waitlist data',
+      text: [
+        `Hi ${name},`,
+        '',
+        intro,
+        '',
+        link,
+        '',
+        "The link expires in 24 hours. If you didn't ask for this, you can safely ignore this email."
+      ].join('\n'),
+      html: `
+        <p>Hi ${escapeHtml(name)},</p>
+        <p>${escapeHtml(intro)}</p>
+        <p><a href="${escapeHtml(link)}">${label}</a></p>
+        <p>The link expires in 24 hours. If you didn't ask for this, you can safely ignore this email.</p>
+      `
+    });
+  }
+}
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+export { createConsoleTransport, createFileTransport, createSmtpTransport };
+export default new MailService();
@@ -0,0 +1,198 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import { EXPORT_FORMATS as SIGNUP_EXPORT_FORMATS } from './waitlist.service.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const EXPORT_FORMATS = Object.keys(SIGNUP_EXPORT_FORMATS);
+
+/**
+ * Every known setting
+ * scope 'global' - one value for the whole dashboard
+ * scope 'admin'  - each admin has their own value
+ */
+const SETTINGS_SCHEMA = {
+  // Notifications go to whoever opted in, so they're personal
+  emailNotifications: { scope: 'admin', type: 'boolean', default: true },
+  dailyDigest: { scope: 'admin', type: 'boolean', default: false },
+  weeklyReport: { scope: 'admin', type: 'boolean', default: true },
+  exportFormat: { scope: 'admin', type: 'enum', values: EXPORT_FORMATS, default: 'csv' },
+
+  // Scheduled exports run once for the whole team
+  autoExport: { scope: 'global', type: 'boolean', default: false },
+  autoExportFormat: { scope: 'global', type: 'enum', values: EXPORT_FORMATS, default: 'csv' }
+};
+
+const SCOPES = ['global', 'admin'];
+
+/**
+ * Check a single value against its schema entry
+ * Returns an error message, or null if valid
+ */
+const validateValue = (key, definition, value) => {
+  if (definition.type === 'boolean' && typeof value !== 'boolean') {
+    return `${key} must be true or false`;
+  }
+
+  if (definition.type === 'enum' && !definition.values.includes(value)) {
+    return `${key} must be one of: ${definition.values.join(', ')}`;
+  }
+
+  return null;
+};
+
+class SettingsService {
+  constructor() {
+    // Ensure data directory exists (important for production/Railway)
+    const dataDir = path.join(__dirname, '../../data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Settings live alongside the admin accounts they belong to
+    const dbPath = path.join(dataDir, 'admin.db');
+    this.db = new Database(dbPath);
+    this.initDatabase();
+  }
+
+  initDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_by INTEGER
+      )
+    `);
+
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS admin_settings (
+        admin_id INTEGER NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        PRIMARY KEY (admin_id, key),
+        FOREIGN KEY (admin_id) REFERENCES admins(id) ON DELETE CASCADE
+      )
+    `);
+  }
+
+  /**
+   * Defaults for every setting in a scope
+   */
+  getDefaults(scope) {
+    return Object.fromEntries(
+      Object.entries(SETTINGS_SCHEMA)
+        .filter(([, definition]) => definition.scope === scope)
+        .map(([key, definition]) => [key, definition.default])
+    );
+  }
+
+  /**
+   * Global settings, with defaults filled in
+   */
+  getGlobalSettings() {
+    const rows = this.db.prepare('SELECT key, value FROM settings').all();
+    return this.mergeRows(this.getDefaults('global'), rows);
+  }
+
+  /**
+   * One admin's personal settings, with defaults filled in
+   */
+  getAdminSettings(adminId) {
+    const rows = this.db.prepare('SELECT key, value FROM admin_settings WHERE admin_id = ?').all(adminId);
+    return this.mergeRows(this.getDefaults('admin'), rows);
+  }
+
+  /**
+   * Look up a single setting's effective value
+   */
+  get(key, adminId = null) {
+    const definition = SETTINGS_SCHEMA[key];
+    if (!definition) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+
+    return definition.scope === 'admin'
+      ? this.getAdminSettings(adminId)[key]
+      : this.getGlobalSettings()[key];
+  }
+
+  /**
+   * Apply stored rows on top of defaults (ignoring keys no longer in the schema)
+   */
+  mergeRows(defaults, rows) {
+    const settings = { ...defaults };
+
+    rows.forEach(({ key, value }) => {
+      if (key in defaults) {
+        settings[key] = JSON.parse(value);
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Validate a partial update for a scope
+   * Throws with every problem found so the client can show them together
+   */
+  validate(scope, values) {
+    if (!SCOPES.includes(scope)) {
+      throw new Error(`Unknown settings scope: ${scope}`);
+    }
+
+    const errors = Object.entries(values).map(([key, value]) => {
+      const definition = SETTINGS_SCHEMA[key];
+      if (!definition) {
+        return `Unknown setting: ${key}`;
+      }
+      if (definition.scope !== scope) {
+        return `${key} is a ${definition.scope === 'admin' ? 'personal' : 'global'} setting`;
+      }
+      return validateValue(key, definition, value);
+    }).filter(Boolean);
+
+    if (errors.length > 0) {
+      const error = new Error(errors.join('; '));
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Save a partial update for a scope
+   * Returns the list of { key, from, to } that actually changed
+   */
+  update(scope, values, adminId) {
+    this.validate(scope, values);
+
+    const current = scope === 'global' ? this.getGlobalSettings() : this.getAdminSettings(adminId);
+    const changes = Object.entries(values)
+      .filter(([key, value]) => current[key] !== value)
+      .map(([key, value]) => ({ key, from: current[key], to: value }));
+
+    const upsert = scope === 'global'
+      ? this.db.prepare(`
+          INSERT INTO settings (key, value, updated_by) VALUES (?, ?, ?)
+          ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_by = excluded.updated_by, updated_at = CURRENT_TIMESTAMP
+        `)
+      : this.db.prepare(`
+          INSERT INTO admin_settings (key, value, admin_id) VALUES (?, ?, ?)
+          ON CONFLICT(admin_id, key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `);
+
+    this.db.transaction(() => {
+      changes.forEach(({ key, to }) => upsert.run(key, JSON.stringify(to), adminId));
+    })();
+
+    return changes;
+  }
+}
+
+export { SETTINGS_SCHEMA, EXPORT_FORMATS };
+export default new SettingsService();
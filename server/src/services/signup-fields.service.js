@@ -0,0 +1,341 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIELD_TYPES = ['text', 'textarea', 'select', 'number'];
+
+// Fields stored in waitlist columns; they can be relabelled or hidden from the form but not deleted
+const BUILTIN_FIELDS = ['name', 'church'];
+
+// Keys are also used in query strings (field[role]=Pastor) and export columns (field.role)
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,31}$/;
+const RESERVED_FIELD_KEYS = ['email', 'ref', 'fields'];
+const FIELD_COLUMN_PREFIX = 'field.';
+
+const MAX_FIELDS = 30;
+const MAX_LABEL_LENGTH = 100;
+const MAX_PLACEHOLDER_LENGTH = 100;
+const MAX_FIELD_OPTIONS = 50;
+const MAX_OPTION_LENGTH = 100;
+
+// Longest accepted answer by field type
+const MAX_VALUE_LENGTH = {
+  text: 200,
+  textarea: 2000,
+  select: MAX_OPTION_LENGTH,
+  number: 15
+};
+
+// The form a new install starts with; fields after church are off until an admin turns them on
+const DEFAULT_FIELDS = [
+  { key: 'name', label: 'Your Name', type: 'text', placeholder: 'Jane Smith', enabled: true },
+  { key: 'church', label: 'Church Name', type: 'text', placeholder: 'Enter your church name', enabled: true },
+  {
+    key: 'role',
+    label: 'Your Role',
+    type: 'select',
+    options: ['Pastor', 'Worship leader', 'Media team', 'Volunteer', 'Other'],
+    enabled: true
+  },
+  {
+    key: 'congregation_size',
+    label: 'Congregation Size',
+    type: 'select',
+    options: ['Under 100', '100-499', '500-1,999', '2,000+'],
+    enabled: true
+  },
+  { key: 'country', label: 'Country', type: 'text', enabled: false },
+  {
+    key: 'projection_software',
+    label: 'Projection Software',
+    type: 'select',
+    options: ['ProPresenter', 'EasyWorship', 'MediaShout', 'Proclaim', 'OpenLP', 'FreeShow', 'Other', 'None'],
+    enabled: false
+  },
+  { key: 'comments', label: 'Anything else we should know?', type: 'textarea', enabled: false }
+];
+
+const toField = (row) => row && {
+  key: row.key,
+  label: row.label,
+  type: row.type,
+  options: JSON.parse(row.options),
+  placeholder: row.placeholder,
+  required: Boolean(row.required),
+  enabled: Boolean(row.enabled),
+  builtin: BUILTIN_FIELDS.includes(row.key),
+  position: row.position
+};
+
+/**
+ * Check a field definition (or the changed parts of one)
+ * Returns an error message, or null if valid
+ */
+const validateDefinition = ({ label, type, options, placeholder }) => {
+  if (label !== undefined && (typeof label !== 'string' || !label.trim() || label.length > MAX_LABEL_LENGTH)) {
+    return `Label must be between 1 and ${MAX_LABEL_LENGTH} characters`;
+  }
+  if (type !== undefined && !FIELD_TYPES.includes(type)) {
+    return `Type must be one of: ${FIELD_TYPES.join(', ')}`;
+  }
+  if (placeholder !== undefined && placeholder !== null && (typeof placeholder !== 'string' || placeholder.length > MAX_PLACEHOLDER_LENGTH)) {
+    return `Placeholder must be at most ${MAX_PLACEHOLDER_LENGTH} characters`;
+  }
+  if (options !== undefined) {
+    if (!Array.isArray(options) || options.length > MAX_FIELD_OPTIONS) {
+      return `Options must be a list of at most ${MAX_FIELD_OPTIONS} choices`;
+    }
+    if (options.some(option => typeof option !== 'string' || !option.trim() || option.length > MAX_OPTION_LENGTH)) {
+      return `Each option must be between 1 and ${MAX_OPTION_LENGTH} characters`;
+    }
+    if (new Set(options.map(option => option.trim())).size !== options.length) {
+      return 'Options must be different from each other';
+    }
+  }
+  return null;
+};
+
+class SignupFieldsService {
+  constructor() {
+    // Ensure data directory exists (important for production/Railway)
+    const dataDir = path.join(__dirname, '../../data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Field definitions live in waitlist.db next to the answers
+    const dbPath = path.join(dataDir, 'waitlist.db');
+    this.db = new Database(dbPath);
+
+    // options is a JSON list of choices (select fields only)
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS signup_fields (
+        key TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        type TEXT NOT NULL,
+        options TEXT NOT NULL DEFAULT '[]',
+        placeholder TEXT,
+        required INTEGER NOT NULL DEFAULT 0,
+        enabled INTEGER NOT NULL DEFAULT 1,
+        position INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME
+      );
+
+      CREATE TABLE IF NOT EXISTS signup_field_values (
+        signup_id INTEGER NOT NULL,
+        field_key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        PRIMARY KEY (signup_id, field_key)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_signup_field_values_field ON signup_field_values(field_key, value);
+    `);
+
+    this.seedDefaults();
+  }
+
+  /**
+   * Create the default form on first run
+   */
+  seedDefaults() {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM signup_fields').get();
+    if (count > 0) {
+      return;
+    }
+
+    const insert = this.db.prepare(`
+      INSERT INTO signup_fields (key, label, type, options, placeholder, enabled, position) VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+    this.db.transaction(() => {
+      DEFAULT_FIELDS.forEach((field, index) => insert.run(
+        field.key, field.label, field.type, JSON.stringify(field.options || []), field.placeholder || null, field.enabled ? 1 : 0, index
+      ));
+    })();
+  }
+
+  /**
+   * Every field in form order (enabledOnly: just those shown on the form)
+   */
+  listFields({ enabledOnly = false } = {}) {
+    return this.db.prepare(`
+      SELECT * FROM signup_fields ${enabledOnly ? 'WHERE enabled = 1' : ''} ORDER BY position, key
+    `).all().map(toField);
+  }
+
+  getField(key) {
+    return toField(this.db.prepare('SELECT * FROM signup_fields WHERE key = ?').get(key));
+  }
+
+  /**
+   * Add a custom field at the end of the form
+   * Throws (with a user-facing message) if the definition is invalid or the key is taken
+   */
+  createField({ key, label, type, options = [], placeholder = null, required = false, enabled = true }) {
+    if (typeof key !== 'string' || !FIELD_KEY_PATTERN.test(key) || RESERVED_FIELD_KEYS.includes(key)) {
+      throw new Error('Key must start with a lowercase letter and use only lowercase letters, numbers and _ (up to 32 characters)');
+    }
+
+    const error = validateDefinition({ label, type, options, placeholder });
+    if (error) {
+      throw new Error(error);
+    }
+    if (type === 'select' && options.length === 0) {
+      throw new Error('Choice fields need at least one option');
+    }
+    if (this.getField(key)) {
+      throw new Error(`A field with the key "${key}" already exists`);
+    }
+
+    const { count, last } = this.db.prepare('SELECT COUNT(*) AS count, MAX(position) AS last FROM signup_fields').get();
+    if (count >= MAX_FIELDS) {
+      throw new Error(`The form can have at most ${MAX_FIELDS} fields`);
+    }
+
+    this.db.prepare(`
+      INSERT INTO signup_fields (key, label, type, options, placeholder, required, enabled, position)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      key, label.trim(), type, JSON.stringify(type === 'select' ? options.map(option => option.trim()) : []),
+      placeholder || null, required ? 1 : 0, enabled ? 1 : 0, (last ?? -1) + 1
+    );
+
+    return this.getField(key);
+  }
+
+  /**
+   * Change a field's label, options, placeholder, required or enabled; only the keys given change
+   * Built-in fields keep their type and can't be required (API clients may leave them out)
+   * Throws (with a user-facing message) if the change is invalid
+   * Returns { field, changes: [{ key, from, to }] }
+   */
+  updateField(key, changes) {
+    const field = this.getField(key);
+    const error = validateDefinition(changes);
+    if (error) {
+      throw new Error(error);
+    }
+    if (field.builtin && changes.type !== undefined && changes.type !== field.type) {
+      throw new Error(`The ${field.key} field is always ${field.type}`);
+    }
+    if (field.builtin && changes.required) {
+      throw new Error(`The ${field.key} field can't be required`);
+    }
+
+    const type = changes.type ?? field.type;
+    const options = type === 'select' ? (changes.options ?? field.options).map(option => option.trim()) : [];
+    if (type === 'select' && options.length === 0) {
+      throw new Error('Choice fields need at least one option');
+    }
+
+    const next = {
+      label: changes.label !== undefined ? changes.label.trim() : field.label,
+      type,
+      options,
+      placeholder: changes.placeholder !== undefined ? changes.placeholder || null : field.placeholder,
+      required: changes.required !== undefined ? Boolean(changes.required) : field.required,
+      enabled: changes.enabled !== undefined ? Boolean(changes.enabled) : field.enabled
+    };
+
+    const changed = Object.keys(next)
+      .filter(name => JSON.stringify(next[name]) !== JSON.stringify(field[name]))
+      .map(name => ({ key: name, from: field[name], to: next[name] }));
+
+    if (changed.length > 0) {
+      this.db.prepare(`
+        UPDATE signup_fields
+        SET label = ?, type = ?, options = ?, placeholder = ?, required = ?, enabled = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE key = ?
+      `).run(next.label, next.type, JSON.stringify(next.options), next.placeholder, next.required ? 1 : 0, next.enabled ? 1 : 0, key);
+    }
+
+    return { field: this.getField(key), changes: changed };
+  }
+
+  /**
+   * Delete a custom field and every answer given to it
+   * Throws for built-in fields. Returns how many answers were deleted
+   */
+  deleteField(key) {
+    if (BUILTIN_FIELDS.includes(key)) {
+      throw new Error(`The ${key} field can't be deleted. Hide it from the form instead`);
+    }
+
+    return this.db.transaction(() => {
+      const { changes } = this.db.prepare('DELETE FROM signup_field_values WHERE field_key = ?').run(key);
+      this.db.prepare('DELETE FROM signup_fields WHERE key = ?').run(key);
+      return changes;
+    })();
+  }
+
+  /**
+   * Put the form in the order given (every field key, once)
+   * Throws (with a user-facing message) if keys are missing or unknown
+   */
+  reorderFields(keys) {
+    const existing = this.listFields().map(field => field.key);
+    if (keys.length !== existing.length || new Set(keys).size !== keys.length || keys.some(key => !existing.includes(key))) {
+      throw new Error('List every field exactly once');
+    }
+
+    const update = this.db.prepare('UPDATE signup_fields SET position = ? WHERE key = ?');
+    this.db.transaction(() => keys.forEach((key, index) => update.run(index, key)))();
+
+    return this.listFields();
+  }
+
+  /**
+   * Check a form submission against the enabled fields
+   * Built-in fields are accepted (never required) even when hidden, so API clients can send them;
+   * unknown keys and custom fields that are switched off are ignored
+   * Returns { values: { key: value }, errors: [{ field, message }] } with blank answers left out
+   */
+  validateSubmission(submitted = {}) {
+    const values = {};
+    const errors = [];
+
+    this.listFields()
+      .filter(field => field.enabled || field.builtin)
+      .forEach(field => {
+        const raw = submitted[field.key];
+        const value = raw === undefined || raw === null ? '' : String(raw).trim();
+
+        if (!value) {
+          if (field.enabled && field.required) {
+            errors.push({ field: field.key, message: `${field.label} is required` });
+          }
+          return;
+        }
+
+        if (typeof raw === 'object') {
+          errors.push({ field: field.key, message: `${field.label} must be text` });
+        } else if (value.length > MAX_VALUE_LENGTH[field.type]) {
+          errors.push({ field: field.key, message: `${field.label} must be at most ${MAX_VALUE_LENGTH[field.type]} characters` });
+        } else if (field.type === 'select' && !field.options.includes(value)) {
+          errors.push({ field: field.key, message: `${field.label} must be one of: ${field.options.join(', ')}` });
+        } else if (field.type === 'number' && !/^\d+$/.test(value)) {
+          errors.push({ field: field.key, message: `${field.label} must be a whole number` });
+        } else {
+          values[field.key] = value;
+        }
+      });
+
+    return { values, errors };
+  }
+
+  /**
+   * Export column definitions for the custom fields, keyed field.<key>
+   */
+  getExportColumns() {
+    return this.listFields()
+      .filter(field => !field.builtin)
+      .map(field => ({ key: `${FIELD_COLUMN_PREFIX}${field.key}`, header: field.label, width: field.type === 'textarea' ? 40 : 24 }));
+  }
+}
+
+export { FIELD_TYPES, BUILTIN_FIELDS, FIELD_KEY_PATTERN, FIELD_COLUMN_PREFIX };
+export default new SignupFieldsService();
@@ -0,0 +1,131 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import { signToken, verifyToken, generateNonce } from '../utils/tokens.js';
+import { normaliseEmail } from '../utils/email.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// The landing form asks for a token when it loads; a signup must carry one
+const FORM_TOKEN_PURPOSE = 'signup_form';
+const FORM_TOKEN_TTL = '24h';
+const FORM_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Faster than a person can fill in the form (read lazily so values from .env are honoured)
+const getMinFormFillSeconds = () => {
+  const seconds = parseInt(process.env.MIN_FORM_FILL_SECONDS);
+  return Number.isNaN(seconds) ? 3 : Math.max(seconds, 0);
+};
+
+// Why a signup was quarantined instead of being emailed a confirmation link
+const QUARANTINE_REASONS = {
+  honeypot: 'Filled in the hidden honeypot field',
+  too_fast: 'Submitted the form faster than a person could',
+  domain_limit: 'Too many signups from this email domain'
+};
+
+// Read lazily so DISPOSABLE_DOMAINS_FILE from .env is honoured
+const getBlocklistPath = () => process.env.DISPOSABLE_DOMAINS_FILE ||
+  path.join(__dirname, '../..', 'config', 'disposable-email-domains.txt');
+
+class SpamService {
+  constructor() {
+    this.disposableDomains = null;
+
+    // Nonces of form tokens that produced a signup, until the token would have expired anyway
+    this.usedNonces = new Map();
+  }
+
+  /**
+   * Read the disposable domain blocklist: one domain per line, # for comments
+   * A missing file leaves the blocklist empty rather than stopping the server
+   */
+  loadBlocklist(filePath) {
+    if (!fs.existsSync(filePath)) {
+      console.warn(`⚠️  Disposable email blocklist not found at ${filePath}`);
+      return new Set();
+    }
+
+    const domains = fs.readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'));
+
+    console.log(`✅ Loaded ${domains.length} disposable email domains`);
+    return new Set(domains);
+  }
+
+  /**
+   * Whether an address is at a blocklisted domain or one of its subdomains
+   */
+  isDisposableEmail(email) {
+    if (!this.disposableDomains) {
+      this.disposableDomains = this.loadBlocklist(getBlocklistPath());
+    }
+
+    const domain = normaliseEmail(email).split('@').pop();
+    const labels = domain.split('.');
+    return labels.some((label, index) => this.disposableDomains.has(labels.slice(index).join('.')));
+  }
+
+  /**
+   * A signed token for one showing of the signup form; it records when the form was first shown
+   * Pass the token it replaces (e.g. after a rejected attempt) to keep that time, so a person
+   * retrying straight away isn't taken for a bot
+   */
+  issueFormToken(previousToken) {
+    const previous = typeof previousToken === 'string' && verifyToken(FORM_TOKEN_PURPOSE, previousToken);
+    const shownAt = previous ? previous.shownAt ?? previous.iat : Math.floor(Date.now() / 1000);
+    return signToken(FORM_TOKEN_PURPOSE, { nonce: generateNonce(), shownAt }, FORM_TOKEN_TTL);
+  }
+
+  /**
+   * Check a form token from a signup
+   * Returns null if it is missing, invalid, expired or already used for a signup,
+   * otherwise { nonce, elapsedSeconds } - how long since the form was first shown
+   */
+  checkFormToken(token) {
+    const decoded = typeof token === 'string' && verifyToken(FORM_TOKEN_PURPOSE, token);
+    if (!decoded || this.usedNonces.has(decoded.nonce)) {
+      return null;
+    }
+
+    return {
+      nonce: decoded.nonce,
+      elapsedSeconds: Date.now() / 1000 - (decoded.shownAt ?? decoded.iat)
+    };
+  }
+
+  /**
+   * Stop a form token being used for another signup
+   * Only called once a signup is stored, so fixing a validation error doesn't need a new token
+   */
+  useFormToken(nonce) {
+    const now = Date.now();
+    this.usedNonces.forEach((expiresAt, usedNonce) => {
+      if (expiresAt <= now) this.usedNonces.delete(usedNonce);
+    });
+    this.usedNonces.set(nonce, now + FORM_TOKEN_TTL_MS);
+  }
+
+  /**
+   * Reasons to hold a signup for review, from the honeypot and how long the form was open
+   * Returns a list of QUARANTINE_REASONS keys (empty if nothing looks wrong)
+   */
+  getQuarantineReasons({ honeypot, elapsedSeconds }) {
+    const reasons = [];
+
+    if (typeof honeypot === 'string' ? honeypot.trim() : honeypot) {
+      reasons.push('honeypot');
+    }
+    if (elapsedSeconds < getMinFormFillSeconds()) {
+      reasons.push('too_fast');
+    }
+
+    return reasons;
+  }
+}
+
+export { QUARANTINE_REASONS };
+export default new SpamService();
@@ -2,10 +2,285 @@ import Database from 'better-sqlite3';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import fs from 'fs';
+import crypto from 'crypto';
+import { Readable, PassThrough } from 'stream';
+import { once } from 'events';
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
+import { signToken, verifyToken, generateNonce, hashValue } from '../utils/tokens.js';
+import { toSqlDateTime, parseSqlDateTime } from '../utils/dates.js';
+import { toCsvLines, parseCsv } from '../utils/csv.js';
+import { EMAIL_PATTERN, normaliseEmail, canonicalEmail } from '../utils/email.js';
+import { ATTRIBUTION_FIELDS, normaliseAttribution } from '../utils/attribution.js';
+import churchService from './church.service.js';
+import signupFieldsService, { FIELD_COLUMN_PREFIX } from './signup-fields.service.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+const CONFIRMATION_TOKEN_TTL = '7d';
+
+// Signing up again with a pending email resends its confirmation link at most this often
+const CONFIRMATION_RESEND_MINUTES = 15;
+
+// Emailed self-service links for exporting or deleting your own data
+const PRIVACY_ACTIONS = ['export', 'delete'];
+const PRIVACY_TOKEN_TTL = '24h';
+
+// Emailed links to a page showing someone their place on the waitlist
+const STATUS_TOKEN_TTL = '24h';
+
+// What a signup wants to hear from us: everything, just the launch announcement, or nothing
+// Each kind of email lists the preferences that still receive it; confirmation and privacy
+// emails are sent regardless, since they answer something the person just did
+const EMAIL_PREFERENCES = ['all', 'launch', 'none'];
+const EMAIL_CATEGORIES = {
+  updates: ['all'],
+  launch: ['all', 'launch']
+};
+
+// IP addresses and user agents are removed from signups older than this many days (0 keeps them)
+const getDataRetentionDays = () => {
+  const days = parseInt(process.env.DATA_RETENTION_DAYS);
+  return Number.isNaN(days) ? 90 : Math.max(days, 0);
+};
+
+// Each confirmed referral moves the referrer this many places up the queue
+// (read lazily so values from .env are honoured)
+const getReferralPositionBoost = () => parseInt(process.env.REFERRAL_POSITION_BOOST) || 5;
+const REFERRAL_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const REFERRAL_CODE_LENGTH = 8;
+
+// Where a signup is in the rollout, and which changes an admin can make from each status
+// (moving to invited goes through inviteSignups so a code is issued)
+// Suspicious signups start out quarantined; moving one to waiting releases it
+const SIGNUP_STATUSES = ['quarantined', 'waiting', 'invited', 'activated', 'declined', 'removed'];
+const STATUS_TRANSITIONS = {
+  quarantined: ['waiting', 'removed'],
+  waiting: ['declined', 'removed'],
+  invited: ['waiting', 'activated', 'declined', 'removed'],
+  activated: ['removed'],
+  declined: ['waiting', 'removed'],
+  removed: ['waiting']
+};
+
+// Invite codes: XXXX-XXXX-XXXX from the referral alphabet, valid for INVITE_TTL_DAYS
+const INVITE_CODE_GROUPS = 3;
+const INVITE_CODE_GROUP_LENGTH = 4;
+const MAX_INVITE_BATCH = 1000;
+const getInviteTtlDays = () => parseInt(process.env.INVITE_TTL_DAYS) || 30;
+
+// Tags are short lowercase labels; commas can't appear, so listings can join them with one
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+const MAX_TAGS_PER_SIGNUP = 20;
+const MAX_NOTE_LENGTH = 5000;
+
+// Merging duplicates keeps the furthest-along status and the most restrictive email preference
+// (EMAIL_PREFERENCES is ordered from least to most restrictive)
+const STATUS_MERGE_PRIORITY = ['activated', 'invited', 'waiting', 'declined', 'removed', 'quarantined'];
+const MERGE_COLUMNS = `
+  id, name, email, church, church_id, created_at, confirmed_at, status, status_changed_at,
+  email_preference, referred_by, anonymised_at, ${ATTRIBUTION_FIELDS.join(', ')}
+`;
+const MAX_DUPLICATE_GROUPS = 200;
+
+// Most signups one bulk action can change; larger sets should be narrowed with filters
+const MAX_BULK_SIZE = 10000;
+
+// Listing defaults and the columns callers may sort by
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const SORTABLE_COLUMNS = ['id', 'name', 'email', 'church', 'created_at', 'confirmed_at', 'referral_count', 'status'];
+
+const SIGNUP_COLUMNS = `
+  id, name, email, church, church_id, created_at, confirmed_at, referral_code, import_batch_id,
+  status, status_changed_at, quarantine_reason, anonymised_at, email_preference, ${ATTRIBUTION_FIELDS.join(', ')},
+  (SELECT name FROM churches c WHERE c.id = waitlist.church_id) AS church_name,
+  (
+    SELECT json_group_object(field_key, value) FROM signup_field_values f
+    WHERE f.signup_id = waitlist.id
+  ) AS fields,
+  (
+    SELECT group_concat(tag, ',' ORDER BY tag) FROM signup_tags t
+    WHERE t.signup_id = waitlist.id
+  ) AS tags,
+  (
+    SELECT COUNT(*) FROM waitlist r
+    WHERE r.referred_by = waitlist.id AND r.confirmed_at IS NOT NULL
+  ) AS referral_count
+`;
+
+// Columns available to exports, in default order
+// optional columns are only included when asked for by name
+const EXPORT_COLUMNS = [
+  { key: 'id', header: 'ID', width: 8 },
+  { key: 'name', header: 'Name', width: 24 },
+  { key: 'email', header: 'Email', width: 32 },
+  { key: 'church', header: 'Church', width: 28 },
+  { key: 'created_at', header: 'Created At', width: 20, date: true },
+  { key: 'confirmed_at', header: 'Confirmed At', width: 20, date: true },
+  { key: 'status', header: 'Status', width: 12 },
+  { key: 'referral_code', header: 'Referral Code', width: 14 },
+  { key: 'referral_count', header: 'Referrals', width: 10 },
+  { key: 'ip_address', header: 'IP Address', width: 16, optional: true },
+  { key: 'user_agent', header: 'User Agent', width: 40, optional: true },
+  { key: 'import_batch_id', header: 'Import Batch', width: 22, optional: true },
+  { key: 'tags', header: 'Tags', width: 24, optional: true },
+  { key: 'email_preference', header: 'Email Preference', width: 16, optional: true },
+  { key: 'church_name', header: 'Church (Directory)', width: 28, optional: true },
+  { key: 'utm_source', header: 'UTM Source', width: 16, optional: true },
+  { key: 'utm_medium', header: 'UTM Medium', width: 16, optional: true },
+  { key: 'utm_campaign', header: 'UTM Campaign', width: 20, optional: true },
+  { key: 'utm_term', header: 'UTM Term', width: 16, optional: true },
+  { key: 'utm_content', header: 'UTM Content', width: 16, optional: true },
+  { key: 'referrer', header: 'Referrer', width: 32, optional: true },
+  { key: 'landing_path', header: 'Landing Path', width: 20, optional: true }
+];
+
+const DEFAULT_EXPORT_COLUMNS = EXPORT_COLUMNS.filter(column => !column.optional).map(column => column.key);
+
+// Supported export formats and how they are served
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Rows streamed between pauses that let other requests run
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Every export column: the fixed ones, then one per custom signup field (field.<key>)
+ */
+const getAvailableExportColumns = () => [...EXPORT_COLUMNS, ...signupFieldsService.getExportColumns()];
+
+/**
+ * Column definitions for a list of column keys, in the order given
+ * Defaults to every non-optional column plus the custom signup fields
+ */
+const getExportColumns = (keys) => {
+  const available = getAvailableExportColumns();
+  const chosen = keys || [...DEFAULT_EXPORT_COLUMNS, ...signupFieldsService.getExportColumns().map(column => column.key)];
+  return chosen.map(key => available.find(column => column.key === key)).filter(Boolean);
+};
+
+// API responses carry tags as a list (exports keep the comma-separated text) and custom field answers as an object
+const toSignup = (row) => row && {
+  ...row,
+  tags: row.tags ? row.tags.split(',') : [],
+  fields: row.fields ? JSON.parse(row.fields) : {}
+};
+
+// Export rows keep only the chosen columns, in export order
+const toExportRecord = (signup, columns) => {
+  const fields = signup.fields ? JSON.parse(signup.fields) : {};
+  return Object.fromEntries(columns.map(({ key }) => [
+    key,
+    (key.startsWith(FIELD_COLUMN_PREFIX) ? fields[key.slice(FIELD_COLUMN_PREFIX.length)] : signup[key]) ?? null
+  ]));
+};
+
+// Bulk import limits
+const IMPORT_FORMATS = ['csv', 'json'];
+const MAX_IMPORT_ROWS = 50000;
+const IMPORT_PREVIEW_ROWS = 200;
+const IMPORT_ISSUE_LIMIT = 500;
+const MAX_IMPORT_FIELD_LENGTH = 200;
+
+// Waitlist fields an import can fill, and the header names suggested for each
+const IMPORT_FIELDS = {
+  name: /^(full[\s_-]*)?name$/i,
+  email: /^e-?mail([\s_-]*address)?$/i,
+  church: /^(church|congregation|parish)([\s_-]*name)?$/i
+};
+
+/**
+ * Turn an uploaded CSV or JSON file into { columns, records }
+ * CSV needs a header row; JSON must be an array of objects
+ * Each record keeps the 1-based row number from the file for error messages
+ */
+const parseImportFile = (format, content) => {
+  if (format === 'csv') {
+    const [headers = [], ...rows] = parseCsv(content);
+    const columns = headers.map(header => header.trim());
+
+    return {
+      columns,
+      records: rows.map((cells, index) => ({
+        row: index + 2,
+        values: Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']))
+      }))
+    };
+  }
+
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  if (!Array.isArray(data) || data.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+    throw new Error('JSON imports must be an array of objects');
+  }
+
+  return {
+    columns: [...new Set(data.flatMap(item => Object.keys(item)))],
+    records: data.map((item, index) => ({ row: index + 1, values: item }))
+  };
+};
+
+/**
+ * Guess which file column holds each waitlist field
+ */
+const suggestImportMapping = (columns) => Object.fromEntries(
+  Object.entries(IMPORT_FIELDS).map(([field, pattern]) => [field, columns.find(column => pattern.test(column)) || null])
+);
+
+// Columns added after the original schema; applied to existing databases on startup
+const WAITLIST_MIGRATIONS = {
+  confirmed_at: 'DATETIME',
+  confirmation_token_hash: 'TEXT',
+  referral_code: 'TEXT',
+  referred_by: 'INTEGER',
+  import_batch_id: 'TEXT',
+  status: "TEXT NOT NULL DEFAULT 'waiting'",
+  status_changed_at: 'DATETIME',
+  anonymised_at: 'DATETIME',
+  email_preference: "TEXT NOT NULL DEFAULT 'all'",
+  email_preference_updated_at: 'DATETIME',
+  email_canonical: 'TEXT',
+  church_id: 'INTEGER',
+  utm_source: 'TEXT',
+  utm_medium: 'TEXT',
+  utm_campaign: 'TEXT',
+  utm_term: 'TEXT',
+  utm_content: 'TEXT',
+  referrer: 'TEXT',
+  landing_path: 'TEXT',
+  quarantine_reason: 'TEXT',
+  confirmation_sent_at: 'DATETIME'
+};
+
+/**
+ * Generate a random invite code (not checked for uniqueness; the hash column is UNIQUE)
+ */
+const generateInviteCode = () => {
+  const length = INVITE_CODE_GROUPS * INVITE_CODE_GROUP_LENGTH;
+  const chars = Array.from(crypto.randomBytes(length), byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]);
+  const groups = [];
+  for (let i = 0; i < length; i += INVITE_CODE_GROUP_LENGTH) {
+    groups.push(chars.slice(i, i + INVITE_CODE_GROUP_LENGTH).join(''));
+  }
+  return groups.join('-');
+};
+
+// Codes are matched case-insensitively, with or without dashes
+const normaliseInviteCode = (code) => {
+  const compact = String(code).toUpperCase().replace(/[^A-Z0-9]/g, '');
+  return compact.match(new RegExp(`.{1,${INVITE_CODE_GROUP_LENGTH}}`, 'g'))?.join('-') || '';
+};
+
 class WaitlistService {
   constructor() {
     this.db = null;
@@ -21,8 +296,11 @@ class WaitlistService {
         console.log('✅ Created data directory for waitlist');
       }
 
-      const dbPath = path.join(dataDir, 'waitlist.db');
-      this.db = new Database(dbPath);
+      this.dbPath = path.join(dataDir, 'waitlist.db');
+      this.db = new Database(this.dbPath);
+
+      // WAL lets long-running exports read while new signups are written
+      this.db.pragma('journal_mode = WAL');
 
       this.db.exec(`
         CREATE TABLE IF NOT EXISTS waitlist (
@@ -44,6 +322,96 @@ class WaitlistService {
         CREATE INDEX IF NOT EXISTS idx_created_at ON waitlist(created_at)
       `);
 
+      this.migrate();
+
+      this.db.exec(`
+        CREATE INDEX IF NOT EXISTS idx_confirmed_at ON waitlist(confirmed_at);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_referral_code ON waitlist(referral_code);
+        CREATE INDEX IF NOT EXISTS idx_referred_by ON waitlist(referred_by);
+        CREATE INDEX IF NOT EXISTS idx_import_batch_id ON waitlist(import_batch_id);
+        CREATE INDEX IF NOT EXISTS idx_status ON waitlist(status);
+        CREATE INDEX IF NOT EXISTS idx_email_canonical ON waitlist(email_canonical);
+      `);
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS invites (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          signup_id INTEGER NOT NULL,
+          code_hash TEXT UNIQUE NOT NULL,
+          invited_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          expires_at DATETIME NOT NULL,
+          redeemed_at DATETIME,
+          revoked_at DATETIME
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_invites_signup_id ON invites(signup_id);
+      `);
+
+      // Admin notes and tags. Authors live in admin.db, so their username is kept with the note
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS signup_notes (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          signup_id INTEGER NOT NULL,
+          body TEXT NOT NULL,
+          author_id INTEGER,
+          author_username TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME
+        );
+
+        CREATE TABLE IF NOT EXISTS signup_tags (
+          signup_id INTEGER NOT NULL,
+          tag TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (signup_id, tag)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_signup_notes_signup_id ON signup_notes(signup_id);
+        CREATE INDEX IF NOT EXISTS idx_signup_tags_tag ON signup_tags(tag);
+      `);
+
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS import_batches (
+          id TEXT PRIMARY KEY,
+          source TEXT,
+          format TEXT NOT NULL,
+          imported_by TEXT,
+          total_rows INTEGER NOT NULL,
+          imported_count INTEGER NOT NULL,
+          skipped_count INTEGER NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+
+      // Merge report: one row per signup folded into another, by the email migration or an admin
+      this.db.exec(`
+        CREATE TABLE IF NOT EXISTS signup_merges (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          primary_id INTEGER NOT NULL,
+          merged_id INTEGER NOT NULL,
+          merged_name TEXT,
+          merged_email TEXT NOT NULL,
+          reason TEXT NOT NULL,
+          merged_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS dismissed_duplicates (
+          email_canonical TEXT PRIMARY KEY,
+          dismissed_by TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_signup_merges_primary_id ON signup_merges(primary_id);
+      `);
+
+      this.db.exec('CREATE INDEX IF NOT EXISTS idx_church_id ON waitlist(church_id)');
+
+      this.startupMerges = this.normaliseEmails();
+      this.backfillReferralCodes();
+      this.backfillChurches();
+
       console.log('✅ Waitlist database initialized');
     } catch (error) {
       console.error('Failed to initialize waitlist database:', error);
@@ -51,42 +419,712 @@ class WaitlistService {
     }
   }
 
-  addToWaitlist(data) {
-    try {
-      const { name, email, church, ipAddress, userAgent } = data;
+  /**
+   * Add any missing columns to an existing waitlist table
+   */
+  migrate() {
+    const existingColumns = this.db.prepare('PRAGMA table_info(waitlist)').all()
+      .map(column => column.name);
+
+    Object.entries(WAITLIST_MIGRATIONS).forEach(([column, definition]) => {
+      if (!existingColumns.includes(column)) {
+        this.db.exec(`ALTER TABLE waitlist ADD COLUMN ${column} ${definition}`);
+        console.log(`✅ Added waitlist.${column} column`);
+      }
+    });
+  }
+
+  /**
+   * Store every email normalised (trimmed, lowercased) alongside its canonical key
+   * Runs once, when signups without a canonical key exist. Signups whose emails only differed
+   * in case or spacing are merged into the oldest; matches that rely on provider rules
+   * (dots, +tags) are left for an admin to review
+   * Returns [{ primaryId, mergedIds }] for the merges made
+   */
+  normaliseEmails() {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM waitlist WHERE email_canonical IS NULL').get();
+    if (count === 0) {
+      return [];
+    }
+
+    const groups = new Map();
+    this.db.prepare(`SELECT ${MERGE_COLUMNS} FROM waitlist ORDER BY created_at, id`).all().forEach(signup => {
+      const email = normaliseEmail(signup.email);
+      groups.set(email, [...(groups.get(email) || []), signup]);
+    });
+
+    const update = this.db.prepare('UPDATE waitlist SET email = ?, email_canonical = ? WHERE id = ?');
+
+    const merges = this.db.transaction(() => {
+      const merged = [...groups.values()]
+        .filter(group => group.length > 1)
+        .map(([primary, ...duplicates]) => {
+          this.mergeRows(primary, duplicates, { reason: 'migration' });
+          return { primaryId: primary.id, mergedIds: duplicates.map(signup => signup.id) };
+        });
+
+      groups.forEach(([primary], email) => update.run(email, canonicalEmail(email), primary.id));
+      return merged;
+    })();
+
+    if (merges.length > 0) {
+      const total = merges.reduce((sum, merge) => sum + merge.mergedIds.length, 0);
+      console.log(`✅ Merged ${total} signups with duplicate emails into ${merges.length} (see signup_merges)`);
+    }
+
+    return merges;
+  }
+
+  /**
+   * Give signups created before referrals existed a referral code
+   */
+  backfillReferralCodes() {
+    const missing = this.db.prepare('SELECT id FROM waitlist WHERE referral_code IS NULL').all();
+    const update = this.db.prepare('UPDATE waitlist SET referral_code = ? WHERE id = ?');
+
+    missing.forEach(({ id }) => update.run(this.generateReferralCode(), id));
+  }
+
+  /**
+   * Link signups to the church directory (those created before it existed, or whose church was
+   * removed by a merge that left them unmatched). Quarantined signups wait until they're released
+   */
+  backfillChurches() {
+    const missing = this.db.prepare(`
+      SELECT id FROM waitlist
+      WHERE church_id IS NULL AND TRIM(COALESCE(church, '')) != '' AND status != 'quarantined'
+    `).all();
+    if (missing.length === 0) {
+      return;
+    }
+
+    this.db.transaction(() => this.linkChurches(missing.map(({ id }) => id)))();
+
+    console.log(`✅ Linked ${missing.length} signups to the church directory`);
+  }
 
-      const existing = this.db.prepare(
-        'SELECT email FROM waitlist WHERE email = ?'
-      ).get(email);
+  /**
+   * Link signups without a directory entry to their church, adding it if it's new. Call inside a transaction
+   */
+  linkChurches(ids) {
+    const select = this.db.prepare(`
+      SELECT church FROM waitlist WHERE id = ? AND church_id IS NULL AND TRIM(COALESCE(church, '')) != ''
+    `);
+    const update = this.db.prepare('UPDATE waitlist SET church_id = ? WHERE id = ?');
+    let matcher = null;
 
-      if (existing) {
-        return { success: false, message: 'Email already registered' };
+    ids.forEach(id => {
+      const signup = select.get(id);
+      if (signup) {
+        matcher ??= churchService.createMatcher(this.db);
+        update.run(matcher.resolve(signup.church), id);
       }
+    });
+  }
 
-      const stmt = this.db.prepare(`
-        INSERT INTO waitlist (name, email, church, ip_address, user_agent)
-        VALUES (?, ?, ?, ?, ?)
-      `);
+  /**
+   * Generate an unused, human-friendly referral code
+   */
+  generateReferralCode() {
+    const lookup = this.db.prepare('SELECT id FROM waitlist WHERE referral_code = ?');
 
-      const result = stmt.run(name, email, church, ipAddress, userAgent);
+    for (;;) {
+      const bytes = crypto.randomBytes(REFERRAL_CODE_LENGTH);
+      const code = Array.from(bytes, byte => REFERRAL_CODE_ALPHABET[byte % REFERRAL_CODE_ALPHABET.length]).join('');
+
+      if (!lookup.get(code)) {
+        return code;
+      }
+    }
+  }
+
+  /**
+   * Queue ranking: signup order, moved up REFERRAL_POSITION_BOOST places per confirmed referral
+   * Only waiting signups are in the queue; inviting someone moves everyone behind them up
+   */
+  queueQuery() {
+    const boost = getReferralPositionBoost();
+
+    return `
+      WITH base AS (
+        SELECT
+          w.id,
+          ROW_NUMBER() OVER (ORDER BY w.created_at, w.id) AS signup_rank,
+          (
+            SELECT COUNT(*) FROM waitlist r
+            WHERE r.referred_by = w.id AND r.confirmed_at IS NOT NULL
+          ) AS referral_count
+        FROM waitlist w
+        WHERE w.status = 'waiting'
+      )
+      SELECT
+        id,
+        referral_count,
+        ROW_NUMBER() OVER (
+          ORDER BY signup_rank - referral_count * ${boost}, signup_rank
+        ) AS position
+      FROM base
+    `;
+  }
+
+  /**
+   * Current queue position and referral stats for a signup (null once they leave the queue)
+   */
+  getQueuePosition(id) {
+    try {
+      const row = this.db.prepare(`
+        WITH queue AS (${this.queueQuery()})
+        SELECT q.position, q.referral_count, w.referral_code
+        FROM queue q
+        JOIN waitlist w ON w.id = q.id
+        WHERE q.id = ?
+      `).get(id);
+
+      if (!row) {
+        return null;
+      }
 
       return {
-        success: true,
-        message: 'Successfully added to waitlist',
-        id: result.lastInsertRowid
+        position: row.position,
+        referralCount: row.referral_count,
+        referralCode: row.referral_code,
+        total: this.getCount({ status: 'waiting' })
       };
     } catch (error) {
-      console.error('Error adding to waitlist:', error);
+      console.error('Error getting queue position:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build a WHERE clause from listing filters
+   * confirmed: true (confirmed only), false (pending only), undefined (everyone)
+   * search: free text matched against name, email, church (as typed or its directory name)
+   *   and custom field answers
+   * from / to: inclusive created_at range (ISO date or datetime)
+   * status: one of SIGNUP_STATUSES
+   * tag: only signups with this tag
+   * ids: only these signup IDs
+   * emailPreference: one of EMAIL_PREFERENCES
+   * churchId: only signups linked to this directory church
+   * fields: { key: value } - only signups who gave exactly these custom field answers
+   * excludeUnsubscribed: leave out signups whose preference is none
+   * excludeQuarantined: leave out signups held for review
+   */
+  buildFilters(filters = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (filters.confirmed === true) {
+      conditions.push('confirmed_at IS NOT NULL');
+    } else if (filters.confirmed === false) {
+      conditions.push('confirmed_at IS NULL');
+    }
+
+    if (filters.search) {
+      const term = `%${filters.search.replace(/[\\%_]/g, '\\$&')}%`;
+      conditions.push(`(name LIKE ? ESCAPE '\\' OR email LIKE ? ESCAPE '\\' OR church LIKE ? ESCAPE '\\'
+        OR church_id IN (SELECT id FROM churches WHERE name LIKE ? ESCAPE '\\')
+        OR id IN (SELECT signup_id FROM signup_field_values WHERE value LIKE ? ESCAPE '\\'))`);
+      params.push(term, term, term, term, term);
+    }
+
+    const from = filters.from && toSqlDateTime(filters.from);
+    if (from) {
+      conditions.push('created_at >= ?');
+      params.push(from);
+    }
+
+    const to = filters.to && toSqlDateTime(filters.to, true);
+    if (to) {
+      conditions.push('created_at <= ?');
+      params.push(to);
+    }
+
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+
+    if (filters.tag) {
+      conditions.push('id IN (SELECT signup_id FROM signup_tags WHERE tag = ?)');
+      params.push(filters.tag);
+    }
+
+    if (filters.ids) {
+      conditions.push(`id IN (${filters.ids.map(() => '?').join(', ')})`);
+      params.push(...filters.ids);
+    }
+
+    if (filters.emailPreference) {
+      conditions.push('email_preference = ?');
+      params.push(filters.emailPreference);
+    }
+
+    if (filters.churchId) {
+      conditions.push('church_id = ?');
+      params.push(filters.churchId);
+    }
+
+    Object.entries(filters.fields || {}).forEach(([key, value]) => {
+      conditions.push('id IN (SELECT signup_id FROM signup_field_values WHERE field_key = ? AND value = ?)');
+      params.push(key, value);
+    });
+
+    if (filters.excludeUnsubscribed) {
+      conditions.push("email_preference != 'none'");
+    }
+
+    if (filters.excludeQuarantined) {
+      conditions.push("status != 'quarantined'");
+    }
+
+    if (filters.importBatch) {
+      conditions.push('import_batch_id = ?');
+      params.push(filters.importBatch);
+    }
+
+    return {
+      where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  /**
+   * Add a signup; data.fields holds its custom field answers (already validated)
+   * and data.attribution the UTM parameters, referrer and landing path (cleaned up here)
+   * With data.quarantineReason the signup is stored as quarantined for an admin to review
+   * Returns success: false for an existing email; throws if the signup can't be stored
+   */
+  addToWaitlist(data) {
+    const { name, church, ipAddress, userAgent, referralCode, fields = {}, quarantineReason = null } = data;
+    const attribution = normaliseAttribution(data.attribution);
+    const email = normaliseEmail(data.email);
+    const emailCanonical = canonicalEmail(email);
+
+    // john.smith+church@gmail.com and John.Smith@gmail.com reach the same inbox
+    const existing = this.db.prepare(`
+      SELECT id, email, confirmed_at, status,
+        confirmation_sent_at > datetime('now', ?) AS recently_sent
+      FROM waitlist WHERE email_canonical = ? ORDER BY created_at, id LIMIT 1
+    `).get(`-${CONFIRMATION_RESEND_MINUTES} minutes`, emailCanonical);
+
+    // Quarantined signups get no confirmation link until an admin releases them, and a link
+    // sent in the last CONFIRMATION_RESEND_MINUTES isn't sent again, so repeats can't flood an inbox
+    // id and email are for the caller; the public response only carries the message
+    if (existing) {
+      const pending = !existing.confirmed_at && existing.status !== 'quarantined';
       return {
         success: false,
-        message: 'Failed to add to waitlist'
+        message: "This email is already on the waitlist. If it isn't confirmed yet, check your inbox for the confirmation link.",
+        id: existing.id,
+        email: existing.email,
+        pending,
+        resendConfirmation: pending && !existing.recently_sent
       };
     }
+
+    // Unknown referral codes are ignored rather than rejecting the signup
+    const referrer = referralCode
+      ? this.db.prepare('SELECT id FROM waitlist WHERE referral_code = ?').get(String(referralCode).toUpperCase())
+      : null;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO waitlist (
+        name, email, email_canonical, church, church_id, ip_address, user_agent, referral_code, referred_by,
+        status, quarantine_reason, ${ATTRIBUTION_FIELDS.join(', ')}
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${ATTRIBUTION_FIELDS.map(() => '?').join(', ')})
+    `);
+
+    const insertField = this.db.prepare('INSERT INTO signup_field_values (signup_id, field_key, value) VALUES (?, ?, ?)');
+
+    const ownReferralCode = this.generateReferralCode();
+    const result = this.db.transaction(() => {
+      // Quarantined signups don't add to the church directory; they're linked when released
+      const churchId = quarantineReason ? null : churchService.createMatcher(this.db).resolve(church);
+      const inserted = stmt.run(
+        name, email, emailCanonical, church, churchId, ipAddress, userAgent,
+        ownReferralCode,
+        referrer ? referrer.id : null,
+        quarantineReason ? 'quarantined' : 'waiting',
+        quarantineReason,
+        ...ATTRIBUTION_FIELDS.map(field => attribution[field])
+      );
+      Object.entries(fields).forEach(([key, value]) => insertField.run(inserted.lastInsertRowid, key, value));
+      return inserted;
+    })();
+
+    return {
+      success: true,
+      message: 'Almost there! Check your inbox to confirm your email.',
+      id: result.lastInsertRowid,
+      email,
+      pending: true,
+      ...(quarantineReason && { quarantined: true }),
+      referralCode: ownReferralCode
+    };
   }
 
-  getCount() {
+  /**
+   * Issue a signed, one-time confirmation token for a pending signup
+   * Issuing a new token invalidates any previous one and records when it was sent
+   */
+  createConfirmationToken(id) {
+    const signup = this.db.prepare(
+      'SELECT id, email, confirmed_at FROM waitlist WHERE id = ?'
+    ).get(id);
+
+    if (!signup || signup.confirmed_at) {
+      return null;
+    }
+
+    const nonce = generateNonce();
+    this.db.prepare(
+      'UPDATE waitlist SET confirmation_token_hash = ?, confirmation_sent_at = CURRENT_TIMESTAMP WHERE id = ?'
+    ).run(hashValue(nonce), signup.id);
+
+    return signToken('confirm_email', { sub: String(signup.id), email: signup.email, nonce }, CONFIRMATION_TOKEN_TTL);
+  }
+
+  /**
+   * Confirm a signup from its emailed token
+   */
+  confirmSignup(token) {
     try {
-      const result = this.db.prepare('SELECT COUNT(*) as count FROM waitlist').get();
+      const decoded = verifyToken('confirm_email', token);
+      if (!decoded) {
+        return { success: false, code: 'INVALID_TOKEN', message: 'Invalid or expired confirmation link' };
+      }
+
+      const signup = this.db.prepare(
+        'SELECT id, name, email, confirmed_at, confirmation_token_hash FROM waitlist WHERE id = ?'
+      ).get(Number(decoded.sub));
+
+      if (!signup || signup.email !== decoded.email) {
+        return { success: false, code: 'INVALID_TOKEN', message: 'Invalid or expired confirmation link' };
+      }
+
+      if (signup.confirmed_at) {
+        return { success: false, code: 'ALREADY_CONFIRMED', message: 'Email already confirmed' };
+      }
+
+      if (signup.confirmation_token_hash !== hashValue(decoded.nonce)) {
+        return { success: false, code: 'INVALID_TOKEN', message: 'This confirmation link has been replaced by a newer one' };
+      }
+
+      this.db.prepare(`
+        UPDATE waitlist
+        SET confirmed_at = CURRENT_TIMESTAMP,
+            confirmation_token_hash = NULL
+        WHERE id = ?
+      `).run(signup.id);
+
+      return {
+        success: true,
+        message: 'Email confirmed',
+        id: signup.id
+      };
+    } catch (error) {
+      console.error('Error confirming signup:', error);
+      return { success: false, code: 'ERROR', message: 'Failed to confirm email' };
+    }
+  }
+
+  /**
+   * The (earliest) signup whose email has the same canonical key as this one, as { id, name, email },
+   * or undefined; anonymised signups are never found
+   */
+  findSignupByEmail(email) {
+    return this.db.prepare(`
+      SELECT id, name, email FROM waitlist
+      WHERE email_canonical = ? AND anonymised_at IS NULL
+      ORDER BY created_at, id LIMIT 1
+    `).get(canonicalEmail(email));
+  }
+
+  /**
+   * Issue a signed link token letting whoever owns an email export or delete their signup
+   * Returns { signup, token }, or null if the email isn't on the waitlist
+   */
+  createPrivacyToken(email, action) {
+    const signup = this.findSignupByEmail(email);
+
+    if (!signup) {
+      return null;
+    }
+
+    const token = signToken(`privacy_${action}`, { sub: String(signup.id), email: signup.email }, PRIVACY_TOKEN_TTL);
+    return { signup, token };
+  }
+
+  /**
+   * The signup a privacy link was issued for, or null if the link is invalid or expired,
+   * or the signup has since been deleted or anonymised
+   */
+  verifyPrivacyToken(action, token) {
+    const decoded = verifyToken(`privacy_${action}`, token);
+    if (!decoded) {
+      return null;
+    }
+
+    const signup = this.db.prepare('SELECT id, email FROM waitlist WHERE id = ?').get(Number(decoded.sub));
+    return signup && signup.email === decoded.email ? signup : null;
+  }
+
+  /**
+   * Issue a signed link token letting whoever owns an email see their waitlist status
+   * Returns { signup, token }, or null if the email isn't on the waitlist
+   */
+  createStatusToken(email) {
+    const signup = this.findSignupByEmail(email);
+
+    if (!signup) {
+      return null;
+    }
+
+    const token = signToken('signup_status', { sub: String(signup.id), email: signup.email }, STATUS_TOKEN_TTL);
+    return { signup, token };
+  }
+
+  /**
+   * The signup a status link was issued for, or null if the link is invalid or expired,
+   * or the signup has since been deleted or anonymised
+   */
+  verifyStatusToken(token) {
+    const decoded = verifyToken('signup_status', token);
+    if (!decoded) {
+      return null;
+    }
+
+    const signup = this.db.prepare('SELECT id, email FROM waitlist WHERE id = ? AND anonymised_at IS NULL').get(Number(decoded.sub));
+    return signup && signup.email === decoded.email ? signup : null;
+  }
+
+  /**
+   * What a signup's status page shows them: their status, queue position while waiting,
+   * confirmed referrals (the ones that move them up), their form answers as
+   * [{ key, label, value }] in form order, and everything stored about them
+   */
+  getSignupStatus(id) {
+    const data = this.getPersonalData(id);
+    if (!data) {
+      return null;
+    }
+
+    const { signup, fields } = data;
+    const queue = signup.status === 'waiting' ? this.getQueuePosition(id) : null;
+    const answers = signupFieldsService.listFields()
+      .filter(field => fields[field.key] !== undefined)
+      .map(field => ({ key: field.key, label: field.label, value: fields[field.key] }));
+
+    return {
+      status: signup.status,
+      confirmed: Boolean(signup.confirmed_at),
+      position: queue?.position ?? null,
+      queueSize: queue?.total ?? null,
+      referralCount: this.db.prepare(`
+        SELECT COUNT(*) as count FROM waitlist WHERE referred_by = ? AND confirmed_at IS NOT NULL
+      `).get(id).count,
+      referralCode: signup.referral_code,
+      answers,
+      data
+    };
+  }
+
+  /**
+   * Issue a signed token for a signup's unsubscribe and preferences link
+   * It doesn't expire, so links in old emails keep working; changing the email
+   * (e.g. anonymising the signup) invalidates it
+   */
+  createUnsubscribeToken(id) {
+    const signup = this.db.prepare('SELECT id, email FROM waitlist WHERE id = ?').get(id);
+    return signup ? signToken('unsubscribe', { sub: String(signup.id), email: signup.email }) : null;
+  }
+
+  /**
+   * The signup an unsubscribe link was issued for as { id, name, email, email_preference },
+   * or null if the link is invalid or the signup has since been deleted or anonymised
+   */
+  verifyUnsubscribeToken(token) {
+    const decoded = verifyToken('unsubscribe', token);
+    if (!decoded) {
+      return null;
+    }
+
+    const signup = this.db.prepare(`
+      SELECT id, name, email, email_preference FROM waitlist WHERE id = ? AND anonymised_at IS NULL
+    `).get(Number(decoded.sub));
+    return signup && signup.email === decoded.email ? signup : null;
+  }
+
+  /**
+   * Change which emails a signup receives
+   * Returns the preference it had before
+   */
+  setEmailPreference(id, preference) {
+    const { email_preference: previous } = this.db.prepare('SELECT email_preference FROM waitlist WHERE id = ?').get(id);
+
+    if (previous !== preference) {
+      this.db.prepare(`
+        UPDATE waitlist SET email_preference = ?, email_preference_updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(preference, id);
+    }
+
+    return previous;
+  }
+
+  /**
+   * Whether a signup still wants emails of a category in EMAIL_CATEGORIES
+   */
+  canEmail(signup, category) {
+    return EMAIL_CATEGORIES[category].includes(signup.email_preference);
+  }
+
+  /**
+   * A single signup with its listing columns, or undefined
+   */
+  getSignup(id) {
+    return toSignup(this.db.prepare(`SELECT ${SIGNUP_COLUMNS} FROM waitlist WHERE id = ?`).get(id));
+  }
+
+  /**
+   * Everything known about a signup for the admin detail view, or null
+   * Includes request metadata, referrer and referrals, queue position, invites, import batch, notes and tags
+   */
+  getSignupDetail(id) {
+    const signup = this.db.prepare(`
+      SELECT ${SIGNUP_COLUMNS}, ip_address, user_agent, referred_by, email_preference_updated_at FROM waitlist WHERE id = ?
+    `).get(id);
+
+    if (!signup) {
+      return null;
+    }
+
+    return {
+      signup: toSignup(signup),
+      queuePosition: signup.status === 'waiting' ? this.getQueuePosition(id)?.position ?? null : null,
+      referrer: signup.referred_by
+        ? this.db.prepare('SELECT id, name, email FROM waitlist WHERE id = ?').get(signup.referred_by) || null
+        : null,
+      referrals: this.db.prepare(`
+        SELECT id, name, email, created_at, confirmed_at FROM waitlist WHERE referred_by = ? ORDER BY created_at
+      `).all(id),
+      invites: this.db.prepare(`
+        SELECT id, invited_by, created_at, expires_at, redeemed_at, revoked_at
+        FROM invites WHERE signup_id = ? ORDER BY created_at DESC, id DESC
+      `).all(id),
+      importBatch: signup.import_batch_id
+        ? this.db.prepare('SELECT id, source, format, imported_by, created_at FROM import_batches WHERE id = ?').get(signup.import_batch_id) || null
+        : null,
+      notes: this.getNotes(id)
+    };
+  }
+
+  /**
+   * A signup's notes, newest first
+   */
+  getNotes(signupId) {
+    return this.db.prepare(`
+      SELECT id, body, author_id, author_username, created_at, updated_at
+      FROM signup_notes WHERE signup_id = ? ORDER BY created_at DESC, id DESC
+    `).all(signupId);
+  }
+
+  getNote(signupId, noteId) {
+    return this.db.prepare(`
+      SELECT id, signup_id, body, author_id, author_username, created_at, updated_at
+      FROM signup_notes WHERE id = ? AND signup_id = ?
+    `).get(noteId, signupId);
+  }
+
+  /**
+   * Add a note to a signup, recording who wrote it
+   */
+  addNote(signupId, body, author) {
+    const { lastInsertRowid } = this.db.prepare(`
+      INSERT INTO signup_notes (signup_id, body, author_id, author_username) VALUES (?, ?, ?, ?)
+    `).run(signupId, body, author.id, author.username);
+
+    return this.getNote(signupId, lastInsertRowid);
+  }
+
+  updateNote(signupId, noteId, body) {
+    this.db.prepare(`
+      UPDATE signup_notes SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND signup_id = ?
+    `).run(body, noteId, signupId);
+
+    return this.getNote(signupId, noteId);
+  }
+
+  deleteNote(signupId, noteId) {
+    return this.db.prepare('DELETE FROM signup_notes WHERE id = ? AND signup_id = ?').run(noteId, signupId).changes > 0;
+  }
+
+  /**
+   * Replace a signup's tags. Tags are expected to be normalised (see TAG_PATTERN)
+   * Returns { tags, added, removed }
+   */
+  setTags(signupId, tags) {
+    const next = [...new Set(tags)].sort();
+    const current = this.db.prepare('SELECT tag FROM signup_tags WHERE signup_id = ? ORDER BY tag').all(signupId)
+      .map(row => row.tag);
+
+    const added = next.filter(tag => !current.includes(tag));
+    const removed = current.filter(tag => !next.includes(tag));
+
+    const insert = this.db.prepare('INSERT INTO signup_tags (signup_id, tag) VALUES (?, ?)');
+    const remove = this.db.prepare('DELETE FROM signup_tags WHERE signup_id = ? AND tag = ?');
+
+    this.db.transaction(() => {
+      added.forEach(tag => insert.run(signupId, tag));
+      removed.forEach(tag => remove.run(signupId, tag));
+    })();
+
+    return { tags: next, added, removed };
+  }
+
+  /**
+   * Add and remove tags on several signups in one transaction
+   * Throws (changing nothing) if a signup would
+   * end up with more than MAX_TAGS_PER_SIGNUP tags
+   * Returns the IDs of signups whose tags changed
+   */
+  bulkSetTags(ids, { add = [], remove = [] }) {
+    const insert = this.db.prepare('INSERT OR IGNORE INTO signup_tags (signup_id, tag) VALUES (?, ?)');
+    const deleteTag = this.db.prepare('DELETE FROM signup_tags WHERE signup_id = ? AND tag = ?');
+    const countTags = this.db.prepare('SELECT COUNT(*) as count FROM signup_tags WHERE signup_id = ?');
+
+    return this.db.transaction(() => ids.filter(id => {
+      let changes = 0;
+      remove.forEach(tag => {
+        changes += deleteTag.run(id, tag).changes;
+      });
+      add.forEach(tag => {
+        changes += insert.run(id, tag).changes;
+      });
+
+      if (countTags.get(id).count > MAX_TAGS_PER_SIGNUP) {
+        throw new Error(`Signup #${id} would have more than ${MAX_TAGS_PER_SIGNUP} tags`);
+      }
+
+      return changes > 0;
+    }))();
+  }
+
+  /**
+   * Every tag in use, with how many signups have it
+   */
+  getAllTags() {
+    return this.db.prepare(`
+      SELECT tag, COUNT(*) as count FROM signup_tags GROUP BY tag ORDER BY tag
+    `).all();
+  }
+
+  getCount(filters = {}) {
+    try {
+      const { where, params } = this.buildFilters(filters);
+      const result = this.db.prepare(`SELECT COUNT(*) as count FROM waitlist ${where}`).get(...params);
       return result.count;
     } catch (error) {
       console.error('Error getting waitlist count:', error);
@@ -94,41 +1132,840 @@ class WaitlistService {
     }
   }
 
-  getAllSignups() {
+  getAllSignups(filters = {}) {
     try {
+      const { where, params } = this.buildFilters(filters);
       return this.db.prepare(`
-        SELECT id, name, email, church, created_at
+        SELECT ${SIGNUP_COLUMNS}
         FROM waitlist
+        ${where}
         ORDER BY created_at DESC
-      `).all();
+      `).all(...params).map(toSignup);
     } catch (error) {
       console.error('Error getting all signups:', error);
       return [];
     }
   }
 
-  exportToCSV() {
-    try {
-      const signups = this.getAllSignups();
-      const headers = ['ID', 'Name', 'Email', 'Church', 'Created At'];
-      const rows = signups.map(s => [
-        s.id,
-        s.name,
-        s.email,
-        s.church || '',
-        s.created_at
-      ]);
-
-      let csv = headers.join(',') + '\n';
-      rows.forEach(row => {
-        csv += row.map(cell => `"${cell}"`).join(',') + '\n';
+  /**
+   * Paginated, sorted and filtered signup listing
+   * Accepts the same filters as buildFilters plus page, limit, sort and order
+   */
+  getSignupsPage(options = {}) {
+    const limit = Math.min(Math.max(parseInt(options.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const page = Math.max(parseInt(options.page) || 1, 1);
+    const sort = SORTABLE_COLUMNS.includes(options.sort) ? options.sort : 'created_at';
+    const order = options.order === 'asc' ? 'ASC' : 'DESC';
+
+    const { where, params } = this.buildFilters(options);
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) as total FROM waitlist ${where}`).get(...params);
+
+    const signups = this.db.prepare(`
+      SELECT ${SIGNUP_COLUMNS}
+      FROM waitlist
+      ${where}
+      ORDER BY ${sort} ${order}, id ${order}
+      LIMIT ? OFFSET ?
+    `).all(...params, limit, (page - 1) * limit).map(toSignup);
+
+    return {
+      signups,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Permanently delete a signup
+   * Returns the deleted row, or null if it didn't exist
+   */
+  deleteSignup(id) {
+    return this.deleteSignups([id])[0] || null;
+  }
+
+  /**
+   * Permanently delete several signups in one transaction
+   * Returns the deleted rows; IDs that don't exist are ignored
+   */
+  deleteSignups(ids) {
+    const select = this.db.prepare('SELECT id, email FROM waitlist WHERE id = ?');
+    const statements = [
+      'UPDATE waitlist SET referred_by = NULL WHERE referred_by = ?',
+      'DELETE FROM invites WHERE signup_id = ?',
+      'DELETE FROM signup_notes WHERE signup_id = ?',
+      'DELETE FROM signup_tags WHERE signup_id = ?',
+      'DELETE FROM signup_field_values WHERE signup_id = ?',
+      "UPDATE signup_merges SET merged_name = NULL, merged_email = '[erased]' WHERE primary_id = ?",
+      'DELETE FROM waitlist WHERE id = ?'
+    ].map(sql => this.db.prepare(sql));
+
+    return this.db.transaction(() => ids
+      .map(id => select.get(id))
+      .filter(Boolean)
+      .map(signup => {
+        statements.forEach(statement => statement.run(signup.id));
+        return signup;
+      }))();
+  }
+
+  /**
+   * Remove everything that identifies a signup while keeping it in counts and analytics
+   * Name, email, church, custom field answers, request metadata, notes and merged emails are removed
+   * and unused invites revoked;
+   * a waiting or invited signup also leaves the queue (status removed)
+   * Returns the signup's { id, email, anonymised_at } from before, or null if it doesn't exist
+   */
+  anonymiseSignup(id) {
+    const signup = this.db.prepare('SELECT id, email, anonymised_at FROM waitlist WHERE id = ?').get(id);
+    if (!signup || signup.anonymised_at) {
+      return signup || null;
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE waitlist
+        SET name = 'Anonymised',
+            email = ?,
+            email_canonical = ?,
+            church = NULL,
+            church_id = NULL,
+            ip_address = NULL,
+            user_agent = NULL,
+            confirmation_token_hash = NULL,
+            status = CASE WHEN status IN ('waiting', 'invited') THEN 'removed' ELSE status END,
+            status_changed_at = CASE WHEN status IN ('waiting', 'invited') THEN CURRENT_TIMESTAMP ELSE status_changed_at END,
+            anonymised_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(`anonymised-${id}@anonymised.invalid`, `anonymised-${id}@anonymised.invalid`, id);
+      this.revokeInvites(id);
+      this.db.prepare('DELETE FROM signup_notes WHERE signup_id = ?').run(id);
+      this.db.prepare('DELETE FROM signup_field_values WHERE signup_id = ?').run(id);
+      this.db.prepare("UPDATE signup_merges SET merged_name = NULL, merged_email = '[erased]' WHERE primary_id = ?").run(id);
+    })();
+
+    return signup;
+  }
+
+  /**
+   * Everything stored about one signup, for a data-subject access request, or null
+   * Other people's details (referrer, referrals, note authors) are left out
+   */
+  getPersonalData(id) {
+    const signup = this.db.prepare(`
+      SELECT id, name, email, church, created_at, confirmed_at, status, status_changed_at,
+        referral_code, import_batch_id, ip_address, user_agent, email_preference, email_preference_updated_at,
+        ${ATTRIBUTION_FIELDS.join(', ')}
+      FROM waitlist WHERE id = ?
+    `).get(id);
+
+    if (!signup) {
+      return null;
+    }
+
+    return {
+      exported_at: new Date().toISOString(),
+      signup,
+      referral_count: this.db.prepare('SELECT COUNT(*) as count FROM waitlist WHERE referred_by = ?').get(id).count,
+      invites: this.db.prepare(`
+        SELECT created_at, expires_at, redeemed_at, revoked_at FROM invites WHERE signup_id = ? ORDER BY created_at
+      `).all(id),
+      tags: this.db.prepare('SELECT tag FROM signup_tags WHERE signup_id = ? ORDER BY tag').all(id).map(row => row.tag),
+      fields: Object.fromEntries(this.db.prepare(`
+        SELECT field_key, value FROM signup_field_values WHERE signup_id = ? ORDER BY field_key
+      `).all(id).map(row => [row.field_key, row.value])),
+      notes: this.db.prepare(`
+        SELECT body, created_at, updated_at FROM signup_notes WHERE signup_id = ? ORDER BY created_at
+      `).all(id),
+      merged_signups: this.db.prepare(`
+        SELECT merged_name AS name, merged_email AS email, created_at AS merged_at FROM signup_merges WHERE primary_id = ? ORDER BY created_at
+      `).all(id)
+    };
+  }
+
+  /**
+   * Remove IP addresses and user agents from signups created more than `days` days ago
+   * Returns the IDs of the signups changed
+   */
+  purgeRequestMetadata(days) {
+    return this.db.prepare(`
+      UPDATE waitlist SET ip_address = NULL, user_agent = NULL
+      WHERE created_at < datetime('now', ?) AND (ip_address IS NOT NULL OR user_agent IS NOT NULL)
+      RETURNING id
+    `).all(`-${days} days`).map(row => row.id);
+  }
+
+  /**
+   * Fold duplicate signups into a primary one and delete them. Call inside a transaction
+   * The primary keeps its ID, email, referral code and request metadata, and takes the earliest
+   * signup and confirmation times, the furthest-along status, the most restrictive email preference
+   * and a church if it had none. Referrals, notes, tags and invites move to the primary, as do
+   * custom field answers it doesn't have. Attribution comes from the earliest signup that has any
+   */
+  mergeRows(primary, duplicates, { reason, mergedBy = null }) {
+    const group = [primary, ...duplicates];
+    const ids = duplicates.map(signup => signup.id);
+    const placeholders = ids.map(() => '?').join(', ');
+
+    const earliest = (key) => group.map(signup => signup[key]).filter(Boolean).sort()[0] || null;
+    const statusSource = [...group].sort((a, b) => STATUS_MERGE_PRIORITY.indexOf(a.status) - STATUS_MERGE_PRIORITY.indexOf(b.status))[0];
+    const emailPreference = group.map(signup => signup.email_preference)
+      .sort((a, b) => EMAIL_PREFERENCES.indexOf(b) - EMAIL_PREFERENCES.indexOf(a))[0];
+    const referredBy = group.map(signup => signup.referred_by)
+      .find(id => id && !group.some(signup => signup.id === id)) ?? null;
+    const confirmedAt = earliest('confirmed_at');
+    const churchSource = group.find(signup => signup.church) || primary;
+    const attributionSource = [...group].sort((a, b) => a.created_at.localeCompare(b.created_at))
+      .find(signup => ATTRIBUTION_FIELDS.some(field => signup[field])) || primary;
+
+    this.db.prepare(`UPDATE waitlist SET referred_by = ? WHERE referred_by IN (${placeholders})`).run(primary.id, ...ids);
+    this.db.prepare(`
+      UPDATE waitlist
+      SET created_at = ?,
+          confirmed_at = ?,
+          confirmation_token_hash = CASE WHEN ? IS NULL THEN confirmation_token_hash END,
+          church = ?,
+          church_id = ?,
+          referred_by = ?,
+          status = ?,
+          status_changed_at = ?,
+          email_preference_updated_at = CASE WHEN email_preference = ? THEN email_preference_updated_at ELSE CURRENT_TIMESTAMP END,
+          email_preference = ?,
+          ${ATTRIBUTION_FIELDS.map(field => `${field} = ?`).join(', ')}
+      WHERE id = ?
+    `).run(
+      earliest('created_at'),
+      confirmedAt,
+      confirmedAt,
+      churchSource.church || null,
+      churchSource.church_id ?? null,
+      referredBy,
+      statusSource.status,
+      statusSource.status_changed_at,
+      emailPreference,
+      emailPreference,
+      ...ATTRIBUTION_FIELDS.map(field => attributionSource[field] ?? null),
+      primary.id
+    );
+
+    this.db.prepare(`
+      INSERT OR IGNORE INTO signup_tags (signup_id, tag, created_at)
+      SELECT ?, tag, created_at FROM signup_tags WHERE signup_id IN (${placeholders})
+    `).run(primary.id, ...ids);
+    this.db.prepare(`DELETE FROM signup_tags WHERE signup_id IN (${placeholders})`).run(...ids);
+    this.db.prepare(`
+      INSERT OR IGNORE INTO signup_field_values (signup_id, field_key, value)
+      SELECT ?, field_key, value FROM signup_field_values WHERE signup_id IN (${placeholders}) ORDER BY signup_id
+    `).run(primary.id, ...ids);
+    this.db.prepare(`DELETE FROM signup_field_values WHERE signup_id IN (${placeholders})`).run(...ids);
+    this.db.prepare(`UPDATE signup_notes SET signup_id = ? WHERE signup_id IN (${placeholders})`).run(primary.id, ...ids);
+    this.db.prepare(`UPDATE invites SET signup_id = ? WHERE signup_id IN (${placeholders})`).run(primary.id, ...ids);
+
+    const record = this.db.prepare(`
+      INSERT INTO signup_merges (primary_id, merged_id, merged_name, merged_email, reason, merged_by)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `);
+    duplicates.forEach(signup => record.run(primary.id, signup.id, signup.name, signup.email, reason, mergedBy));
+
+    this.db.prepare(`DELETE FROM waitlist WHERE id IN (${placeholders})`).run(...ids);
+  }
+
+  /**
+   * Merge signups an admin has confirmed are the same person into one (see mergeRows)
+   * Throws (with a user-facing message) if any signup is missing, anonymised or the primary itself
+   * Returns the merged signups' { id, name, email }
+   */
+  mergeSignups(primaryId, ids, mergedBy = null) {
+    if (ids.includes(primaryId)) {
+      throw new Error("A signup can't be merged into itself");
+    }
+
+    const select = this.db.prepare(`SELECT ${MERGE_COLUMNS} FROM waitlist WHERE id = ?`);
+
+    return this.db.transaction(() => {
+      const [primary, ...duplicates] = [primaryId, ...new Set(ids)].map(id => select.get(id));
+
+      if (!primary || duplicates.some(signup => !signup)) {
+        throw new Error('Signup not found');
+      }
+      if ([primary, ...duplicates].some(signup => signup.anonymised_at)) {
+        throw new Error("Anonymised signups can't be merged");
+      }
+
+      this.mergeRows(primary, duplicates, { reason: 'manual', mergedBy });
+      return duplicates.map(({ id, name, email }) => ({ id, name, email }));
+    })();
+  }
+
+  /**
+   * Signups sharing a canonical email (e.g. j.ohn+church@gmail.com and john@gmail.com),
+   * for an admin to merge or dismiss. Newest groups first, oldest signup first within a group
+   * Returns { groups: [{ key, signups }], total }
+   */
+  getDuplicateGroups() {
+    const keys = this.db.prepare(`
+      SELECT email_canonical FROM waitlist
+      WHERE anonymised_at IS NULL
+        AND email_canonical NOT IN (SELECT email_canonical FROM dismissed_duplicates)
+      GROUP BY email_canonical
+      HAVING COUNT(*) > 1
+      ORDER BY MAX(created_at) DESC
+    `).all().map(row => row.email_canonical);
+
+    const select = this.db.prepare(`
+      SELECT ${SIGNUP_COLUMNS} FROM waitlist WHERE email_canonical = ? ORDER BY created_at, id
+    `);
+
+    return {
+      groups: keys.slice(0, MAX_DUPLICATE_GROUPS).map(key => ({ key, signups: select.all(key).map(toSignup) })),
+      total: keys.length
+    };
+  }
+
+  /**
+   * Mark a group of look-alike emails as different people, hiding it from getDuplicateGroups
+   * Returns false if no signups share that key
+   */
+  dismissDuplicateGroup(key, dismissedBy = null) {
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM waitlist WHERE email_canonical = ?').get(key);
+    if (count < 2) {
+      return false;
+    }
+
+    this.db.prepare(`
+      INSERT OR REPLACE INTO dismissed_duplicates (email_canonical, dismissed_by) VALUES (?, ?)
+    `).run(key, dismissedBy);
+    return true;
+  }
+
+  /**
+   * The merge report: every signup folded into another, newest first
+   */
+  getMerges(limit = 200) {
+    return this.db.prepare('SELECT * FROM signup_merges ORDER BY created_at DESC, id DESC LIMIT ?').all(limit);
+  }
+
+  /**
+   * IDs of the signups a bulk action applies to: the given ids that exist,
+   * or every signup matching filters. Throws if that's more than MAX_BULK_SIZE
+   */
+  selectSignupIds({ ids, filters = {} }) {
+    const { where, params } = this.buildFilters(ids ? { ids } : filters);
+    const selected = this.db.prepare(`SELECT id FROM waitlist ${where} ORDER BY id LIMIT ?`)
+      .all(...params, MAX_BULK_SIZE + 1)
+      .map(row => row.id);
+
+    if (selected.length > MAX_BULK_SIZE) {
+      throw new Error(`Bulk actions are limited to ${MAX_BULK_SIZE} signups at a time; narrow your filters`);
+    }
+
+    return selected;
+  }
+
+  /**
+   * Number of signups in each status, for the given filters (any status filter is ignored)
+   */
+  getStatusCounts(filters = {}) {
+    const { where, params } = this.buildFilters({ ...filters, status: undefined });
+    const counts = Object.fromEntries(SIGNUP_STATUSES.map(status => [status, 0]));
+
+    this.db.prepare(`SELECT status, COUNT(*) as count FROM waitlist ${where} GROUP BY status`).all(...params)
+      .forEach(({ status, count }) => {
+        counts[status] = count;
       });
 
-      return csv;
-    } catch (error) {
-      console.error('Error exporting to CSV:', error);
+    return counts;
+  }
+
+  /**
+   * Move a signup to a new status, if allowed from its current one
+   * Leaving "invited" revokes any unused invite code; releasing a quarantined signup links its church
+   * Returns { signup, previousStatus }, or throws with a user-facing message
+   */
+  setStatus(id, status) {
+    const current = this.db.prepare('SELECT id, status FROM waitlist WHERE id = ?').get(id);
+    if (!current) {
       return null;
     }
+
+    if (status === 'invited') {
+      throw new Error('Send an invite to move a signup to invited');
+    }
+    if (!STATUS_TRANSITIONS[current.status].includes(status)) {
+      throw new Error(`Can't move a signup from ${current.status} to ${status}`);
+    }
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        UPDATE waitlist SET status = ?, status_changed_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(status, id);
+      this.revokeInvites(id);
+      if (current.status === 'quarantined' && status === 'waiting') {
+        this.linkChurches([id]);
+      }
+    })();
+
+    return { signup: this.getSignup(id), previousStatus: current.status };
+  }
+
+  /**
+   * Move several signups to a new status in one transaction
+   * Signups that can't move there from their current status are skipped
+   * Returns { changed: [{ signup, previousStatus }], skipped: [id] }
+   */
+  bulkSetStatus(ids, status) {
+    if (status === 'invited') {
+      throw new Error('Send invites to move signups to invited');
+    }
+
+    const select = this.db.prepare('SELECT id, status FROM waitlist WHERE id = ?');
+    const update = this.db.prepare(`
+      UPDATE waitlist SET status = ?, status_changed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    const skipped = [];
+
+    const moved = this.db.transaction(() => {
+      const changed = ids
+        .map(id => select.get(id))
+        .filter(Boolean)
+        .filter(current => {
+          if (STATUS_TRANSITIONS[current.status].includes(status)) {
+            return true;
+          }
+          skipped.push(current.id);
+          return false;
+        })
+        .map(current => {
+          update.run(status, current.id);
+          this.revokeInvites(current.id);
+          return current;
+        });
+
+      if (status === 'waiting') {
+        this.linkChurches(changed.filter(current => current.status === 'quarantined').map(({ id }) => id));
+      }
+      return changed;
+    })();
+
+    return {
+      changed: moved.map(({ id, status: previousStatus }) => ({ signup: this.getSignup(id), previousStatus })),
+      skipped
+    };
+  }
+
+  /**
+   * Revoke a signup's unused invite codes
+   */
+  revokeInvites(signupId) {
+    this.db.prepare(`
+      UPDATE invites SET revoked_at = CURRENT_TIMESTAMP
+      WHERE signup_id = ? AND redeemed_at IS NULL AND revoked_at IS NULL
+    `).run(signupId);
+  }
+
+  /**
+   * Invite signups and issue each a single-use invite code
+   * Either ids (waiting or already-invited signups; re-inviting replaces the old code)
+   * or the next `count` waiting signups in queue order that match `filters`
+   * Returns [{ signup, code, expiresAt, previousStatus }] - codes are only available here, they're stored hashed
+   */
+  inviteSignups({ ids, count, filters = {} }, invitedBy = null) {
+    let targets;
+
+    if (ids) {
+      const placeholders = ids.map(() => '?').join(', ');
+      targets = this.db.prepare(`
+        SELECT id, status FROM waitlist
+        WHERE id IN (${placeholders}) AND status IN ('waiting', 'invited')
+        ORDER BY id
+      `).all(...ids);
+    } else {
+      const { where, params } = this.buildFilters({ ...filters, status: 'waiting' });
+      targets = this.db.prepare(`
+        WITH queue AS (${this.queueQuery()})
+        SELECT waitlist.id, waitlist.status
+        FROM waitlist
+        JOIN queue ON queue.id = waitlist.id
+        ${where}
+        ORDER BY queue.position
+        LIMIT ?
+      `).all(...params, Math.min(count, MAX_INVITE_BATCH));
+    }
+
+    const markInvited = this.db.prepare(`
+      UPDATE waitlist SET status = 'invited', status_changed_at = CURRENT_TIMESTAMP WHERE id = ?
+    `);
+    const insertInvite = this.db.prepare(`
+      INSERT INTO invites (signup_id, code_hash, invited_by, expires_at)
+      VALUES (?, ?, ?, datetime('now', ?))
+    `);
+    const getExpiry = this.db.prepare('SELECT expires_at FROM invites WHERE id = ?');
+    const ttl = `+${getInviteTtlDays()} days`;
+
+    const issued = this.db.transaction(() => targets.map(({ id, status }) => {
+      const code = generateInviteCode();
+      this.revokeInvites(id);
+      markInvited.run(id);
+      const { lastInsertRowid } = insertInvite.run(id, hashValue(code), invitedBy, ttl);
+      return { id, code, expiresAt: getExpiry.get(lastInsertRowid).expires_at, previousStatus: status };
+    }))();
+
+    return issued.map(({ id, ...invite }) => ({ signup: this.getSignup(id), ...invite }));
+  }
+
+  /**
+   * Find a usable invite by its code
+   * Returns { invite } or { error } where error.code is INVALID_CODE, ALREADY_REDEEMED or EXPIRED
+   */
+  findInvite(code) {
+    const invite = this.db.prepare(`
+      SELECT id, signup_id, created_at, expires_at, redeemed_at, revoked_at,
+        expires_at <= CURRENT_TIMESTAMP AS expired
+      FROM invites WHERE code_hash = ?
+    `).get(hashValue(normaliseInviteCode(code)));
+
+    if (!invite || invite.revoked_at) {
+      return { error: { success: false, code: 'INVALID_CODE', message: 'Invalid invite code' } };
+    }
+    if (invite.redeemed_at) {
+      return { error: { success: false, code: 'ALREADY_REDEEMED', message: 'This invite code has already been used' } };
+    }
+    if (invite.expired) {
+      return { error: { success: false, code: 'EXPIRED', message: 'This invite code has expired' } };
+    }
+
+    return { invite };
+  }
+
+  /**
+   * Details of a usable invite: when it expires and who it was sent to
+   */
+  describeInvite(invite, message) {
+    const { id, name, email, church } = this.getSignup(invite.signup_id);
+
+    return {
+      success: true,
+      message,
+      invite: { created_at: invite.created_at, expires_at: invite.expires_at },
+      signup: { id, name, email, church }
+    };
+  }
+
+  /**
+   * Check an invite code without using it
+   */
+  checkInvite(code) {
+    const { invite, error } = this.findInvite(code);
+    return error || this.describeInvite(invite, 'Invite code is valid');
+  }
+
+  /**
+   * Use an invite code: the code can't be used again and the signup becomes activated
+   */
+  redeemInvite(code) {
+    const { invite, error } = this.findInvite(code);
+    if (error) {
+      return error;
+    }
+
+    const redeemed = this.db.transaction(() => {
+      // Guards against two redemptions of the same code racing
+      const { changes } = this.db.prepare(`
+        UPDATE invites SET redeemed_at = CURRENT_TIMESTAMP WHERE id = ? AND redeemed_at IS NULL
+      `).run(invite.id);
+
+      if (changes === 0) {
+        return false;
+      }
+
+      this.db.prepare(`
+        UPDATE waitlist SET status = 'activated', status_changed_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(invite.signup_id);
+      return true;
+    })();
+
+    if (!redeemed) {
+      return { success: false, code: 'ALREADY_REDEEMED', message: 'This invite code has already been used' };
+    }
+
+    return this.describeInvite(invite, 'Invite redeemed');
+  }
+
+  /**
+   * Iterate matching signups one row at a time, newest first
+   * Uses its own read-only connection: a better-sqlite3 connection can't run other
+   * queries while an iterator is open, and exports pause between batches so the
+   * main connection keeps serving requests
+   */
+  async *iterateSignups(filters = {}, columns = getExportColumns()) {
+    const db = new Database(this.dbPath, { readonly: true, fileMustExist: true });
+
+    try {
+      const { where, params } = this.buildFilters(filters);
+      const rows = db.prepare(`
+        SELECT ${SIGNUP_COLUMNS}, ip_address, user_agent
+        FROM waitlist
+        ${where}
+        ORDER BY created_at DESC
+      `).iterate(...params);
+
+      let count = 0;
+      for (const row of rows) {
+        yield toExportRecord(row, columns);
+
+        if (++count % EXPORT_BATCH_SIZE === 0) {
+          await yieldToEventLoop();
+        }
+      }
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * JSON array of signups, one record per line
+   */
+  async *jsonLines(filters, columns) {
+    let first = true;
+    yield '[';
+
+    for await (const record of this.iterateSignups(filters, columns)) {
+      yield `${first ? '' : ','}\n  ${JSON.stringify(record)}`;
+      first = false;
+    }
+
+    yield first ? ']\n' : '\n]\n';
+  }
+
+  /**
+   * Newline-delimited JSON: one signup object per line
+   */
+  async *ndjsonLines(filters, columns) {
+    for await (const record of this.iterateSignups(filters, columns)) {
+      yield JSON.stringify(record) + '\n';
+    }
+  }
+
+  /**
+   * Excel workbook with a single "Waitlist" sheet, written with ExcelJS's streaming writer
+   * Timestamps become real dates so they sort and filter in Excel
+   */
+  streamXLSX(filters, columns) {
+    const output = new PassThrough();
+
+    const write = async () => {
+      // Loaded on demand; only XLSX exports need it
+      const { default: ExcelJS } = await import('exceljs');
+
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+      workbook.creator = 'LogosAI';
+      workbook.created = new Date();
+
+      const sheet = workbook.addWorksheet('Waitlist', {
+        views: [{ state: 'frozen', ySplit: 1 }]
+      });
+      sheet.columns = columns.map(({ key, header, width, date }) => ({
+        key,
+        header,
+        width,
+        style: date ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined
+      }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.autoFilter = { from: 'A1', to: { row: 1, column: columns.length } };
+
+      let count = 0;
+      for await (const record of this.iterateSignups(filters, columns)) {
+        if (output.destroyed) {
+          return;
+        }
+
+        columns
+          .filter(column => column.date && record[column.key])
+          .forEach(({ key }) => {
+            record[key] = parseSqlDateTime(record[key]);
+          });
+        sheet.addRow(record).commit();
+
+        // Wait for the client to catch up before reading more rows
+        if (++count % EXPORT_BATCH_SIZE === 0 && output.writableNeedDrain) {
+          await once(output, 'drain');
+        }
+      }
+
+      sheet.commit();
+      await workbook.commit();
+    };
+
+    write().catch(error => output.destroy(error));
+    return output;
+  }
+
+  /**
+   * Stream signups in any supported format
+   * options.columns - column keys to include, in order (defaults to every non-optional column)
+   * options.bom, options.lineEnding - CSV only, see toCsvLines
+   * Returns { stream, contentType, extension }; pipe the stream to the response
+   */
+  streamSignups(format, filters = {}, options = {}) {
+    const columns = getExportColumns(options.columns);
+    const streams = {
+      csv: () => Readable.from(
+        toCsvLines(this.iterateSignups(filters, columns), { columns, bom: options.bom, lineEnding: options.lineEnding }),
+        { objectMode: false }
+      ),
+      json: () => Readable.from(this.jsonLines(filters, columns), { objectMode: false }),
+      ndjson: () => Readable.from(this.ndjsonLines(filters, columns), { objectMode: false }),
+      xlsx: () => this.streamXLSX(filters, columns)
+    };
+
+    if (!streams[format]) {
+      throw new Error(`Unknown export format: ${format}`);
+    }
+
+    return { stream: streams[format](), ...EXPORT_FORMATS[format] };
+  }
+
+  /**
+   * Check every row of an import against the mapping and the existing waitlist
+   * Each row gets a status: valid, invalid, duplicate (already on the waitlist)
+   * or duplicate_in_file (an earlier row has the same email)
+   */
+  analyseImport(records, mapping) {
+    const existing = new Set();
+    for (const { email_canonical: key } of this.db.prepare('SELECT email_canonical FROM waitlist').iterate()) {
+      existing.add(key);
+    }
+
+    const seen = new Set();
+    const summary = { total: records.length, valid: 0, invalid: 0, duplicate: 0, duplicate_in_file: 0 };
+
+    const rows = records.map(({ row, values }) => {
+      const read = (field) => mapping[field] ? String(values[mapping[field]] ?? '').trim() : '';
+      const signup = {
+        row,
+        name: read('name') || 'Anonymous',
+        email: normaliseEmail(read('email')),
+        church: read('church') || null
+      };
+      const key = canonicalEmail(signup.email);
+
+      let status = 'valid';
+      let error = null;
+
+      if (!signup.email) {
+        status = 'invalid';
+        error = mapping.email ? 'Email is missing' : 'No email column chosen';
+      } else if (!EMAIL_PATTERN.test(signup.email)) {
+        status = 'invalid';
+        error = 'Invalid email address';
+      } else if (signup.name.length > MAX_IMPORT_FIELD_LENGTH || (signup.church?.length ?? 0) > MAX_IMPORT_FIELD_LENGTH) {
+        status = 'invalid';
+        error = `Name and church must be at most ${MAX_IMPORT_FIELD_LENGTH} characters`;
+      } else if (existing.has(key)) {
+        status = 'duplicate';
+        error = 'Already on the waitlist';
+      } else if (seen.has(key)) {
+        status = 'duplicate_in_file';
+        error = 'Duplicate of an earlier row';
+      }
+
+      seen.add(key);
+      summary[status]++;
+      return { ...signup, status, error };
+    });
+
+    return { rows, summary };
+  }
+
+  /**
+   * Parse an import file, resolve the column mapping and check every row
+   * Throws (with a user-facing message) if the file or mapping is unusable
+   */
+  prepareImport(format, content, mapping = {}) {
+    if (!IMPORT_FORMATS.includes(format)) {
+      throw new Error(`format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+    }
+
+    const { columns, records } = parseImportFile(format, content);
+
+    if (records.length === 0) {
+      throw new Error('The file has no rows to import');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new Error(`Imports are limited to ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const resolvedMapping = { ...suggestImportMapping(columns), ...mapping };
+    const unknown = Object.values(resolvedMapping).filter(column => column && !columns.includes(column));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown column: ${unknown.join(', ')}`);
+    }
+
+    return { columns, mapping: resolvedMapping, ...this.analyseImport(records, resolvedMapping) };
+  }
+
+  /**
+   * Dry run: check an import file without writing anything
+   * Returns the detected columns, the mapping used, a summary, the first rows
+   * and the rows that would be skipped
+   */
+  previewImport(format, content, mapping) {
+    const { rows, ...result } = this.prepareImport(format, content, mapping);
+
+    return {
+      ...result,
+      preview: rows.slice(0, IMPORT_PREVIEW_ROWS),
+      issues: rows.filter(row => row.status !== 'valid').slice(0, IMPORT_ISSUE_LIMIT)
+    };
+  }
+
+  /**
+   * Import the valid rows of a file in one transaction, tagged with a new batch ID
+   * Invalid and duplicate rows are skipped. Imported signups start unconfirmed
+   */
+  importSignups(format, content, mapping, { source = null, importedBy = null } = {}) {
+    const { rows, ...result } = this.prepareImport(format, content, mapping);
+    const valid = rows.filter(row => row.status === 'valid');
+
+    if (!result.mapping.email) {
+      throw new Error('Choose which column holds the email address');
+    }
+    if (valid.length === 0) {
+      throw new Error('None of the rows can be imported');
+    }
+
+    const batchId = `imp_${crypto.randomBytes(8).toString('hex')}`;
+
+    const insert = this.db.prepare(`
+      INSERT INTO waitlist (name, email, email_canonical, church, church_id, referral_code, import_batch_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `);
+
+    this.db.transaction(() => {
+      this.db.prepare(`
+        INSERT INTO import_batches (id, source, format, imported_by, total_rows, imported_count, skipped_count)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+      `).run(batchId, source, format, importedBy, rows.length, valid.length, rows.length - valid.length);
+
+      // Churches are created through this connection, so a failed import doesn't leave new ones behind
+      const matcher = churchService.createMatcher(this.db);
+      valid.forEach(row => insert.run(
+        row.name, row.email, canonicalEmail(row.email), row.church, matcher.resolve(row.church), this.generateReferralCode(), batchId
+      ));
+    })();
+
+    return { batchId, ...result };
+  }
+
+  /**
+   * Past imports, newest first
+   */
+  getImportBatches() {
+    return this.db.prepare('SELECT * FROM import_batches ORDER BY created_at DESC, rowid DESC').all();
   }
 
   close() {
@@ -138,4 +1975,5 @@ class WaitlistService {
   }
 }
 
+export { EMAIL_PREFERENCES, PRIVACY_ACTIONS, getDataRetentionDays, SIGNUP_STATUSES, MAX_INVITE_BATCH, TAG_PATTERN, MAX_TAGS_PER_SIGNUP, MAX_NOTE_LENGTH, MAX_BULK_SIZE, SORTABLE_COLUMNS, MAX_PAGE_SIZE, EXPORT_FORMATS, EXPORT_COLUMNS, DEFAULT_EXPORT_COLUMNS, getAvailableExportColumns, IMPORT_FORMATS, IMPORT_FIELDS };
 export default WaitlistService;
\ No newline at end of file
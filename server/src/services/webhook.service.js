@@ -0,0 +1,434 @@
+import Database from 'better-sqlite3';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs';
+import crypto from 'crypto';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const WEBHOOK_EVENTS = ['signup.created', 'signup.confirmed', 'signup.status_changed', 'signup.deleted', 'signup.anonymised', 'signup.email_preference_changed', 'signup.merged', 'signup.exported'];
+
+// Sent only by the "send test" action, never subscribed to
+const PING_EVENT = 'ping';
+
+const SECRET_PREFIX = 'whsec_';
+const RESPONSE_BODY_LIMIT = 2000;
+
+// Delivery tuning (read lazily so values from .env are honoured)
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const getRetryBaseSeconds = () => parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const getTimeoutMs = () => parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 20;
+
+const WEBHOOK_COLUMNS = `
+  w.id, w.url, w.description, w.events, w.is_active, w.created_by,
+  w.created_at, w.updated_at
+`;
+
+/**
+ * HMAC-SHA256 signature over "<timestamp>.<body>"
+ * Receivers recompute it with their copy of the secret and compare
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+/**
+ * Seconds to wait before the next attempt: base * 2^(attempts - 1)
+ */
+const getBackoffSeconds = (attempts) => getRetryBaseSeconds() * 2 ** (attempts - 1);
+
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const toWebhook = (row) => row && {
+  ...row,
+  events: JSON.parse(row.events),
+  is_active: Boolean(row.is_active)
+};
+
+class WebhookService {
+  constructor() {
+    // Ensure data directory exists (important for production/Railway)
+    const dataDir = path.join(__dirname, '../../data');
+    if (!fs.existsSync(dataDir)) {
+      fs.mkdirSync(dataDir, { recursive: true });
+    }
+
+    // Webhooks are dashboard configuration, so they live in admin.db
+    const dbPath = path.join(dataDir, 'admin.db');
+    this.db = new Database(dbPath);
+    this.initDatabase();
+
+    this.timer = null;
+    this.processing = false;
+  }
+
+  initDatabase() {
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhooks (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        url TEXT NOT NULL,
+        description TEXT,
+        events TEXT NOT NULL,
+        secret TEXT NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+        FOREIGN KEY (created_by) REFERENCES admins(id) ON DELETE SET NULL
+      )
+    `);
+
+    // One row per event per webhook; doubles as the retry queue and the delivery log
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS webhook_deliveries (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        webhook_id INTEGER NOT NULL,
+        event_id TEXT NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_attempt_at DATETIME,
+        response_status INTEGER,
+        response_body TEXT,
+        error TEXT,
+        redelivery_of INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        delivered_at DATETIME,
+
+        FOREIGN KEY (webhook_id) REFERENCES webhooks(id) ON DELETE CASCADE
+      )
+    `);
+
+    this.db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_queue
+      ON webhook_deliveries (status, next_attempt_at)
+    `);
+  }
+
+  /**
+   * Register an endpoint
+   * Returns the webhook and its signing secret, which is never retrievable again
+   */
+  createWebhook({ url, description, events }, createdBy) {
+    const secret = generateSecret();
+
+    const result = this.db.prepare(`
+      INSERT INTO webhooks (url, description, events, secret, created_by)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(url, description || null, JSON.stringify([...new Set(events)]), secret, createdBy);
+
+    return {
+      webhook: this.getWebhook(result.lastInsertRowid),
+      secret
+    };
+  }
+
+  getWebhook(id) {
+    return toWebhook(this.db.prepare(`
+      SELECT ${WEBHOOK_COLUMNS}, a.username as created_by_username
+      FROM webhooks w
+      LEFT JOIN admins a ON w.created_by = a.id
+      WHERE w.id = ?
+    `).get(id));
+  }
+
+  /**
+   * All webhooks with a summary of their recent deliveries
+   */
+  listWebhooks() {
+    return this.db.prepare(`
+      SELECT ${WEBHOOK_COLUMNS}, a.username as created_by_username,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'pending') as pending_count,
+        (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.webhook_id = w.id AND d.status = 'failed') as failed_count,
+        (SELECT MAX(delivered_at) FROM webhook_deliveries d WHERE d.webhook_id = w.id) as last_delivered_at
+      FROM webhooks w
+      LEFT JOIN admins a ON w.created_by = a.id
+      ORDER BY w.created_at DESC
+    `).all().map(toWebhook);
+  }
+
+  /**
+   * Update url, description, events and/or is_active
+   */
+  updateWebhook(id, updates) {
+    const fields = [];
+    const params = [];
+
+    if (updates.url !== undefined) {
+      fields.push('url = ?');
+      params.push(updates.url);
+    }
+    if (updates.description !== undefined) {
+      fields.push('description = ?');
+      params.push(updates.description || null);
+    }
+    if (updates.events !== undefined) {
+      fields.push('events = ?');
+      params.push(JSON.stringify([...new Set(updates.events)]));
+    }
+    if (updates.is_active !== undefined) {
+      fields.push('is_active = ?');
+      params.push(updates.is_active ? 1 : 0);
+    }
+
+    if (fields.length > 0) {
+      this.db.prepare(`
+        UPDATE webhooks SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).run(...params, id);
+    }
+
+    return this.getWebhook(id);
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   */
+  deleteWebhook(id) {
+    return this.db.transaction(() => {
+      this.db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(id);
+      return this.db.prepare('DELETE FROM webhooks WHERE id = ?').run(id).changes > 0;
+    })();
+  }
+
+  /**
+   * Replace a webhook's signing secret. Returns the new secret
+   */
+  rotateSecret(id) {
+    const secret = generateSecret();
+    this.db.prepare(`
+      UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+    `).run(secret, id);
+    return secret;
+  }
+
+  /**
+   * Queue an event for every active webhook subscribed to it
+   * Returns the number of deliveries queued. Never throws, so callers can fire and forget
+   */
+  dispatch(event, data) {
+    try {
+      const webhooks = this.db.prepare('SELECT id, events FROM webhooks WHERE is_active = 1').all()
+        .filter(webhook => JSON.parse(webhook.events).includes(event));
+
+      if (webhooks.length === 0) {
+        return 0;
+      }
+
+      const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+      const payload = JSON.stringify({
+        id: eventId,
+        event,
+        created_at: new Date().toISOString(),
+        data
+      });
+
+      const insert = this.db.prepare(`
+        INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload) VALUES (?, ?, ?, ?)
+      `);
+      this.db.transaction(() => {
+        webhooks.forEach(webhook => insert.run(webhook.id, eventId, event, payload));
+      })();
+
+      this.scheduleProcessing();
+      return webhooks.length;
+    } catch (error) {
+      console.error(`Error queueing webhook event ${event}:`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Queue a ping for one webhook (active or not) so admins can check their endpoint
+   */
+  sendTest(id) {
+    const eventId = `evt_${crypto.randomBytes(12).toString('hex')}`;
+    const payload = JSON.stringify({
+      id: eventId,
+      event: PING_EVENT,
+      created_at: new Date().toISOString(),
+      data: { webhook_id: id }
+    });
+
+    const result = this.db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload) VALUES (?, ?, ?, ?)
+    `).run(id, eventId, PING_EVENT, payload);
+
+    this.scheduleProcessing();
+    return this.getDelivery(result.lastInsertRowid);
+  }
+
+  getDelivery(id) {
+    return this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+  }
+
+  /**
+   * Recent deliveries for a webhook, newest first
+   */
+  listDeliveries(webhookId, limit = 50) {
+    return this.db.prepare(`
+      SELECT * FROM webhook_deliveries
+      WHERE webhook_id = ?
+      ORDER BY created_at DESC, id DESC
+      LIMIT ?
+    `).all(webhookId, limit);
+  }
+
+  /**
+   * Send a past delivery's payload again as a fresh delivery
+   * The original stays in the log untouched
+   */
+  redeliver(deliveryId) {
+    const original = this.getDelivery(deliveryId);
+    if (!original) {
+      return null;
+    }
+
+    const result = this.db.prepare(`
+      INSERT INTO webhook_deliveries (webhook_id, event_id, event, payload, redelivery_of)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(original.webhook_id, original.event_id, original.event, original.payload, original.id);
+
+    this.scheduleProcessing();
+    return this.getDelivery(result.lastInsertRowid);
+  }
+
+  /**
+   * POST one delivery to its endpoint and record the outcome
+   * Failures are rescheduled with exponential backoff until WEBHOOK_MAX_ATTEMPTS is reached
+   */
+  async attemptDelivery(delivery) {
+    const webhook = this.db.prepare('SELECT id, url, secret FROM webhooks WHERE id = ?').get(delivery.webhook_id);
+    if (!webhook) {
+      // Deleted while this delivery was waiting
+      return false;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'LogosAI-Webhooks/1.0',
+          'X-Webhook-Id': String(webhook.id),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `t=${timestamp},v1=${signPayload(webhook.secret, timestamp, delivery.payload)}`
+        },
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(getTimeoutMs())
+      });
+
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, RESPONSE_BODY_LIMIT);
+
+      if (!response.ok) {
+        error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (err) {
+      // fetch reports network failures as "fetch failed" with the real reason in cause
+      error = err.name === 'TimeoutError' ? `Timed out after ${getTimeoutMs()}ms` : err.cause?.message || err.message;
+    }
+
+    if (!error) {
+      this.db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = 'success', attempts = ?, last_attempt_at = CURRENT_TIMESTAMP,
+            delivered_at = CURRENT_TIMESTAMP, response_status = ?, response_body = ?, error = NULL
+        WHERE id = ?
+      `).run(attempts, responseStatus, responseBody, delivery.id);
+      return true;
+    }
+
+    const giveUp = attempts >= getMaxAttempts();
+    this.db.prepare(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, last_attempt_at = CURRENT_TIMESTAMP,
+          next_attempt_at = ${giveUp ? 'NULL' : "datetime('now', ?)"},
+          response_status = ?, response_body = ?, error = ?
+      WHERE id = ?
+    `).run(
+      giveUp ? 'failed' : 'pending',
+      attempts,
+      ...(giveUp ? [] : [`+${getBackoffSeconds(attempts)} seconds`]),
+      responseStatus,
+      responseBody,
+      error,
+      delivery.id
+    );
+    return false;
+  }
+
+  /**
+   * Attempt every pending delivery that is due
+   * Only one pass runs at a time; deliveries queued meanwhile are picked up by the next pass
+   */
+  async processQueue() {
+    if (this.processing) {
+      return;
+    }
+
+    this.processing = true;
+    try {
+      let due;
+      do {
+        due = this.db.prepare(`
+          SELECT * FROM webhook_deliveries
+          WHERE status = 'pending' AND next_attempt_at <= datetime('now')
+          ORDER BY next_attempt_at, id
+          LIMIT ?
+        `).all(BATCH_SIZE);
+
+        for (const delivery of due) {
+          await this.attemptDelivery(delivery);
+        }
+      } while (due.length === BATCH_SIZE);
+    } catch (error) {
+      console.error('Error processing webhook queue:', error);
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run the queue soon without blocking the caller
+   */
+  scheduleProcessing() {
+    setImmediate(() => this.processQueue());
+  }
+
+  /**
+   * Poll for due retries. The timer doesn't keep the process alive
+   */
+  start(intervalMs = POLL_INTERVAL_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    this.timer = setInterval(() => this.processQueue(), intervalMs);
+    this.timer.unref();
+    this.scheduleProcessing();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
+
+export { WEBHOOK_EVENTS, PING_EVENT, signPayload };
+export default new WebhookService();
@@ -0,0 +1,97 @@
+/**
+ * Campaign attribution for signups: the UTM parameters, referrer and landing path
+ * the landing page saw, cleaned up for storage and rolled up into source / medium / campaign
+ */
+
+const UTM_FIELDS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content'];
+const ATTRIBUTION_FIELDS = [...UTM_FIELDS, 'referrer', 'landing_path'];
+
+const MAX_UTM_LENGTH = 100;
+const MAX_URL_LENGTH = 500;
+
+// Report labels for signups without UTM parameters
+const DIRECT_SOURCE = '(direct)';
+const IMPORT_SOURCE = '(import)';
+const NONE = '(none)';
+
+/**
+ * Trimmed text, cut to a maximum length, or null if empty
+ */
+const cleanText = (value, maxLength) => {
+  if (typeof value !== 'string') return null;
+  const trimmed = value.trim();
+  return trimmed ? trimmed.slice(0, maxLength) : null;
+};
+
+/**
+ * An http(s) URL without its query string or fragment, which can carry personal details
+ */
+const cleanReferrer = (value) => {
+  const text = cleanText(value, MAX_URL_LENGTH * 4);
+  if (!text) return null;
+
+  try {
+    const url = new URL(text);
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+    return `${url.origin}${url.pathname}`.slice(0, MAX_URL_LENGTH);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * The path part of a landing page address, e.g. /church-leaders
+ */
+const cleanPath = (value) => {
+  const text = cleanText(value, MAX_URL_LENGTH);
+  if (!text || !text.startsWith('/')) return null;
+  return text.split(/[?#]/)[0];
+};
+
+/**
+ * Attribution as stored on a signup; anything missing or malformed becomes null
+ * Source and medium are lowercased so "Facebook" and "facebook" count together
+ * Never throws: bad attribution is dropped rather than failing the signup
+ */
+const normaliseAttribution = (input) => {
+  const data = input && typeof input === 'object' ? input : {};
+  const attribution = Object.fromEntries(UTM_FIELDS.map(field => [field, cleanText(data[field], MAX_UTM_LENGTH)]));
+
+  ['utm_source', 'utm_medium'].forEach(field => {
+    if (attribution[field]) attribution[field] = attribution[field].toLowerCase();
+  });
+
+  return {
+    ...attribution,
+    referrer: cleanReferrer(data.referrer),
+    landing_path: cleanPath(data.landing_path)
+  };
+};
+
+/**
+ * Source, medium and campaign a signup is credited to
+ * UTM parameters win; otherwise the referring site (medium "referral"), an import, or direct
+ */
+const attributionChannel = ({ utm_source, utm_medium, utm_campaign, referrer, import_batch_id }) => {
+  if (utm_source) {
+    return { source: utm_source, medium: utm_medium || NONE, campaign: utm_campaign || NONE };
+  }
+
+  if (referrer) {
+    const host = new URL(referrer).hostname.replace(/^www\./, '');
+    return { source: host, medium: 'referral', campaign: utm_campaign || NONE };
+  }
+
+  if (import_batch_id) {
+    return { source: IMPORT_SOURCE, medium: 'import', campaign: NONE };
+  }
+
+  return { source: DIRECT_SOURCE, medium: NONE, campaign: utm_campaign || NONE };
+};
+
+export {
+  UTM_FIELDS,
+  ATTRIBUTION_FIELDS,
+  normaliseAttribution,
+  attributionChannel
+};
@@ -0,0 +1,126 @@
+/**
+ * RFC 4180 CSV reading and writing
+ * Cells containing a delimiter, quote or line break are quoted, with quotes doubled
+ */
+
+const UTF8_BOM = '\uFEFF';
+
+const LINE_ENDINGS = {
+  crlf: '\r\n',
+  lf: '\n'
+};
+
+// Spreadsheet apps treat text starting with these as a formula (CSV injection)
+const FORMULA_PREFIXES = ['=', '+', '-', '@', '\t', '\r'];
+
+/**
+ * Encode one value as a CSV cell
+ * Text that a spreadsheet would run as a formula is prefixed with ' so it shows as text
+ */
+const escapeCsvCell = (value, { neutraliseFormulas = true } = {}) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // Only strings: a real negative number like -5 is data, not a formula
+  if (neutraliseFormulas && typeof value === 'string' && FORMULA_PREFIXES.includes(text[0])) {
+    text = `'${text}`;
+  }
+
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+
+  return text;
+};
+
+/**
+ * Encode a list of values as one CSV line (including the line ending)
+ */
+const formatCsvRow = (values, { lineEnding = LINE_ENDINGS.crlf, ...cellOptions } = {}) => {
+  return values.map(value => escapeCsvCell(value, cellOptions)).join(',') + lineEnding;
+};
+
+/**
+ * Turn records into CSV lines: an optional BOM, the header row, then one line per record
+ * columns: [{ key, header }] - which fields to write, in order
+ * records may be any iterable or async iterable, so large exports can be streamed
+ */
+async function* toCsvLines(records, { columns, bom = false, lineEnding = LINE_ENDINGS.crlf, neutraliseFormulas = true }) {
+  const options = { lineEnding, neutraliseFormulas };
+
+  // Headers are ours, never user input, so they skip formula neutralising
+  yield (bom ? UTF8_BOM : '') + formatCsvRow(columns.map(column => column.header), { ...options, neutraliseFormulas: false });
+
+  for await (const record of records) {
+    yield formatCsvRow(columns.map(({ key }) => record[key]), options);
+  }
+}
+
+/**
+ * Parse CSV text into rows of string cells
+ * Handles quoted cells (with commas, doubled quotes and line breaks), CRLF or LF
+ * line endings and a leading BOM. Blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (let i = text.startsWith(UTF8_BOM) ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV has an unterminated quoted cell');
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+export {
+  LINE_ENDINGS,
+  parseCsv,
+  escapeCsvCell,
+  formatCsvRow,
+  toCsvLines
+};
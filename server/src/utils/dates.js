@@ -0,0 +1,134 @@
+/**
+ * Date helpers shared by the waitlist and analytics services
+ * SQLite stores CURRENT_TIMESTAMP as 'YYYY-MM-DD HH:MM:SS' in UTC
+ */
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Format a Date as SQLite's CURRENT_TIMESTAMP (UTC)
+ */
+const formatSqlDateTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+/**
+ * Normalise an ISO date/datetime to SQLite's CURRENT_TIMESTAMP format (UTC)
+ * Date-only upper bounds are extended to the end of that day
+ */
+const toSqlDateTime = (value, endOfDay = false) => {
+  if (DATE_ONLY.test(value)) {
+    return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    return null;
+  }
+
+  return formatSqlDateTime(date);
+};
+
+/**
+ * Parse a SQLite timestamp as UTC
+ */
+const parseSqlDateTime = (value) => new Date(`${value.replace(' ', 'T')}Z`);
+
+/**
+ * Check an IANA time zone name (e.g. "Africa/Lagos")
+ */
+const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Offset of a time zone from UTC at a given instant, in minutes
+ */
+const getTimeZoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+
+  const get = (type) => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+
+  return Math.round((asUtc - date.getTime()) / 60000);
+};
+
+/**
+ * Calendar date ('YYYY-MM-DD') of an instant in a time zone
+ */
+const toLocalDate = (date, timeZone) => {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+};
+
+/**
+ * UTC instant of local midnight on a calendar date in a time zone
+ */
+const startOfLocalDay = (localDate, timeZone) => {
+  const guess = new Date(`${localDate}T00:00:00Z`);
+  const offset = getTimeZoneOffset(guess, timeZone);
+  const instant = new Date(guess.getTime() - offset * 60000);
+
+  // Correct for a DST change between the guess and the real instant
+  const actualOffset = getTimeZoneOffset(instant, timeZone);
+  return actualOffset === offset
+    ? instant
+    : new Date(guess.getTime() - actualOffset * 60000);
+};
+
+/**
+ * Calendar date arithmetic on 'YYYY-MM-DD' strings
+ */
+const addDays = (localDate, days) => {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+const addMonths = (localDate, months) => {
+  const date = new Date(`${localDate}T00:00:00Z`);
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Monday of the ISO week containing a calendar date
+ */
+const startOfWeek = (localDate) => {
+  const day = new Date(`${localDate}T00:00:00Z`).getUTCDay();
+  return addDays(localDate, -((day + 6) % 7));
+};
+
+const startOfMonth = (localDate) => `${localDate.slice(0, 7)}-01`;
+
+export {
+  DATE_ONLY,
+  formatSqlDateTime,
+  toSqlDateTime,
+  parseSqlDateTime,
+  isValidTimeZone,
+  getTimeZoneOffset,
+  toLocalDate,
+  startOfLocalDay,
+  addDays,
+  addMonths,
+  startOfWeek,
+  startOfMonth
+};
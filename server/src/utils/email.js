@@ -0,0 +1,90 @@
+/**
+ * Email address normalisation for storage and duplicate detection
+ * Addresses are stored normalised (trimmed, lowercased); the canonical key also folds
+ * together the addresses a provider delivers to the same inbox
+ */
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Providers that ignore dots in the local part (and the domains they share)
+const DOTLESS_PROVIDERS = {
+  'gmail.com': 'gmail.com',
+  'googlemail.com': 'gmail.com'
+};
+
+// Providers that deliver user+anything@ to user@
+const PLUS_ADDRESSING_PROVIDERS = [
+  'gmail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'msn.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'fastmail.com',
+  'proton.me',
+  'protonmail.com',
+  'pm.me'
+];
+
+// Large webmail providers; unrelated people share these domains, so per-domain signup limits skip them
+const WEBMAIL_DOMAINS = [
+  'gmail.com',
+  'googlemail.com',
+  'outlook.com',
+  'hotmail.com',
+  'live.com',
+  'msn.com',
+  'yahoo.com',
+  'ymail.com',
+  'aol.com',
+  'icloud.com',
+  'me.com',
+  'mac.com',
+  'proton.me',
+  'protonmail.com',
+  'gmx.com',
+  'mail.com',
+  'zoho.com',
+  'yandex.com'
+];
+
+/**
+ * Trim and lowercase an address (how it is stored)
+ */
+const normaliseEmail = (email) => String(email).trim().toLowerCase();
+
+/**
+ * Key shared by every address that reaches the same inbox
+ * e.g. J.Ohn+church@GoogleMail.com -> john@gmail.com
+ * Unknown providers only get normaliseEmail, since their local parts may be significant
+ */
+const canonicalEmail = (email) => {
+  const normalised = normaliseEmail(email);
+  const at = normalised.lastIndexOf('@');
+  if (at === -1) {
+    return normalised;
+  }
+
+  let local = normalised.slice(0, at);
+  let domain = normalised.slice(at + 1);
+
+  if (DOTLESS_PROVIDERS[domain]) {
+    domain = DOTLESS_PROVIDERS[domain];
+    local = local.replace(/\./g, '');
+  }
+
+  if (PLUS_ADDRESSING_PROVIDERS.includes(domain)) {
+    local = local.split('+')[0];
+  }
+
+  return `${local}@${domain}`;
+};
+
+export {
+  EMAIL_PATTERN,
+  WEBMAIL_DOMAINS,
+  normaliseEmail,
+  canonicalEmail
+};
@@ -0,0 +1,57 @@
+import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { JWT_SECRET } from '../middleware/auth.js';
+
+const TOKEN_ISSUER = 'logosai-server';
+const TOKEN_AUDIENCE = 'logosai-waitlist';
+
+/**
+ * Sign a purpose-bound token for one-off flows
+ * (email confirmation links, admin 2FA login challenges, etc.)
+ * SECURITY: The purpose claim stops a token minted for one flow being replayed in another
+ * Omit expiresIn for tokens that must stay valid indefinitely (e.g. unsubscribe links)
+ */
+const signToken = (purpose, payload, expiresIn) => {
+  return jwt.sign(
+    { ...payload, purpose },
+    JWT_SECRET,
+    {
+      ...(expiresIn ? { expiresIn } : {}),
+      issuer: TOKEN_ISSUER,
+      audience: TOKEN_AUDIENCE
+    }
+  );
+};
+
+/**
+ * Verify a purpose-bound token
+ * Returns the decoded payload, or null if invalid, expired or minted for another purpose
+ */
+const verifyToken = (purpose, token) => {
+  try {
+    const decoded = jwt.verify(token, JWT_SECRET, {
+      issuer: TOKEN_ISSUER,
+      audience: TOKEN_AUDIENCE
+    });
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Random nonce for one-time tokens
+ */
+const generateNonce = () => crypto.randomBytes(16).toString('hex');
+
+/**
+ * SHA-256 hash (never store raw nonces or secrets)
+ */
+const hashValue = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export {
+  signToken,
+  verifyToken,
+  generateNonce,
+  hashValue
+};
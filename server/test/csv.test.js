@@ -0,0 +1,136 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { LINE_ENDINGS, escapeCsvCell, formatCsvRow, toCsvLines, parseCsv } from '../src/utils/csv.js';
+
+const collect = async (lines) => {
+  const output = [];
+  for await (const line of lines) {
+    output.push(line);
+  }
+  return output;
+};
+
+const COLUMNS = [
+  { key: 'name', header: 'Name' },
+  { key: 'church', header: 'Church' }
+];
+
+describe('escapeCsvCell', () => {
+  it('leaves plain text alone', () => {
+    assert.equal(escapeCsvCell('Grace Church'), 'Grace Church');
+  });
+
+  it('quotes cells with commas', () => {
+    assert.equal(escapeCsvCell('Smith, John'), '"Smith, John"');
+  });
+
+  it('doubles embedded quotes', () => {
+    assert.equal(escapeCsvCell('St. Mark\'s "Downtown"'), '"St. Mark\'s ""Downtown"""');
+  });
+
+  it('quotes cells with line breaks', () => {
+    assert.equal(escapeCsvCell('First\nSecond'), '"First\nSecond"');
+    assert.equal(escapeCsvCell('First\r\nSecond'), '"First\r\nSecond"');
+    assert.equal(escapeCsvCell('First\rSecond'), '"First\rSecond"');
+  });
+
+  it('quotes cells with leading or trailing spaces', () => {
+    assert.equal(escapeCsvCell(' Grace '), '" Grace "');
+  });
+
+  it('prefixes each formula character with a quote', () => {
+    assert.equal(escapeCsvCell('=SUM(A1:A9)'), "'=SUM(A1:A9)");
+    assert.equal(escapeCsvCell('+1 555 0100'), "'+1 555 0100");
+    assert.equal(escapeCsvCell('-2+3'), "'-2+3");
+    assert.equal(escapeCsvCell('@cmd'), "'@cmd");
+    assert.equal(escapeCsvCell('\t=1'), "'\t=1");
+    assert.equal(escapeCsvCell('\r=1'), '"\'\r=1"');
+  });
+
+  it('keeps formulas as they are when neutralising is off', () => {
+    assert.equal(escapeCsvCell('=1+1', { neutraliseFormulas: false }), '=1+1');
+  });
+
+  it('writes numbers as numbers, including negative ones', () => {
+    assert.equal(escapeCsvCell(42), '42');
+    assert.equal(escapeCsvCell(-5), '-5');
+    assert.equal(escapeCsvCell(1.5), '1.5');
+  });
+
+  it('writes null and undefined as empty cells', () => {
+    assert.equal(escapeCsvCell(null), '');
+    assert.equal(escapeCsvCell(undefined), '');
+  });
+
+  it('writes dates as ISO 8601', () => {
+    assert.equal(escapeCsvCell(new Date('2025-01-02T03:04:05Z')), '2025-01-02T03:04:05.000Z');
+  });
+});
+
+describe('formatCsvRow', () => {
+  it('ends lines with CRLF by default', () => {
+    assert.equal(formatCsvRow(['a', 'b']), 'a,b\r\n');
+  });
+
+  it('ends lines with LF when asked', () => {
+    assert.equal(formatCsvRow(['a', 'b'], { lineEnding: LINE_ENDINGS.lf }), 'a,b\n');
+  });
+});
+
+describe('toCsvLines', () => {
+  const records = [
+    { name: 'O\'Brien, Pat', church: '=HYPERLINK("http://example.com")' },
+    { name: 'Ana', church: null }
+  ];
+
+  it('writes the header and one line per record', async () => {
+    const lines = await collect(toCsvLines(records, { columns: COLUMNS }));
+    assert.deepEqual(lines, [
+      'Name,Church\r\n',
+      '"O\'Brien, Pat","\'=HYPERLINK(""http://example.com"")"\r\n',
+      'Ana,\r\n'
+    ]);
+  });
+
+  it('starts with a BOM only when asked', async () => {
+    const withBom = await collect(toCsvLines([], { columns: COLUMNS, bom: true }));
+    const withoutBom = await collect(toCsvLines([], { columns: COLUMNS }));
+    assert.equal(withBom[0], '\uFEFFName,Church\r\n');
+    assert.equal(withoutBom[0], 'Name,Church\r\n');
+  });
+
+  it('uses LF line endings when asked', async () => {
+    const lines = await collect(toCsvLines(records.slice(1), { columns: COLUMNS, lineEnding: LINE_ENDINGS.lf }));
+    assert.deepEqual(lines, ['Name,Church\n', 'Ana,\n']);
+  });
+
+  it('reads async iterables', async () => {
+    async function* stream() {
+      yield { name: 'Ana', church: 'Grace' };
+    }
+    const lines = await collect(toCsvLines(stream(), { columns: COLUMNS }));
+    assert.deepEqual(lines, ['Name,Church\r\n', 'Ana,Grace\r\n']);
+  });
+
+  it('reads back as the values written', async () => {
+    const awkward = [{ name: 'Line one\r\nline two', church: 'Say "hi", then leave' }];
+    for (const lineEnding of Object.values(LINE_ENDINGS)) {
+      const text = (await collect(toCsvLines(awkward, { columns: COLUMNS, bom: true, lineEnding }))).join('');
+      assert.deepEqual(parseCsv(text), [['Name', 'Church'], ['Line one\r\nline two', 'Say "hi", then leave']]);
+    }
+  });
+});
+
+describe('parseCsv', () => {
+  it('handles CRLF and LF line endings and skips blank lines', () => {
+    assert.deepEqual(parseCsv('a,b\r\n1,2\n\n3,4'), [['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('strips a leading BOM', () => {
+    assert.deepEqual(parseCsv('\uFEFFemail\nann@example.com'), [['email'], ['ann@example.com']]);
+  });
+
+  it('rejects an unterminated quoted cell', () => {
+    assert.throws(() => parseCsv('"open'), /unterminated/);
+  });
+});
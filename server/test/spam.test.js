@@ -0,0 +1,90 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import spamService from '../src/services/spam.service.js';
+import { signToken, generateNonce } from '../src/utils/tokens.js';
+
+const formToken = (payload, expiresIn = '24h') => signToken('signup_form', { nonce: generateNonce(), ...payload }, expiresIn);
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('checkFormToken', () => {
+  it('returns the nonce and how long since the form was shown', () => {
+    const token = formToken({ shownAt: now() - 20 });
+    const check = spamService.checkFormToken(token);
+    assert.match(check.nonce, /^[0-9a-f]{32}$/);
+    assert.ok(check.elapsedSeconds >= 20 && check.elapsedSeconds < 25);
+  });
+
+  it('falls back to when the token was issued', () => {
+    const check = spamService.checkFormToken(formToken({}));
+    assert.ok(check.elapsedSeconds >= 0 && check.elapsedSeconds < 5);
+  });
+
+  it('rejects a token once it has been used', () => {
+    const token = spamService.issueFormToken();
+    spamService.useFormToken(spamService.checkFormToken(token).nonce);
+    assert.equal(spamService.checkFormToken(token), null);
+  });
+
+  it('rejects missing, malformed, expired and other-purpose tokens', () => {
+    assert.equal(spamService.checkFormToken(undefined), null);
+    assert.equal(spamService.checkFormToken('not-a-token'), null);
+    assert.equal(spamService.checkFormToken(formToken({}, -10)), null);
+    assert.equal(spamService.checkFormToken(signToken('email_confirmation', { nonce: generateNonce() }, '1h')), null);
+  });
+});
+
+describe('issueFormToken', () => {
+  it('keeps when the form was first shown from the token it replaces, even a used one', () => {
+    const previous = formToken({ shownAt: now() - 60 });
+    spamService.useFormToken(spamService.checkFormToken(previous).nonce);
+
+    const check = spamService.checkFormToken(spamService.issueFormToken(previous));
+    assert.ok(check.elapsedSeconds >= 60 && check.elapsedSeconds < 65);
+  });
+
+  it('starts the clock again when the previous token is not valid', () => {
+    const check = spamService.checkFormToken(spamService.issueFormToken('not-a-token'));
+    assert.ok(check.elapsedSeconds >= 0 && check.elapsedSeconds < 5);
+  });
+});
+
+describe('getQuarantineReasons', () => {
+  const minFormFillSeconds = process.env.MIN_FORM_FILL_SECONDS;
+
+  afterEach(() => {
+    if (minFormFillSeconds === undefined) {
+      delete process.env.MIN_FORM_FILL_SECONDS;
+    } else {
+      process.env.MIN_FORM_FILL_SECONDS = minFormFillSeconds;
+    }
+  });
+
+  it('finds nothing wrong with a person-paced, empty-honeypot signup', () => {
+    delete process.env.MIN_FORM_FILL_SECONDS;
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: '', elapsedSeconds: 10 }), []);
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: '   ', elapsedSeconds: 10 }), []);
+    assert.deepEqual(spamService.getQuarantineReasons({ elapsedSeconds: 10 }), []);
+  });
+
+  it('flags a filled-in honeypot', () => {
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: 'https://spam.example', elapsedSeconds: 10 }), ['honeypot']);
+  });
+
+  it('flags signups faster than the default 3 seconds', () => {
+    delete process.env.MIN_FORM_FILL_SECONDS;
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: '', elapsedSeconds: 2.9 }), ['too_fast']);
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: '', elapsedSeconds: 3 }), []);
+  });
+
+  it('reads MIN_FORM_FILL_SECONDS, where 0 turns the check off', () => {
+    process.env.MIN_FORM_FILL_SECONDS = '10';
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: '', elapsedSeconds: 5 }), ['too_fast']);
+    process.env.MIN_FORM_FILL_SECONDS = '0';
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: '', elapsedSeconds: 0 }), []);
+  });
+
+  it('reports every reason that applies', () => {
+    delete process.env.MIN_FORM_FILL_SECONDS;
+    assert.deepEqual(spamService.getQuarantineReasons({ honeypot: 'x', elapsedSeconds: 0 }), ['honeypot', 'too_fast']);
+  });
+});
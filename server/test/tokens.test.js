@@ -0,0 +1,65 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import jwt from 'jsonwebtoken';
+import { JWT_SECRET } from '../src/middleware/auth.js';
+import { signToken, verifyToken, generateNonce, hashValue } from '../src/utils/tokens.js';
+
+describe('signToken and verifyToken', () => {
+  it('round-trips the payload and purpose', () => {
+    const decoded = verifyToken('email_confirmation', signToken('email_confirmation', { sub: 7 }, '1h'));
+    assert.equal(decoded.sub, 7);
+    assert.equal(decoded.purpose, 'email_confirmation');
+    assert.ok(decoded.exp > decoded.iat);
+  });
+
+  it('rejects a token minted for another purpose', () => {
+    assert.equal(verifyToken('privacy_export', signToken('privacy_delete', { sub: 7 }, '1h')), null);
+  });
+
+  it('rejects expired tokens', () => {
+    assert.equal(verifyToken('email_confirmation', signToken('email_confirmation', { sub: 7 }, -10)), null);
+  });
+
+  it('leaves out the expiry when none is given', () => {
+    const decoded = verifyToken('unsubscribe', signToken('unsubscribe', { sub: 7 }));
+    assert.equal(decoded.exp, undefined);
+  });
+
+  it('rejects tampered tokens', () => {
+    const [header, , signature] = signToken('email_confirmation', { sub: 7 }, '1h').split('.');
+    const payload = Buffer.from(JSON.stringify({ sub: 8, purpose: 'email_confirmation' })).toString('base64url');
+    assert.equal(verifyToken('email_confirmation', `${header}.${payload}.${signature}`), null);
+  });
+
+  it('rejects admin session tokens and tokens from another issuer', () => {
+    const adminToken = jwt.sign({ id: 1, purpose: 'email_confirmation' }, JWT_SECRET, {
+      issuer: 'logosai-server',
+      audience: 'logosai-admin'
+    });
+    const foreignToken = jwt.sign({ purpose: 'email_confirmation' }, JWT_SECRET, {
+      issuer: 'someone-else',
+      audience: 'logosai-waitlist'
+    });
+    assert.equal(verifyToken('email_confirmation', adminToken), null);
+    assert.equal(verifyToken('email_confirmation', foreignToken), null);
+  });
+
+  it('returns null for missing or malformed tokens', () => {
+    assert.equal(verifyToken('email_confirmation', undefined), null);
+    assert.equal(verifyToken('email_confirmation', 'not-a-token'), null);
+  });
+});
+
+describe('generateNonce', () => {
+  it('makes 32 hex characters, different each time', () => {
+    const nonce = generateNonce();
+    assert.match(nonce, /^[0-9a-f]{32}$/);
+    assert.notEqual(generateNonce(), nonce);
+  });
+});
+
+describe('hashValue', () => {
+  it('is SHA-256 in hex', () => {
+    assert.equal(hashValue('abc'), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+  });
+});
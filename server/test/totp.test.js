@@ -0,0 +1,92 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateHOTP,
+  generateTOTP,
+  verifyTOTP,
+  buildOtpAuthUri
+} from '../src/utils/totp.js';
+
+// The RFC 4226 / RFC 6238 test secret, ASCII "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes and decodes the RFC 4648 examples', () => {
+    assert.equal(base32Encode(Buffer.from('foobar')), 'MZXW6YTBOI');
+    assert.equal(base32Decode('MZXW6YTBOI').toString(), 'foobar');
+  });
+
+  it('ignores case, padding and spaces when decoding', () => {
+    assert.equal(base32Decode('mzxw 6ytb oi======').toString(), 'foobar');
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('MZXW1'), /Invalid base32 character/);
+  });
+});
+
+describe('generateSecret', () => {
+  it('makes a 160-bit base32 secret', () => {
+    const secret = generateSecret();
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(base32Decode(secret).length, 20);
+  });
+});
+
+describe('generateHOTP', () => {
+  it('matches the RFC 4226 test values', () => {
+    assert.deepEqual([0, 1, 2, 9].map(counter => generateHOTP(RFC_SECRET, counter)), ['755224', '287082', '359152', '520489']);
+  });
+});
+
+describe('generateTOTP', () => {
+  it('matches the RFC 6238 SHA-1 test values (last six digits)', () => {
+    assert.equal(generateTOTP(RFC_SECRET, 59 * 1000), '287082');
+    assert.equal(generateTOTP(RFC_SECRET, 1111111109 * 1000), '081804');
+    assert.equal(generateTOTP(RFC_SECRET, 1234567890 * 1000), '005924');
+    assert.equal(generateTOTP(RFC_SECRET, 2000000000 * 1000), '279037');
+  });
+});
+
+describe('verifyTOTP', () => {
+  const time = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  it('returns the matching time step', () => {
+    assert.equal(verifyTOTP(RFC_SECRET, '005924', { time }), step);
+    assert.equal(verifyTOTP(RFC_SECRET, '005 924', { time }), step);
+  });
+
+  it('allows one step of clock drift either way by default', () => {
+    assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 30 * 1000), { time }), step - 1);
+    assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time + 30 * 1000), { time }), step + 1);
+    assert.equal(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time + 60 * 1000), { time }), null);
+  });
+
+  it('honours a custom window', () => {
+    const code = generateTOTP(RFC_SECRET, time - 30 * 1000);
+    assert.equal(verifyTOTP(RFC_SECRET, code, { time, window: 0 }), null);
+  });
+
+  it('rejects wrong and malformed codes', () => {
+    assert.equal(verifyTOTP(RFC_SECRET, '000000', { time }), null);
+    assert.equal(verifyTOTP(RFC_SECRET, '12345', { time }), null);
+    assert.equal(verifyTOTP(RFC_SECRET, 'abcdef', { time }), null);
+    assert.equal(verifyTOTP(RFC_SECRET, undefined, { time }), null);
+  });
+});
+
+describe('buildOtpAuthUri', () => {
+  it('labels the account with the issuer and lists the parameters', () => {
+    const uri = buildOtpAuthUri('MZXW6YTBOI', { issuer: 'LogosAI Admin', account: 'admin' });
+    assert.ok(uri.startsWith('otpauth://totp/LogosAI%20Admin%3Aadmin?'));
+    const params = new URLSearchParams(uri.split('?')[1]);
+    assert.equal(params.get('secret'), 'MZXW6YTBOI');
+    assert.equal(params.get('issuer'), 'LogosAI Admin');
+    assert.equal(params.get('digits'), '6');
+    assert.equal(params.get('period'), '30');
+  });
+});